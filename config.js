@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Configuración de la aplicación.
+ *
+ * Reúne en un solo objeto la URI de MongoDB, el puerto, el nivel de log, el modo
+ * de base de datos, el IRI base del grafo exportado y la cuenta admin inicial. Los valores se toman, en orden
+ * de prioridad, de:
+ *   1) argumentos de línea de comandos (`--memoria`, `--semilla`),
+ *   2) variables de entorno (MONGO_URI, PORT, LOG_LEVEL, MONGO_MEMORIA, SEMILLA, BASE_IRI,
+ *      ADMIN_NOMBRE, ADMIN_CLAVE),
+ *   3) el archivo JSON indicado en CONFIG_FILE (por defecto `config.json` en la raíz),
+ *   4) los valores por defecto de este módulo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Niveles de log admitidos, de menor a mayor detalle.
+ * @type {string[]}
+ */
+const NIVELES_LOG = ['error', 'warn', 'info', 'debug'];
+
+/**
+ * Valores por defecto: MongoDB local sin credenciales.
+ * @type {Object}
+ */
+const POR_DEFECTO = {
+    mongoUri: 'mongodb://127.0.0.1:27017/DB_100_años',
+    port: 3000,
+    logLevel: 'info',
+    memoria: false,
+    semilla: false,
+    archivoSemilla: path.join(__dirname, 'fixtures', 'macondo.json'),
+    baseIri: 'https://macondo.example/id/',
+    adminNombre: null,
+    adminClave: null
+};
+
+/**
+ * Lee el archivo de configuración JSON si existe.
+ * @param {string} ruta - Ruta del archivo.
+ * @returns {Object} Contenido del archivo o un objeto vacío.
+ */
+function leerArchivo(ruta) {
+    if (!fs.existsSync(ruta)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(ruta, 'utf8'));
+    } catch (err) {
+        throw new Error(`Archivo de configuración inválido (${ruta}): ${err.message}`);
+    }
+}
+
+/**
+ * Interpreta una variable de entorno booleana ("true", "1", "si").
+ * @param {string|undefined} valor - Valor de la variable.
+ * @returns {boolean|undefined} Booleano o undefined si la variable no está definida.
+ */
+function envBooleano(valor) {
+    if (valor === undefined) return undefined;
+    return ['true', '1', 'si', 'sí'].includes(String(valor).toLowerCase());
+}
+
+/**
+ * Interpreta un puerto escrito como texto (variable de entorno o config.json): "3000" es
+ * 3000 y un texto vacío cuenta como no definido, así que se usa el de la fuente anterior.
+ * @param {*} valor - Valor leído.
+ * @returns {*} Número si era texto; el valor tal cual si no, para que lo valide `cargarConfig`.
+ */
+function leerPuerto(valor) {
+    if (typeof valor !== 'string') return valor;
+    return valor.trim() ? Number(valor) : undefined;
+}
+
+/**
+ * Construye la configuración combinando todas las fuentes.
+ *
+ * @param {Object} [opciones]
+ * @param {NodeJS.ProcessEnv} [opciones.env=process.env] - Variables de entorno.
+ * @param {string[]} [opciones.argv=process.argv] - Argumentos de línea de comandos.
+ * @returns {{mongoUri: string, port: number, logLevel: string, memoria: boolean, semilla: boolean, archivoSemilla: string, baseIri: string, adminNombre: string|null, adminClave: string|null}}
+ */
+function cargarConfig({ env = process.env, argv = process.argv } = {}) {
+    const archivo = leerArchivo(env.CONFIG_FILE || path.join(__dirname, 'config.json'));
+    // "port": "3000" vale igual que PORT=3000
+    if ('port' in archivo) archivo.port = leerPuerto(archivo.port);
+
+    const desdeEnv = {
+        mongoUri: env.MONGO_URI,
+        port: leerPuerto(env.PORT),
+        logLevel: env.LOG_LEVEL,
+        memoria: envBooleano(env.MONGO_MEMORIA),
+        semilla: envBooleano(env.SEMILLA),
+        archivoSemilla: env.ARCHIVO_SEMILLA,
+        baseIri: env.BASE_IRI,
+        adminNombre: env.ADMIN_NOMBRE,
+        adminClave: env.ADMIN_CLAVE
+    };
+
+    const desdeArgv = {
+        memoria: argv.includes('--memoria') ? true : undefined,
+        semilla: argv.includes('--semilla') ? true : undefined
+    };
+
+    const config = { ...POR_DEFECTO };
+    for (const fuente of [archivo, desdeEnv, desdeArgv]) {
+        for (const [clave, valor] of Object.entries(fuente)) {
+            if (valor !== undefined && clave in POR_DEFECTO) config[clave] = valor;
+        }
+    }
+
+    if (!NIVELES_LOG.includes(config.logLevel)) {
+        throw new Error(`LOG_LEVEL inválido: "${config.logLevel}" (usa ${NIVELES_LOG.join(', ')})`);
+    }
+    if (!Number.isInteger(config.port) || config.port < 0) {
+        throw new Error(`PORT inválido: "${config.port}"`);
+    }
+    if (!config.adminNombre !== !config.adminClave) {
+        throw new Error('ADMIN_NOMBRE y ADMIN_CLAVE se configuran juntos');
+    }
+    // La base en memoria siempre arranca vacía: se siembra por defecto
+    if (config.memoria && desdeEnv.semilla === undefined && archivo.semilla === undefined) {
+        config.semilla = true;
+    }
+    return config;
+}
+
+/**
+ * Silencia los métodos de consola por debajo del nivel configurado.
+ * El código existente registra con `console.log` (nivel info), `console.warn`,
+ * `console.error` y `console.debug`.
+ *
+ * @param {string} nivel - Uno de NIVELES_LOG.
+ */
+function aplicarNivelLog(nivel) {
+    const limite = NIVELES_LOG.indexOf(nivel);
+    const silencio = () => { };
+    if (limite < NIVELES_LOG.indexOf('debug')) console.debug = silencio;
+    if (limite < NIVELES_LOG.indexOf('info')) {
+        console.log = silencio;
+        console.info = silencio;
+    }
+    if (limite < NIVELES_LOG.indexOf('warn')) console.warn = silencio;
+}
+
+/**
+ * Oculta la contraseña de una URI de MongoDB para poder registrarla.
+ * @param {string} uri - URI de conexión.
+ * @returns {string} URI sin credenciales visibles.
+ */
+function ocultarCredenciales(uri) {
+    return uri.replace(/\/\/([^:/@]+):([^@]+)@/, '//$1:****@');
+}
+
+module.exports = { cargarConfig, aplicarNivelLog, ocultarCredenciales, NIVELES_LOG };
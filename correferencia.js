@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Resolución de referencias a turnos anteriores de una conversación.
+ *
+ * Reescribe una pregunta que depende de las anteriores para que se entienda sola:
+ * "¿Y con quién se casó él?" → "¿Con quién se casó José Arcadio Buendía?", "¿Dónde
+ * vivían sus hijos?" → "¿Dónde vivían los hijos de Úrsula Iguarán?", "¿Qué pasó allí?"
+ * → "¿Qué pasó en Macondo?". Solo trabaja sobre el texto: el contexto de la conversación
+ * (ver services/conversaciones.js) y los géneros de los personajes se reciben ya cargados,
+ * y el análisis de la pregunta reescrita queda a cargo de nlpProcessor.js.
+ */
+
+/**
+ * Contexto de una conversación para resolver referencias.
+ *
+ * @typedef {Object} ContextoConversacion
+ * @property {Array<{tipo: string, nombre: string}>} foco - Entidades de los turnos anteriores,
+ *   de la más reciente a la más antigua (las respuestas de cada turno antes que las buscadas).
+ * @property {string[]} grupo - Personajes del último turno que habló de varios ("ellos").
+ * @property {{pregunta: string, menciones: Array<{tipo: string, nombre: string, texto: string}>}|null} anterior -
+ *   Última pregunta, ya resuelta, con el texto exacto de cada entidad mencionada.
+ */
+
+/**
+ * Pronombres personales en singular y el género del personaje al que se refieren.
+ * "el" sin tilde es un artículo: solo cuenta "él".
+ * @type {Object.<string, string>}
+ */
+const PRONOMBRES = { 'él': 'masculino', ella: 'femenino' };
+
+/**
+ * Pronombres personales en plural: se refieren al grupo del último turno.
+ * @type {Set<string>}
+ */
+const PLURALES = new Set(['ellos', 'ellas']);
+
+/**
+ * Posesivos: "su madre" → "la madre de Úrsula Iguarán".
+ * @type {Set<string>}
+ */
+const POSESIVOS = new Set(['su', 'sus']);
+
+/**
+ * Adverbios de lugar que se refieren al último lugar de la conversación.
+ * @type {Set<string>}
+ */
+const ADVERBIOS_LUGAR = new Set(['allí', 'allá', 'ahí', 'alli', 'alla', 'ahi']);
+
+/**
+ * Preposiciones tras las que un adverbio de lugar se reemplaza solo por el nombre
+ * ("desde allí" → "desde Macondo"); en otro caso se agrega "en".
+ * @type {Set<string>}
+ */
+const PREPOSICIONES_LUGAR = new Set(['a', 'de', 'desde', 'hasta', 'hacia', 'por', 'para', 'en']);
+
+/**
+ * Sustantivos femeninos que no terminan en "a" ni en otra terminación femenina.
+ * @type {Set<string>}
+ */
+const FEMENINOS = new Set(['madre', 'mujer', 'muerte', 'suerte', 'gente', 'noche']);
+
+/**
+ * Conectores con que una pregunta continúa la anterior ("¿Y Rebeca?").
+ * @type {RegExp}
+ */
+const PATRON_CONECTOR = /^(\s*¿?\s*)(?:y|e)(?:\s*,\s*|\s+)(?=\S)/i;
+
+/**
+ * Quita el conector inicial de una pregunta ("¿Y con quién se casó?" → "¿Con quién se casó?").
+ * @param {string} pregunta - Pregunta original.
+ * @returns {{texto: string, conector: boolean}} Pregunta sin el conector y si lo tenía.
+ */
+function quitarConector(pregunta) {
+    const m = pregunta.match(PATRON_CONECTOR);
+    if (!m) return { texto: pregunta, conector: false };
+    const resto = pregunta.slice(m[0].length);
+    return { texto: m[1] + resto.charAt(0).toUpperCase() + resto.slice(1), conector: true };
+}
+
+/**
+ * Artículo para "su"/"sus" seguido de un sustantivo.
+ * @param {string} sustantivo - Sustantivo en minúsculas.
+ * @param {boolean} plural - Si el posesivo era "sus".
+ * @returns {string} 'el', 'la', 'los' o 'las'.
+ */
+function articuloDe(sustantivo, plural) {
+    const singular = plural ? sustantivo.replace(/e?s$/, '') : sustantivo;
+    const femenino = FEMENINOS.has(singular) || /(a|ción|sión|dad|tad|tud)$/.test(singular);
+    if (plural) return femenino ? 'las' : 'los';
+    return femenino ? 'la' : 'el';
+}
+
+/**
+ * Repite la mayúscula inicial de una palabra en su reemplazo.
+ * @param {string} original - Palabra reemplazada.
+ * @param {string} reemplazo - Texto que la reemplaza.
+ * @returns {string}
+ */
+function conMayuscula(original, reemplazo) {
+    const mayuscula = original.charAt(0) !== original.charAt(0).toLowerCase();
+    return mayuscula ? reemplazo.charAt(0).toUpperCase() + reemplazo.slice(1) : reemplazo;
+}
+
+/**
+ * Une nombres como en una enumeración: "A", "A y B", "A, B y C".
+ * @param {string[]} nombres - Nombres.
+ * @returns {string}
+ */
+function enumerar(nombres) {
+    return nombres.length > 1 ? `${nombres.slice(0, -1).join(', ')} y ${nombres[nombres.length - 1]}` : nombres[0];
+}
+
+/**
+ * Reemplaza los pronombres de la pregunta por las entidades de la conversación a que
+ * se refieren:
+ * - "él"/"ella": el personaje más reciente de ese género (o de género desconocido),
+ * - "ellos"/"ellas": los personajes del grupo,
+ * - "su"/"sus" + sustantivo: "el/la/los/las sustantivo de" la entidad más reciente,
+ * - "allí"/"ahí"/"allá": el lugar más reciente ("en Macondo").
+ * Los pronombres sin referente en la conversación quedan como están.
+ *
+ * @param {string} texto - Pregunta.
+ * @param {ContextoConversacion} contexto - Contexto de la conversación.
+ * @param {Map<string, string>} [generoDe] - Nombre del personaje → género ('masculino', 'femenino', 'otro').
+ * @returns {{texto: string, referentes: Array<{expresion: string, nombre: string}>}} Pregunta
+ *   reescrita y cada pronombre reemplazado con la entidad a la que se refiere.
+ */
+function resolverPronombres(texto, contexto, generoDe = new Map()) {
+    const { foco = [], grupo = [] } = contexto || {};
+    const personajes = foco.filter(e => e.tipo === 'personaje');
+    const lugar = foco.find(e => e.tipo === 'lugar');
+    const referentes = [];
+
+    // Palabras en las posiciones impares, separadores en las pares
+    const partes = texto.split(/([a-z0-9áéíóúüñ]+)/i);
+    for (let i = 1; i < partes.length; i += 2) {
+        const original = partes[i];
+        const palabra = original.toLowerCase();
+
+        if (PRONOMBRES[palabra]) {
+            const genero = PRONOMBRES[palabra];
+            const referente = personajes.find(p => generoDe.get(p.nombre) === genero)
+                || personajes.find(p => !['masculino', 'femenino'].includes(generoDe.get(p.nombre)));
+            if (!referente) continue;
+            partes[i] = referente.nombre;
+            referentes.push({ expresion: original, nombre: referente.nombre });
+        } else if (PLURALES.has(palabra)) {
+            if (grupo.length < 2) continue;
+            partes[i] = enumerar(grupo);
+            grupo.forEach(nombre => referentes.push({ expresion: original, nombre }));
+        } else if (POSESIVOS.has(palabra)) {
+            const sustantivo = partes[i + 2];
+            if (!foco.length || !sustantivo || partes[i + 1].trim()) continue;
+            const [referente] = foco;
+            partes[i] = conMayuscula(original, articuloDe(sustantivo.toLowerCase(), palabra === 'sus'));
+            partes[i + 2] = `${sustantivo} de ${referente.nombre}`;
+            referentes.push({ expresion: `${original} ${sustantivo}`, nombre: referente.nombre });
+            i += 2;
+        } else if (ADVERBIOS_LUGAR.has(palabra)) {
+            if (!lugar) continue;
+            const previa = (partes[i - 2] || '').toLowerCase();
+            partes[i] = PREPOSICIONES_LUGAR.has(previa) ? lugar.nombre : `en ${lugar.nombre}`;
+            referentes.push({ expresion: original, nombre: lugar.nombre });
+        }
+    }
+    return { texto: partes.join(''), referentes };
+}
+
+/**
+ * Agrega a una pregunta sin entidades la entidad de la que se venía hablando
+ * ("¿Con quién se casó?" → "¿Con quién se casó José Arcadio Buendía?"). Los lugares
+ * se agregan con "en" y los objetos con "con".
+ * @param {string} texto - Pregunta.
+ * @param {{tipo: string, nombre: string}} entidad - Entidad que se agrega.
+ * @returns {string} Pregunta completa.
+ */
+function completarSujeto(texto, entidad) {
+    const agregado = { lugar: `en ${entidad.nombre}`, objeto: `con ${entidad.nombre}` }[entidad.tipo] || entidad.nombre;
+    const [cierre] = texto.match(/[?!.\s]*$/);
+    return `${texto.slice(0, texto.length - cierre.length)} ${agregado}${cierre}`;
+}
+
+/**
+ * Reemplaza una mención de la pregunta por otro nombre ("¿Con quién se casó José Arcadio
+ * Buendía?" con "Rebeca" → "¿Con quién se casó Rebeca?").
+ * @param {string} texto - Pregunta.
+ * @param {string} mencion - Texto exacto de la mención en la pregunta.
+ * @param {string} nombre - Nombre que la reemplaza.
+ * @returns {string|null} Pregunta con el reemplazo, o null si no contiene la mención.
+ */
+function reemplazarMencion(texto, mencion, nombre) {
+    const posicion = texto.indexOf(mencion);
+    if (posicion === -1) return null;
+    return texto.slice(0, posicion) + nombre + texto.slice(posicion + mencion.length);
+}
+
+module.exports = { quitarConector, resolverPronombres, completarSujeto, reemplazarMencion };
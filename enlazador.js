@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Enlazador de entidades.
+ *
+ * Decide a qué personajes, lugares u objetos se refiere una pregunta. Cada entidad
+ * se describe con una o más formas (su nombre completo, el alias entre paréntesis y
+ * los apodos registrados) y cada forma recibe un puntaje según:
+ *   - cobertura: qué parte de la forma aparece en la pregunta, pesando cada palabra
+ *     por su rareza (IDF sobre todas las entidades): "José" aporta poco porque lo
+ *     llevan cinco personajes, "Iguarán" identifica a uno solo;
+ *   - especificidad: cuánta evidencia aportan las palabras coincidentes, de modo que
+ *     un nombre corto y común no gane solo por estar completo;
+ *   - posición: solo cuentan las palabras que aparecen juntas en la pregunta;
+ *   - exactitud: las palabras corregidas por error de tipeo (ver similitud.js) valen menos.
+ *
+ * Las entidades se eligen de a una, de mayor a menor puntaje, descartando las palabras
+ * ya usadas: "¿Tuvo José Arcadio Buendía más hijos que Aureliano Segundo?" enlaza esos
+ * dos personajes y no "José Arcadio" o "Aureliano José". Si una mención no alcanza para
+ * distinguir entre varias entidades ("Aureliano", "Remedios") se informa como ambigua
+ * en lugar de aceptarlas todas.
+ *
+ * El módulo trabaja sobre raíces ya calculadas (ver `lematizar` en nlpProcessor.js).
+ */
+
+/**
+ * Puntaje mínimo para aceptar una entidad sin preguntar.
+ * @type {number}
+ */
+const PUNTAJE_ACEPTACION = 0.45;
+
+/**
+ * Proporción del mejor puntaje a partir de la cual otra entidad con la misma
+ * evidencia se considera rival (y la mención, ambigua).
+ * @type {number}
+ */
+const MARGEN_EMPATE = 0.85;
+
+/**
+ * Peso de una palabra corregida por error de tipeo ("Ternerra" por "Ternera")
+ * frente a una escrita correctamente.
+ * @type {number}
+ */
+const PESO_APROXIMADA = 0.8;
+
+/**
+ * Máximo de candidatos que se informan por cada mención ambigua.
+ * @type {number}
+ */
+const MAX_CANDIDATOS = 8;
+
+/**
+ * Calcula el IDF de cada raíz: ln(1 + N / df), donde df es el número de entidades
+ * que la usan en alguna de sus formas.
+ *
+ * @param {Array<{formas: Array<{lemas: string[]}>}>} entidades - Entidades a enlazar.
+ * @returns {Map<string, number>} IDF por raíz.
+ */
+function calcularIdf(entidades) {
+    const df = new Map();
+    for (const entidad of entidades) {
+        const lemas = new Set(entidad.formas.flatMap(f => f.lemas));
+        lemas.forEach(lema => df.set(lema, (df.get(lema) || 0) + 1));
+    }
+    const idf = new Map();
+    df.forEach((n, lema) => idf.set(lema, Math.log(1 + entidades.length / n)));
+    return idf;
+}
+
+/**
+ * Busca el tramo más largo de palabras contiguas (y aún disponibles) de la pregunta
+ * que pertenecen a la forma. Las palabras sueltas no se suman entre sí: en
+ * "¿Tuvo José Arcadio Buendía más hijos que Aureliano Segundo?" la forma
+ * "José Arcadio Segundo" solo coincide en "José Arcadio".
+ *
+ * @param {string[]} lemasForma - Raíces de la forma.
+ * @param {Array<{lema: string, disponible: boolean}>} tokens - Palabras de la pregunta.
+ * @returns {Array<Object>} Palabras del tramo (sin raíces repetidas), vacío si no hay coincidencias.
+ */
+function mejorTramo(lemasForma, tokens) {
+    const deLaForma = new Set(lemasForma);
+    const sirve = token => token && token.disponible && deLaForma.has(token.lema);
+    let mejor = [];
+    let actual = [];
+    for (const token of [...tokens, null]) {
+        if (sirve(token) && !actual.some(t => t.lema === token.lema)) {
+            actual.push(token);
+            continue;
+        }
+        if (actual.length > mejor.length) mejor = actual;
+        actual = sirve(token) ? [token] : [];
+    }
+    return mejor;
+}
+
+/**
+ * Puntúa una entidad contra las palabras aún disponibles de la pregunta.
+ * Se queda con la mejor de sus formas (nombre, alias o apodo).
+ *
+ * @param {Object} entidad - Entidad con `formas`.
+ * @param {Array<{lema: string, disponible: boolean, aproximada?: boolean, pos?: number}>} tokens - Palabras de la pregunta.
+ * @param {Map<string, number>} idf - Rareza de cada raíz.
+ * @param {number} referencia - IDF de una raíz que solo usa una entidad.
+ * @returns {{puntaje: number, forma: string|null, coincidencias: string[], posiciones: number[], evidencia: number}}
+ */
+function puntuar(entidad, tokens, idf, referencia) {
+    let mejor = { puntaje: 0, forma: null, coincidencias: [], posiciones: [], evidencia: 0 };
+
+    for (const forma of entidad.formas) {
+        const tramo = mejorTramo(forma.lemas, tokens);
+        if (!tramo.length) continue;
+
+        const peso = lemas => lemas.reduce((suma, l) => suma + (idf.get(l) || referencia), 0);
+        const coincidencias = tramo.map(t => t.lema);
+        const evidencia = peso(coincidencias);
+        const cobertura = evidencia / peso([...new Set(forma.lemas)]);
+        const especificidad = Math.min(1, evidencia / referencia);
+        // Las palabras corregidas restan en proporción a lo que pesan en el tramo
+        const exactitud = tramo.reduce((suma, t) =>
+            suma + (idf.get(t.lema) || referencia) * (t.aproximada ? PESO_APROXIMADA : 1), 0) / evidencia;
+        const puntaje = cobertura * especificidad * exactitud;
+
+        if (puntaje > mejor.puntaje || (puntaje === mejor.puntaje && evidencia > mejor.evidencia)) {
+            mejor = { puntaje, forma: forma.clase, coincidencias, posiciones: tramo.map(t => t.pos), evidencia };
+        }
+    }
+    return mejor;
+}
+
+/**
+ * Redondea un puntaje para informarlo.
+ * @param {number} valor - Puntaje.
+ * @returns {number} Puntaje con dos decimales.
+ */
+function redondear(valor) {
+    return Math.round(valor * 100) / 100;
+}
+
+/**
+ * Enlaza las menciones de una pregunta con las entidades conocidas.
+ *
+ * @param {Array<{palabra: string, lema: string, aproximada?: boolean, pos?: number}>} palabras - Palabras
+ *   de la pregunta, en orden, con su raíz (sin palabras vacías ni el verbo principal). `aproximada`
+ *   marca las corregidas por error de tipeo, que aportan menos evidencia; `pos` es la posición de
+ *   la palabra en la pregunta completa.
+ * @param {Array<{tipo: string, nombre: string, formas: Array<{clase: string, lemas: string[]}>}>} entidades
+ *   Entidades candidatas. `clase` indica de dónde sale la forma ('nombre', 'alias', 'apodo').
+ * @returns {{
+ *   candidatos: Array<{tipo: string, nombre: string, puntaje: number, forma: string, mencion: string}>,
+ *   enlazadas: Array<{tipo: string, nombre: string, puntaje: number, forma: string, mencion: string, posiciones: number[]}>,
+ *   ambiguedades: Array<{mencion: string, candidatos: Array<{tipo: string, nombre: string, puntaje: number}>}>
+ * }} Todos los candidatos con algún puntaje (de mayor a menor), las entidades aceptadas
+ *   (con la `pos` de las palabras de su mención) y las menciones que no alcanzan para decidir.
+ */
+function enlazar(palabras, entidades) {
+    const tokens = palabras.map(p => ({ ...p, disponible: true }));
+    const idf = calcularIdf(entidades);
+    const referencia = Math.log(1 + Math.max(entidades.length, 1));
+    const mencionDe = coincidencias => tokens
+        .filter(t => coincidencias.includes(t.lema))
+        .map(t => t.palabra)
+        .join(' ');
+    const resumen = c => ({ tipo: c.tipo, nombre: c.nombre, puntaje: redondear(c.puntaje) });
+    const ordenar = lista => lista.sort((a, b) => b.puntaje - a.puntaje
+        || b.evidencia - a.evidencia
+        || a.nombre.length - b.nombre.length);
+
+    const puntuarTodas = () => ordenar(entidades
+        .map(e => ({ tipo: e.tipo, nombre: e.nombre, ...puntuar(e, tokens, idf, referencia) }))
+        .filter(c => c.puntaje > 0));
+
+    const candidatos = puntuarTodas().map(c => ({
+        ...resumen(c),
+        forma: c.forma,
+        mencion: mencionDe(c.coincidencias)
+    }));
+
+    const enlazadas = [];
+    const ambiguedades = [];
+    let pendientes = puntuarTodas();
+    while (pendientes.length) {
+        const [mejor, ...resto] = pendientes;
+        // Rivales: comparten evidencia con la mejor, puntúan parecido y no coinciden solo
+        // en una parte de lo que ella cubre ("Úrsula" no compite con "Amaranta Úrsula")
+        const comparten = resto.filter(c => c.coincidencias.some(l => mejor.coincidencias.includes(l)));
+        const cubierta = c => c.coincidencias.length < mejor.coincidencias.length
+            && c.coincidencias.every(l => mejor.coincidencias.includes(l));
+        const rivales = comparten.filter(c => c.puntaje >= mejor.puntaje * MARGEN_EMPATE && !cubierta(c));
+
+        const mencion = mencionDe(mejor.coincidencias);
+        if (mejor.puntaje >= PUNTAJE_ACEPTACION && !rivales.length) {
+            enlazadas.push({ ...resumen(mejor), forma: mejor.forma, mencion, posiciones: mejor.posiciones });
+        } else if (comparten.length) {
+            ambiguedades.push({
+                mencion,
+                candidatos: [mejor, ...comparten].slice(0, MAX_CANDIDATOS).map(resumen)
+            });
+        }
+        // Un único candidato débil ni se acepta ni es ambiguo: simplemente no hay entidad
+
+        tokens.forEach(t => {
+            if (mejor.coincidencias.includes(t.lema)) t.disponible = false;
+        });
+        pendientes = puntuarTodas();
+    }
+
+    return { candidatos, enlazadas, ambiguedades };
+}
+
+module.exports = { enlazar, PUNTAJE_ACEPTACION };
@@ -1,8 +1,9 @@
 /**
  * Modelo de Mongoose para representar un capítulo del libro.
  * 
- * Cada capítulo tiene un número y una lista de eventos asociados.
- * Los eventos están referenciados por sus ObjectId y corresponden a documentos en la colección 'eventos'.
+ * Cada capítulo tiene un número, un título, un resumen y una lista ordenada de eventos.
+ * Los eventos están referenciados por sus ObjectId y corresponden a documentos en la colección 'eventos';
+ * el orden del arreglo es el orden en que ocurren dentro del capítulo.
  */
 
 const mongoose = require('mongoose'); // Importa Mongoose, la librería ODM para MongoDB.
@@ -12,13 +13,32 @@ const Schema = mongoose.Schema;       // Extrae el constructor Schema de Mongoos
  * Define el esquema para la colección 'capitulos'.
  * 
  * @typedef {Object} Capitulo
- * @property {number} numero - Número identificador del capítulo.
- * @property {Array<ObjectId>} eventos - Lista de IDs que referencian eventos relacionados con este capítulo.
+ * @property {number} numero - Número identificador del capítulo (único).
+ * @property {string} [titulo] - Título descriptivo del capítulo.
+ * @property {string} [resumen] - Resumen del contenido del capítulo.
+ * @property {Array<ObjectId>} eventos - Lista ordenada de IDs que referencian eventos relacionados con este capítulo.
  */
 
 const capituloSchema = new Schema({
-    numero: Number, // Número del capítulo (por ejemplo: 1, 2, 3...)
-    
+    numero: {
+        type: Number, // Número del capítulo (por ejemplo: 1, 2, 3...)
+        required: true,
+        unique: true, // Los capítulos se buscan por número: dos altas simultáneas no pueden repetirlo
+        min: 1,
+        validate: { validator: Number.isInteger, message: 'Debe ser un número entero' },
+        etiqueta: 'Número'
+    },
+
+    titulo: {
+        type: String, // Título descriptivo del capítulo (opcional)
+        etiqueta: 'Título'
+    },
+
+    resumen: {
+        type: String, // Resumen del capítulo (opcional)
+        multilinea: true
+    },
+
     eventos: [{
         type: Schema.Types.ObjectId, // Referencia a un documento de la colección 'eventos'
         ref: 'Evento'                // Nombre del modelo referenciado (debe coincidir con el modelo 'Evento')
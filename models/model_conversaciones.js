@@ -0,0 +1,69 @@
+/**
+ * Modelo Mongoose: Conversacion
+ *
+ * Representa una conversación de /api/preguntas: los turnos ya respondidos, con las
+ * entidades de cada uno, para resolver pronombres y elipsis de las preguntas siguientes
+ * ("¿Y con quién se casó?"). Vence sola si pasa un tiempo sin preguntas (ver
+ * services/conversaciones.js).
+ */
+
+const mongoose = require('mongoose'); // Importa Mongoose para interactuar con MongoDB.
+const { Schema } = mongoose;         // Extrae el constructor Schema.
+
+/**
+ * Define el esquema de una Conversación.
+ *
+ * @typedef {Object} Conversacion
+ * @property {string} clave - Identificador aleatorio que el cliente envía como `conversacion`.
+ * @property {ObjectId} [usuario] - Usuario que la inició, si tenía sesión; solo él puede continuarla.
+ * @property {Array<{
+ *   pregunta: string,
+ *   preguntaResuelta: string|null,
+ *   intencion: string|null,
+ *   respuesta: string,
+ *   personajes: string[],
+ *   lugares: string[],
+ *   objetos: string[],
+ *   respondidos: Array<{tipo: string, nombre: string}>,
+ *   menciones: Array<{tipo: string, nombre: string, texto: string}>,
+ *   fecha: Date
+ * }>} turnos - Preguntas respondidas, de la más antigua a la más reciente.
+ * @property {Date} expira - Fecha de vencimiento; se renueva con cada turno.
+ */
+
+const ConversacionSchema = new Schema({
+    clave: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    usuario: {
+        type: Schema.Types.ObjectId,
+        ref: 'Usuario'
+    },
+    turnos: [{
+        _id: false,
+        pregunta: { type: String, required: true },
+        preguntaResuelta: { type: String, default: null },
+        intencion: { type: String, default: null },
+        respuesta: String,
+        personajes: [String],
+        lugares: [String],
+        objetos: [String],
+        respondidos: [{ _id: false, tipo: String, nombre: String }],
+        menciones: [{ _id: false, tipo: String, nombre: String, texto: String }],
+        fecha: { type: Date, default: Date.now }
+    }],
+    expira: {
+        type: Date,
+        required: true,
+        expires: 0 // Índice TTL: MongoDB borra la conversación al vencer
+    }
+});
+
+/**
+ * Exporta el modelo 'Conversacion' basado en el esquema definido.
+ *
+ * El tercer argumento ('conversaciones') establece explícitamente el nombre de la colección en MongoDB.
+ */
+module.exports = mongoose.model('Conversacion', ConversacionSchema, 'conversaciones');
@@ -7,6 +7,7 @@
 
 const mongoose = require('mongoose'); // Importa Mongoose, la herramienta ODM para MongoDB.
 const { Schema } = mongoose;         // Extrae el constructor Schema de Mongoose.
+const { registrarCambios } = require('../services/cambios'); // Avisa al buscador de cada escritura.
 
 /**
  * Define el esquema de un Evento.
@@ -17,6 +18,14 @@ const { Schema } = mongoose;         // Extrae el constructor Schema de Mongoose
  * @property {Array<ObjectId>} personajes_involucrados - Referencias a los personajes relacionados con el evento.
  * @property {ObjectId} lugar_relacionado - Referencia al lugar donde ocurre el evento.
  * @property {ObjectId} generacion_relacionada - Referencia a la generación histórica del evento.
+ * @property {number} [anio] - Año aproximado en que ocurre, dentro de la historia.
+ * @property {number} [anios_desde_fundacion] - Años transcurridos desde la fundación de Macondo
+ *   (negativo si ocurre antes).
+ * @property {number} [orden_cronologico] - Orden relativo entre eventos del mismo momento.
+ * @property {boolean} retrospectiva - Se narra fuera de orden, como un salto al pasado.
+ *
+ * La posición del evento en la narración no se guarda aquí: sale del orden de
+ * `Capitulo.eventos`. Ver services/cronologia.js.
  */
 
 const EventoSchema = new Schema({
@@ -24,7 +33,11 @@ const EventoSchema = new Schema({
         type: String,
         required: true // El nombre del evento es obligatorio
     },
-    descripcion: String, // Descripción breve del evento (opcional)
+    descripcion: {
+        type: String, // Descripción breve del evento (opcional)
+        multilinea: true,
+        etiqueta: 'Descripción'
+    },
 
     personajes_involucrados: [{
         type: Schema.Types.ObjectId, // Cada ID referencia un documento en la colección 'personajes'
@@ -38,10 +51,33 @@ const EventoSchema = new Schema({
 
     generacion_relacionada: {
         type: Schema.Types.ObjectId, // ID que referencia una generación
-        ref: 'Generacion'
+        ref: 'Generacion',
+        etiqueta: 'Generación relacionada'
+    },
+
+    // Tiempo de la historia (todo opcional; ver services/cronologia.js)
+    anio: {
+        type: Number, // Año aproximado, p. ej. 1850
+        etiqueta: 'Año aproximado'
+    },
+    anios_desde_fundacion: {
+        type: Number, // 0 es la fundación de Macondo
+        etiqueta: 'Años desde la fundación'
+    },
+    orden_cronologico: {
+        type: Number, // Desempata eventos del mismo momento: 1 antes que 2
+        etiqueta: 'Orden cronológico'
+    },
+    retrospectiva: {
+        type: Boolean, // Flashback: la narración vuelve a un momento anterior
+        default: false,
+        etiqueta: 'Retrospectiva (flashback)'
     }
 });
 
+// Cada escritura invalida el índice de búsqueda (ver services/busqueda.js)
+EventoSchema.plugin(registrarCambios);
+
 /**
  * Exporta el modelo 'Evento' basado en el esquema definido.
  * 
@@ -7,6 +7,7 @@
 
 const mongoose = require('mongoose'); // Importa Mongoose para interactuar con MongoDB.
 const { Schema } = mongoose;         // Extrae el constructor Schema.
+const { registrarCambios } = require('../services/cambios'); // Avisa al buscador de cada escritura.
 
 /**
  * Define el esquema de una Generación.
@@ -23,7 +24,9 @@ const GeneracionSchema = new Schema({
         required: true // El nombre de la generación es obligatorio
     },
     descripcion: {
-        type: String // Descripción general de la generación (opcional)
+        type: String, // Descripción general de la generación (opcional)
+        multilinea: true,
+        etiqueta: 'Descripción'
     },
     personajes_principales: [{
         type: Schema.Types.ObjectId, // Cada ID referencia un personaje principal
@@ -31,6 +34,9 @@ const GeneracionSchema = new Schema({
     }]
 });
 
+// Cada escritura invalida el índice de búsqueda (ver services/busqueda.js)
+GeneracionSchema.plugin(registrarCambios);
+
 /**
  * Exporta el modelo 'Generacion' basado en el esquema definido.
  * 
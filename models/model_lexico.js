@@ -0,0 +1,41 @@
+/**
+ * Modelo Mongoose: Lexico
+ *
+ * Marca que el léxico de verbos ya se copió a la colección `verbos` para editarlo. Desde
+ * entonces el léxico es el de la colección aunque quede vacía; sin esta marca se usa el
+ * de fixtures/verbos.json (ver services/lexico.js).
+ */
+
+const mongoose = require('mongoose'); // Importa Mongoose para interactuar con MongoDB.
+const { Schema } = mongoose;         // Extrae el constructor Schema.
+const { registrarCambios } = require('../services/cambios'); // Avisa al caché del léxico de cada escritura.
+
+/**
+ * Define el esquema de la marca del léxico.
+ *
+ * @typedef {Object} Lexico
+ * @property {string} clave - Léxico al que se refiere ('verbos'); hay una marca por léxico.
+ * @property {Date} copiado - Cuándo se copió el léxico por defecto a la colección.
+ */
+
+const LexicoSchema = new Schema({
+    clave: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    copiado: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Cada escritura invalida el léxico en caché (ver services/lexico.js)
+LexicoSchema.plugin(registrarCambios);
+
+/**
+ * Exporta el modelo 'Lexico' basado en el esquema definido.
+ *
+ * El tercer argumento ('lexico') establece explícitamente el nombre de la colección en MongoDB.
+ */
+module.exports = mongoose.model('Lexico', LexicoSchema, 'lexico');
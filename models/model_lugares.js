@@ -8,6 +8,7 @@
 
 const mongoose = require('mongoose'); // Importa Mongoose para manejar modelos de MongoDB.
 const { Schema } = mongoose;         // Extrae el constructor Schema de Mongoose.
+const { registrarCambios } = require('../services/cambios'); // Avisa al buscador de cada escritura.
 
 /**
  * Define el esquema de un Lugar.
@@ -26,12 +27,17 @@ const LugarSchema = new Schema({
         required: true // El nombre del lugar es obligatorio
     },
     descripcion: { 
-        type: String // Descripción del lugar (opcional)
+        type: String, // Descripción del lugar (opcional)
+        multilinea: true,
+        etiqueta: 'Descripción'
+    },
+    generaciones_relacionadas: {
+        type: [{
+            type: Schema.Types.ObjectId, // Referencias a generaciones vinculadas con este lugar
+            ref: 'Generacion'
+        }],
+        etiqueta: 'Generaciones relacionadas'
     },
-    generaciones_relacionadas: [{
-        type: Schema.Types.ObjectId, // Referencias a generaciones vinculadas con este lugar
-        ref: 'Generacion'
-    }],
     eventos_relacionados: [{
         type: Schema.Types.ObjectId, // Referencias a eventos que ocurrieron en este lugar
         ref: 'Evento'
@@ -41,6 +47,9 @@ const LugarSchema = new Schema({
     }
 });
 
+// Cada escritura invalida el índice de búsqueda (ver services/busqueda.js)
+LugarSchema.plugin(registrarCambios);
+
 /**
  * Exporta el modelo 'Lugar' basado en el esquema definido.
  * 
@@ -7,6 +7,7 @@
 
 const mongoose = require('mongoose'); // Importa Mongoose para trabajar con MongoDB.
 const { Schema } = mongoose;         // Extrae el constructor Schema de Mongoose.
+const { registrarCambios } = require('../services/cambios'); // Avisa al buscador de cada escritura.
 
 /**
  * Define el esquema de un Objeto.
@@ -26,7 +27,9 @@ const ObjetoSchema = new Schema({
         required: true // El nombre del objeto es obligatorio
     },
     descripcion: { 
-        type: String // Descripción del objeto (opcional)
+        type: String, // Descripción del objeto (opcional)
+        multilinea: true,
+        etiqueta: 'Descripción'
     },
     evento_relacionado: {
         type: Schema.Types.ObjectId, // Referencia a un evento relevante
@@ -42,10 +45,14 @@ const ObjetoSchema = new Schema({
     },
     generacion_relacionada: {
         type: Schema.Types.ObjectId, // Referencia a una generación histórica asociada
-        ref: 'Generacion'
+        ref: 'Generacion',
+        etiqueta: 'Generación relacionada'
     }
 });
 
+// Cada escritura invalida el índice de búsqueda (ver services/busqueda.js)
+ObjetoSchema.plugin(registrarCambios);
+
 /**
  * Exporta el modelo 'Objeto' basado en el esquema definido.
  * 
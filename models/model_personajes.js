@@ -2,21 +2,29 @@
  * Modelo Mongoose: Personaje
  * 
  * Representa un personaje dentro de la historia, con atributos personales como nombre,
- * destino, género y generación. También puede estar asociado a varios objetos.
+ * apodos, destino, género y generación. También puede estar asociado a varios objetos.
+ * Incluye los vínculos familiares (padres, parejas y hermanos) que permiten
+ * reconstruir el árbol genealógico de los Buendía.
  */
 
 const mongoose = require('mongoose'); // Importa Mongoose para trabajar con MongoDB.
 const { Schema } = mongoose;         // Extrae el constructor Schema de Mongoose.
+const { registrarCambios } = require('../services/cambios'); // Avisa al buscador de cada escritura.
 
 /**
  * Define el esquema de un Personaje.
  * 
  * @typedef {Object} Personaje
  * @property {string} nombre - Nombre del personaje. Campo obligatorio.
+ * @property {Array<string>} apodos - Otras formas de nombrarlo ("el coronel", "la matriarca"),
+ *   usadas para reconocerlo en las preguntas.
  * @property {string} [destino] - Descripción del destino o desenlace del personaje.
  * @property {'masculino' | 'femenino' | 'otro'} [genero] - Género del personaje. Valores permitidos: masculino, femenino, otro.
  * @property {number} [generacion] - Número de la generación a la que pertenece.
  * @property {Array<ObjectId>} objetos - Lista de objetos que pertenecen o están relacionados con este personaje.
+ * @property {Array<ObjectId>} padres - Padre y/o madre del personaje.
+ * @property {Array<ObjectId>} parejas - Cónyuges o parejas del personaje.
+ * @property {Array<ObjectId>} hermanos - Hermanos declarados explícitamente (los que comparten padres se deducen).
  */
 
 const PersonajeSchema = new Schema({
@@ -24,22 +32,49 @@ const PersonajeSchema = new Schema({
         type: String,
         required: true // El nombre del personaje es obligatorio
     },
+    apodos: [{
+        type: String, // Apodos o formas abreviadas con que se lo nombra
+        trim: true
+    }],
     destino: {
-        type: String // Destino o desenlace del personaje (opcional)
+        type: String, // Destino o desenlace del personaje (opcional)
+        multilinea: true
     },
     genero: {
         type: String,
-        enum: ['masculino', 'femenino', 'otro'] // Restringe los valores posibles para el género
+        enum: ['masculino', 'femenino', 'otro'], // Restringe los valores posibles para el género
+        etiqueta: 'Género'
     },
     generacion: {
-        type: Number // Número que indica a qué generación pertenece (opcional)
+        type: Number, // Número que indica a qué generación pertenece (opcional)
+        min: 1,
+        validate: { validator: Number.isInteger, message: 'Debe ser un número entero' },
+        etiqueta: 'Generación'
     },
     objetos: [{
         type: Schema.Types.ObjectId, // Referencia a objetos vinculados con el personaje
         ref: 'Objeto'
+    }],
+    padres: {
+        type: [{
+            type: Schema.Types.ObjectId, // Referencia al padre o a la madre del personaje
+            ref: 'Personaje'
+        }],
+        validate: { validator: padres => padres.length <= 2, message: 'Un personaje no puede tener más de dos padres' }
+    },
+    parejas: [{
+        type: Schema.Types.ObjectId, // Referencia a cónyuges o parejas
+        ref: 'Personaje'
+    }],
+    hermanos: [{
+        type: Schema.Types.ObjectId, // Referencia a hermanos (incluye medios hermanos sin padres registrados)
+        ref: 'Personaje'
     }]
 });
 
+// Cada escritura invalida el índice de búsqueda (ver services/busqueda.js)
+PersonajeSchema.plugin(registrarCambios);
+
 /**
  * Exporta el modelo 'Personaje' basado en el esquema definido.
  * 
@@ -0,0 +1,73 @@
+/**
+ * Modelo Mongoose: Revision
+ * 
+ * Representa un cambio sobre una entidad narrativa (personaje, lugar, evento, objeto,
+ * generación o capítulo): quién lo hizo, cuándo, qué campos cambiaron y cómo estaba
+ * el documento antes, para poder revertirlo (ver services/historial.js).
+ */
+
+const mongoose = require('mongoose'); // Importa Mongoose para interactuar con MongoDB.
+const { Schema } = mongoose;         // Extrae el constructor Schema.
+
+/**
+ * Define el esquema de una Revisión.
+ * 
+ * @typedef {Object} Revision
+ * @property {string} tipo - Tipo de entidad ('personaje', 'evento'...; ver services/referencias.js).
+ * @property {ObjectId} entidad - ID del documento modificado.
+ * @property {string} accion - 'crear', 'actualizar' o 'eliminar'.
+ * @property {{_id: ObjectId, nombre: string}} usuario - Autor del cambio (el nombre se copia
+ *   para que el historial siga siendo legible si la cuenta cambia).
+ * @property {Date} fecha - Momento del cambio.
+ * @property {Array<{campo: string, antes: *, despues: *}>} cambios - Diferencias por campo.
+ * @property {Object|null} anterior - Documento completo antes del cambio (null al crear).
+ * @property {ObjectId} [revierte] - Revisión que este cambio deshizo, si es una reversión.
+ */
+
+const RevisionSchema = new Schema({
+    tipo: {
+        type: String,
+        required: true
+    },
+    entidad: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    accion: {
+        type: String,
+        enum: ['crear', 'actualizar', 'eliminar'],
+        required: true
+    },
+    usuario: {
+        _id: { type: Schema.Types.ObjectId, ref: 'Usuario' },
+        nombre: String
+    },
+    fecha: {
+        type: Date,
+        default: Date.now
+    },
+    cambios: [{
+        _id: false,
+        campo: String,
+        antes: Schema.Types.Mixed,
+        despues: Schema.Types.Mixed
+    }],
+    anterior: {
+        type: Schema.Types.Mixed,
+        default: null
+    },
+    revierte: {
+        type: Schema.Types.ObjectId,
+        ref: 'Revision'
+    }
+}, { minimize: false });
+
+// El historial se consulta por entidad, de la revisión más reciente a la más antigua
+RevisionSchema.index({ tipo: 1, entidad: 1, fecha: -1 });
+
+/**
+ * Exporta el modelo 'Revision' basado en el esquema definido.
+ * 
+ * El tercer argumento ('revisiones') establece explícitamente el nombre de la colección en MongoDB.
+ */
+module.exports = mongoose.model('Revision', RevisionSchema, 'revisiones');
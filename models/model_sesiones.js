@@ -0,0 +1,43 @@
+/**
+ * Modelo Mongoose: Sesion
+ * 
+ * Representa una sesión iniciada. El token se entrega una sola vez al cliente;
+ * aquí solo se guarda su hash, así que una copia de la base no permite suplantar a nadie.
+ */
+
+const mongoose = require('mongoose'); // Importa Mongoose para interactuar con MongoDB.
+const { Schema } = mongoose;         // Extrae el constructor Schema.
+
+/**
+ * Define el esquema de una Sesión.
+ * 
+ * @typedef {Object} Sesion
+ * @property {string} tokenHash - SHA-256 del token entregado al cliente.
+ * @property {ObjectId} usuario - Usuario dueño de la sesión.
+ * @property {Date} expira - Fecha de vencimiento.
+ */
+
+const SesionSchema = new Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    usuario: {
+        type: Schema.Types.ObjectId,
+        ref: 'Usuario',
+        required: true
+    },
+    expira: {
+        type: Date,
+        required: true,
+        expires: 0 // Índice TTL: MongoDB borra la sesión al vencer
+    }
+});
+
+/**
+ * Exporta el modelo 'Sesion' basado en el esquema definido.
+ * 
+ * El tercer argumento ('sesiones') establece explícitamente el nombre de la colección en MongoDB.
+ */
+module.exports = mongoose.model('Sesion', SesionSchema, 'sesiones');
@@ -0,0 +1,59 @@
+/**
+ * Modelo Mongoose: Usuario
+ * 
+ * Representa una cuenta que puede iniciar sesión para editar los datos.
+ * La contraseña nunca se guarda: solo su hash (ver services/autenticacion.js).
+ */
+
+const mongoose = require('mongoose'); // Importa Mongoose para interactuar con MongoDB.
+const { Schema } = mongoose;         // Extrae el constructor Schema.
+
+/**
+ * Roles de menor a mayor permiso: cada uno incluye los permisos de los anteriores.
+ *   - lector: solo consulta (lo mismo que sin sesión);
+ *   - editor: además crea y modifica entidades;
+ *   - admin: además elimina, importa datos y administra usuarios.
+ * @type {string[]}
+ */
+const ROLES = ['lector', 'editor', 'admin'];
+
+/**
+ * Define el esquema de un Usuario.
+ * 
+ * @typedef {Object} Usuario
+ * @property {string} nombre - Nombre de usuario. Es obligatorio y único.
+ * @property {string} claveHash - Hash de la contraseña (no se devuelve en las consultas).
+ * @property {string} rol - Uno de ROLES. Por defecto, 'lector'.
+ * @property {Date} creado - Fecha de alta.
+ */
+
+const UsuarioSchema = new Schema({
+    nombre: {
+        type: String,
+        required: true,
+        unique: true, // Se usa para iniciar sesión
+        trim: true
+    },
+    claveHash: {
+        type: String,
+        required: true,
+        select: false // Solo se lee al verificar la contraseña
+    },
+    rol: {
+        type: String,
+        enum: ROLES,
+        default: 'lector'
+    },
+    creado: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+/**
+ * Exporta el modelo 'Usuario' basado en el esquema definido.
+ * 
+ * El tercer argumento ('usuarios') establece explícitamente el nombre de la colección en MongoDB.
+ */
+module.exports = mongoose.model('Usuario', UsuarioSchema, 'usuarios');
+module.exports.ROLES = ROLES;
@@ -0,0 +1,48 @@
+/**
+ * Modelo Mongoose: Verbo
+ *
+ * Representa un verbo clave del léxico con que se interpretan las preguntas: el verbo
+ * y las formas (conjugaciones, sinónimos, expresiones) que lo indican. Hasta que un
+ * admin edita el léxico se usa el de fixtures/verbos.json (ver models/model_lexico.js
+ * y services/lexico.js).
+ */
+
+const mongoose = require('mongoose'); // Importa Mongoose para interactuar con MongoDB.
+const { Schema } = mongoose;         // Extrae el constructor Schema.
+const { registrarCambios } = require('../services/cambios'); // Avisa al caché del léxico de cada escritura.
+
+/**
+ * Define el esquema de un Verbo.
+ *
+ * @typedef {Object} Verbo
+ * @property {string} verbo - Verbo en infinitivo ('morir', 'casar'...); identifica la entrada.
+ * @property {string[]} formas - Formas que lo indican ("murió", "falleció", "dejó de existir").
+ * @property {string[]} relacionados - Verbos cuyas formas también se buscan con este ('construir' → 'fundar').
+ */
+
+const VerboSchema = new Schema({
+    verbo: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    formas: {
+        type: [String],
+        default: []
+    },
+    relacionados: {
+        type: [String],
+        default: []
+    }
+});
+
+// Cada escritura invalida el léxico en caché (ver services/lexico.js)
+VerboSchema.plugin(registrarCambios);
+
+/**
+ * Exporta el modelo 'Verbo' basado en el esquema definido.
+ *
+ * El tercer argumento ('verbos') establece explícitamente el nombre de la colección en MongoDB.
+ */
+module.exports = mongoose.model('Verbo', VerboSchema, 'verbos');
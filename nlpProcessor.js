@@ -1,11 +1,20 @@
 /**
  * @fileoverview Procesador semántico de preguntas.
- * Usa NLP (con `compromise`) para analizar preguntas en lenguaje natural,
- * identificar entidades (personajes, lugares, objetos), verbos clave,
- * patrones de existencia, y construir filtros de búsqueda avanzados para eventos narrativos.
+ * Analiza preguntas en lenguaje natural en español para identificar entidades
+ * (personajes, lugares, objetos), verbos clave, patrones de existencia, y construir
+ * filtros de búsqueda avanzados para eventos narrativos.
+ *
+ * Las comparaciones se hacen sobre raíces (ver `stemmer.js`), de modo que cualquier
+ * conjugación o flexión de número y género coincide: "murieron" con "murió",
+ * "los Aurelianos" con "Aureliano", "mariposas amarillas" con "mariposa amarilla".
  */
 
-const nlp = require('compromise');
+const { spa } = require('stopword');
+const { raiz, esFormaVerbal, TERMINACIONES_VERBALES } = require('./stemmer');
+const { enlazar } = require('./enlazador');
+const { masParecida } = require('./similitud');
+const { quitarConector, resolverPronombres, completarSujeto, reemplazarMencion } = require('./correferencia');
+const { cargarVerbos } = require('./services/lexico');
 const Personaje = require('./models/model_personajes');
 const Lugar = require('./models/model_lugares');
 const Evento = require('./models/model_eventos');
@@ -16,54 +25,6 @@ try {
   Objeto = null;
 }
 
-/**
- * Diccionario de verbos clave agrupados por intención narrativa.
- * @type {Object.<string, string[]>}
- */
-const verbosClave = {
-  morir: ["morir", "murió", "falleció", "pereció", "expiró", "dejó de existir", "trascendió", "se murió"],
-  fundar: ["fundar", "fundó", "crear", "creó", "establecer", "estableció", "erigir", "construyó", "formó"],
-  nacer: ["nacer", "nació", "nacido", "nacimiento", "nacieron", "vino al mundo", "nace", "alumbramiento"],
-  casar: ["casarse", "matrimonio", "se casó", "unió", "contrajo nupcias", "boda", "desposó"],
-  desaparecer: ["desaparecer", "desapareció", "se desvaneció", "se perdió", "se esfumó"],
-  envejecer: ["envejecer", "envejeció", "se volvió viejo", "se hizo mayor", "envejece"],
-  amar: ["amar", "se enamoró", "amor", "amó", "adoró", "querer", "se quiso"],
-  partir: ["partir", "salió", "se fue", "abandonó", "marchó", "huyó", "emigró"],
-  regresar: ["regresar", "volvió", "retornó", "reapareció", "regresó", "volvieron"],
-  escribir: ["escribir", "escribió", "redactó", "documentó", "anotó", "registró"],
-  revelar: ["revelar", "contó", "confesó", "descubrió", "admitió", "explicó"],
-  asesinar: ["matar", "asesinar", "fue asesinado", "ejecutar", "ajustició", "eliminó"],
-  leer: ["leer", "leyó", "consultó", "revisó", "estudió"],
-  profetizar: ["profetizar", "profetizó", "predijo", "adivinó", "vaticinó"],
-  imponer: ["imponer", "impuso", "dominó", "trajo disciplina", "ordenó", "estableció normas"],
-  enriquecer: ["riqueza", "hacerse rico", "volverse rico", "obtener riqueza", "rico", "ser rico", "volvió rico", "hizo rico", "enriquecer", "enriquecerse", "enriqueció", "enriquecido"],
-  perder: ["perder", "perdió", "perdido", "pérdida", "se le fue", "desapareció", "se perdió"],
-  crecer: ["crecer", "creció", "crece", "crecido", "crecimiento", "crecieron", "expansión", "desarrollo"],
-  huir: ["huir", "huyó", "escapó", "fugó", "se escapó", "se fugó"],
-  construir: ["construir", "construyó", "edificó", "levantó", "edificaron"],
-  destruir: ["destruir", "destruyó", "arrasó", "derribó", "se vino abajo"],
-  cambiar: ["cambiar", "cambió", "transformó", "modificó", "mutó", "variar", "evolucionó"],
-  sufrir: ["sufrir", "sufrió", "padeció", "dolor", "penó", "afligió"],
-  ganar: ["ganar", "ganó", "obtuvo", "venció", "triunfó", "logró"],
-  perder: ["perder", "perdió", "derrota", "fracasó", "fue vencido", "cayó"],
-  aparecer: ["aparecer", "apareció", "surgió", "se presentó", "emergió"],
-  visitar: ["visitar", "visitó", "vino a ver", "llegó a ver", "se apareció"],
-  recordar: ["recordar", "recordó", "memoria", "rememoró", "evocó"],
-  olvidar: ["olvidar", "olvidó", "se le olvidó", "lo perdió de mente", "omitió"],
-  confesar: ["confesar", "confesó", "admitió", "reveló", "declaró"],
-  ver: ["ver", "vio", "observó", "miró", "contempló", "presenció"],
-  oír: ["oír", "oyó", "escuchó", "percibió", "atendió"],
-  poseer: ["poseer", "tuvo", "tenía", "era dueño de", "obtuvo", "poseyó"],
-  entregar: ["entregar", "entregó", "cedió", "dio", "regaló"],
-  recibir: ["recibir", "recibió", "obtuvo", "aceptó", "fue dado"],
-  haber: ["haber", "hubo", "hay", "existió", "existía", "existieron", "ocurrió", "aconteció"],
-  tener: ["tener", "tenía", "tuvo", "han tenido", "hubo", "poseía", "contaba con", "mantuvo", "disponía de"],
-  comerciar: ["comerciar", "comerció", "vendió", "intercambió", "negoció", "transó", "truequeó", "traficó", "hizo negocios"],
-  casar: ["casarse", "se casó", "contrajo matrimonio", "contrajo nupcias", "matrimonio", "boda", "se unió", "se desposó", "desposó", "celebró su boda"],
-  existir: ["existir", "existía", "existió", "hubo", "hay", "se encontraba", "se hallaba", "estaba presente", "permanecía", "subsistía"],
-  cambiar: ["cambiar", "cambio", "cambió", "modificar", "transformar", "modificó", "transformó", "fue modificado", "variar", "variación", "se transformó"]
-};
-
 /**
  * Escapa una cadena para uso literal en una RegExp.
  * @param {string} text - Texto a escapar.
@@ -74,16 +35,131 @@ function escapeRegex(text) {
 }
 
 /**
- * Verifica si una cadena incluye una entidad o alguna de sus partes.
- * @param {string} entidadNormal - Entidad normalizada (sin tildes, minúscula).
- * @param {string} textoNormal - Texto donde buscar (normalizado).
- * @returns {boolean} True si se encuentra coincidencia total o parcial.
+ * Palabras sin contenido (lista en español de `stopword`) que no cuentan al comparar
+ * nombres: "Casa de los Buendía" no debe coincidir con cualquier pregunta que diga "de".
+ * @type {Set<string>}
+ */
+const palabrasVacias = new Set(spa);
+
+/**
+ * Verifica si una palabra es vacía, con o sin tildes ("quién", "dónde" no figuran
+ * acentuadas en la lista).
+ * @param {string} palabra - Palabra en minúsculas.
+ * @returns {boolean} True si no tiene contenido.
+ */
+function esVacia(palabra) {
+  return palabrasVacias.has(palabra) || palabrasVacias.has(limpiarTexto(palabra));
+}
+
+/**
+ * Reduce un texto a la lista de raíces de sus palabras, sin tildes.
+ * @param {string} texto - Texto original (conviene conservar las tildes: mejoran la raíz).
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.omitirVacias=false] - Descarta artículos, preposiciones, etc.
+ * @returns {string[]} Raíces en el orden del texto.
  */
-function matchFlexible(entidadNormal, textoNormal) {
-  if (!entidadNormal || !textoNormal) return false;
-  if (textoNormal.includes(entidadNormal)) return true;
-  const partes = entidadNormal.split(/\s+/);
-  return partes.some(parte => textoNormal.includes(parte));
+function lematizar(texto, { omitirVacias = false } = {}) {
+  return palabrasDe(texto)
+    .filter(p => !(omitirVacias && esVacia(p)))
+    .map(p => limpiarTexto(raiz(p)));
+}
+
+/**
+ * Verifica si todas las palabras significativas de un término aparecen en un texto,
+ * en cualquier flexión ("guerras" coincide con "la guerra de los mil días").
+ * @param {string} termino - Término buscado.
+ * @param {string} texto - Texto donde buscar.
+ * @returns {boolean} True si el texto contiene el término.
+ */
+function contieneTermino(termino, texto) {
+  const lemas = lematizar(termino, { omitirVacias: true });
+  if (!lemas.length) return false;
+  const lemasTexto = new Set(lematizar(texto));
+  return lemas.every(lema => lemasTexto.has(lema));
+}
+
+/**
+ * Construye un patrón de RegExp que tolera tildes en el texto buscado
+ * ("muri" → "m[uúü]r[ií]"), para usarlo contra los textos guardados en MongoDB.
+ * @param {string} texto - Texto sin tildes.
+ * @returns {string} Patrón de RegExp.
+ */
+function patronSinTildes(texto) {
+  const variantes = { a: '[aá]', e: '[eé]', i: '[ií]', o: '[oó]', u: '[uúü]', n: '[nñ]' };
+  return [...texto].map(c => variantes[c] || escapeRegex(c)).join('');
+}
+
+/**
+ * Largo mínimo de una raíz para compararla como prefijo. Las raíces más cortas
+ * ("cas" de "casarse", "mur" de "murió") coinciden con sustantivos ("casa", "muralla"),
+ * así que para ellas se exige además una terminación verbal.
+ * @type {number}
+ */
+const LARGO_MIN_RAIZ = 4;
+
+/**
+ * Verifica si una forma de un verbo clave aparece en la pregunta en cualquier conjugación.
+ * Las formas de varias palabras ("se casó") se buscan como secuencia de raíces.
+ * @param {string} forma - Forma del verbo.
+ * @param {string[]} palabrasPregunta - Palabras de la pregunta (con tildes), en orden.
+ * @returns {boolean} True si la forma aparece.
+ */
+function contieneForma(forma, palabrasPregunta) {
+  const lemas = lematizar(forma);
+  const lemasPregunta = palabrasPregunta.map(p => limpiarTexto(raiz(p)));
+  if (lemas.length === 1 && lemas[0].length < LARGO_MIN_RAIZ) {
+    return palabrasPregunta.some((p, i) =>
+      limpiarTexto(p) === limpiarTexto(forma) || (lemasPregunta[i] === lemas[0] && esFormaVerbal(p)));
+  }
+  return lemasPregunta.some((_, i) => lemas.every((lema, j) => lemasPregunta[i + j] === lema));
+}
+
+/**
+ * Construye la RegExp con que se busca una forma verbal en los eventos: la raíz
+ * seguida de cualquier terminación, tolerando tildes en el texto guardado.
+ * Las raíces cortas solo admiten terminaciones verbales ("mur" + "ió", "ieron"...).
+ * @param {string} forma - Forma del verbo.
+ * @returns {RegExp} Expresión regular (sin distinguir mayúsculas).
+ */
+function patronForma(forma) {
+  const letra = '[a-z0-9áéíóúüñ]';
+  const lemas = lematizar(forma);
+  const patron = lemas.length === 1 && lemas[0].length < LARGO_MIN_RAIZ
+    ? `${patronSinTildes(lemas[0])}(?:${TERMINACIONES_VERBALES.map(patronSinTildes).join('|')})(?!${letra})`
+    : lemas.map(lema => `${patronSinTildes(lema)}${letra}*`).join('\\s+');
+  return new RegExp(`(?<!${letra})${patron}`, 'i');
+}
+
+/**
+ * Verbos clave que aparecen en unas palabras (por raíz: cualquier conjugación), con las
+ * RegExp de todas las formas de cada uno y de sus verbos relacionados.
+ * @param {string[]} palabras - Palabras de la pregunta (con tildes), en orden.
+ * @param {Array<{verbo: string, formas: string[], relacionados?: string[]}>} verbos - Léxico de
+ *   verbos clave (ver services/lexico.js).
+ * @returns {RegExp[]} Expresiones regulares sin repetir.
+ */
+function detectarVerbos(palabras, verbos) {
+  const minusculas = palabras.map(p => p.toLowerCase());
+  const porVerbo = new Map(verbos.map(v => [v.verbo, v]));
+  const patrones = new Map();
+  const agregar = formas => formas.map(patronForma).forEach(re => patrones.set(re.source, re));
+  for (const { formas, relacionados = [] } of verbos) {
+    if (formas.some(forma => contieneForma(forma, minusculas))) {
+      agregar(formas);
+      // "¿Quién construyó Macondo?" también busca quién lo fundó
+      relacionados.filter(r => porVerbo.has(r)).forEach(r => agregar(porVerbo.get(r).formas));
+    }
+  }
+  return [...patrones.values()];
+}
+
+/**
+ * Separa un texto en palabras conservando tildes.
+ * @param {string} texto - Texto original.
+ * @returns {string[]} Palabras en minúsculas.
+ */
+function palabrasDe(texto) {
+  return texto.toLowerCase().split(/[^a-z0-9áéíóúüñ]+/).filter(Boolean);
 }
 
 /**
@@ -99,15 +175,15 @@ function limpiarTexto(str) {
 }
 
 /**
- * Normaliza un texto usando compromise y limpieza adicional.
+ * Normaliza un texto: minúsculas, sin tildes ni signos de puntuación.
  * @param {string} texto - Texto original.
  * @returns {string} Texto normalizado y limpio.
  */
 function normalizar(texto) {
-  const textoNormalizado = nlp(texto)
-    .normalize({ punctuation: true, plurals: true })
-    .out('text');
-  const limpio = limpiarTexto(textoNormalizado);
+  const limpio = limpiarTexto(texto)
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
   console.log('[nlpProcessor] Texto normalizado:', limpio);
   return limpio;
 }
@@ -148,14 +224,323 @@ function detectarExistencia(textoOriginal) {
   return null;
 }
 
+/**
+ * Palabras interrogativas reconocidas, en orden de prueba, con la intención
+ * que representan. Las preposiciones iniciales ("en dónde", "a quién") se ignoran.
+ * "por qué" va antes que "qué" y "cuáles" antes que "qué" para no confundirlas.
+ * @type {Array<{intencion: string, patron: RegExp}>}
+ */
+const interrogativos = [
+  { intencion: 'porque', patron: /^(?:por|para)\s*qu[eé]\s+/i },
+  { intencion: 'donde', patron: /^(?:(?:en|a|de|hacia|por)\s+)?d[oó]nde\s+/i },
+  { intencion: 'quien', patron: /^(?:(?:a|de|con|para|por)\s+)?qui[eé]n(?:es)?\s+/i },
+  { intencion: 'cuando', patron: /^(?:desde|hasta)?\s*cu[aá]ndo\s+/i },
+  { intencion: 'cuantos', patron: /^cu[aá]nt[oa]s?\s+/i },
+  { intencion: 'como', patron: /^c[oó]mo\s+/i },
+  { intencion: 'cuales', patron: /^(?:(?:a|de|en|con|para)\s+)?cu[aá]l(?:es)?\s+/i },
+  { intencion: 'que', patron: /^(?:(?:a|de|en|con)\s+)?qu[eé]\s+/i }
+];
+
+/**
+ * Comparaciones: "más/menos ... que", "X o Y", "diferencia entre", "comparar".
+ * Se evalúa sobre texto sin tildes. "¿Quién tuvo más hijos?" (sin segundo término)
+ * no es comparación sino una pregunta "quién".
+ * @type {RegExp}
+ */
+const patronComparacion = /\b(?:mas|menos|mayor|menor|mejor|peor)\b.*\b(?:que|o|entre)\b|\bdiferencia entre\b|\bcompar/;
+
+/**
+ * Pronombres átonos que forman parte del verbo ("se casó", "le dio").
+ * @type {string[]}
+ */
+const cliticos = ['se', 'le', 'les', 'lo', 'la', 'los', 'las', 'me', 'te', 'nos'];
+
+/**
+ * Palabras que excluyen a la entidad que las sigue: "¿Qué pasó en Macondo sin Úrsula?".
+ * @type {Set<string>}
+ */
+const EXCLUYENTES = new Set(['sin', 'excepto', 'salvo']);
+
+/**
+ * Negaciones del verbo, sin tildes. En las preguntas que piden una lista ("¿Qué eventos no
+ * ocurrieron en Macondo?") excluyen a las entidades que las siguen; en las que preguntan por
+ * un hecho puntual ("¿Por qué no volvió Rebeca?") la entidad sigue siendo el tema.
+ * @type {Set<string>}
+ */
+const NEGACIONES = new Set(['no', 'nunca', 'jamas', 'tampoco']);
+
+/**
+ * Intenciones en que una negación del verbo excluye entidades (ver NEGACIONES).
+ * @type {Set<string|null>}
+ */
+const INTENCIONES_LISTA = new Set(['que', 'cuales', 'quien', 'donde', null]);
+
+/**
+ * Conectores entre entidades y la operación que piden: 'y' que aparezcan todas,
+ * 'o' que aparezca alguna. "ni" encadena exclusiones ("sin Úrsula ni Rebeca").
+ * @type {Object.<string, string>}
+ */
+const CONECTORES = { y: 'y', e: 'y', ni: 'y', o: 'o', u: 'o' };
+
+/**
+ * Marcadores de comparación temporal, sin tildes, con la relación que expresan. Salvo
+ * "tras", van seguidos de "de", "del" o "que" ("antes del capítulo 5", "después que Rebeca").
+ * @type {Object.<string, string>}
+ */
+const MARCADORES_TEMPORALES = { antes: 'antes', despues: 'despues', luego: 'despues', tras: 'despues' };
+
+/**
+ * Signos que cierran una exclusión o una comparación temporal.
+ * @type {Set<string>}
+ */
+const PAUSAS = new Set([',', ';', ':', 'pero', 'aunque']);
+
+/**
+ * Indica si una palabra (sin tildes) modifica la búsqueda en lugar de nombrar algo.
+ * @param {string} plana - Palabra sin tildes.
+ * @returns {boolean}
+ */
+function esModificador(plana) {
+  return EXCLUYENTES.has(plana) || NEGACIONES.has(plana) || plana in MARCADORES_TEMPORALES;
+}
+
+/**
+ * Busca una comparación temporal: "antes de(l) …", "antes (de) que …", "después de(l) …",
+ * "luego de …", "tras …". La referencia llega hasta la siguiente pausa o el final.
+ * @param {string[]} planas - Palabras y signos de pausa de la pregunta, sin tildes.
+ * @returns {{relacion: 'antes'|'despues', desde: number, inicio: number, hasta: number}|null}
+ *   Posición del marcador, de la primera palabra de la referencia y del fin de la cláusula.
+ */
+function clausulaTemporal(planas) {
+  for (let i = 0; i < planas.length; i++) {
+    const relacion = MARCADORES_TEMPORALES[planas[i]];
+    if (!relacion) continue;
+    let inicio = i + 1;
+    if (planas[i] !== 'tras') {
+      if (!['de', 'del', 'que'].includes(planas[inicio])) continue;
+      inicio++;
+    }
+    if (planas[inicio] === 'que') inicio++;
+    const pausa = planas.findIndex((p, j) => j >= inicio && PAUSAS.has(p));
+    const hasta = pausa === -1 ? planas.length : pausa;
+    if (hasta > inicio) return { relacion, desde: i, inicio, hasta };
+  }
+  return null;
+}
+
+/**
+ * Indica si la pregunta excluye algo o se compara en el tiempo con otra cosa: en ese caso
+ * un "capítulo N" puede no ser el tema de la pregunta ("¿Qué pasó antes del capítulo 5?").
+ * @param {string} pregunta - Pregunta original.
+ * @returns {boolean}
+ */
+function tieneModificadores(pregunta) {
+  const planas = palabrasDe(pregunta).map(limpiarTexto);
+  return planas.some(p => EXCLUYENTES.has(p) || NEGACIONES.has(p)) || Boolean(clausulaTemporal(planas));
+}
+
+/**
+ * Reparte las entidades enlazadas según su papel en la pregunta:
+ *   - referencias: las nombradas en la comparación temporal ("antes que José Arcadio Buendía"),
+ *   - negadas: las que siguen a una exclusión ("sin", "excepto", "salvo" o, en preguntas que
+ *     piden una lista, una negación del verbo), más las encadenadas a ellas con "y", "o", "ni",
+ *   - el resto, que son las que la pregunta busca.
+ * Una negación del verbo sin entidades que excluir niega el verbo ("¿Qué personajes nunca
+ * murieron?"), si le sigue un verbo clave.
+ *
+ * @param {string[]} piezas - Palabras y signos de pausa de la pregunta, tal como se escribieron.
+ * @param {Array<{tipo: string, nombre: string, posiciones: number[]}>} enlazadas - Resultado de `enlazar`.
+ * @param {string|null} intencion - Intención de la pregunta.
+ * @param {Array<{verbo: string, formas: string[], relacionados?: string[]}>} verbos - Léxico de verbos clave.
+ * @returns {{
+ *   temporal: {relacion: string, desde: number, inicio: number, hasta: number}|null,
+ *   referencias: Set<Object>, negadas: Set<Object>, verboNegado: boolean,
+ *   quitadas: Set<number>, operador: 'y'|'o'|null
+ * }} `quitadas` son las posiciones de la cláusula temporal y de las exclusiones.
+ */
+function analizarModificadores(piezas, enlazadas, intencion, verbos) {
+  const planas = piezas.map(limpiarTexto);
+  const temporal = clausulaTemporal(planas);
+  const quitadas = new Set();
+  if (temporal) {
+    for (let i = temporal.desde; i < temporal.hasta; i++) quitadas.add(i);
+  }
+  const referencias = new Set(enlazadas.filter(e => e.posiciones.some(p => quitadas.has(p))));
+  const porInicio = new Map();
+  for (const entidad of enlazadas.filter(e => !referencias.has(e))) {
+    const inicio = Math.min(...entidad.posiciones);
+    porInicio.set(inicio, [...(porInicio.get(inicio) || []), entidad]);
+  }
+
+  const negadas = new Set();
+  let verboNegado = false;
+  let exclusion = null; // { desde, verbal, encadenada }
+  const cerrar = () => {
+    if (exclusion?.verbal && !exclusion.encadenada) {
+      verboNegado = verboNegado || detectarVerbos(piezas.slice(exclusion.desde + 1, exclusion.desde + 3), verbos).length > 0;
+    }
+    exclusion = null;
+  };
+  for (let i = 0; i < planas.length; i++) {
+    const entidades = porInicio.get(i);
+    if (entidades) {
+      const fin = Math.max(...entidades.flatMap(e => e.posiciones));
+      if (exclusion) {
+        entidades.forEach(e => negadas.add(e));
+        for (let j = exclusion.desde; j <= fin; j++) quitadas.add(j);
+        exclusion.encadenada = true;
+      }
+      i = fin;
+      continue;
+    }
+    if (temporal && i === temporal.desde) {
+      cerrar();
+      i = temporal.hasta - 1;
+      continue;
+    }
+    const palabra = planas[i];
+    if (EXCLUYENTES.has(palabra) || (NEGACIONES.has(palabra) && INTENCIONES_LISTA.has(intencion))) {
+      cerrar();
+      exclusion = { desde: i, verbal: NEGACIONES.has(palabra), encadenada: false };
+    } else if (exclusion?.encadenada && CONECTORES[palabra]) {
+      quitadas.add(i);
+    } else if (exclusion && (exclusion.encadenada || PAUSAS.has(palabra))) {
+      cerrar();
+    }
+  }
+  cerrar();
+
+  // Conector explícito entre personajes buscados: "Úrsula y Rebeca", "Úrsula o Rebeca"
+  const buscados = enlazadas
+    .filter(e => e.tipo === 'personaje' && !referencias.has(e) && !negadas.has(e))
+    .sort((a, b) => Math.min(...a.posiciones) - Math.min(...b.posiciones));
+  const conectores = new Set();
+  buscados.slice(1).forEach((entidad, i) => {
+    const desde = Math.max(...buscados[i].posiciones) + 1;
+    planas.slice(desde, Math.min(...entidad.posiciones)).forEach(p => CONECTORES[p] && conectores.add(CONECTORES[p]));
+  });
+  const operador = conectores.has('o') ? 'o' : conectores.has('y') ? 'y' : null;
+
+  return { temporal, referencias, negadas, verboNegado, quitadas, operador };
+}
+
+/**
+ * Separa el verbo inicial (con su negación y su pronombre átono, si los hay: "no se casó")
+ * del resto de la oración.
+ * @param {string[]} palabras - Palabras que siguen al interrogativo.
+ * @returns {{verbo: string|null, resto: string}}
+ */
+function separarVerbo(palabras) {
+  const negado = palabras.length > 1 && NEGACIONES.has(limpiarTexto(palabras[0])) ? 1 : 0;
+  const clitico = palabras.length > negado + 1 && cliticos.includes(palabras[negado].toLowerCase()) ? 1 : 0;
+  const largoVerbo = negado + clitico + 1;
+  return {
+    verbo: palabras.slice(0, largoVerbo).join(' ') || null,
+    resto: palabras.slice(largoVerbo).join(' ')
+  };
+}
+
+/**
+ * Clasifica la intención de la pregunta, es decir, qué clase de respuesta espera:
+ *   - 'que' | 'cuales' | 'porque' | 'como' | 'cuando' | 'donde' | 'quien' | 'cuantos'
+ *     según la palabra interrogativa inicial,
+ *   - 'comparacion' si compara dos términos ("¿Quién vivió más, Úrsula o Pilar?"),
+ *   - 'sino' para preguntas cerradas sin interrogativo ("¿Murió Remedios?", "¿Hubo alguna guerra?"),
+ *   - null si el texto no tiene forma de pregunta.
+ *
+ * Además separa el verbo del resto de la oración, conservando mayúsculas y tildes
+ * originales para poder reutilizarlos al redactar la respuesta.
+ *
+ * Ejemplo: "¿Dónde vivió Aureliano?" → { intencion: 'donde', verbo: 'vivió', resto: 'Aureliano' }
+ * En preguntas "cuántos" no se separa verbo: el resto conserva el sustantivo contado.
+ *
+ * @param {string} pregunta - Pregunta original.
+ * @returns {{intencion: string|null, verbo: string|null, resto: string}}
+ */
+function clasificarIntencion(pregunta) {
+  const esInterrogativa = /[¿?]/.test(pregunta);
+  const sinSignos = pregunta.trim().replace(/^[¿?¡!\s]+|[¿?¡!.\s]+$/g, '');
+  const comparacion = patronComparacion.test(limpiarTexto(sinSignos));
+
+  for (const { intencion, patron } of interrogativos) {
+    const m = sinSignos.match(patron);
+    if (!m) continue;
+    const palabras = sinSignos.slice(m[0].length).split(/\s+/).filter(Boolean);
+    if (intencion === 'cuantos' && !comparacion) {
+      return { intencion, verbo: null, resto: palabras.join(' ') };
+    }
+    return { intencion: comparacion ? 'comparacion' : intencion, ...separarVerbo(palabras) };
+  }
+
+  const palabras = sinSignos.split(/\s+/).filter(Boolean);
+  if (comparacion) return { intencion: 'comparacion', ...separarVerbo(palabras) };
+  if (esInterrogativa) return { intencion: 'sino', ...separarVerbo(palabras) };
+  return { intencion: null, verbo: null, resto: sinSignos };
+}
+
+/**
+ * Valor de cada clase de coincidencia de una palabra de la pregunta con un evento:
+ * la misma palabra con sus tildes, la misma raíz (otra flexión, o tildes distintas como
+ * "papa" y "papá") o una palabra parecida (error de tipeo, ver similitud.js).
+ * @type {{exacta: number, raiz: number, aproximada: number}}
+ */
+const VALOR_COINCIDENCIA = { exacta: 1, raiz: 0.85, aproximada: 0.6 };
+
+/**
+ * Parte del puntaje que depende del orden: pares de palabras consecutivas de la pregunta
+ * que aparecen en el mismo orden en el evento ("guerra civil" frente a "civil... guerra").
+ * @type {number}
+ */
+const PESO_ORDEN = 0.2;
+
+/**
+ * Distancia máxima (en palabras significativas) entre dos palabras del evento para que
+ * cuenten como un par en orden.
+ * @type {number}
+ */
+const VENTANA_ORDEN = 3;
+
+/**
+ * Largo mínimo de una palabra de la pregunta para buscarla con errores de tipeo en los
+ * eventos. Los textos de los eventos tienen mucho más vocabulario que los nombres y las
+ * palabras cortas se confunden fácilmente ("hizo" con "hielo", "pasó" con "casó").
+ * @type {number}
+ */
+const LARGO_MIN_APROXIMADA = 5;
+
+/**
+ * Puntaje mínimo para considerar un evento similar a la pregunta.
+ * @type {number}
+ */
+const UMBRAL_SIMILAR = 0.5;
+
+/**
+ * Palabras significativas de un texto con su forma con tildes, sin tildes y su raíz.
+ * @param {string} texto - Texto original.
+ * @returns {Array<{palabra: string, plana: string, lema: string}>}
+ */
+function palabrasSignificativas(texto) {
+  return palabrasDe(texto)
+    .filter(p => !esVacia(p))
+    .map(palabra => ({ palabra, plana: limpiarTexto(palabra), lema: limpiarTexto(raiz(palabra)) }));
+}
+
 /**
  * Busca el evento más similar a una pregunta textual.
+ *
+ * Cada palabra significativa de la pregunta aporta según su rareza entre los eventos (IDF)
+ * y según cómo aparece en el evento (ver VALOR_COINCIDENCIA); las que no aparecen restan.
+ * Una parte del puntaje premia que las palabras conserven su orden. Se devuelve el mejor
+ * evento si supera UMBRAL_SIMILAR.
+ *
  * @param {string} pregunta - Texto de la pregunta.
  * @returns {Promise<Object|null>} Evento encontrado o null.
  */
 async function buscarEventoSimilar(pregunta) {
   console.log('[FuzzySearch] Iniciando búsqueda de evento similar...');
-  const texto = normalizar(pregunta);
+  const palabrasPregunta = palabrasSignificativas(pregunta);
+  if (!palabrasPregunta.length) return null;
+
   let eventos = [];
   try {
     eventos = await Evento.find({}, 'nombre descripcion');
@@ -165,131 +550,450 @@ async function buscarEventoSimilar(pregunta) {
   }
   if (!eventos.length) return null;
 
-  const calcularScore = (a, b) => {
-    const palabrasA = new Set(a.split(/\s+/));
-    const palabrasB = new Set(b.split(/\s+/));
-    const interseccion = [...palabrasA].filter(p => palabrasB.has(p));
-    return interseccion.length / Math.max(palabrasA.size, 1);
+  const textos = eventos.map(e => palabrasSignificativas(`${e.nombre} ${e.descripcion || ''}`));
+  const df = new Map();
+  textos.forEach(palabras => new Set(palabras.map(p => p.lema)).forEach(l => df.set(l, (df.get(l) || 0) + 1)));
+  const idf = lema => Math.log(1 + eventos.length / (df.get(lema) || 1));
+  const pesoTotal = palabrasPregunta.reduce((suma, p) => suma + idf(p.lema), 0);
+
+  const puntuar = palabrasEvento => {
+    const planas = new Set(palabrasEvento.map(p => p.plana));
+    // Por cada palabra de la pregunta: valor de la coincidencia y posición en el evento
+    const coincidencias = palabrasPregunta.map(p => {
+      let pos = palabrasEvento.findIndex(e => e.palabra === p.palabra);
+      if (pos !== -1) return { valor: VALOR_COINCIDENCIA.exacta, pos };
+      pos = palabrasEvento.findIndex(e => e.lema === p.lema);
+      if (pos !== -1) return { valor: VALOR_COINCIDENCIA.raiz, pos };
+      const parecida = p.plana.length >= LARGO_MIN_APROXIMADA && masParecida(p.palabra, planas);
+      if (parecida) {
+        return { valor: VALOR_COINCIDENCIA.aproximada, pos: palabrasEvento.findIndex(e => e.plana === parecida.palabra) };
+      }
+      return { valor: 0, pos: -1 };
+    });
+
+    const contenido = coincidencias.reduce((suma, c, i) => suma + c.valor * idf(palabrasPregunta[i].lema), 0) / pesoTotal;
+    const pares = coincidencias.length - 1;
+    if (!pares) return contenido;
+    const enOrden = coincidencias.slice(1).filter((c, i) => {
+      const previa = coincidencias[i];
+      return previa.pos !== -1 && c.pos > previa.pos && c.pos - previa.pos <= VENTANA_ORDEN;
+    }).length;
+    return contenido * (1 - PESO_ORDEN) + PESO_ORDEN * contenido * (enOrden / pares);
   };
 
-  const candidatos = eventos.map(e => {
-    const combinado = limpiarTexto(`${e.nombre} ${e.descripcion || ''}`);
-    const score = calcularScore(texto, combinado);
-    return { evento: e, score };
-  }).sort((a, b) => b.score - a.score);
+  const [top] = eventos
+    .map((evento, i) => ({ evento, score: puntuar(textos[i]) }))
+    .sort((a, b) => b.score - a.score);
 
-  const top = candidatos[0];
-  return (top && top.score > 0.2) ? top.evento : null;
+  console.log(`[FuzzySearch] Mejor candidato: ${top.evento.nombre} (${top.score.toFixed(2)})`);
+  return top.score >= UMBRAL_SIMILAR ? top.evento : null;
 }
 
 /**
  * Extrae nombre y alias de un personaje si tiene formato "(alias)".
+ * Se conservan las tildes: `lematizar` obtiene mejores raíces con ellas.
  * @param {string} nombreCompleto - Nombre completo con posible alias.
  * @returns {{nombre: string, alias: string|null, original: string}}
  */
 function extraerAlias(nombreCompleto) {
   const aliasMatch = nombreCompleto.match(/\((.*?)\)/);
-  const alias = aliasMatch ? limpiarTexto(aliasMatch[1]) : null;
-  const limpio = limpiarTexto(nombreCompleto.replace(/\s*\(.*?\)\s*/g, '')).trim();
-  return { nombre: limpio, alias, original: nombreCompleto };
+  const alias = aliasMatch ? aliasMatch[1].trim() : null;
+  const nombre = nombreCompleto.replace(/\s*\(.*?\)\s*/g, ' ').trim();
+  return { nombre, alias, original: nombreCompleto };
 }
 
 /**
- * Analiza una pregunta textual para detectar:
+ * Formas con que se puede mencionar una entidad, reducidas a raíces: el nombre completo
+ * (con su alias), el alias solo ("el coronel") y cada uno de sus apodos ("la matriarca").
+ * @param {{nombre: string, apodos?: string[]}} doc - Documento de la entidad.
+ * @returns {Array<{clase: string, lemas: string[]}>} Formas con al menos una raíz.
+ */
+function formasDe(doc) {
+  const { nombre, alias } = extraerAlias(doc.nombre);
+  return [
+    { clase: 'nombre', texto: alias ? `${nombre} ${alias}` : nombre },
+    ...(alias ? [{ clase: 'alias', texto: alias }] : []),
+    ...(doc.apodos || []).map(apodo => ({ clase: 'apodo', texto: apodo }))
+  ]
+    .map(({ clase, texto }) => ({ clase, lemas: lematizar(texto, { omitirVacias: true }) }))
+    .filter(f => f.lemas.length);
+}
+
+/**
+ * Vocabulario de nombres, alias y apodos de las entidades, para corregir errores de tipeo
+ * de la pregunta.
+ * @param {Array<{nombre: string, apodos?: string[]}>} docs - Documentos de las entidades.
+ * @returns {Map<string, {palabra: string, lema: string}>} Palabra sin tildes → forma original y raíz.
+ */
+function vocabularioDe(docs) {
+  const vocabulario = new Map();
+  for (const doc of docs) {
+    for (const texto of [doc.nombre, ...(doc.apodos || [])]) {
+      for (const palabra of texto.split(/[^a-z0-9áéíóúüñ]+/i)) {
+        const clave = limpiarTexto(palabra);
+        if (!palabra || esVacia(palabra.toLowerCase()) || vocabulario.has(clave)) continue;
+        vocabulario.set(clave, { palabra, lema: limpiarTexto(raiz(palabra.toLowerCase())) });
+      }
+    }
+  }
+  return vocabulario;
+}
+
+/**
+ * Reescribe la pregunta con las palabras corregidas ("¿Qué hizo Pilar Ternerra?" →
+ * "¿Qué hizo Pilar Ternera?").
+ * @param {string} pregunta - Pregunta original.
+ * @param {Array<{palabra: string, sugerencia: string}>} correcciones - Palabras corregidas.
+ * @returns {string} Pregunta sugerida.
+ */
+function corregirPregunta(pregunta, correcciones) {
+  return correcciones.reduce((texto, { palabra, sugerencia }) =>
+    texto.replace(new RegExp(`(?<![a-z0-9áéíóúüñ])${escapeRegex(palabra)}(?![a-z0-9áéíóúüñ])`, 'i'), sugerencia), pregunta);
+}
+
+/**
+ * Analiza el texto de una pregunta, sin contexto de conversación, para detectar:
  * - capítulo explícito,
+ * - intención de la pregunta (qué, dónde, quién, cuántos, sí/no, comparación...),
  * - patrón de existencia,
  * - verbos clave,
- * - personajes, lugares, objetos,
- * - fuzzy search (solo si no es pregunta de existencia).
+ * - personajes, lugares, objetos (enlazados con puntaje, ver enlazador.js),
+ * - entidades excluidas ("sin Úrsula"), conector entre personajes ("Úrsula y Rebeca")
+ *   y comparación temporal ("antes que José Arcadio Buendía", "después del capítulo 5"),
+ * - fuzzy search (solo si no es pregunta de existencia ni tiene exclusiones,
+ *   comparaciones temporales o varios personajes unidos por "y"/"o").
  *
  * Devuelve un objeto con:
  *   capitulo: número|null,
+ *   intencion: string|null (ver clasificarIntencion),
+ *   estructura: {verbo, resto} de la oración interrogativa,
  *   terminoExistencia: string|null,
  *   regexVerbos: RegExp[],
- *   personajes: array de strings (nombres originales, .trim()),
+ *   personajes: array de strings (nombres originales, .trim()) de los personajes enlazados,
  *   lugares: array de strings,
  *   objetos: array de strings,
+ *   negados: personajes, lugares y objetos excluidos (no figuran en las listas anteriores),
+ *   verboNegado: true si se niega el verbo clave y no una entidad ("¿Qué personajes nunca murieron?"),
+ *   operador: 'y' | 'o' entre los personajes buscados, o null si no se indica,
+ *   temporal: comparación temporal o null; su capítulo o entidades de referencia no
+ *     figuran en `capitulo` ni en las listas anteriores, y `evento` es el evento similar
+ *     al texto de la referencia si no se resuelve por capítulo ni por sus entidades (solas
+ *     o con un verbo clave),
+ *   entidades: todos los candidatos con su puntaje, de mayor a menor,
+ *   menciones: entidades buscadas con su texto exacto en la pregunta,
+ *   ambiguedades: menciones que corresponden a varias entidades sin poder decidir,
+ *   correcciones: palabras corregidas por parecerse a un nombre ({palabra, sugerencia}),
+ *   quisisteDecir: pregunta con esas correcciones, o null si no hubo ninguna,
+ *   preguntaResuelta: null y referentes: [] (ver `analizarPregunta`),
  *   fuzzy: evento o null
  *
  * @param {string} pregunta - Pregunta original.
  * @returns {Promise<{
  *   capitulo: number|null,
+ *   intencion: string|null,
+ *   estructura: {verbo: string|null, resto: string},
  *   terminoExistencia: string|null,
  *   regexVerbos: RegExp[],
  *   personajes: string[],
  *   lugares: string[],
  *   objetos: string[],
+ *   negados: {personajes: string[], lugares: string[], objetos: string[]},
+ *   verboNegado: boolean,
+ *   operador: 'y'|'o'|null,
+ *   temporal: {
+ *     relacion: 'antes'|'despues', texto: string, capitulo: number|null,
+ *     personajes: string[], lugares: string[], objetos: string[],
+ *     regexVerbos: RegExp[], evento: Object|null
+ *   }|null,
+ *   entidades: Array<{tipo: string, nombre: string, puntaje: number, forma: string, mencion: string}>,
+ *   menciones: Array<{tipo: string, nombre: string, texto: string}>,
+ *   ambiguedades: Array<{mencion: string, candidatos: Array<{tipo: string, nombre: string, puntaje: number}>}>,
+ *   correcciones: Array<{palabra: string, sugerencia: string}>,
+ *   quisisteDecir: string|null,
+ *   preguntaResuelta: string|null,
+ *   referentes: Array<{expresion: string|null, nombre: string}>,
  *   fuzzy: Object|null
  * }>} Resultado del análisis semántico.
  */
-async function analizarPregunta(pregunta) {
+async function analizarTexto(pregunta) {
   console.log('[nlpProcessor] Pregunta cruda:', pregunta);
   const textoNorm = normalizar(pregunta);
 
-  // 1) capítulo explícito
-  const capMatch = textoNorm.match(/cap[ií]tulo\s*(\d+)/i);
-  const capitulo = capMatch ? parseInt(capMatch[1], 10) : null;
+  // 1) intención de la pregunta
+  const { intencion, ...estructura } = clasificarIntencion(pregunta);
 
-  // 2) detectar existencia
-  const terminoExistencia = detectarExistencia(pregunta);
-
-  // 3) cargar entidades BD
-  const personajesBD = await Personaje.find({}, 'nombre');
+  // 2) cargar entidades BD
+  const personajesBD = await Personaje.find({}, 'nombre apodos');
   const lugaresBD = await Lugar.find({}, 'nombre');
   const objetosBD = Objeto ? await Objeto.find({}, 'nombre evento_relacionado') : [];
+  const verbos = await cargarVerbos(); // se lee en cada pregunta: los cambios de un admin valen de inmediato
 
-  // 4) detectar personajes: devolver nombres originales
-  const personajes = personajesBD
-    .filter(p => {
-      const { nombre, alias } = extraerAlias(p.nombre);
-      return matchFlexible(nombre, textoNorm) || (alias && matchFlexible(alias, textoNorm));
-    })
-    .map(p => p.nombre.trim());
-
-  // 5) detectar lugares
-  const lugares = lugaresBD
-    .map(l => ({ original: l.nombre, normal: limpiarTexto(l.nombre) }))
-    .filter(item => matchFlexible(item.normal, textoNorm))
-    .map(item => item.original);
-
-  // 6) detectar objetos
-  const objetos = objetosBD
-    .map(o => ({ original: o.nombre, normal: limpiarTexto(o.nombre) }))
-    .filter(item => matchFlexible(item.normal, textoNorm))
-    .map(item => item.original);
-
-  // 7) detectar verbos clave
-  const regexVerbos = [];
-  const textoRawNorm = limpiarTexto(pregunta);
-  for (const [clave, formas] of Object.entries(verbosClave)) {
-    for (const forma of formas) {
-      const formaNorm = limpiarTexto(forma);
-      const reDetect = new RegExp(`\\b${escapeRegex(formaNorm)}\\b`, 'i');
-      if (reDetect.test(textoRawNorm)) {
-        for (const f of formas) {
-          const pat = escapeRegex(limpiarTexto(f));
-          regexVerbos.push(new RegExp(`\\b${pat}\\b`, 'i'));
-        }
-        break;
-      }
+  // 3) enlazar entidades (ver enlazador.js): devuelve nombres originales con puntaje.
+  //    El verbo de la pregunta no cuenta como entidad ("se casaron" no es "Casa de los Buendía"),
+  //    tampoco las negaciones ni los marcadores temporales ("sin", "antes").
+  //    Las palabras que no existen en ningún nombre se corrigen si se parecen a una que sí
+  //    ("Ternerra" → "Ternera"); la corrección se informa en `quisisteDecir`.
+  //    Cada palabra conserva su posición en la pregunta (`piezas`, con los signos de pausa).
+  const piezas = pregunta.match(/[a-z0-9áéíóúüñ]+|[,;:]/gi) || [];
+  const palabrasVerbo = new Set(palabrasDe(estructura.verbo || '').filter(esFormaVerbal));
+  const vocabulario = vocabularioDe([...personajesBD, ...lugaresBD, ...objetosBD]);
+  const lemasConocidos = new Set([...vocabulario.values()].map(v => v.lema));
+  const correcciones = [];
+  const palabrasEntidad = piezas
+    .map((palabra, pos) => ({ palabra, pos }))
+    .filter(({ palabra }) => !PAUSAS.has(palabra) && !palabrasVerbo.has(palabra.toLowerCase())
+      && !esVacia(palabra.toLowerCase()) && !esModificador(limpiarTexto(palabra)))
+    .map(({ palabra, pos }) => {
+      const lema = limpiarTexto(raiz(palabra.toLowerCase()));
+      const parecida = !lemasConocidos.has(lema) && masParecida(palabra, vocabulario.keys());
+      if (!parecida) return { palabra, lema, pos };
+      const sugerida = vocabulario.get(parecida.palabra);
+      correcciones.push({ palabra, sugerencia: sugerida.palabra });
+      return { palabra, lema: sugerida.lema, aproximada: true, pos };
+    });
+  const entidadesBD = [
+    ...personajesBD.map(p => ({ tipo: 'personaje', nombre: p.nombre.trim(), formas: formasDe(p) })),
+    ...lugaresBD.map(l => ({ tipo: 'lugar', nombre: l.nombre, formas: formasDe(l) })),
+    ...objetosBD.map(o => ({ tipo: 'objeto', nombre: o.nombre, formas: formasDe(o) }))
+  ];
+  const { candidatos, enlazadas, ambiguedades } = enlazar(palabrasEntidad, entidadesBD);
+
+  // 4) exclusiones, conector entre personajes y comparación temporal
+  const modificadores = analizarModificadores(piezas, enlazadas, intencion, verbos);
+  const { referencias, negadas, verboNegado, quitadas, operador } = modificadores;
+  const nombresDe = (tipo, grupo) => enlazadas.filter(e => e.tipo === tipo && grupo(e)).map(e => e.nombre);
+  const buscada = e => !referencias.has(e) && !negadas.has(e);
+
+  // 5) y 6) entidades aceptadas, de mayor a menor puntaje
+  const personajes = nombresDe('personaje', buscada);
+  const lugares = nombresDe('lugar', buscada);
+  const objetos = nombresDe('objeto', buscada);
+  const negados = {
+    personajes: nombresDe('personaje', e => negadas.has(e)),
+    lugares: nombresDe('lugar', e => negadas.has(e)),
+    objetos: nombresDe('objeto', e => negadas.has(e))
+  };
+  const quisisteDecir = correcciones.length ? corregirPregunta(pregunta, correcciones) : null;
+
+  // Texto exacto de cada entidad buscada, para reemplazarla en una pregunta siguiente ("¿Y Rebeca?")
+  const tramos = [...pregunta.matchAll(/[a-z0-9áéíóúüñ]+|[,;:]/gi)];
+  const menciones = enlazadas.filter(buscada).map(e => {
+    const primera = tramos[Math.min(...e.posiciones)];
+    const ultima = tramos[Math.max(...e.posiciones)];
+    let fin = ultima.index + ultima[0].length;
+    if (pregunta[fin] === ')' && pregunta.slice(primera.index, fin).includes('(')) fin++; // "(el coronel)"
+    return { tipo: e.tipo, nombre: e.nombre, texto: pregunta.slice(primera.index, fin) };
+  });
+
+  // 7) capítulo explícito, existencia y verbos clave (por raíz: cualquier conjugación),
+  //    sin contar la comparación temporal ni las exclusiones
+  const modificada = quitadas.size > 0;
+  const principal = piezas.filter((p, i) => !quitadas.has(i) && !PAUSAS.has(p));
+  const capMatch = (modificada ? normalizar(principal.join(' ')) : textoNorm).match(/cap[ií]tulo\s*(\d+)/i);
+  const capitulo = capMatch ? parseInt(capMatch[1], 10) : null;
+  const terminoExistencia = detectarExistencia(modificada ? principal.join(' ') : pregunta);
+  const regexVerbos = detectarVerbos(modificada ? principal : palabrasDe(pregunta), verbos);
+
+  let temporal = null;
+  if (modificadores.temporal) {
+    const { relacion, inicio, hasta } = modificadores.temporal;
+    const texto = piezas.slice(inicio, hasta).join(' ');
+    const capReferencia = normalizar(texto).match(/cap[ií]tulo\s*(\d+)/);
+    const verbosReferencia = detectarVerbos(piezas.slice(inicio, hasta), verbos);
+    // "¿Quién murió antes que José Arcadio?": si la referencia solo nombra entidades, se
+    // compara con el hecho de la pregunta; si tiene su propio verbo ("antes de que muriera
+    // Amaranta"), con ese; si dice algo más ("la llegada de Rebeca"), con el evento que
+    // mejor le corresponde.
+    const enReferencias = new Set([...referencias].flatMap(e => e.posiciones));
+    const soloEntidades = palabrasEntidad.every(p => p.pos < inicio || p.pos >= hasta || enReferencias.has(p.pos));
+    temporal = {
+      relacion,
+      texto,
+      capitulo: capReferencia ? parseInt(capReferencia[1], 10) : null,
+      personajes: nombresDe('personaje', e => referencias.has(e)),
+      lugares: nombresDe('lugar', e => referencias.has(e)),
+      objetos: nombresDe('objeto', e => referencias.has(e)),
+      regexVerbos: verbosReferencia.length || terminoExistencia ? verbosReferencia : regexVerbos,
+      evento: null
+    };
+    if (!capReferencia && !(referencias.size && (soloEntidades || verbosReferencia.length))) {
+      temporal.evento = await buscarEventoSimilar(texto);
     }
   }
 
-  // 8) fuzzy search: solo si no es pregunta de existencia
+  // 8) fuzzy search: solo si no es pregunta de existencia y nada restringe la búsqueda
+  //    (un único evento similar no respeta exclusiones, rangos ni varios personajes)
   let fuzzy = null;
-  if (!terminoExistencia) {
+  if (!terminoExistencia && !modificada && !verboNegado && !(operador && personajes.length > 1)) {
     fuzzy = await buscarEventoSimilar(pregunta);
   }
 
   return {
     capitulo,
+    intencion,
+    estructura,
     terminoExistencia,
     regexVerbos,
     personajes,
     lugares,
     objetos,
+    negados,
+    verboNegado,
+    operador,
+    temporal,
+    entidades: candidatos,
+    menciones,
+    ambiguedades,
+    correcciones,
+    quisisteDecir,
+    preguntaResuelta: null,
+    referentes: [],
     fuzzy
   };
 }
 
-module.exports = { analizarPregunta, normalizar };
+/**
+ * Indica si una pregunta no dice nada además de su verbo ("¿Con quién se casó?",
+ * "¿Cuándo murió?"): le falta el sujeto.
+ * @param {{estructura: {resto: string}}} analisis - Análisis de la pregunta.
+ * @returns {boolean}
+ */
+function sinContenido(analisis) {
+  return palabrasDe(analisis.estructura.resto || '').every(esVacia);
+}
+
+/**
+ * Indica si una pregunta consiste solo en las entidades que menciona ("¿Rebeca?",
+ * "¿Y Amaranta?").
+ * @param {string} texto - Pregunta.
+ * @param {Array<{texto: string}>} menciones - Menciones de la pregunta.
+ * @returns {boolean}
+ */
+function soloMenciones(texto, menciones) {
+  const mencionadas = new Set(menciones.flatMap(m => palabrasDe(m.texto)));
+  return menciones.length > 0 && palabrasDe(texto).every(p => esVacia(p) || mencionadas.has(p));
+}
+
+/**
+ * Intenciones que no tienen sentido sin sujeto: sin entidades ni "y" inicial, "¿Cuándo
+ * murió?" se refiere igual a la entidad de la que se venía hablando. "¿Quién murió?" o
+ * "¿Qué pasó?", en cambio, se responden solas.
+ * @type {Set<string>}
+ */
+const INTENCIONES_CON_SUJETO = new Set(['cuando', 'donde', 'como', 'porque']);
+
+/**
+ * Reescribe la pregunta anterior con las entidades de una pregunta elíptica ("¿Y Rebeca?"
+ * tras "¿Con quién se casó José Arcadio Buendía?" → "¿Con quién se casó Rebeca?"):
+ * cada mención nueva reemplaza a la primera mención anterior del mismo tipo.
+ * @param {{pregunta: string, menciones: Array<{tipo: string, texto: string}>}} anterior - Pregunta anterior.
+ * @param {Array<{tipo: string, texto: string}>} menciones - Menciones de la pregunta elíptica.
+ * @returns {string|null} Pregunta reescrita, o null si alguna mención no tiene con qué reemplazarse.
+ */
+function completarPredicado(anterior, menciones) {
+  const usadas = new Set();
+  let texto = anterior.pregunta;
+  for (const mencion of menciones) {
+    const previa = anterior.menciones.find(m => m.tipo === mencion.tipo && !usadas.has(m));
+    if (!previa) return null;
+    usadas.add(previa);
+    texto = reemplazarMencion(texto, previa.texto, mencion.texto);
+    if (!texto) return null;
+  }
+  return texto;
+}
+
+/**
+ * Pregunta que solo tiene un interrogativo ("¿Dónde?", "¿Y por qué?" sin la "y").
+ * @type {RegExp}
+ */
+const SOLO_INTERROGATIVO = /^[¿¡\s]*(d[oó]nde|cu[aá]ndo|c[oó]mo|por\s*qu[eé]|(con\s+)?qui[eé]n(es)?|qu[eé]|cu[aá]nt[oa]s)[?!.\s]*$/i;
+
+/**
+ * Repite el predicado de la pregunta anterior con otro interrogativo ("¿Y dónde?" tras
+ * "¿Quién mató a Prudencio Aguilar?" → "¿Dónde mató a Prudencio Aguilar?").
+ * @param {string} texto - Pregunta que solo tiene el interrogativo ("¿Dónde?").
+ * @param {string} anterior - Pregunta anterior.
+ * @returns {string|null} Pregunta completa, o null si la anterior no tiene predicado.
+ */
+function completarInterrogativo(texto, anterior) {
+  const { verbo, resto } = clasificarIntencion(anterior);
+  const predicado = [verbo, resto].filter(Boolean).join(' ').replace(/[?!.\s]+$/, '');
+  if (!predicado) return null;
+  return `${texto.trim().replace(/[?!.\s]+$/, '')} ${predicado}?`;
+}
+
+/**
+ * Analiza una pregunta (ver `analizarTexto`). Con el contexto de una conversación (ver
+ * correferencia.js y services/conversaciones.js), antes la reescribe para que se entienda
+ * sola:
+ * - quita la "y" inicial ("¿Y con quién se casó?"),
+ * - reemplaza pronombres: "él"/"ella" por el último personaje de ese género, "ellos" por
+ *   el último grupo de personajes, "su madre" por "la madre de" la última entidad y
+ *   "allí" por el último lugar,
+ * - con "y" inicial y solo entidades ("¿Y Rebeca?"), repite la pregunta anterior con ellas,
+ * - con "y" inicial y solo el interrogativo ("¿Y dónde?"), repite el predicado de la anterior,
+ * - si la pregunta no tiene entidades ni nada más que su verbo, y empieza con "y" o su
+ *   intención necesita un sujeto ("¿Cuándo murió?"), le agrega la última entidad.
+ * La pregunta reescrita queda en `preguntaResuelta` (null si no cambió) y a quién se
+ * refería cada pronombre en `referentes` (con `expresion: null` para la entidad agregada).
+ *
+ * @param {string} pregunta - Pregunta original.
+ * @param {import('./correferencia').ContextoConversacion|null} [contexto=null] - Contexto de la conversación.
+ * @returns {Promise<Object>} Resultado de `analizarTexto` sobre la pregunta reescrita.
+ */
+async function analizarPregunta(pregunta, contexto = null) {
+  if (!contexto) return analizarTexto(pregunta);
+
+  const { texto: sinConector, conector } = quitarConector(pregunta);
+  const personajesBD = await Personaje.find({}, 'nombre genero');
+  const generoDe = new Map(personajesBD.map(p => [p.nombre.trim(), p.genero]));
+  const { texto: resuelta, referentes } = resolverPronombres(sinConector, contexto, generoDe);
+
+  let texto = resuelta;
+  let analisis = await analizarTexto(texto);
+  const { foco, anterior } = contexto;
+  const completable = !referentes.length && !analisis.ambiguedades.length
+    && analisis.capitulo === null && !analisis.terminoExistencia && !analisis.temporal;
+
+  if (completable && conector && anterior && soloMenciones(texto, analisis.menciones)) {
+    const reescrita = completarPredicado(anterior, analisis.menciones);
+    if (reescrita) {
+      console.log(`[nlpProcessor] Elipsis: "${pregunta}" → "${reescrita}"`);
+      texto = reescrita;
+      analisis = await analizarTexto(texto);
+    }
+  } else if (completable && conector && anterior && SOLO_INTERROGATIVO.test(texto)) {
+    const reescrita = completarInterrogativo(texto, anterior.pregunta);
+    if (reescrita) {
+      console.log(`[nlpProcessor] Elipsis: "${pregunta}" → "${reescrita}"`);
+      texto = reescrita;
+      analisis = await analizarTexto(texto);
+    }
+  } else if (completable && !analisis.entidades.length && sinContenido(analisis)
+    && (conector || INTENCIONES_CON_SUJETO.has(analisis.intencion))) {
+    // El sujeto de un verbo es la última entidad que no sea un lugar; "¿Y qué pasó?" admite
+    // un lugar ("¿Qué pasó en Riohacha?") y "¿Dónde murió?" no puede completarse con uno
+    const noLugar = foco.find(e => e.tipo !== 'lugar');
+    const sujeto = analisis.intencion === 'que' ? foco[0] : noLugar || (analisis.intencion !== 'donde' && foco[0]);
+    if (sujeto) {
+      texto = completarSujeto(texto, sujeto);
+      console.log(`[nlpProcessor] Sujeto implícito: "${pregunta}" → "${texto}"`);
+      referentes.push({ expresion: null, nombre: sujeto.nombre });
+      analisis = await analizarTexto(texto);
+    }
+  }
+
+  return { ...analisis, preguntaResuelta: texto !== pregunta ? texto : null, referentes };
+}
+
+module.exports = {
+  analizarPregunta,
+  normalizar,
+  clasificarIntencion,
+  limpiarTexto,
+  lematizar,
+  contieneTermino,
+  corregirPregunta,
+  tieneModificadores
+};
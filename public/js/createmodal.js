@@ -23,130 +23,62 @@ async function createModal(entityName, postUrl) {
     title.textContent = `Crear nuevo ${entityName}`;
     form.appendChild(title);
 
-    // Campos básicos
-    // Nombre
-    const labelNombre = document.createElement('label');
-    labelNombre.textContent = 'Nombre';
-    const inputNombre = document.createElement('input');
-    inputNombre.name = 'nombre';
-    inputNombre.type = 'text';
-    inputNombre.className = 'form-control';
-    form.appendChild(labelNombre);
-    form.appendChild(inputNombre);
-
-    // Dependiendo de entityName, agrega campos adicionales
-    if (entityName === 'Personaje') {
-        // Descripción
-        const labelDesc = document.createElement('label');
-        labelDesc.textContent = 'Descripción';
-        const inputDesc = document.createElement('input');
-        inputDesc.name = 'descripcion';
-        inputDesc.type = 'text';
-        inputDesc.className = 'form-control';
-        form.appendChild(labelDesc);
-        form.appendChild(inputDesc);
-
-        // Género
-        const labelGenero = document.createElement('label');
-        labelGenero.textContent = 'Género';
-        const selectGenero = document.createElement('select');
-        selectGenero.name = 'genero';
-        selectGenero.className = 'form-control';
-        ['masculino', 'femenino', 'otro'].forEach(optVal => {
-            const opt = document.createElement('option');
-            opt.value = optVal;
-            opt.textContent = optVal.charAt(0).toUpperCase() + optVal.slice(1);
-            selectGenero.appendChild(opt);
-        });
-        form.appendChild(labelGenero);
-        form.appendChild(selectGenero);
-
-        // Destino
-        const labelDestino = document.createElement('label');
-        labelDestino.textContent = 'Destino';
-        const inputDestino = document.createElement('input');
-        inputDestino.name = 'destino';
-        inputDestino.type = 'text';
-        inputDestino.className = 'form-control';
-        form.appendChild(labelDestino);
-        form.appendChild(inputDestino);
-
-        // Generación (número o id según tu modelo; aquí asumimos número)
-        const labelGenNum = document.createElement('label');
-        labelGenNum.textContent = 'Generación';
-        const inputGenNum = document.createElement('input');
-        inputGenNum.name = 'generacion';
-        inputGenNum.type = 'number';
-        inputGenNum.className = 'form-control';
-        form.appendChild(labelGenNum);
-        form.appendChild(inputGenNum);
-
-    } else if (entityName === 'Lugar') {
-        // Descripción
-        const labelDesc = document.createElement('label');
-        labelDesc.textContent = 'Descripción';
-        const textareaDesc = document.createElement('textarea');
-        textareaDesc.name = 'descripcion';
-        textareaDesc.className = 'form-control';
-        textareaDesc.rows = 2;
-        form.appendChild(labelDesc);
-        form.appendChild(textareaDesc);
-
-    } else if (entityName === 'Evento') {
-        // Descripción
-        const labelDesc = document.createElement('label');
-        labelDesc.textContent = 'Descripción';
-        const textareaDesc = document.createElement('textarea');
-        textareaDesc.name = 'descripcion';
-        textareaDesc.className = 'form-control';
-        textareaDesc.rows = 2;
-        form.appendChild(labelDesc);
-        form.appendChild(textareaDesc);
-
-        // Select múltiples/personajes
-        await addDropdown(form, 'personajes_involucrados', '/api/personajes', true);
-
-        // Select lugar
-        await addDropdown(form, 'lugar_relacionado', '/api/lugares');
-
-        // Select generación
-        await addDropdown(form, 'generacion_relacionada', '/api/generaciones');
-
-    } else if (entityName === 'Objeto') {
-        // Descripción
-        const labelDesc = document.createElement('label');
-        labelDesc.textContent = 'Descripción';
-        const textareaDesc = document.createElement('textarea');
-        textareaDesc.name = 'descripcion';
-        textareaDesc.className = 'form-control';
-        textareaDesc.rows = 2;
-        form.appendChild(labelDesc);
-        form.appendChild(textareaDesc);
-
-        // Evento relacionado
-        await addDropdown(form, 'evento_relacionado', '/api/eventos');
-
-        // Lugar relacionado
-        await addDropdown(form, 'lugar_relacionado', '/api/lugares');
-
-        // Personaje relacionado
-        await addDropdown(form, 'personaje_relacionado', '/api/personajes');
+    // Campos: se arman desde el esquema del modelo (GET /api/esquemas/<coleccion>),
+    // con las mismas reglas que valida el servidor
+    const coleccion = postUrl.split('/').pop();
+    let campos = [];
+    try {
+        const response = await fetch(`/api/esquemas/${coleccion}`);
+        if (!response.ok) throw new Error('Error al obtener el esquema');
+        ({ campos } = await response.json());
+    } catch (err) {
+        console.error(`[ERROR] Cargando esquema de ${coleccion}`, err);
+        alert(`No se pudo cargar el formulario de ${entityName}`);
+        return;
+    }
 
-        // Generación relacionada
-        await addDropdown(form, 'generacion_relacionada', '/api/generaciones');
+    for (const campo of campos) {
+        if (campo.coleccion) {
+            // Relación con otra colección
+            await addDropdown(form, campo.campo, `/api/${campo.coleccion}`, campo.arreglo, campo.etiqueta);
+            continue;
+        }
 
-    } else if (entityName === 'Generacion') {
-        // Descripción
-        const labelDesc = document.createElement('label');
-        labelDesc.textContent = 'Descripción';
-        const textareaDesc = document.createElement('textarea');
-        textareaDesc.name = 'descripcion';
-        textareaDesc.className = 'form-control';
-        textareaDesc.rows = 2;
-        form.appendChild(labelDesc);
-        form.appendChild(textareaDesc);
-    } else {
-        // Si hubieran otros, agrega aquí
+        const label = document.createElement('label');
+        label.textContent = campo.etiqueta + (campo.obligatorio ? ' *' : '');
+        let control;
+        if (campo.valores) {
+            // Lista de valores permitidos
+            control = document.createElement('select');
+            const opciones = campo.obligatorio ? campo.valores : ['', ...campo.valores];
+            opciones.forEach(optVal => {
+                const opt = document.createElement('option');
+                opt.value = optVal;
+                opt.textContent = optVal ? optVal.charAt(0).toUpperCase() + optVal.slice(1) : '—';
+                control.appendChild(opt);
+            });
+        } else if (campo.multilinea) {
+            control = document.createElement('textarea');
+            control.rows = 2;
+        } else if (campo.tipo === 'booleano') {
+            control = document.createElement('input');
+            control.type = 'checkbox';
+        } else {
+            control = document.createElement('input');
+            control.type = campo.tipo === 'numero' ? 'number' : 'text';
+            if (campo.minimo !== undefined) control.min = campo.minimo;
+            if (campo.maximo !== undefined) control.max = campo.maximo;
+            // Listas de textos (apodos): separadas por comas
+            if (campo.arreglo) {
+                control.placeholder = 'Separados por comas';
+                control.dataset.lista = 'true';
+            }
+        }
+        control.name = campo.campo;
+        control.className = control.type === 'checkbox' ? 'form-check-input position-static ml-0' : 'form-control';
+        control.required = campo.obligatorio && control.type !== 'checkbox';
+        form.appendChild(label);
+        form.appendChild(control);
     }
 
     // Botón de submit
@@ -179,8 +111,12 @@ async function createModal(entityName, postUrl) {
             } else if (el.type === 'number') {
                 const val = el.value;
                 if (val !== '') {
-                    jsonData[el.name] = parseInt(val);
+                    jsonData[el.name] = Number(val);
                 }
+            } else if (el.type === 'checkbox') {
+                jsonData[el.name] = el.checked;
+            } else if (el.dataset.lista) {
+                jsonData[el.name] = el.value.split(',').map(v => v.trim()).filter(Boolean);
             } else {
                 // texto, textarea, select simple
                 if (el.value !== '') {
@@ -190,7 +126,7 @@ async function createModal(entityName, postUrl) {
         }
 
         try {
-            const res = await fetch(postUrl, {
+            const res = await fetchConSesion(postUrl, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(jsonData)
@@ -210,8 +146,15 @@ async function createModal(entityName, postUrl) {
                 try {
                     const errData = await res.json();
                     errMsg = errData.error || JSON.stringify(errData);
+                    // 422: un mensaje por campo inválido
+                    if (Array.isArray(errData.errores)) {
+                        const etiquetas = Object.fromEntries(campos.map(c => [c.campo, c.etiqueta]));
+                        errMsg = errData.errores
+                            .map(e => e.campo ? `${etiquetas[e.campo] || e.campo}: ${e.mensaje}` : e.mensaje)
+                            .join('\n');
+                    }
                 } catch (_) { }
-                alert(`Error al crear ${entityName}: ${errMsg}`);
+                alert(`Error al crear ${entityName}:\n${errMsg}`);
             }
         } catch (err) {
             console.error(`[ERROR] POST ${postUrl}`, err);
@@ -232,11 +175,13 @@ async function createModal(entityName, postUrl) {
 }
 
 // addDropdown: agrega un label + select a 'form'. Si multiple=true, permite multi-selección.
-// apiEndpoint debe devolver array de objetos con al menos _id y nombre (o descripcion/titulo).
-async function addDropdown(form, fieldName, apiEndpoint, multiple = false) {
+// labelText es el texto del label; si se omite se arma con fieldName.
+// apiEndpoint es un listado paginado (ver services/listados.js): se piden solo los nombres,
+// ordenados, y se leen de `resultados`.
+async function addDropdown(form, fieldName, apiEndpoint, multiple = false, labelText = null) {
     const label = document.createElement('label');
     // Capitaliza campos (_ -> espacio)
-    label.textContent = fieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    label.textContent = labelText || fieldName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
     label.className = 'mt-2';
     const select = document.createElement('select');
     select.name = fieldName;
@@ -245,9 +190,9 @@ async function addDropdown(form, fieldName, apiEndpoint, multiple = false) {
 
     // Intenta cargar opciones
     try {
-        const response = await fetch(apiEndpoint);
+        const response = await fetch(`${apiEndpoint}?fields=nombre&sort=nombre&limit=500`);
         if (!response.ok) throw new Error('Error al obtener datos');
-        const data = await response.json();
+        const { resultados: data } = await response.json();
 
         if (!Array.isArray(data) || data.length === 0) {
             const option = document.createElement('option');
@@ -19,6 +19,31 @@ document.addEventListener('DOMContentLoaded', () => {
      * Contenedor donde se mostrarán los resultados de búsqueda.
      */
     const out = document.getElementById('searchResults');
+    /**
+     * @type {HTMLElement}
+     * Panel con el historial de la conversación (preguntas y respuestas anteriores).
+     */
+    const panelConversacion = document.getElementById('conversacion');
+
+    /**
+     * Clave de sessionStorage con el identificador de la conversación de /api/preguntas.
+     * Dura lo que la pestaña: al cerrarla se empieza una conversación nueva.
+     * @type {string}
+     */
+    const CLAVE_CONVERSACION = 'conversacion';
+
+    /**
+     * Endpoint de la API para cada tipo de entidad.
+     * Corrige pluralización manualmente para evitar errores como "generacions".
+     * @type {Object.<string, string>}
+     */
+    const endpointMap = {
+        personaje: 'personajes',
+        lugar: 'lugares',
+        generacion: 'generaciones',
+        evento: 'eventos',
+        objeto: 'objetos'
+    };
 
     /**
      * Determina si una cadena debe tratarse como pregunta semántica.
@@ -41,7 +66,7 @@ document.addEventListener('DOMContentLoaded', () => {
             return true;
         }
         // 2) Si comienza con palabra interrogativa al inicio
-        if (/^(qu[eé]|cu[aá]ndo|d[oó]nde|por qu[eé]|c[oó]mo|qui[eé]n|para qu[eé]|cu[aá]les?)\b/i.test(qNorm)) {
+        if (/^(qu[eé]|cu[aá]ndo|d[oó]nde|por qu[eé]|c[oó]mo|qui[eé]n|para qu[eé]|cu[aá]les?|cu[aá]nt[oa]s?)\b/i.test(qNorm)) {
             console.log('esPregunta: detectado por palabra interrogativa al inicio:', qNorm);
             return true;
         }
@@ -56,6 +81,27 @@ document.addEventListener('DOMContentLoaded', () => {
         return false;
     }
 
+    /**
+     * Obtiene `_id` y `nombre` de varias colecciones, ordenados por nombre, para llenar
+     * <select>s. Pide todas en una sola consulta a /graphql, con el máximo de resultados
+     * permitido por la API (ver services/listados.js).
+     *
+     * @param {string[]} colecciones - Colecciones ('personajes', 'lugares'...).
+     * @returns {Promise<Array<Array<{_id: string, nombre: string}>>>} Opciones de cada
+     *   colección, en el mismo orden.
+     */
+    async function opcionesDeVarias(colecciones) {
+        const query = `{ ${colecciones.map(c => `${c}(limite: 500) { _id: id nombre }`).join(' ')} }`;
+        const res = await fetch('/graphql', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query })
+        });
+        const { data, errors } = await res.json();
+        if (errors) throw new Error(errors.map(e => e.message).join('; '));
+        return colecciones.map(c => data[c]);
+    }
+
     /**
      * Carga opciones en los selects del modal de edición:
      * - Personajes
@@ -67,11 +113,7 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     async function cargarOpcionesSelect() {
         try {
-            const [pers, lug, gen] = await Promise.all([
-                fetch('/api/personajes').then(res => res.json()),
-                fetch('/api/lugares').then(res => res.json()),
-                fetch('/api/generaciones').then(res => res.json())
-            ]);
+            const [pers, lug, gen] = await opcionesDeVarias(['personajes', 'lugares', 'generaciones']);
             const selectPersonaje = document.getElementById('editPersonaje');
             const selectLugar = document.getElementById('editLugar');
             const selectGeneracion = document.getElementById('editGeneracion');
@@ -90,6 +132,61 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Inicia una conversación en el servidor y guarda su identificador.
+     * @returns {Promise<string>} Identificador de la conversación.
+     */
+    async function nuevaConversacion() {
+        const res = await fetch('/api/preguntas/conversaciones', { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        sessionStorage.setItem(CLAVE_CONVERSACION, data.conversacion);
+        return data.conversacion;
+    }
+
+    /**
+     * Hace una pregunta dentro de la conversación actual (la inicia si no hay ninguna).
+     * Si la conversación venció, empieza otra y repite la pregunta.
+     * @param {string} q - Pregunta.
+     * @returns {Promise<Response>} Respuesta de /api/preguntas.
+     */
+    async function preguntar(q) {
+        const url = clave => `/api/preguntas?q=${encodeURIComponent(q)}&conversacion=${encodeURIComponent(clave)}`;
+        let res = await fetch(url(sessionStorage.getItem(CLAVE_CONVERSACION) || await nuevaConversacion()));
+        if (res.status === 404 && (await res.clone().json()).error === 'Conversación no encontrada') {
+            res = await fetch(url(await nuevaConversacion()));
+        }
+        return res;
+    }
+
+    /**
+     * Muestra el historial de la conversación actual: cada pregunta, cómo la entendió el
+     * servidor si dependía de las anteriores ("¿Y con quién se casó?") y su respuesta.
+     * Oculta el panel si no hay conversación o todavía no tiene preguntas.
+     * @returns {Promise<void>}
+     */
+    async function mostrarConversacion() {
+        const clave = sessionStorage.getItem(CLAVE_CONVERSACION);
+        let turnos = [];
+        if (clave) {
+            try {
+                const res = await fetch(`/api/preguntas/conversaciones/${encodeURIComponent(clave)}`);
+                if (res.status === 404) sessionStorage.removeItem(CLAVE_CONVERSACION);
+                else if (res.ok) ({ turnos } = await res.json());
+            } catch (err) {
+                console.error('Error cargando la conversación:', err);
+            }
+        }
+        panelConversacion.classList.toggle('d-none', !turnos.length);
+        document.getElementById('historialConversacion').innerHTML = turnos.map(t => `
+            <li class="conversacion-turno">
+                <p class="mb-1"><strong>${escaparHtml(t.pregunta)}</strong></p>
+                ${t.preguntaResuelta ? `<p class="small text-muted mb-1">Entendida como: ${escaparHtml(t.preguntaResuelta)}</p>` : ''}
+                <p class="mb-0">${escaparHtml(t.respuesta || '')}</p>
+            </li>
+        `).join('');
+    }
+
     /**
      * Realiza la búsqueda al pulsar botón o Enter.
      * Decide endpoint según si es pregunta semántica o búsqueda simple.
@@ -106,11 +203,8 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         out.innerHTML = '<p>Cargando resultados…</p>';
-        const endpoint = esPregunta(q)
-            ? `/api/preguntas?q=${encodeURIComponent(q)}`
-            : `/api/buscar?q=${encodeURIComponent(q)}`;
-
-        console.log('Buscar:', q, 'endpoint=', endpoint);
+        const pregunta = esPregunta(q);
+        console.log('Buscar:', q, 'endpoint=', pregunta ? '/api/preguntas' : '/api/buscar');
 
         // Timeout visual de 5s
         const timeoutId = setTimeout(() => {
@@ -120,29 +214,41 @@ document.addEventListener('DOMContentLoaded', () => {
         }, 5000);
 
         try {
-            const res = await fetch(endpoint);
+            // Las preguntas forman una conversación: se pueden referir a las anteriores
+            const res = pregunta ? await preguntar(q) : await fetch(`/api/buscar?q=${encodeURIComponent(q)}`);
             clearTimeout(timeoutId);
+            if (pregunta) await mostrarConversacion();
             if (!res.ok) {
                 const err = await res.json();
                 throw new Error(err.error);
             }
             const data = await res.json();
 
-            if (!esPregunta(q)) {
-                // Búsqueda simple
-                const keys = Object.keys(data);
-                const total = keys.reduce((sum, k) => sum + data[k].length, 0);
-                if (!total) {
-                    out.innerHTML = `<p class="text-info">No se encontraron coincidencias para “${q}”.</p>`;
+            // Si el servidor corrigió alguna palabra mal escrita, se ofrece buscar la versión corregida
+            const sugerenciaHtml = data.quisisteDecir
+                ? `<p class="text-muted">¿Quisiste decir <a href="#" class="quisiste-decir">${data.quisisteDecir}</a>?</p>`
+                : '';
+
+            if (!pregunta) {
+                // Búsqueda simple: resultados por relevancia, agrupados por tipo para mostrarlos
+                if (!data.total) {
+                    out.innerHTML = sugerenciaHtml + `<p class="text-info">No se encontraron coincidencias para “${q}”.</p>`;
                     return;
                 }
+                const grupos = {};
+                data.resultados.forEach(r => {
+                    (grupos[r.tipo] = grupos[r.tipo] || []).push({ ...r.documento, fragmentos: r.fragmentos });
+                });
+                const keys = Object.keys(grupos);
 
-                let html = `<h4 class="text-primary">Resultados para “${q}”:</h4>`;
+                let html = sugerenciaHtml + `<h4 class="text-primary">Resultados para “${q}”:</h4>`;
+                if (data.total > data.resultados.length) {
+                    html += `<p class="text-muted">Mostrando ${data.resultados.length} de ${data.total} resultados.</p>`;
+                }
 
                 keys.forEach(key => {
-                    if (!data[key].length) return;
                     html += `<h5 class="mt-3 text-secondary">${key.charAt(0).toUpperCase() + key.slice(1)}:</h5>`;
-                    data[key].forEach(item => {
+                    grupos[key].forEach(item => {
                         let extra = '';
                         let editDataAttrs = '';
 
@@ -244,8 +350,12 @@ document.addEventListener('DOMContentLoaded', () => {
                             <div class="card mb-2">
                                 <div class="card-body">
                                     <h5 class="card-title">${item.nombre || ''}</h5>
+                                    ${item.fragmentos
+                                        .filter(f => f.campo !== 'nombre')
+                                        .map(f => `<p class="small text-muted mb-1">${f.texto}</p>`).join('')}
                                     ${extra}
-                                    <button class="btn btn-sm btn-outline-primary editar-simple-btn" ${editDataAttrs}>Editar</button>
+                                    <button class="btn btn-sm btn-outline-primary editar-simple-btn" data-requiere="editor" ${editDataAttrs}>Editar</button>
+                                    <button class="btn btn-sm btn-outline-danger ml-1 eliminar-btn" data-requiere="admin" ${editDataAttrs}>Eliminar</button>
                                 </div>
                             </div>
                         `;
@@ -257,19 +367,63 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.querySelectorAll('.editar-simple-btn').forEach(btn => {
                     btn.addEventListener('click', () => abrirModalEdicionSimple(btn.dataset));
                 });
+                asignarBotonesEliminar();
             } else {
-                // Pregunta o capítulo: resultados de eventos
-                const { capitulo, resultados } = data;
+                // Pregunta o capítulo: resultados de eventos, o de personajes/lugares según la intención
+                const { capitulo, resultados, respuesta, tipoResultados } = data;
+                if (data.ambigua) {
+                    // La pregunta menciona a alguien que puede ser varias entidades: se muestran los candidatos
+                    const candidatosHtml = data.ambiguedades
+                        .flatMap(a => a.candidatos)
+                        .map(c => `<span class="badge badge-secondary mr-1">${c.nombre}</span>`).join('');
+                    out.innerHTML = sugerenciaHtml
+                        + `<div class="alert alert-warning"><p class="mb-1">${respuesta.texto}</p>${candidatosHtml}</div>`;
+                    return;
+                }
+                if (!resultados.length && respuesta?.confianza) {
+                    out.innerHTML = sugerenciaHtml + `<div class="alert alert-info">${respuesta.texto}</div>`;
+                    return;
+                }
                 if (!resultados.length) {
-                    out.innerHTML = capitulo === 'todos'
+                    out.innerHTML = sugerenciaHtml + (capitulo === 'todos'
                         ? `<p class="text-info">No se encontraron eventos para “${q}”.</p>`
-                        : `<p class="text-info">No se encontraron eventos en el capítulo ${capitulo}.</p>`;
+                        : `<p class="text-info">No se encontraron eventos en el capítulo ${capitulo}.</p>`);
                     return;
                 }
                 const header = capitulo === 'todos'
                     ? `<h4 class="text-primary">Resultados para “${q}”:</h4>`
                     : `<h4 class="text-primary">Eventos en capítulo ${capitulo}:</h4>`;
 
+                // Respuesta redactada por el servidor, con su confianza
+                const respuestaHtml = respuesta
+                    ? `
+                        <div class="alert alert-info">
+                            <p class="mb-1">${respuesta.texto}</p>
+                            <small>Confianza: ${Math.round(respuesta.confianza * 100)}%</small>
+                        </div>
+                    `
+                    : '';
+
+                if (tipoResultados === 'personajes' || tipoResultados === 'lugares') {
+                    const tipo = tipoResultados === 'personajes' ? 'personaje' : 'lugar';
+                    const entidadesHtml = resultados.map(item => `
+                        <div class="card mb-2">
+                            <div class="card-body">
+                                <h5 class="card-title">${item.nombre}</h5>
+                                ${item.destino ? `<p><strong>Destino:</strong> ${item.destino}</p>` : ''}
+                                ${item.descripcion ? `<p><strong>Descripción:</strong> ${item.descripcion}</p>` : ''}
+                                ${item.puntaje !== undefined ? `<p><strong>Coincidencias:</strong> ${item.puntaje}</p>` : ''}
+                                <button class="btn btn-sm btn-outline-danger eliminar-btn" data-requiere="admin" data-tipo="${tipo}" data-id="${item._id}" data-nombre="${item.nombre}">Eliminar</button>
+                            </div>
+                        </div>
+                    `).join('');
+                    out.innerHTML = sugerenciaHtml + respuestaHtml
+                        + `<h4 class="text-primary">${tipoResultados.charAt(0).toUpperCase() + tipoResultados.slice(1)} para “${q}”:</h4>`
+                        + entidadesHtml;
+                    asignarBotonesEliminar();
+                    return;
+                }
+
                 const itemsHtml = resultados.map(ev => {
                     const personajes = (ev.personajes_involucrados || [])
                         .map(p => `<span class="badge badge-secondary mr-1">${p.nombre}</span>`).join('');
@@ -287,12 +441,13 @@ document.addEventListener('DOMContentLoaded', () => {
                                 ${personajes ? `<p><strong>Personajes:</strong> ${personajes}</p>` : ''}
                                 ${lugar}
                                 ${generacion}
-                                <button class="btn btn-sm btn-outline-primary editar-btn" data-id="${ev._id}">Editar</button>
+                                <button class="btn btn-sm btn-outline-primary editar-btn" data-requiere="editor" data-id="${ev._id}">Editar</button>
+                                <button class="btn btn-sm btn-outline-danger ml-1 eliminar-btn" data-requiere="admin" data-tipo="evento" data-id="${ev._id}" data-nombre="${ev.nombre}">Eliminar</button>
                             </div>
                         </div>
                     `;
                 }).join('');
-                out.innerHTML = header + itemsHtml;
+                out.innerHTML = sugerenciaHtml + respuestaHtml + header + itemsHtml;
                 document.querySelectorAll('.editar-btn').forEach(btnEd => {
                     btnEd.addEventListener('click', async () => {
                         const id = btnEd.getAttribute('data-id');
@@ -304,8 +459,10 @@ document.addEventListener('DOMContentLoaded', () => {
                             cardBody.querySelector('.card-text').textContent.trim();
                         await cargarOpcionesSelect();
                         $('#editModal').modal('show');
+                        mostrarHistorial('evento', id, document.getElementById('editHistorial'));
                     });
                 });
+                asignarBotonesEliminar();
             }
         } catch (e) {
             clearTimeout(timeoutId);
@@ -314,6 +471,62 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Asocia el listener de eliminación a todos los botones '.eliminar-btn' de los resultados.
+     */
+    function asignarBotonesEliminar() {
+        document.querySelectorAll('.eliminar-btn').forEach(btnDel => {
+            btnDel.addEventListener('click', () => eliminarEntidad(btnDel.dataset));
+        });
+    }
+
+    /**
+     * Elimina una entidad previa confirmación.
+     * Primero consulta `DELETE ?dryRun=true` para mostrar qué referencias se limpiarán,
+     * y solo si el usuario confirma realiza la eliminación real y refresca los resultados.
+     *
+     * @param {DOMStringMap} dataset - Atributos data-* del botón (tipo, id, nombre).
+     * @returns {Promise<void>}
+     */
+    async function eliminarEntidad(dataset) {
+        const { tipo, id, nombre } = dataset;
+        const endpoint = endpointMap[tipo];
+        if (!endpoint) {
+            alert('Tipo de entidad desconocido');
+            return;
+        }
+
+        try {
+            const resPrevia = await fetchConSesion(`/api/${endpoint}/${id}?dryRun=true`, { method: 'DELETE' });
+            if (!resPrevia.ok) {
+                const err = await resPrevia.json();
+                throw new Error(err.error || 'Error al consultar referencias');
+            }
+            const { referencias } = await resPrevia.json();
+
+            let mensaje = `¿Eliminar ${tipo} “${nombre}”?`;
+            if (referencias.length) {
+                mensaje += '\n\nSe limpiarán estas referencias:';
+                referencias.forEach(r => {
+                    const nombres = r.documentos.map(d => d.nombre || `capítulo ${d.numero}`).join(', ');
+                    mensaje += `\n- ${r.coleccion}.${r.campo}: ${nombres}`;
+                });
+            }
+            if (!confirm(mensaje)) return;
+
+            const res = await fetchConSesion(`/api/${endpoint}/${id}`, { method: 'DELETE' });
+            if (!res.ok) {
+                const err = await res.json();
+                throw new Error(err.error || 'Error al eliminar');
+            }
+            alert(`${tipo.charAt(0).toUpperCase() + tipo.slice(1)} eliminado correctamente.`);
+            buscar();
+        } catch (err) {
+            console.error(err);
+            alert('Error al eliminar: ' + (err.message || ''));
+        }
+    }
+
     /**
      * Listener del formulario de edición de eventos (modal fijo en tu HTML).
      * Se asocia si existe el elemento con id 'editForm'.
@@ -331,7 +544,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 generacion_relacionada: document.getElementById('editGeneracion').value
             };
             try {
-                const res = await fetch(`/api/eventos/${id}`, {
+                const res = await fetchConSesion(`/api/eventos/${id}`, {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(body)
@@ -358,6 +571,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const { tipo, id, nombre, descripcion } = dataset;
         document.getElementById('simpleEditTipo').value = tipo;
         document.getElementById('simpleEditId').value = id;
+        mostrarHistorial(tipo, id, document.getElementById('simpleEditHistorial'));
 
         let html = `
             <div class="form-group">
@@ -477,6 +691,103 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Escapa un texto para insertarlo como HTML.
+     * @param {string} texto - Texto original.
+     * @returns {string} Texto escapado.
+     */
+    function escaparHtml(texto) {
+        return String(texto).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    /**
+     * Muestra un valor del historial: vacío como "—", listas separadas por comas
+     * y textos largos recortados.
+     * @param {*} valor - Valor de un campo.
+     * @returns {string} HTML escapado.
+     */
+    function valorHistorial(valor) {
+        if (valor === null || valor === undefined || (Array.isArray(valor) && !valor.length)) return '—';
+        const texto = Array.isArray(valor) ? valor.join(', ') : String(valor);
+        return escaparHtml(texto.length > 80 ? texto.slice(0, 80) + '…' : texto);
+    }
+
+    /**
+     * Carga el historial de una entidad (GET /api/{endpoint}/{id}/historial) en un
+     * contenedor de los modales de edición. Cada revisión muestra autor, fecha y campos
+     * cambiados, con un botón para revertirla (devolver la entidad a como estaba antes).
+     *
+     * @param {string} tipo - Tipo de entidad (clave de endpointMap).
+     * @param {string} id - ID de la entidad.
+     * @param {HTMLElement} contenedor - Elemento donde se dibuja el historial.
+     * @returns {Promise<void>}
+     */
+    async function mostrarHistorial(tipo, id, contenedor) {
+        const endpoint = endpointMap[tipo];
+        if (!contenedor || !endpoint) return;
+        contenedor.innerHTML = '<h6>Historial</h6><p class="small text-muted">Cargando…</p>';
+
+        try {
+            const res = await fetch(`/api/${endpoint}/${id}/historial?limit=20`);
+            if (!res.ok) throw new Error('Error al obtener el historial');
+            const { resultados, total } = await res.json();
+
+            const acciones = { crear: 'creó', actualizar: 'modificó', eliminar: 'eliminó' };
+            const items = resultados.map(r => `
+                <li class="mb-2">
+                    <div class="small">
+                        <strong>${escaparHtml(r.usuario?.nombre || 'desconocido')}</strong>
+                        ${acciones[r.accion]}${r.revierte ? ' (reversión)' : ''}
+                        · ${new Date(r.fecha).toLocaleString()}
+                        <button type="button" class="btn btn-link btn-sm p-0 ml-1 revertir-btn"
+                            data-requiere="${r.accion === 'crear' ? 'admin' : 'editor'}" data-revision="${r._id}">Revertir</button>
+                    </div>
+                    <ul class="small text-muted pl-3 mb-0">
+                        ${r.cambios.map(c => `<li>${escaparHtml(c.campo)}: ${valorHistorial(c.antes)} → ${valorHistorial(c.despues)}</li>`).join('')}
+                    </ul>
+                </li>
+            `).join('');
+
+            contenedor.innerHTML = `<h6>Historial</h6>`
+                + (items ? `<ul class="list-unstyled mb-0">${items}</ul>` : '<p class="small text-muted">Sin cambios registrados.</p>')
+                + (total > resultados.length ? `<p class="small text-muted">Mostrando ${resultados.length} de ${total}.</p>` : '');
+
+            contenedor.querySelectorAll('.revertir-btn').forEach(btnRev => {
+                btnRev.addEventListener('click', () => revertirRevision(tipo, id, btnRev.dataset.revision));
+            });
+        } catch (err) {
+            console.error(err);
+            contenedor.innerHTML = `<h6>Historial</h6><p class="small text-danger">${escaparHtml(err.message)}</p>`;
+        }
+    }
+
+    /**
+     * Revierte una revisión previa confirmación, cierra el modal y refresca los resultados.
+     *
+     * @param {string} tipo - Tipo de entidad.
+     * @param {string} id - ID de la entidad.
+     * @param {string} revision - ID de la revisión a revertir.
+     * @returns {Promise<void>}
+     */
+    async function revertirRevision(tipo, id, revision) {
+        if (!confirm('¿Devolver este elemento a como estaba antes de este cambio? Se deshacen también los cambios posteriores.')) return;
+        try {
+            const res = await fetchConSesion(`/api/${endpointMap[tipo]}/${id}/historial/${revision}/revertir`, { method: 'POST' });
+            const data = await res.json();
+            if (!res.ok) {
+                const detalle = (data.errores || []).map(e => `\n- ${e.campo}: ${e.mensaje}`).join('');
+                throw new Error((data.error || 'Error al revertir') + detalle);
+            }
+            alert('Cambio revertido.');
+            // El formulario abierto tiene los valores anteriores: se cierra para no pisar la reversión
+            $('.modal').modal('hide');
+            buscar();
+        } catch (err) {
+            console.error(err);
+            alert(err.message);
+        }
+    }
+
     /**
      * Carga opciones en selects del modal de edición simple para 'evento' u 'objeto'.
      * - Si tipo='evento', llena selects de personajes, lugares y generaciones,
@@ -492,12 +803,7 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     async function cargarOpcionesSelectSimple(tipo, datosActuales) {
         try {
-            const [persList, lugList, genList, eventosList] = await Promise.all([
-                fetch('/api/personajes').then(r => r.json()),
-                fetch('/api/lugares').then(r => r.json()),
-                fetch('/api/generaciones').then(r => r.json()),
-                fetch('/api/eventos').then(r => r.json()),
-            ]);
+            const [persList, lugList, genList, eventosList] = await opcionesDeVarias(['personajes', 'lugares', 'generaciones', 'eventos']);
 
             if (tipo === 'evento') {
                 const selectP = document.getElementById('editPersonajesSimple');
@@ -571,19 +877,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 body.generacion_relacionada = document.getElementById('editGeneracionSimple').value;
             }
             try {
-                // Corrige pluralización manualmente para evitar errores como "generacions"
-                const endpointMap = {
-                    personaje: 'personajes',
-                    lugar: 'lugares',
-                    generacion: 'generaciones',
-                    evento: 'eventos',
-                    objeto: 'objetos'
-                };
-
                 const endpoint = endpointMap[tipo];
                 if (!endpoint) throw new Error('Tipo de entidad desconocido');
 
-                const res = await fetch(`/api/${endpoint}/${id}`, {
+                const res = await fetchConSesion(`/api/${endpoint}/${id}`, {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(body)
@@ -604,11 +901,100 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    /**
+     * Muestra la línea de tiempo (GET /api/linea-tiempo) en el contenedor de resultados,
+     * con controles para cambiar el orden y filtrar por personaje o generación.
+     * Cada evento indica su momento en la historia (años desde la fundación o año) y el
+     * capítulo donde se cuenta; las retrospectivas y las fechas estimadas se marcan aparte.
+     *
+     * @param {{orden?: string, personaje?: string, generacion?: string}} [filtros] - Filtros elegidos.
+     * @returns {Promise<void>}
+     */
+    async function mostrarLineaTiempo(filtros = {}) {
+        const { orden = 'cronologico', personaje = '', generacion = '' } = filtros;
+        out.innerHTML = '<p class="text-info">Cargando línea de tiempo…</p>';
+
+        try {
+            const params = new URLSearchParams({ orden });
+            if (personaje) params.set('personaje', personaje);
+            if (generacion) params.set('generacion', generacion);
+            const [res, [pers, gen]] = await Promise.all([
+                fetch(`/api/linea-tiempo?${params}`),
+                opcionesDeVarias(['personajes', 'generaciones'])
+            ]);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Error al obtener la línea de tiempo');
+
+            const opciones = (lista, elegido, vacio) => `<option value="">${vacio}</option>`
+                + lista.map(o => `<option value="${o._id}" ${o._id === elegido ? 'selected' : ''}>${escaparHtml(o.nombre)}</option>`).join('');
+            const momento = e => {
+                if (e.momento === null) return 'Sin fecha';
+                const texto = data.escala === 'anio' ? `Año ${e.momento}`
+                    : e.momento < 0 ? `${-e.momento} años antes de la fundación`
+                    : `Año ${e.momento} de Macondo`;
+                return e.estimado ? `${texto} (aprox.)` : texto;
+            };
+
+            const items = data.eventos.map(e => `
+                <li class="linea-tiempo-evento ${e.retrospectiva ? 'retrospectiva' : ''}">
+                    <div class="small text-muted">
+                        ${escaparHtml(momento(e))}
+                        · ${e.capitulo !== null ? `Capítulo ${e.capitulo}` : 'Sin capítulo'}
+                        ${e.retrospectiva ? '<span class="badge badge-warning ml-1">Retrospectiva</span>' : ''}
+                    </div>
+                    <strong>${escaparHtml(e.nombre)}</strong>
+                    <p class="mb-1">${escaparHtml(e.descripcion)}</p>
+                    <div>${(e.personajes_involucrados || []).map(p => `<span class="badge badge-info mr-1">${escaparHtml(p.nombre)}</span>`).join('')}</div>
+                </li>
+            `).join('');
+
+            out.innerHTML = `
+                <h4 class="mb-3">Línea de tiempo</h4>
+                <form id="lineaTiempoFiltros" class="form-inline mb-3">
+                    <select name="orden" class="form-control form-control-sm mr-2 mb-2">
+                        <option value="cronologico" ${orden === 'cronologico' ? 'selected' : ''}>Orden de la historia</option>
+                        <option value="narrativo" ${orden === 'narrativo' ? 'selected' : ''}>Orden de la novela</option>
+                    </select>
+                    <select name="personaje" class="form-control form-control-sm mr-2 mb-2">${opciones(pers, personaje, 'Todos los personajes')}</select>
+                    <select name="generacion" class="form-control form-control-sm mb-2">${opciones(gen, generacion, 'Todas las generaciones')}</select>
+                </form>
+                ${items ? `<ol class="linea-tiempo">${items}</ol>` : '<p class="text-muted">No hay eventos con esos filtros.</p>'}
+            `;
+
+            const form = document.getElementById('lineaTiempoFiltros');
+            form.addEventListener('change', () => mostrarLineaTiempo({
+                orden: form.elements.orden.value,
+                personaje: form.elements.personaje.value,
+                generacion: form.elements.generacion.value
+            }));
+        } catch (err) {
+            console.error(err);
+            out.innerHTML = `<p class="text-danger">${escaparHtml(err.message)}</p>`;
+        }
+    }
+
     /**
      * Asigna listeners para disparar la búsqueda:
      * - Click en botón 'searchBtn'
      * - Tecla Enter en input de búsqueda
+     * - Click en la sugerencia "¿Quisiste decir…?" (busca el texto corregido)
+     * el botón 'lineaTiempoBtn', que muestra la línea de tiempo en lugar de los resultados,
+     * y 'nuevaConversacionBtn', que olvida las preguntas anteriores. Al cargar la página se
+     * muestra la conversación en curso, si la hay.
      */
     btn.addEventListener('click', buscar);
+    document.getElementById('lineaTiempoBtn').addEventListener('click', () => mostrarLineaTiempo());
     input.addEventListener('keydown', e => { if (e.key === 'Enter') buscar(); });
+    out.addEventListener('click', e => {
+        const sugerencia = e.target.closest('.quisiste-decir');
+        if (!sugerencia) return;
+        e.preventDefault();
+        input.value = sugerencia.textContent;
+        buscar();
+    });
+    document.getElementById('nuevaConversacionBtn').addEventListener('click', () => {
+        sessionStorage.removeItem(CLAVE_CONVERSACION);
+        mostrarConversacion();
+    });
+    mostrarConversacion();
 });
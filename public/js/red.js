@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Página de la red de personajes (red.html): dibuja GET /api/red/personajes
+ * como grafo de fuerzas con d3. El grosor de cada arista es la cantidad de eventos que
+ * comparten los dos personajes; el radio del nodo, su intermediación, y el color, su
+ * comunidad. Al hacer clic en un nodo se listan los eventos de ese personaje.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('redFiltros');
+    const resumen = document.getElementById('redResumen');
+    const detalle = document.getElementById('redDetalle');
+    const svg = d3.select('#redGrafo');
+    const color = d3.scaleOrdinal(d3.schemeTableau10);
+
+    /** @type {d3.Simulation|null} Simulación activa (se detiene al redibujar). */
+    let simulacion = null;
+
+    /**
+     * Escapa un texto para insertarlo como HTML.
+     * @param {*} texto - Texto a escapar.
+     * @returns {string}
+     */
+    function escaparHtml(texto) {
+        return String(texto).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    /**
+     * Filtros elegidos en el formulario, como query string.
+     * @returns {URLSearchParams}
+     */
+    function filtros() {
+        const params = new URLSearchParams();
+        if (form.elements.capitulo.value) params.set('capitulo', form.elements.capitulo.value);
+        if (form.elements.generacion.value) params.set('generacion', form.elements.generacion.value);
+        return params;
+    }
+
+    /**
+     * Llena los selects de capítulos y generaciones.
+     * @returns {Promise<void>}
+     */
+    async function cargarFiltros() {
+        try {
+            const [caps, gens] = await Promise.all([
+                fetch('/api/capitulos?fields=numero,titulo&sort=numero&limit=500').then(r => r.json()),
+                fetch('/api/generaciones?fields=nombre&sort=nombre&limit=500').then(r => r.json())
+            ]);
+            form.elements.capitulo.insertAdjacentHTML('beforeend', caps.resultados.map(c =>
+                `<option value="${c.numero}">Capítulo ${c.numero}: ${escaparHtml(c.titulo)}</option>`).join(''));
+            form.elements.generacion.insertAdjacentHTML('beforeend', gens.resultados.map(g =>
+                `<option value="${g._id}">${escaparHtml(g.nombre)}</option>`).join(''));
+        } catch (err) {
+            console.error('Error cargando filtros de la red:', err);
+        }
+    }
+
+    /**
+     * Pide la red con los filtros actuales y la dibuja.
+     * @returns {Promise<void>}
+     */
+    async function cargarRed() {
+        resumen.textContent = 'Cargando…';
+        try {
+            const res = await fetch(`/api/red/personajes?${filtros()}`);
+            const red = await res.json();
+            if (!res.ok) throw new Error(red.error || 'Error al obtener la red');
+            resumen.textContent = `${red.nodos.length} personajes · ${red.aristas.length} relaciones · `
+                + `${red.eventos} eventos · ${red.comunidades} comunidades (modularidad ${red.modularidad.toFixed(2)})`;
+            dibujar(red);
+        } catch (err) {
+            console.error(err);
+            resumen.textContent = err.message;
+        }
+    }
+
+    /**
+     * Dibuja el grafo de fuerzas. Los nodos se pueden arrastrar.
+     * @param {{nodos: Array<Object>, aristas: Array<Object>}} red - Respuesta de la API.
+     */
+    function dibujar(red) {
+        if (simulacion) simulacion.stop();
+        svg.selectAll('*').remove();
+
+        const { width, height } = svg.node().getBoundingClientRect();
+        const nodos = red.nodos.map(n => ({ ...n, id: n._id }));
+        const aristas = red.aristas.map(a => ({ ...a, source: a.origen, target: a.destino }));
+        const radio = d3.scaleSqrt().domain([0, d3.max(nodos, n => n.intermediacion) || 1]).range([6, 22]);
+
+        simulacion = d3.forceSimulation(nodos)
+            .force('enlace', d3.forceLink(aristas).id(n => n.id).distance(a => 120 / Math.sqrt(a.peso)))
+            .force('carga', d3.forceManyBody().strength(-250))
+            .force('centro', d3.forceCenter(width / 2, height / 2))
+            .force('colision', d3.forceCollide().radius(n => radio(n.intermediacion) + 4));
+
+        const lineas = svg.append('g').attr('class', 'red-aristas')
+            .selectAll('line').data(aristas).join('line')
+            .attr('stroke-width', a => Math.sqrt(a.peso) * 1.5);
+        lineas.append('title').text(a => `${a.peso} eventos en común`);
+
+        const grupos = svg.append('g')
+            .selectAll('g').data(nodos).join('g')
+            .attr('class', 'red-nodo')
+            .on('click', (evento, n) => mostrarPersonaje(n))
+            .call(d3.drag()
+                .on('start', (evento, n) => {
+                    if (!evento.active) simulacion.alphaTarget(0.3).restart();
+                    n.fx = n.x;
+                    n.fy = n.y;
+                })
+                .on('drag', (evento, n) => {
+                    n.fx = evento.x;
+                    n.fy = evento.y;
+                })
+                .on('end', (evento, n) => {
+                    if (!evento.active) simulacion.alphaTarget(0);
+                    n.fx = null;
+                    n.fy = null;
+                }));
+        grupos.append('circle')
+            .attr('r', n => radio(n.intermediacion))
+            .attr('fill', n => color(n.comunidad));
+        grupos.append('text')
+            .attr('dx', n => radio(n.intermediacion) + 3)
+            .attr('dy', '0.35em')
+            .text(n => n.nombre);
+
+        simulacion.on('tick', () => {
+            lineas
+                .attr('x1', a => a.source.x).attr('y1', a => a.source.y)
+                .attr('x2', a => a.target.x).attr('y2', a => a.target.y);
+            grupos.attr('transform', n => `translate(${n.x},${n.y})`);
+        });
+    }
+
+    /**
+     * Muestra las métricas de un personaje y sus eventos (con los mismos filtros de la red).
+     * @param {Object} nodo - Nodo de la red.
+     * @returns {Promise<void>}
+     */
+    async function mostrarPersonaje(nodo) {
+        const metricas = `
+            <h5 class="card-title">${escaparHtml(nodo.nombre)}</h5>
+            <p class="small text-muted">
+                Grado ${nodo.grado} (${nodo.gradoPonderado} con pesos) ·
+                intermediación ${nodo.intermediacion.toFixed(3)} ·
+                <span style="color:${color(nodo.comunidad)}">comunidad ${nodo.comunidad + 1}</span>
+            </p>`;
+        detalle.innerHTML = metricas + '<p class="small text-muted">Cargando eventos…</p>';
+
+        try {
+            const params = filtros();
+            params.set('personaje', nodo._id);
+            const res = await fetch(`/api/eventos?${params}&fields=nombre,descripcion&limit=500`);
+            const { resultados } = await res.json();
+            detalle.innerHTML = metricas + `<ul class="list-unstyled mb-0">${resultados.map(e => `
+                <li class="mb-2"><strong>${escaparHtml(e.nombre)}</strong>
+                    <div class="small">${escaparHtml(e.descripcion)}</div></li>`).join('')}</ul>`;
+        } catch (err) {
+            console.error(err);
+            detalle.innerHTML = metricas + `<p class="small text-danger">No se pudieron cargar los eventos.</p>`;
+        }
+    }
+
+    form.addEventListener('change', cargarRed);
+    cargarFiltros();
+    cargarRed();
+});
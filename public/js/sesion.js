@@ -0,0 +1,158 @@
+// Sesión del usuario: login, registro, logout y fetch con el token.
+// Guarda { token, usuario } en localStorage y refleja el rol en <body data-rol="...">:
+// el CSS oculta los controles marcados con data-requiere="editor" o data-requiere="admin"
+// a quien no tiene ese rol (ver custom.css). El servidor valida igual cada escritura.
+
+const SESION_STORAGE = 'macondo.sesion';
+
+// Devuelve la sesión guardada ({ token, usuario }) o null.
+function sesionActual() {
+    try {
+        return JSON.parse(localStorage.getItem(SESION_STORAGE));
+    } catch (_) {
+        return null;
+    }
+}
+
+// Guarda (o borra, con null) la sesión y actualiza la interfaz.
+function guardarSesion(sesion) {
+    if (sesion) localStorage.setItem(SESION_STORAGE, JSON.stringify(sesion));
+    else localStorage.removeItem(SESION_STORAGE);
+    aplicarSesion();
+}
+
+// fetch que agrega "Authorization: Bearer <token>". Si el servidor responde 401
+// la sesión venció: se borra para que la interfaz vuelva a modo lectura.
+async function fetchConSesion(url, opciones = {}) {
+    const sesion = sesionActual();
+    const headers = { ...(opciones.headers || {}) };
+    if (sesion) headers.Authorization = `Bearer ${sesion.token}`;
+    const res = await fetch(url, { ...opciones, headers });
+    if (res.status === 401 && sesion) guardarSesion(null);
+    return res;
+}
+
+// Refleja la sesión en el body y en el item de la barra de navegación.
+function aplicarSesion() {
+    const sesion = sesionActual();
+    document.body.dataset.rol = sesion ? sesion.usuario.rol : '';
+
+    const nav = document.getElementById('sesionNav');
+    if (!nav) return;
+    nav.innerHTML = '';
+    const boton = document.createElement('button');
+    boton.className = 'btn btn-outline-secondary btn-block';
+    if (sesion) {
+        boton.textContent = `Salir (${sesion.usuario.nombre}, ${sesion.usuario.rol})`;
+        boton.addEventListener('click', cerrarSesionActual);
+    } else {
+        boton.textContent = 'Ingresar';
+        boton.addEventListener('click', abrirLogin);
+    }
+    nav.appendChild(boton);
+}
+
+async function cerrarSesionActual() {
+    try {
+        await fetchConSesion('/api/auth/logout', { method: 'POST' });
+    } catch (err) {
+        console.error('[ERROR] POST /api/auth/logout', err);
+    }
+    guardarSesion(null);
+}
+
+// Modal de ingreso, con las mismas clases que createModal.
+function abrirLogin() {
+    const backdrop = document.createElement('div');
+    backdrop.className = 'custom-modal-backdrop';
+    const container = document.createElement('div');
+    container.className = 'custom-modal-content';
+
+    const form = document.createElement('form');
+    form.style = `
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+    `;
+    const title = document.createElement('h2');
+    title.textContent = 'Ingresar';
+    form.appendChild(title);
+
+    for (const [name, texto, type] of [['nombre', 'Usuario', 'text'], ['clave', 'Clave', 'password']]) {
+        const label = document.createElement('label');
+        label.textContent = texto;
+        const input = document.createElement('input');
+        input.name = name;
+        input.type = type;
+        input.required = true;
+        input.className = 'form-control';
+        form.appendChild(label);
+        form.appendChild(input);
+    }
+
+    const cerrar = () => document.body.removeChild(backdrop);
+
+    // Ingresar (submit) o registrarse: ambos devuelven { usuario, token }
+    const enviar = async (ruta) => {
+        if (!form.reportValidity()) return;
+        try {
+            const res = await fetch(ruta, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ nombre: form.elements.nombre.value, clave: form.elements.clave.value })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Error desconocido');
+            guardarSesion({ token: data.token, usuario: data.usuario });
+            cerrar();
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const ingresarBtn = document.createElement('button');
+    ingresarBtn.type = 'submit';
+    ingresarBtn.textContent = 'Ingresar';
+    ingresarBtn.className = 'btn btn-primary mt-2';
+    form.appendChild(ingresarBtn);
+
+    const registroBtn = document.createElement('button');
+    registroBtn.type = 'button';
+    registroBtn.textContent = 'Crear cuenta';
+    registroBtn.className = 'btn btn-outline-primary mt-2';
+    registroBtn.addEventListener('click', () => enviar('/api/auth/registro'));
+    form.appendChild(registroBtn);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.textContent = 'Cancelar';
+    closeBtn.className = 'btn btn-secondary mt-2';
+    closeBtn.addEventListener('click', cerrar);
+    form.appendChild(closeBtn);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        enviar('/api/auth/login');
+    });
+    backdrop.addEventListener('click', (e) => {
+        if (e.target === backdrop) cerrar();
+    });
+
+    container.appendChild(form);
+    backdrop.appendChild(container);
+    document.body.appendChild(backdrop);
+    form.elements.nombre.focus();
+}
+
+// Al cargar: muestra la sesión guardada y confirma con el servidor que sigue vigente
+// (y que el rol no cambió).
+document.addEventListener('DOMContentLoaded', async () => {
+    aplicarSesion();
+    if (!sesionActual()) return;
+    try {
+        const res = await fetchConSesion('/api/auth/yo');
+        if (res.ok) guardarSesion({ ...sesionActual(), usuario: await res.json() });
+    } catch (err) {
+        console.error('[ERROR] GET /api/auth/yo', err);
+    }
+});
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Rutas de API para cuentas y sesiones.
+ * Permite registrarse, iniciar y cerrar sesión y consultar el usuario actual.
+ * Ver services/autenticacion.js para los roles y cómo se envía el token.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Usuario = require('../models/model_usuarios');
+const {
+    hashearClave, verificarClave, iniciarSesion, cerrarSesion, tokenDe, publico, LARGO_MIN_CLAVE
+} = require('../services/autenticacion');
+
+/**
+ * Lee y valida `nombre` y `clave` del cuerpo.
+ * @param {Object} cuerpo - `req.body`.
+ * @returns {{nombre: string, clave: string}|{error: string}} Credenciales o el mensaje de error.
+ */
+function credenciales(cuerpo) {
+    const { nombre, clave } = cuerpo || {};
+    if (typeof nombre !== 'string' || !nombre.trim() || typeof clave !== 'string' || !clave) {
+        return { error: 'Faltan "nombre" y "clave"' };
+    }
+    return { nombre: nombre.trim(), clave };
+}
+
+/**
+ * POST /api/auth/registro
+ *
+ * Crea una cuenta con rol lector e inicia su sesión. Los demás roles los asigna un
+ * admin; el primero se crea al arrancar (ver `asegurarAdmin`).
+ *
+ * @route POST /api/auth/registro
+ * @body {string} nombre - Nombre de usuario (único)
+ * @body {string} clave - Contraseña (mínimo 8 caracteres)
+ * @returns {{usuario: {_id, nombre, rol}, token: string, expira: Date}} Cuenta creada y su sesión
+ */
+router.post('/registro', async (req, res) => {
+    const datos = credenciales(req.body);
+    if (datos.error) return res.status(400).json({ error: datos.error });
+    if (datos.clave.length < LARGO_MIN_CLAVE) {
+        return res.status(400).json({ error: `La clave debe tener al menos ${LARGO_MIN_CLAVE} caracteres` });
+    }
+
+    try {
+        if (await Usuario.exists({ nombre: datos.nombre })) {
+            return res.status(409).json({ error: `Ya existe el usuario ${datos.nombre}` });
+        }
+        const usuario = await Usuario.create({
+            nombre: datos.nombre,
+            claveHash: await hashearClave(datos.clave),
+            rol: 'lector'
+        });
+        console.log(`[AUTH] Usuario registrado: ${usuario.nombre} (${usuario.rol})`);
+        res.status(201).json({ usuario: publico(usuario), ...(await iniciarSesion(usuario)) });
+    } catch (err) {
+        // Dos registros simultáneos con el mismo nombre: lo resuelve el índice único
+        if (err.code === 11000) return res.status(409).json({ error: `Ya existe el usuario ${datos.nombre}` });
+        console.error('[ERROR] POST /api/auth/registro', err);
+        res.status(500).json({ error: 'Error al registrar el usuario.' });
+    }
+});
+
+/**
+ * POST /api/auth/login
+ *
+ * Inicia una sesión. El token devuelto se envía luego como `Authorization: Bearer <token>`.
+ *
+ * @route POST /api/auth/login
+ * @body {string} nombre - Nombre de usuario
+ * @body {string} clave - Contraseña
+ * @returns {{usuario: {_id, nombre, rol}, token: string, expira: Date}} Usuario y sesión
+ */
+router.post('/login', async (req, res) => {
+    const datos = credenciales(req.body);
+    if (datos.error) return res.status(400).json({ error: datos.error });
+
+    try {
+        const usuario = await Usuario.findOne({ nombre: datos.nombre }).select('+claveHash');
+        if (!usuario || !(await verificarClave(datos.clave, usuario.claveHash))) {
+            console.log(`[AUTH] Inicio de sesión fallido: ${datos.nombre}`);
+            return res.status(401).json({ error: 'Usuario o clave incorrectos.' });
+        }
+        console.log(`[AUTH] Sesión iniciada: ${usuario.nombre} (${usuario.rol})`);
+        res.json({ usuario: publico(usuario), ...(await iniciarSesion(usuario)) });
+    } catch (err) {
+        console.error('[ERROR] POST /api/auth/login', err);
+        res.status(500).json({ error: 'Error al iniciar sesión.' });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ *
+ * Cierra la sesión del token enviado. Sin token no hace nada.
+ *
+ * @route POST /api/auth/logout
+ * @returns {void} 204 sin contenido
+ */
+router.post('/logout', async (req, res) => {
+    const token = tokenDe(req);
+    try {
+        if (token) await cerrarSesion(token);
+        res.status(204).end();
+    } catch (err) {
+        console.error('[ERROR] POST /api/auth/logout', err);
+        res.status(500).json({ error: 'Error al cerrar sesión.' });
+    }
+});
+
+/**
+ * GET /api/auth/yo
+ *
+ * Devuelve el usuario de la sesión actual.
+ *
+ * @route GET /api/auth/yo
+ * @returns {{_id, nombre, rol}} Usuario, o 401 si no hay sesión válida
+ */
+router.get('/yo', (req, res) => {
+    if (!req.usuario) return res.status(401).json({ error: 'No hay sesión iniciada.' });
+    res.json(req.usuario);
+});
+
+module.exports = router;
@@ -1,46 +1,45 @@
 /**
  * @fileoverview Ruta /api/buscar
- * 
- * Permite realizar una búsqueda textual simple sobre todas las colecciones principales:
+ *
+ * Búsqueda de texto sobre todas las colecciones principales:
  * personajes, lugares, objetos, generaciones y eventos.
- * La comparación se realiza sobre los campos `nombre` y `descripcion` (cuando aplica),
- * utilizando texto normalizado sin tildes ni puntuación.
+ * Usa el índice invertido de services/busqueda.js: los resultados se ordenan por
+ * relevancia, se paginan y traen fragmentos con las coincidencias resaltadas.
  */
 
 const express = require('express');
 const router = express.Router();
-
-const Personaje = require('../models/model_personajes');
-const Lugar = require('../models/model_lugares');
-const Objeto = require('../models/model_objetos');
-const Evento = require('../models/model_eventos');
-const Generacion = require('../models/model_generaciones');
+const { buscar, COLECCIONES } = require('../services/busqueda');
+const { enteroPositivo } = require('../services/listados');
 
 /**
- * Normaliza un string eliminando tildes, mayúsculas y puntuación.
- *
- * @param {string} str - Texto de entrada.
- * @returns {string} Texto limpio para comparación.
+ * Resultados por página si no se indica `porPagina`, y máximo permitido.
+ * @type {{defecto: number, maximo: number}}
  */
-function normalizeStr(str) {
-    return str
-        .toLowerCase()
-        .normalize('NFD')
-        .replace(/[\u0300-\u036f]/g, '')     // Elimina tildes
-        .replace(/[^a-z0-9\s]/g, '');        // Elimina puntuación
-}
+const POR_PAGINA = { defecto: 20, maximo: 100 };
 
 /**
  * GET /api/buscar
- * 
- * Realiza una búsqueda flexible comparando el texto normalizado del parámetro `q`
- * contra los campos `nombre` y `descripcion` (cuando esté presente) de todas las colecciones.
- * 
- * Devuelve un objeto con resultados agrupados por tipo de entidad.
- * 
- * @route GET /api/buscar?q=texto
+ *
+ * Busca el texto `q` en los campos de texto de cada colección (nombre, descripción,
+ * destino y apodos de los personajes), sin distinguir tildes ni flexiones; la última
+ * palabra también se busca como prefijo, y las palabras mal escritas se buscan por la
+ * más parecida del índice.
+ *
+ * @route GET /api/buscar?q=texto&tipo=personajes,eventos&pagina=1&porPagina=20
  * @queryparam {string} q - Texto a buscar (obligatorio)
- * @returns {Object} Resultados agrupados: { personajes, lugares, objetos, generaciones, eventos }
+ * @queryparam {string} [tipo] - Colecciones donde buscar, separadas por comas
+ *   (personajes, lugares, objetos, generaciones, eventos). Por defecto, todas.
+ * @queryparam {number} [pagina=1] - Página de resultados
+ * @queryparam {number} [porPagina=20] - Resultados por página (máximo 100)
+ * @returns {Object} {
+ *   q, tipos, pagina, porPagina, total, totalesPorTipo: { personajes: n, ... },
+ *   resultados: [{ tipo, puntaje, fragmentos: [{ campo, texto }], documento }],
+ *   quisisteDecir?: string
+ * }
+ *   `resultados` va de mayor a menor puntaje; `documento` trae sus relaciones populadas y
+ *   `fragmentos[].texto` es HTML escapado con las coincidencias entre `<mark>`.
+ *   `quisisteDecir` solo aparece si se corrigió alguna palabra ("Melqiades" → "Melquíades").
  */
 router.get('/', async (req, res) => {
     const qRaw = req.query.q;
@@ -50,53 +49,35 @@ router.get('/', async (req, res) => {
         return res.status(400).json({ error: 'Falta parámetro q' });
     }
 
-    const qNorm = normalizeStr(qRaw);
-
-    try {
-        const [todosPers, todosLug, todosObj, todosGen, todosEvt] = await Promise.all([
-            // Personajes con objetos embebidos
-            Personaje.find().populate('objetos', 'nombre descripcion'),
-
-            // Lugares sin campos adicionales
-            Lugar.find(),
-
-            // Objetos con todas sus relaciones populadas
-            Objeto.find()
-                .populate('evento_relacionado', 'nombre')
-                .populate('lugar_relacionado', 'nombre')
-                .populate('personaje_relacionado', 'nombre')
-                .populate('generacion_relacionada', 'nombre'),
+    const tipos = req.query.tipo
+        ? String(req.query.tipo).split(',').map(t => t.trim()).filter(Boolean)
+        : Object.keys(COLECCIONES);
+    const invalidos = tipos.filter(t => !COLECCIONES[t]);
+    if (invalidos.length) {
+        return res.status(400).json({
+            error: `Tipo inválido: ${invalidos.join(', ')}. Usa ${Object.keys(COLECCIONES).join(', ')}`
+        });
+    }
 
-            // Generaciones completas
-            Generacion.find(),
+    const pagina = enteroPositivo(req.query.pagina, 1);
+    const porPagina = enteroPositivo(req.query.porPagina, POR_PAGINA.defecto);
+    if (!pagina || !porPagina || porPagina > POR_PAGINA.maximo) {
+        return res.status(400).json({
+            error: `"pagina" y "porPagina" deben ser enteros positivos (porPagina ≤ ${POR_PAGINA.maximo})`
+        });
+    }
 
-            // Eventos con personajes, lugar y generación
-            Evento.find()
-                .populate('personajes_involucrados', 'nombre')
-                .populate('lugar_relacionado', 'nombre')
-                .populate('generacion_relacionada', 'nombre')
-        ]);
+    try {
+        const { total, totalesPorTipo, resultados, quisisteDecir } = await buscar(qRaw, { tipos, pagina, porPagina });
 
-        // Aplicar filtro por coincidencia en `nombre` o `descripcion`
-        const personajes = todosPers.filter(p => normalizeStr(p.nombre).includes(qNorm));
-        const lugares = todosLug.filter(l => normalizeStr(l.nombre).includes(qNorm));
-        const objetos = todosObj.filter(o => normalizeStr(o.nombre).includes(qNorm));
-        const generaciones = todosGen.filter(g => normalizeStr(g.nombre).includes(qNorm));
-        const eventos = todosEvt.filter(e =>
-            normalizeStr(e.nombre).includes(qNorm) ||
-            normalizeStr(e.descripcion || '').includes(qNorm)
-        );
+        console.log('[RESULTS]', `total=${total}`,
+            Object.entries(totalesPorTipo).map(([t, n]) => `${t}=${n}`).join(' '));
 
-        console.log('[RESULTS]',
-            `personajes=${personajes.length}`,
-            `lugares=${lugares.length}`,
-            `objetos=${objetos.length}`,
-            `generaciones=${generaciones.length}`,
-            `eventos=${eventos.length}`
-        );
+        return res.json({
+            q: qRaw, tipos, pagina, porPagina, total, totalesPorTipo, resultados,
+            ...(quisisteDecir && { quisisteDecir })
+        });
 
-        return res.json({ personajes, lugares, objetos, generaciones, eventos });
-        
     } catch (error) {
         console.error('[ERROR] en /api/buscar:', error);
         return res.status(500).json({ error: 'Error interno del servidor' });
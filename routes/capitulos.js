@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Rutas de API para gestionar capítulos.
+ * Permite listar, obtener por número, crear, actualizar y eliminar capítulos,
+ * así como mantener su lista ordenada de eventos (agregar, quitar, reordenar
+ * y mover eventos entre capítulos).
+ */
+
+const express = require('express');
+const router = express.Router();
+const Capitulo = require('../models/model_capitulos');
+const Evento = require('../models/model_eventos');
+const mongoose = require('mongoose');
+const { leerListado, listar } = require('../services/listados');
+const { validarCuerpo } = require('../services/validacion');
+const { requerirRol } = require('../services/autenticacion');
+const { registrarRevision, instantanea } = require('../services/historial');
+
+/**
+ * Población de eventos usada al devolver un capítulo completo
+ * (la misma que aplica /api/preguntas en el atajo "capítulo N").
+ * @type {Object}
+ */
+const POPULATE_EVENTOS = {
+    path: 'eventos',
+    populate: ['personajes_involucrados', 'lugar_relacionado', 'generacion_relacionada']
+};
+
+/**
+ * Convierte el parámetro `:numero` a entero positivo.
+ * @param {string} valor - Valor recibido en la URL.
+ * @returns {number|null} Número de capítulo o null si no es válido.
+ */
+function parseNumero(valor) {
+    const numero = Number(valor);
+    return Number.isInteger(numero) && numero > 0 ? numero : null;
+}
+
+/**
+ * Inserta un ID en un arreglo en la posición indicada (al final si no se indica).
+ * @param {Array<ObjectId>} lista - Lista de IDs de eventos.
+ * @param {ObjectId|string} id - ID a insertar.
+ * @param {number} [posicion] - Índice (base 0) donde insertar.
+ */
+function insertarEn(lista, id, posicion) {
+    const idx = Number.isInteger(posicion) && posicion >= 0 && posicion <= lista.length
+        ? posicion
+        : lista.length;
+    lista.splice(idx, 0, id);
+}
+
+/**
+ * GET /api/capitulos
+ *
+ * Devuelve una página de capítulos (ver services/listados.js), por defecto ordenados
+ * por número y sin populación de eventos.
+ *
+ * @route GET /api/capitulos?page=1&limit=50&sort=-numero&fields=numero,titulo&populate=eventos
+ * @queryparam {string} [evento] - IDs de eventos: capítulos que los contienen
+ * @returns {{resultados: Array<Capitulo>, total: number, pagina: number, limite: number, paginas: number}}
+ */
+router.get('/', async (req, res) => {
+    const listado = leerListado(Capitulo, req.query, {
+        campos: 'numero titulo resumen eventos',
+        orden: 'numero',
+        filtros: { evento: 'eventos' }
+    });
+    if (listado.error) return res.status(400).json({ error: listado.error });
+    try {
+        res.json(await listar(Capitulo, listado));
+    } catch (err) {
+        console.error('[ERROR] GET /api/capitulos', err);
+        res.status(500).json({ error: 'Error al obtener capítulos.' });
+    }
+});
+
+/**
+ * GET /api/capitulos/:numero
+ *
+ * Devuelve un capítulo por su número con sus eventos en orden y populados
+ * (personajes, lugar y generación).
+ *
+ * @route GET /api/capitulos/:numero
+ * @param {number} numero - Número del capítulo
+ * @returns {Capitulo} Capítulo encontrado
+ */
+router.get('/:numero', async (req, res) => {
+    const numero = parseNumero(req.params.numero);
+    if (!numero) return res.status(400).json({ error: 'Número de capítulo inválido' });
+    try {
+        const cap = await Capitulo.findOne({ numero }).populate(POPULATE_EVENTOS);
+        if (!cap) return res.status(404).json({ error: 'Capítulo no encontrado' });
+        res.json(cap);
+    } catch (err) {
+        console.error('[ERROR] GET /api/capitulos/:numero', err);
+        res.status(500).json({ error: 'Error al obtener el capítulo.' });
+    }
+});
+
+/**
+ * POST /api/capitulos
+ *
+ * Crea un nuevo capítulo. El número es obligatorio y no puede repetirse.
+ * El cuerpo se valida con el esquema (ver services/validacion.js): 422 si el número no es
+ * un entero positivo, algún campo no existe o algún evento no existe.
+ *
+ * @route POST /api/capitulos
+ * @body {number} numero - Número del capítulo (obligatorio)
+ * @body {string} [titulo] - Título del capítulo
+ * @body {string} [resumen] - Resumen del capítulo
+ * @body {Array<string>} [eventos] - IDs de eventos en orden
+ * @returns {Capitulo} Capítulo creado con eventos populados
+ */
+router.post('/', requerirRol('editor'), validarCuerpo(Capitulo), async (req, res) => {
+    const numero = Number(req.body.numero);
+    try {
+        if (await Capitulo.exists({ numero })) {
+            return res.status(409).json({ error: `Ya existe el capítulo ${numero}` });
+        }
+
+        const nuevo = new Capitulo({ ...req.body, numero });
+        await nuevo.save();
+        await registrarRevision('capitulo', null, nuevo, req.usuario);
+        const pop = await nuevo.populate(POPULATE_EVENTOS);
+        res.status(201).json(pop);
+    } catch (err) {
+        // Otra alta con el mismo número ganó entre la comprobación y el guardado
+        if (err.code === 11000) return res.status(409).json({ error: `Ya existe el capítulo ${numero}` });
+        console.error('[ERROR] POST /api/capitulos', err);
+        res.status(500).json({ error: 'Error al crear capítulo.' });
+    }
+});
+
+/**
+ * PUT /api/capitulos/:numero
+ *
+ * Actualiza título, resumen, número o la lista ordenada de eventos de un capítulo.
+ * Solo se modifican los campos enviados, validados como en el POST.
+ *
+ * @route PUT /api/capitulos/:numero
+ * @param {number} numero - Número actual del capítulo
+ * @body {number} [numero] - Nuevo número
+ * @body {string} [titulo] - Nuevo título
+ * @body {string} [resumen] - Nuevo resumen
+ * @body {Array<string>} [eventos] - Lista completa de IDs de eventos en el nuevo orden
+ * @returns {Capitulo} Capítulo actualizado con eventos populados
+ */
+router.put('/:numero', requerirRol('editor'), validarCuerpo(Capitulo, { parcial: true }), async (req, res) => {
+    const numero = parseNumero(req.params.numero);
+    if (!numero) return res.status(400).json({ error: 'Número de capítulo inválido' });
+
+    const updates = req.body;
+    if (updates.numero !== undefined) updates.numero = Number(updates.numero);
+
+    try {
+        if (updates.numero && updates.numero !== numero && await Capitulo.exists({ numero: updates.numero })) {
+            return res.status(409).json({ error: `Ya existe el capítulo ${updates.numero}` });
+        }
+
+        const anterior = await Capitulo.findOne({ numero });
+        if (!anterior) return res.status(404).json({ error: 'Capítulo no encontrado' });
+
+        const actualizado = await Capitulo.findOneAndUpdate({ numero }, updates, { new: true })
+            .populate(POPULATE_EVENTOS);
+        if (!actualizado) return res.status(404).json({ error: 'Capítulo no encontrado' });
+        await registrarRevision('capitulo', anterior, actualizado, req.usuario);
+        res.json(actualizado);
+    } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ error: `Ya existe el capítulo ${updates.numero}` });
+        console.error('[ERROR] PUT /api/capitulos/:numero', err);
+        res.status(500).json({ error: 'Error al actualizar capítulo.' });
+    }
+});
+
+/**
+ * DELETE /api/capitulos/:numero
+ *
+ * Elimina un capítulo. Los eventos que contenía no se eliminan.
+ *
+ * @route DELETE /api/capitulos/:numero
+ * @param {number} numero - Número del capítulo
+ * @returns {{eliminado: Capitulo}} Capítulo eliminado
+ */
+router.delete('/:numero', requerirRol('admin'), async (req, res) => {
+    const numero = parseNumero(req.params.numero);
+    if (!numero) return res.status(400).json({ error: 'Número de capítulo inválido' });
+    try {
+        const eliminado = await Capitulo.findOneAndDelete({ numero });
+        if (!eliminado) return res.status(404).json({ error: 'Capítulo no encontrado' });
+        await registrarRevision('capitulo', eliminado, null, req.usuario);
+        res.json({ eliminado });
+    } catch (err) {
+        console.error('[ERROR] DELETE /api/capitulos/:numero', err);
+        res.status(500).json({ error: 'Error al eliminar capítulo.' });
+    }
+});
+
+/**
+ * POST /api/capitulos/:numero/eventos
+ *
+ * Agrega un evento existente al capítulo en la posición indicada (al final por defecto).
+ *
+ * @route POST /api/capitulos/:numero/eventos
+ * @param {number} numero - Número del capítulo
+ * @body {string} evento - ID del evento a agregar
+ * @body {number} [posicion] - Índice (base 0) donde insertarlo
+ * @returns {Capitulo} Capítulo actualizado con eventos populados
+ */
+router.post('/:numero/eventos', requerirRol('editor'), async (req, res) => {
+    const numero = parseNumero(req.params.numero);
+    if (!numero) return res.status(400).json({ error: 'Número de capítulo inválido' });
+    const { evento, posicion } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(evento)) {
+        return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+
+    try {
+        const cap = await Capitulo.findOne({ numero });
+        if (!cap) return res.status(404).json({ error: 'Capítulo no encontrado' });
+        if (!await Evento.exists({ _id: evento })) {
+            return res.status(400).json({ error: 'Evento no existe' });
+        }
+        if (cap.eventos.some(e => e.equals(evento))) {
+            return res.status(409).json({ error: 'El evento ya pertenece a este capítulo' });
+        }
+
+        const anterior = instantanea(cap);
+        insertarEn(cap.eventos, evento, posicion);
+        await cap.save();
+        await registrarRevision('capitulo', anterior, cap, req.usuario);
+        res.status(201).json(await cap.populate(POPULATE_EVENTOS));
+    } catch (err) {
+        console.error('[ERROR] POST /api/capitulos/:numero/eventos', err);
+        res.status(500).json({ error: 'Error al agregar el evento al capítulo.' });
+    }
+});
+
+/**
+ * DELETE /api/capitulos/:numero/eventos/:eventoId
+ *
+ * Quita un evento de la lista del capítulo (el evento no se elimina de la base de datos).
+ * Por eso basta el rol editor, como para el resto de cambios a la lista.
+ *
+ * @route DELETE /api/capitulos/:numero/eventos/:eventoId
+ * @param {number} numero - Número del capítulo
+ * @param {string} eventoId - ID del evento a quitar
+ * @returns {Capitulo} Capítulo actualizado con eventos populados
+ */
+router.delete('/:numero/eventos/:eventoId', requerirRol('editor'), async (req, res) => {
+    const numero = parseNumero(req.params.numero);
+    const { eventoId } = req.params;
+    if (!numero) return res.status(400).json({ error: 'Número de capítulo inválido' });
+    if (!mongoose.Types.ObjectId.isValid(eventoId)) {
+        return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+
+    try {
+        const cap = await Capitulo.findOne({ numero });
+        if (!cap) return res.status(404).json({ error: 'Capítulo no encontrado' });
+        if (!cap.eventos.some(e => e.equals(eventoId))) {
+            return res.status(404).json({ error: 'El evento no pertenece a este capítulo' });
+        }
+
+        const anterior = instantanea(cap);
+        cap.eventos.pull(eventoId);
+        await cap.save();
+        await registrarRevision('capitulo', anterior, cap, req.usuario);
+        res.json(await cap.populate(POPULATE_EVENTOS));
+    } catch (err) {
+        console.error('[ERROR] DELETE /api/capitulos/:numero/eventos/:eventoId', err);
+        res.status(500).json({ error: 'Error al quitar el evento del capítulo.' });
+    }
+});
+
+/**
+ * POST /api/capitulos/:numero/eventos/:eventoId/mover
+ *
+ * Mueve un evento desde este capítulo a otro (o a otra posición del mismo capítulo).
+ *
+ * @route POST /api/capitulos/:numero/eventos/:eventoId/mover
+ * @param {number} numero - Número del capítulo de origen
+ * @param {string} eventoId - ID del evento a mover
+ * @body {number} destino - Número del capítulo de destino
+ * @body {number} [posicion] - Índice (base 0) en el capítulo de destino (al final por defecto)
+ * @returns {{origen: Capitulo, destino: Capitulo}} Ambos capítulos actualizados
+ */
+router.post('/:numero/eventos/:eventoId/mover', requerirRol('editor'), async (req, res) => {
+    const numero = parseNumero(req.params.numero);
+    const destinoNum = parseNumero(req.body.destino);
+    const { eventoId } = req.params;
+    const { posicion } = req.body;
+    if (!numero) return res.status(400).json({ error: 'Número de capítulo inválido' });
+    if (!destinoNum) return res.status(400).json({ error: 'Falta campo "destino" o no es un entero positivo' });
+    if (!mongoose.Types.ObjectId.isValid(eventoId)) {
+        return res.status(400).json({ error: 'ID de evento inválido' });
+    }
+
+    try {
+        const origen = await Capitulo.findOne({ numero });
+        if (!origen) return res.status(404).json({ error: 'Capítulo de origen no encontrado' });
+        if (!origen.eventos.some(e => e.equals(eventoId))) {
+            return res.status(404).json({ error: 'El evento no pertenece al capítulo de origen' });
+        }
+
+        const origenAnterior = instantanea(origen);
+
+        // Reordenar dentro del mismo capítulo
+        if (destinoNum === numero) {
+            origen.eventos.pull(eventoId);
+            insertarEn(origen.eventos, eventoId, posicion);
+            await origen.save();
+            await registrarRevision('capitulo', origenAnterior, origen, req.usuario);
+            const pop = await origen.populate(POPULATE_EVENTOS);
+            return res.json({ origen: pop, destino: pop });
+        }
+
+        const destino = await Capitulo.findOne({ numero: destinoNum });
+        if (!destino) return res.status(404).json({ error: 'Capítulo de destino no encontrado' });
+        if (destino.eventos.some(e => e.equals(eventoId))) {
+            return res.status(409).json({ error: 'El evento ya pertenece al capítulo de destino' });
+        }
+
+        const destinoAnterior = instantanea(destino);
+        origen.eventos.pull(eventoId);
+        insertarEn(destino.eventos, eventoId, posicion);
+        await Promise.all([origen.save(), destino.save()]);
+        await registrarRevision('capitulo', origenAnterior, origen, req.usuario);
+        await registrarRevision('capitulo', destinoAnterior, destino, req.usuario);
+
+        console.log(`[INFO] Evento ${eventoId} movido del capítulo ${numero} al ${destinoNum}`);
+        res.json({
+            origen: await origen.populate(POPULATE_EVENTOS),
+            destino: await destino.populate(POPULATE_EVENTOS)
+        });
+    } catch (err) {
+        console.error('[ERROR] POST /api/capitulos/:numero/eventos/:eventoId/mover', err);
+        res.status(500).json({ error: 'Error al mover el evento.' });
+    }
+});
+
+module.exports = router;
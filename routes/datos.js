@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Rutas de API para exportar e importar el conjunto de datos completo.
+ * Usa el mismo formato de intercambio (referencias por slug) que el CLI `scripts/datos.js`.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { exportar, importar, MODOS } = require('../services/intercambio');
+const { serializar, FORMATOS } = require('../services/serializacion');
+const { requerirRol } = require('../services/autenticacion');
+
+/**
+ * GET /api/datos/exportar
+ *
+ * Descarga todas las colecciones en formato de intercambio o, con `formato`, como grafo
+ * de conocimiento (ver services/serializacion.js). Los IRIs de las entidades usan el
+ * `baseIri` de la configuración.
+ *
+ * @route GET /api/datos/exportar?formato={jsonld|turtle|graphml}
+ * @queryparam {string} [formato] - Sin él, el JSON de intercambio
+ * @returns {Object|string} Conjunto de datos con referencias por slug, o el documento
+ *   JSON-LD, Turtle o GraphML
+ */
+router.get('/exportar', async (req, res) => {
+    const { formato } = req.query;
+    if (formato !== undefined && !FORMATOS[formato]) {
+        return res.status(400).json({ error: `Formato inválido (usa ${Object.keys(FORMATOS).join(', ')})` });
+    }
+    try {
+        const { datos, advertencias } = await exportar();
+        if (advertencias.length) console.log('[EXPORT] advertencias:', advertencias);
+        if (formato) {
+            const { contentType, extension } = FORMATOS[formato];
+            res.set('Content-Disposition', `attachment; filename="macondo.${extension}"`);
+            return res.type(contentType).send(serializar(datos, formato, { baseIri: req.app.locals.baseIri }));
+        }
+        res.set('Content-Disposition', 'attachment; filename="macondo.json"');
+        res.json(datos);
+    } catch (err) {
+        console.error('[ERROR] GET /api/datos/exportar', err);
+        res.status(500).json({ error: 'Error al exportar los datos.' });
+    }
+});
+
+/**
+ * POST /api/datos/importar
+ *
+ * Importa un conjunto de datos enviado en el body.
+ * Los registros con errores se omiten y se informan uno por uno.
+ *
+ * @route POST /api/datos/importar?modo={insertar|upsert|reemplazar}&dryRun={boolean}
+ * @queryparam {string} [modo=insertar] - Modo de importación
+ * @queryparam {boolean} [dryRun] - Si es "true", solo valida
+ * @body {Object} dataset - Conjunto de datos en formato de intercambio
+ * @returns {Object} Reporte con insertados, actualizados y errores por registro
+ */
+router.post('/importar', requerirRol('admin'), async (req, res) => {
+    const modo = req.query.modo || 'insertar';
+    if (!MODOS.includes(modo)) {
+        return res.status(400).json({ error: `Modo inválido (usa ${MODOS.join(', ')})` });
+    }
+    try {
+        const reporte = await importar(req.body, { modo, dryRun: req.query.dryRun === 'true' });
+        res.status(reporte.errores.length ? 422 : 200).json(reporte);
+    } catch (err) {
+        console.error('[ERROR] POST /api/datos/importar', err);
+        res.status(500).json({ error: 'Error al importar los datos.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Ruta /api/esquemas
+ *
+ * Publica la descripción de los campos de cada colección (tipo, obligatorio, valores
+ * permitidos, colección referenciada...) tal como la usa la validación de los POST y PUT
+ * (services/validacion.js). El formulario de alta del frontend se arma con ella.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { MODELOS } = require('../services/referencias');
+const { describirCampos } = require('../services/validacion');
+
+/**
+ * Modelo de cada colección, con el mismo nombre que su ruta de la API.
+ * @type {Object.<string, import('mongoose').Model>}
+ */
+const POR_COLECCION = Object.fromEntries(
+    Object.values(MODELOS).map(modelo => [modelo.collection.collectionName, modelo])
+);
+
+/**
+ * GET /api/esquemas
+ *
+ * @route GET /api/esquemas
+ * @returns {Object.<string, Array<Object>>} Campos de cada colección (ver `describirCampos`).
+ */
+router.get('/', (req, res) => {
+    const esquemas = Object.fromEntries(
+        Object.entries(POR_COLECCION).map(([coleccion, modelo]) => [coleccion, describirCampos(modelo)])
+    );
+    res.json(esquemas);
+});
+
+/**
+ * GET /api/esquemas/:coleccion
+ *
+ * @route GET /api/esquemas/:coleccion
+ * @param {string} coleccion - personajes, lugares, objetos, generaciones, eventos o capitulos
+ * @returns {{coleccion: string, campos: Array<{
+ *   campo: string, etiqueta: string, tipo: string, arreglo: boolean, obligatorio: boolean,
+ *   valores?: string[], minimo?: number, maximo?: number, coleccion?: string, multilinea?: boolean
+ * }>}}
+ */
+router.get('/:coleccion', (req, res) => {
+    const { coleccion } = req.params;
+    const modelo = POR_COLECCION[coleccion];
+    if (!modelo) {
+        return res.status(404).json({ error: `Colección desconocida: ${coleccion}. Usa ${Object.keys(POR_COLECCION).join(', ')}` });
+    }
+    res.json({ coleccion, campos: describirCampos(modelo) });
+});
+
+module.exports = router;
@@ -1,31 +1,50 @@
 /**
  * @fileoverview Rutas de API para manejar eventos.
- * Permite crear, obtener (todos o por ID), y actualizar eventos.
+ * Permite crear, obtener (todos o por ID), actualizar y eliminar eventos.
  * Los eventos están relacionados con personajes, lugares y generaciones.
  */
 
 const express = require('express');
 const router = express.Router();
 const Evento = require('../models/model_eventos');
-const Personaje = require('../models/model_personajes');
-const Lugar = require('../models/model_lugares');
-const Generacion = require('../models/model_generaciones');
+const Capitulo = require('../models/model_capitulos');
 const mongoose = require('mongoose');
+const { eliminarConReferencias } = require('../services/referencias');
+const { leerListado, listar } = require('../services/listados');
+const { validarCuerpo } = require('../services/validacion');
+const { requerirRol } = require('../services/autenticacion');
+const { registrarRevision } = require('../services/historial');
+const { sincronizarReferencia } = require('../services/sincronizacion');
 
 /**
  * GET /api/eventos
  * 
- * Devuelve todos los eventos registrados en la base de datos.
- * Incluye datos populados de personajes, lugar y generación relacionados.
+ * Devuelve una página de eventos (ver services/listados.js). Las relaciones solo se
+ * populan si se piden en `populate`.
  * 
- * @route GET /api/eventos
- * @returns {Array<Evento>} Lista de eventos
+ * @route GET /api/eventos?page=1&limit=50&sort=nombre&fields=nombre&populate=lugar_relacionado
+ * @queryparam {string} [personaje] - IDs de personajes involucrados (separados por comas)
+ * @queryparam {string} [lugar] - IDs de lugares
+ * @queryparam {string} [generacion] - IDs de generaciones
+ * @queryparam {number} [capitulo] - Número de capítulo: solo los eventos de ese capítulo
+ * @returns {{resultados: Array<Evento>, total: number, pagina: number, limite: number, paginas: number}}
  */
 router.get('/', async (req, res) => {
+    const listado = leerListado(Evento, req.query, {
+        filtros: { personaje: 'personajes_involucrados', lugar: 'lugar_relacionado', generacion: 'generacion_relacionada' }
+    });
+    if (listado.error) return res.status(400).json({ error: listado.error });
+
+    const numeroCapitulo = req.query.capitulo;
+    if (numeroCapitulo !== undefined && !/^\d+$/.test(numeroCapitulo)) {
+        return res.status(400).json({ error: 'Valor inválido para "capitulo"' });
+    }
     try {
-        const eventos = await Evento.find()
-            .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
-        res.json(eventos);
+        if (numeroCapitulo !== undefined) {
+            const capitulo = await Capitulo.findOne({ numero: Number(numeroCapitulo) }, 'eventos');
+            listado.filtro._id = { $in: capitulo ? capitulo.eventos : [] };
+        }
+        res.json(await listar(Evento, listado));
     } catch (err) {
         console.error('[ERROR] GET /api/eventos', err);
         res.status(500).json({ error: 'Error al obtener eventos.' });
@@ -61,8 +80,10 @@ router.get('/:id', async (req, res) => {
 /**
  * POST /api/eventos
  * 
- * Crea un nuevo evento con relaciones a otras entidades si se proveen.
- * Realiza validaciones básicas de existencia de personajes, lugar y generación.
+ * Crea un nuevo evento con relaciones a otras entidades si se proveen
+ * y agrega el evento a `eventos_relacionados` de su lugar.
+ * El cuerpo se valida con el esquema (ver services/validacion.js): 422 si algún campo no
+ * existe, tiene un tipo inválido o referencia un ID inexistente.
  * 
  * @route POST /api/eventos
  * @body {string} nombre - Nombre del evento (obligatorio)
@@ -72,36 +93,12 @@ router.get('/:id', async (req, res) => {
  * @body {string} [generacion_relacionada] - ID de generación relacionada
  * @returns {Evento} Evento creado con datos populados
  */
-router.post('/', async (req, res) => {
-    const { nombre, descripcion, personajes_involucrados, lugar_relacionado, generacion_relacionada } = req.body;
-    if (!nombre) return res.status(400).json({ error: 'Falta campo "nombre"' });
-
+router.post('/', requerirRol('editor'), validarCuerpo(Evento), async (req, res) => {
     try {
-        // Validar existencia de referencias si se proporcionan
-        if (personajes_involucrados) {
-            const persDocs = await Personaje.find({ _id: { $in: personajes_involucrados } });
-            if (persDocs.length !== personajes_involucrados.length) {
-                return res.status(400).json({ error: 'Algún personaje no existe' });
-            }
-        }
-        if (lugar_relacionado) {
-            const lugDoc = await Lugar.findById(lugar_relacionado);
-            if (!lugDoc) return res.status(400).json({ error: 'Lugar no existe' });
-        }
-        if (generacion_relacionada) {
-            const genDoc = await Generacion.findById(generacion_relacionada);
-            if (!genDoc) return res.status(400).json({ error: 'Generación no existe' });
-        }
-
-        const nuevo = new Evento({
-            nombre,
-            descripcion,
-            personajes_involucrados,
-            lugar_relacionado,
-            generacion_relacionada
-        });
-
+        const nuevo = new Evento(req.body);
         await nuevo.save();
+        await sincronizarReferencia('lugar_evento', nuevo._id, null, nuevo.lugar_relacionado);
+        await registrarRevision('evento', null, nuevo, req.usuario);
         const pop = await nuevo.populate('personajes_involucrados lugar_relacionado generacion_relacionada');
         res.status(201).json(pop);
     } catch (err) {
@@ -114,7 +111,9 @@ router.post('/', async (req, res) => {
  * PUT /api/eventos/:id
  * 
  * Actualiza campos de un evento existente.
- * Valida ID y aplica los cambios solo en campos enviados.
+ * Valida ID y aplica los cambios solo en campos enviados, validados como en el POST
+ * (también que existan los personajes, el lugar y la generación).
+ * Si cambia el lugar, mueve el evento entre los `eventos_relacionados` de ambos lugares.
  * 
  * @route PUT /api/eventos/:id
  * @param {string} id - ID del evento a actualizar
@@ -125,26 +124,24 @@ router.post('/', async (req, res) => {
  * @body {string} [generacion_relacionada] - Nueva generación relacionada
  * @returns {Evento} Evento actualizado con datos populados
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requerirRol('editor'), validarCuerpo(Evento, { parcial: true }), async (req, res) => {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
         return res.status(400).json({ error: 'ID inválido' });
     }
 
-    const { nombre, descripcion, personajes_involucrados, lugar_relacionado, generacion_relacionada } = req.body;
-
     try {
-        const updates = {};
-        if (nombre !== undefined) updates.nombre = nombre;
-        if (descripcion !== undefined) updates.descripcion = descripcion;
-        if (personajes_involucrados !== undefined) updates.personajes_involucrados = personajes_involucrados;
-        if (lugar_relacionado !== undefined) updates.lugar_relacionado = lugar_relacionado;
-        if (generacion_relacionada !== undefined) updates.generacion_relacionada = generacion_relacionada;
+        const updates = req.body;
+        const anterior = await Evento.findById(id);
+        if (!anterior) return res.status(404).json({ error: 'Evento no encontrado' });
 
         const actualizado = await Evento.findByIdAndUpdate(id, updates, { new: true })
             .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
 
         if (!actualizado) return res.status(404).json({ error: 'Evento no encontrado' });
+        await sincronizarReferencia('lugar_evento', actualizado._id,
+            anterior.lugar_relacionado, actualizado.lugar_relacionado?._id);
+        await registrarRevision('evento', anterior, actualizado, req.usuario);
 
         res.json(actualizado);
     } catch (err) {
@@ -153,4 +150,33 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+/**
+ * DELETE /api/eventos/:id
+ * 
+ * Elimina el evento y limpia las referencias a él en otras colecciones.
+ * Quita el evento de `Capitulo.eventos` y `Lugar.eventos_relacionados`
+ * y vacía `Objeto.evento_relacionado`.
+ * Con `?dryRun=true` no elimina nada: solo lista los documentos que se verían afectados.
+ * 
+ * @route DELETE /api/eventos/:id
+ * @param {string} id - ID a eliminar
+ * @queryparam {boolean} [dryRun] - Si es "true", solo simula la eliminación
+ * @returns {{dryRun: boolean, eliminado: Evento, referencias: Array<Object>}} Resumen de la eliminación
+ */
+router.delete('/:id', requerirRol('admin'), async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'ID inválido' });
+    }
+    try {
+        const resultado = await eliminarConReferencias('evento', id, { dryRun: req.query.dryRun === 'true' });
+        if (!resultado) return res.status(404).json({ error: 'Evento no encontrado' });
+        if (!resultado.dryRun) await registrarRevision('evento', resultado.eliminado, null, req.usuario);
+        res.json(resultado);
+    } catch (err) {
+        console.error('[ERROR] DELETE /api/eventos/:id', err);
+        res.status(500).json({ error: 'Error al eliminar evento.' });
+    }
+});
+
 module.exports = router;
@@ -1,25 +1,36 @@
 /**
  * @fileoverview Rutas de API para gestionar generaciones.
- * Permite obtener, crear y actualizar generaciones de personajes.
+ * Permite obtener, crear, actualizar y eliminar generaciones de personajes.
  */
 
 const express = require('express');
 const router = express.Router();
 const Generacion = require('../models/model_generaciones');
 const mongoose = require('mongoose');
+const { eliminarConReferencias } = require('../services/referencias');
+const { leerListado, listar } = require('../services/listados');
+const { validarCuerpo } = require('../services/validacion');
+const { requerirRol } = require('../services/autenticacion');
+const { registrarRevision } = require('../services/historial');
 
 /**
  * GET /api/generaciones
  * 
- * Devuelve todas las generaciones con sus campos básicos.
+ * Devuelve una página de generaciones (ver services/listados.js).
+ * Sin `fields` solo incluye sus campos básicos.
  * 
- * @route GET /api/generaciones
- * @returns {Array<Generacion>} Lista de generaciones
+ * @route GET /api/generaciones?page=1&limit=50&sort=nombre&fields=nombre&populate=personajes_principales
+ * @queryparam {string} [personaje] - IDs de personajes principales (separados por comas)
+ * @returns {{resultados: Array<Generacion>, total: number, pagina: number, limite: number, paginas: number}}
  */
 router.get('/', async (req, res) => {
+    const listado = leerListado(Generacion, req.query, {
+        campos: 'nombre descripcion',
+        filtros: { personaje: 'personajes_principales' }
+    });
+    if (listado.error) return res.status(400).json({ error: listado.error });
     try {
-        const lista = await Generacion.find().select('_id nombre descripcion');
-        res.json(lista);
+        res.json(await listar(Generacion, listado));
     } catch (err) {
         console.error('[ERROR] GET /api/generaciones', err);
         res.status(500).json({ error: 'Error al obtener generaciones.' });
@@ -54,18 +65,20 @@ router.get('/:id', async (req, res) => {
  * POST /api/generaciones
  * 
  * Crea una nueva generación.
+ * El cuerpo se valida con el esquema (ver services/validacion.js): 422 si algún campo no
+ * existe, tiene un tipo inválido o referencia un ID inexistente.
  * 
  * @route POST /api/generaciones
  * @body {string} nombre - Nombre de la generación (obligatorio)
  * @body {string} [descripcion] - Descripción opcional
+ * @body {Array<string>} [personajes_principales] - IDs de sus personajes principales
  * @returns {Generacion} Generación creada
  */
-router.post('/', async (req, res) => {
-    const { nombre, descripcion } = req.body;
-    if (!nombre) return res.status(400).json({ error: 'Falta campo "nombre"' });
+router.post('/', requerirRol('editor'), validarCuerpo(Generacion), async (req, res) => {
     try {
-        const nuevo = new Generacion({ nombre, descripcion });
+        const nuevo = new Generacion(req.body);
         await nuevo.save();
+        await registrarRevision('generacion', null, nuevo, req.usuario);
         res.status(201).json(nuevo);
     } catch (err) {
         console.error('[ERROR] POST /api/generaciones', err);
@@ -77,28 +90,30 @@ router.post('/', async (req, res) => {
  * PUT /api/generaciones/:id
  * 
  * Actualiza los campos de una generación existente.
- * Solo se actualizan los campos enviados en el cuerpo de la petición.
+ * Solo se actualizan los campos enviados en el cuerpo de la petición, validados como en el POST.
  * 
  * @route PUT /api/generaciones/:id
  * @param {string} id - ID de la generación a actualizar
  * @body {string} [nombre] - Nuevo nombre
  * @body {string} [descripcion] - Nueva descripción
+ * @body {Array<string>} [personajes_principales] - IDs de sus personajes principales
  * @returns {Generacion} Generación actualizada
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requerirRol('editor'), validarCuerpo(Generacion, { parcial: true }), async (req, res) => {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
         return res.status(400).json({ error: 'ID inválido' });
     }
 
-    const updates = {};
-    ['nombre', 'descripcion', 'personajes_principales'].forEach(f => {
-        if (req.body[f] !== undefined) updates[f] = req.body[f];
-    });
+    const updates = req.body;
 
     try {
+        const anterior = await Generacion.findById(id);
+        if (!anterior) return res.status(404).json({ error: 'Generación no encontrada' });
+
         const actualizado = await Generacion.findByIdAndUpdate(id, updates, { new: true });
         if (!actualizado) return res.status(404).json({ error: 'Generación no encontrada' });
+        await registrarRevision('generacion', anterior, actualizado, req.usuario);
         res.json(actualizado);
     } catch (err) {
         console.error('[ERROR] PUT /api/generaciones/:id', err);
@@ -106,4 +121,33 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+/**
+ * DELETE /api/generaciones/:id
+ * 
+ * Elimina la generación y limpia las referencias a ella en otras colecciones.
+ * Vacía `generacion_relacionada` en eventos y objetos y la quita de
+ * `Lugar.generaciones_relacionadas`.
+ * Con `?dryRun=true` no elimina nada: solo lista los documentos que se verían afectados.
+ * 
+ * @route DELETE /api/generaciones/:id
+ * @param {string} id - ID a eliminar
+ * @queryparam {boolean} [dryRun] - Si es "true", solo simula la eliminación
+ * @returns {{dryRun: boolean, eliminado: Generacion, referencias: Array<Object>}} Resumen de la eliminación
+ */
+router.delete('/:id', requerirRol('admin'), async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'ID inválido' });
+    }
+    try {
+        const resultado = await eliminarConReferencias('generacion', id, { dryRun: req.query.dryRun === 'true' });
+        if (!resultado) return res.status(404).json({ error: 'Generación no encontrada' });
+        if (!resultado.dryRun) await registrarRevision('generacion', resultado.eliminado, null, req.usuario);
+        res.json(resultado);
+    } catch (err) {
+        console.error('[ERROR] DELETE /api/generaciones/:id', err);
+        res.status(500).json({ error: 'Error al eliminar generación.' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Ruta /graphql
+ *
+ * Punto de acceso GraphQL sobre las seis colecciones (ver services/graphql.js). Acepta
+ * `{query, variables, operationName}` por POST (JSON) o por GET (query string, solo
+ * consultas). Las mutaciones usan la misma sesión que la API REST (`Authorization: Bearer`).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { parse, validate, execute, specifiedRules, getOperationAST, GraphQLError } = require('graphql');
+const { esquema, limiteProfundidad } = require('../services/graphql');
+const { crearCargadores } = require('../services/cargadores');
+
+/**
+ * Niveles de campos anidados permitidos en una operación.
+ * @type {number}
+ */
+const PROFUNDIDAD_MAXIMA = 6;
+
+const reglas = [...specifiedRules, limiteProfundidad(PROFUNDIDAD_MAXIMA)];
+
+/**
+ * Lee la operación de la petición: del body en POST, de la query string en GET
+ * (donde `variables` llega como texto JSON).
+ * @param {import('express').Request} req - Petición.
+ * @returns {{query: string, variables: Object|undefined, operationName: string|undefined}}
+ * @throws {Error} Si `variables` no es JSON válido.
+ */
+function leerOperacion(req) {
+    const fuente = req.method === 'GET' ? req.query : (req.body || {});
+    let { query, variables, operationName } = fuente;
+    if (typeof variables === 'string') variables = variables ? JSON.parse(variables) : undefined;
+    return { query, variables: variables || undefined, operationName: operationName || undefined };
+}
+
+/**
+ * Formatea los errores de la ejecución. Los que no son de GraphQL (fallos de la base,
+ * errores de programación) se registran y se devuelven sin detalles.
+ * @param {ReadonlyArray<GraphQLError>} errores - Errores de `execute`.
+ * @returns {Array<Object>}
+ */
+function formatearErrores(errores) {
+    return errores.map(err => {
+        if (err.originalError && !(err.originalError instanceof GraphQLError)) {
+            console.error('[ERROR] /graphql', err.originalError);
+            return new GraphQLError('Error interno del servidor', { nodes: err.nodes, path: err.path }).toJSON();
+        }
+        return err.toJSON();
+    });
+}
+
+/**
+ * GET|POST /graphql
+ *
+ * @route POST /graphql
+ * @body {string} query - Documento GraphQL
+ * @body {Object} [variables] - Variables de la operación
+ * @body {string} [operationName] - Operación a ejecutar si el documento tiene varias
+ * @returns {Object} `{data, errors?}`. 400 si la consulta no se puede analizar, no es válida o
+ *   supera PROFUNDIDAD_MAXIMA; 405 si se envía una mutación por GET.
+ */
+router.all('/', async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        res.set('Allow', 'GET, POST');
+        return res.status(405).json({ errors: [{ message: 'Usa GET o POST' }] });
+    }
+
+    let operacion;
+    try {
+        operacion = leerOperacion(req);
+    } catch {
+        return res.status(400).json({ errors: [{ message: '"variables" no es JSON válido' }] });
+    }
+    const { query, variables, operationName } = operacion;
+    if (typeof query !== 'string' || !query.trim()) {
+        return res.status(400).json({ errors: [{ message: 'Falta "query"' }] });
+    }
+
+    let documento;
+    try {
+        documento = parse(query);
+    } catch (err) {
+        return res.status(400).json({ errors: [err.toJSON()] });
+    }
+
+    const errores = validate(esquema, documento, reglas);
+    if (errores.length) {
+        console.log(`[VALIDATION] /graphql: ${errores.map(e => e.message).join(' | ')}`);
+        return res.status(400).json({ errors: errores.map(e => e.toJSON()) });
+    }
+
+    const definicion = getOperationAST(documento, operationName);
+    if (req.method === 'GET' && definicion?.operation === 'mutation') {
+        res.set('Allow', 'POST');
+        return res.status(405).json({ errors: [{ message: 'Las mutaciones se envían por POST' }] });
+    }
+
+    console.log(`[ROUTE] ${req.method} /graphql ${definicion?.operation || ''} ${operationName || definicion?.name?.value || ''}`.trimEnd());
+    try {
+        const resultado = await execute({
+            schema: esquema,
+            document: documento,
+            variableValues: variables,
+            operationName,
+            contextValue: { usuario: req.usuario, cargadores: crearCargadores() }
+        });
+        const respuesta = { data: resultado.data };
+        if (resultado.errors) respuesta.errors = formatearErrores(resultado.errors);
+        res.json(respuesta);
+    } catch (err) {
+        console.error('[ERROR] /graphql', err);
+        res.status(500).json({ errors: [{ message: 'Error interno del servidor' }] });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Rutas /api/:coleccion/:id/historial
+ *
+ * Historial de cambios de cualquier entidad narrativa (personajes, lugares, objetos,
+ * generaciones, eventos y capítulos) y reversión de una revisión.
+ * Ver services/historial.js para qué se registra y cómo se revierte.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const Revision = require('../models/model_revisiones');
+const { MODELOS } = require('../services/referencias');
+const { listarRevisiones, revertir } = require('../services/historial');
+const { enteroPositivo, LIMITE } = require('../services/listados');
+const { responderInvalidos } = require('../services/validacion');
+const { requerirRol, alcanza } = require('../services/autenticacion');
+
+/**
+ * Tipo de entidad de cada colección, con el mismo nombre que su ruta de la API.
+ * @type {Object.<string, string>}
+ */
+const TIPO_POR_COLECCION = Object.fromEntries(
+    Object.entries(MODELOS).map(([tipo, modelo]) => [modelo.collection.collectionName, tipo])
+);
+
+/**
+ * Identifica la entidad de la URL. Los capítulos también se aceptan por número, como en
+ * sus otras rutas; si el capítulo ya no existe se busca el número en su historial.
+ *
+ * @param {{coleccion: string, id: string}} params - Parámetros de la ruta.
+ * @returns {Promise<{tipo: string, entidad: string}|{estado: number, error: string}>}
+ */
+async function resolverEntidad({ coleccion, id }) {
+    const tipo = TIPO_POR_COLECCION[coleccion];
+    if (!tipo) {
+        return { estado: 404, error: `Colección desconocida: ${coleccion}. Usa ${Object.keys(TIPO_POR_COLECCION).join(', ')}` };
+    }
+    if (mongoose.Types.ObjectId.isValid(id)) return { tipo, entidad: id };
+
+    const numero = Number(id);
+    if (tipo === 'capitulo' && Number.isInteger(numero) && numero > 0) {
+        const capitulo = await MODELOS.capitulo.findOne({ numero }, '_id')
+            || await Revision.findOne({ tipo, 'anterior.numero': numero }, 'entidad').sort({ fecha: -1 });
+        if (!capitulo) return { estado: 404, error: 'Capítulo no encontrado' };
+        return { tipo, entidad: String(capitulo.entidad || capitulo._id) };
+    }
+    return { estado: 400, error: 'ID inválido' };
+}
+
+/**
+ * GET /api/:coleccion/:id/historial
+ *
+ * Devuelve las revisiones de una entidad, de la más reciente a la más antigua.
+ * También funciona para entidades ya eliminadas.
+ *
+ * @route GET /api/eventos/:id/historial?page=1&limit=50
+ * @param {string} coleccion - personajes, lugares, objetos, generaciones, eventos o capitulos
+ * @param {string} id - ID de la entidad (o número, para capítulos)
+ * @returns {{resultados: Array<{
+ *   _id, tipo, entidad, accion, usuario: {_id, nombre}, fecha,
+ *   cambios: Array<{campo, antes, despues}>, revierte?
+ * }>, total: number, pagina: number, limite: number, paginas: number}}
+ */
+router.get('/', async (req, res) => {
+    const pagina = enteroPositivo(req.query.page, 1);
+    const limite = enteroPositivo(req.query.limit, LIMITE.defecto);
+    if (!pagina || !limite || limite > LIMITE.maximo) {
+        return res.status(400).json({ error: `"page" y "limit" deben ser enteros positivos (limit ≤ ${LIMITE.maximo})` });
+    }
+
+    try {
+        const destino = await resolverEntidad(req.params);
+        if (destino.error) return res.status(destino.estado).json({ error: destino.error });
+        res.json(await listarRevisiones(destino.tipo, destino.entidad, { pagina, limite }));
+    } catch (err) {
+        console.error(`[ERROR] GET ${req.originalUrl}`, err);
+        res.status(500).json({ error: 'Error al obtener el historial.' });
+    }
+});
+
+/**
+ * POST /api/:coleccion/:id/historial/:revision/revertir
+ *
+ * Devuelve la entidad al estado que tenía justo antes de la revisión indicada
+ * (lo que deshace esa revisión y las posteriores). Requiere el rol editor; revertir una
+ * creación elimina la entidad, así que en ese caso requiere el rol admin.
+ *
+ * @route POST /api/eventos/:id/historial/:revision/revertir
+ * @param {string} revision - ID de la revisión
+ * @returns {{accion: 'crear'|'actualizar'|'eliminar'|null, documento: Object|null}}
+ *   Cambio aplicado y la entidad resultante (null si quedó eliminada). 422 si la versión
+ *   anterior ya no es válida (p. ej. referencia entidades eliminadas).
+ */
+router.post('/:revision/revertir', requerirRol('editor'), async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.revision)) {
+        return res.status(400).json({ error: 'ID de revisión inválido' });
+    }
+
+    try {
+        const destino = await resolverEntidad(req.params);
+        if (destino.error) return res.status(destino.estado).json({ error: destino.error });
+
+        const revision = await Revision.findOne({ _id: req.params.revision, tipo: destino.tipo, entidad: destino.entidad });
+        if (!revision) return res.status(404).json({ error: 'Revisión no encontrada' });
+        if (revision.accion === 'crear' && !alcanza(req.usuario.rol, 'admin')) {
+            return res.status(403).json({ error: 'Revertir una creación elimina la entidad: se requiere el rol admin.' });
+        }
+
+        const resultado = await revertir(destino.tipo, revision, req.usuario);
+        if (resultado.errores) return responderInvalidos(res, resultado.errores);
+
+        console.log(`[INFO] ${req.usuario.nombre} revirtió la revisión ${revision._id} de ${destino.tipo} ${destino.entidad}`);
+        res.json(resultado);
+    } catch (err) {
+        console.error(`[ERROR] POST ${req.originalUrl}`, err);
+        res.status(500).json({ error: 'Error al revertir la revisión.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Ruta /api/integridad
+ *
+ * Audita las relaciones que se guardan en ambos sentidos
+ * (Lugar ↔ Evento y Personaje ↔ Objeto) y permite reparar las discrepancias.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { RELACIONES, revisarRelacion, repararRelacion } = require('../services/sincronizacion');
+const { requerirRol } = require('../services/autenticacion');
+
+/**
+ * GET /api/integridad
+ *
+ * Devuelve, para cada relación bidireccional, los documentos cuya referencia simple
+ * no aparece en la lista inversa y los elementos de la lista que no apuntan de vuelta.
+ *
+ * @route GET /api/integridad
+ * @returns {{total: number, relaciones: Object.<string, {faltantes_en_lista: Array<Object>, sobrantes_en_lista: Array<Object>}>}}
+ */
+router.get('/', async (req, res) => {
+    try {
+        const relaciones = {};
+        let total = 0;
+        for (const nombre of Object.keys(RELACIONES)) {
+            relaciones[nombre] = await revisarRelacion(nombre);
+            total += relaciones[nombre].faltantes_en_lista.length + relaciones[nombre].sobrantes_en_lista.length;
+        }
+        console.log(`[INTEGRIDAD] discrepancias encontradas: ${total}`);
+        res.json({ total, relaciones });
+    } catch (err) {
+        console.error('[ERROR] GET /api/integridad', err);
+        res.status(500).json({ error: 'Error al revisar la integridad.' });
+    }
+});
+
+/**
+ * POST /api/integridad/reparar
+ *
+ * Repara todas las discrepancias detectadas y devuelve lo que se corrigió.
+ *
+ * @route POST /api/integridad/reparar
+ * @returns {{reparadas: number, relaciones: Object.<string, Object>}}
+ */
+router.post('/reparar', requerirRol('admin'), async (req, res) => {
+    try {
+        const relaciones = {};
+        let reparadas = 0;
+        for (const nombre of Object.keys(RELACIONES)) {
+            relaciones[nombre] = await repararRelacion(nombre);
+            reparadas += relaciones[nombre].faltantes_en_lista.length + relaciones[nombre].sobrantes_en_lista.length;
+        }
+        res.json({ reparadas, relaciones });
+    } catch (err) {
+        console.error('[ERROR] POST /api/integridad/reparar', err);
+        res.status(500).json({ error: 'Error al reparar la integridad.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Ruta /api/lexico
+ *
+ * Consulta y edición del léxico de verbos clave con que se interpretan las preguntas
+ * (ver services/lexico.js). Consultarlo y validarlo es público; agregar o quitar formas
+ * requiere el rol admin. Los cambios valen desde la pregunta siguiente.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { lexicoVigente, validarLexico, agregarFormas, quitarForma, quitarVerbo } = require('../services/lexico');
+const { requerirRol } = require('../services/autenticacion');
+
+/**
+ * GET /api/lexico
+ *
+ * Devuelve el léxico vigente y de dónde sale: la colección `verbos` o, si nadie lo
+ * editó todavía, fixtures/verbos.json.
+ *
+ * @route GET /api/lexico
+ * @returns {{origen: 'base'|'archivo', verbos: Array<{verbo: string, formas: string[], relacionados: string[]}>}}
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json(await lexicoVigente());
+    } catch (err) {
+        console.error('[ERROR] GET /api/lexico', err);
+        res.status(500).json({ error: 'Error al obtener el léxico.' });
+    }
+});
+
+/**
+ * GET /api/lexico/validacion
+ *
+ * Revisa el léxico vigente: verbos definidos dos veces, formas repetidas, relaciones con
+ * verbos que no existen y colisiones entre verbos distintos.
+ *
+ * @route GET /api/lexico/validacion
+ * @returns {{valido: boolean, problemas: Array<Object>}}
+ */
+router.get('/validacion', async (req, res) => {
+    try {
+        const { verbos } = await lexicoVigente();
+        const problemas = validarLexico(verbos);
+        console.log(`[LEXICO] problemas encontrados: ${problemas.length}`);
+        res.json({ valido: problemas.length === 0, problemas });
+    } catch (err) {
+        console.error('[ERROR] GET /api/lexico/validacion', err);
+        res.status(500).json({ error: 'Error al validar el léxico.' });
+    }
+});
+
+/**
+ * POST /api/lexico/:verbo/formas
+ *
+ * Agrega formas (sinónimos, conjugaciones) a un verbo, creándolo si no existe. Si alguna
+ * ya está en el léxico o colisiona con la de otro verbo no se guarda ninguna.
+ *
+ * @route POST /api/lexico/:verbo/formas
+ * @param {string} verbo - Verbo en infinitivo
+ * @body {string[]} formas - Formas nuevas
+ * @returns {{verbo: string, formas: string[]}} Verbo actualizado (201 si se creó)
+ */
+router.post('/:verbo/formas', requerirRol('admin'), async (req, res) => {
+    const { formas } = req.body || {};
+    if (!Array.isArray(formas) || !formas.length || !formas.every(f => typeof f === 'string' && f.trim())) {
+        return res.status(400).json({ error: 'formas debe ser una lista de textos no vacíos' });
+    }
+
+    try {
+        const { verbo, creado, problemas } = await agregarFormas(req.params.verbo, formas);
+        if (problemas.length) {
+            return res.status(409).json({ error: 'Las formas chocan con el léxico.', problemas });
+        }
+        console.log(`[LEXICO] ${req.usuario.nombre} agregó a "${verbo.verbo}": ${formas.join(', ')}`);
+        res.status(creado ? 201 : 200).json(verbo);
+    } catch (err) {
+        console.error('[ERROR] POST /api/lexico/:verbo/formas', err);
+        res.status(500).json({ error: 'Error al actualizar el léxico.' });
+    }
+});
+
+/**
+ * DELETE /api/lexico/:verbo/formas/:forma
+ *
+ * Quita una forma de un verbo.
+ *
+ * @route DELETE /api/lexico/:verbo/formas/:forma
+ * @param {string} verbo - Verbo en infinitivo
+ * @param {string} forma - Forma a quitar
+ * @returns {{verbo: string, formas: string[]}} Verbo actualizado
+ */
+router.delete('/:verbo/formas/:forma', requerirRol('admin'), async (req, res) => {
+    try {
+        const verbo = await quitarForma(req.params.verbo, req.params.forma);
+        if (!verbo) return res.status(404).json({ error: 'Forma no encontrada' });
+        console.log(`[LEXICO] ${req.usuario.nombre} quitó "${req.params.forma}" de "${verbo.verbo}"`);
+        res.json(verbo);
+    } catch (err) {
+        console.error('[ERROR] DELETE /api/lexico/:verbo/formas/:forma', err);
+        res.status(500).json({ error: 'Error al actualizar el léxico.' });
+    }
+});
+
+/**
+ * DELETE /api/lexico/:verbo
+ *
+ * Quita un verbo entero del léxico.
+ *
+ * @route DELETE /api/lexico/:verbo
+ * @param {string} verbo - Verbo en infinitivo
+ * @returns {{eliminado: {verbo: string, formas: string[]}}} Verbo quitado
+ */
+router.delete('/:verbo', requerirRol('admin'), async (req, res) => {
+    try {
+        const eliminado = await quitarVerbo(req.params.verbo);
+        if (!eliminado) return res.status(404).json({ error: 'Verbo no encontrado' });
+        console.log(`[LEXICO] ${req.usuario.nombre} quitó el verbo "${eliminado.verbo}"`);
+        res.json({ eliminado });
+    } catch (err) {
+        console.error('[ERROR] DELETE /api/lexico/:verbo', err);
+        res.status(500).json({ error: 'Error al actualizar el léxico.' });
+    }
+});
+
+module.exports = router;
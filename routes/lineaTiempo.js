@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Ruta /api/linea-tiempo
+ *
+ * Eventos en el orden de la historia (cronológico) o en el de la novela (narrativo),
+ * con la posición de cada uno en ambos. El cálculo está en services/cronologia.js.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { lineaDeTiempo, ORDENES } = require('../services/cronologia');
+const { lista } = require('../services/listados');
+
+/**
+ * GET /api/linea-tiempo
+ *
+ * @route GET /api/linea-tiempo?orden=cronologico&personaje=id1,id2&generacion=id
+ * @queryparam {string} [orden=cronologico] - cronologico o narrativo
+ * @queryparam {string} [personaje] - Solo eventos donde participa alguno de estos personajes (separados
+ *   por comas o con el parámetro repetido)
+ * @queryparam {string} [generacion] - Solo eventos de alguna de estas generaciones
+ * @returns {Object} {
+ *   orden, escala, total,
+ *   eventos: [{ ...evento, capitulo, posicion, momento, estimado, retrospectiva }]
+ * }
+ *   `escala` es "anios_desde_fundacion", "anio" o null si ningún evento tiene fecha.
+ *   `capitulo` y `posicion` son el primer capítulo que cuenta el evento y su lugar en él.
+ */
+router.get('/', async (req, res) => {
+    const orden = req.query.orden ? String(req.query.orden) : 'cronologico';
+    console.log(`[ROUTE] GET /api/linea-tiempo?orden=${orden}`);
+
+    if (!ORDENES.includes(orden)) {
+        return res.status(400).json({ error: `Orden inválido: ${orden}. Usa ${ORDENES.join(' o ')}` });
+    }
+
+    const personajes = lista(req.query.personaje);
+    const generaciones = lista(req.query.generacion);
+    const invalidos = [...personajes, ...generaciones].filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidos.length) {
+        return res.status(400).json({ error: `ID inválido: ${invalidos.join(', ')}` });
+    }
+
+    try {
+        const linea = await lineaDeTiempo({ orden, personajes, generaciones });
+        console.log('[RESULTS]', `total=${linea.total}`, `escala=${linea.escala}`);
+        return res.json(linea);
+    } catch (error) {
+        console.error('[ERROR] en /api/linea-tiempo:', error);
+        return res.status(500).json({ error: 'Error interno del servidor' });
+    }
+});
+
+module.exports = router;
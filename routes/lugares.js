@@ -1,26 +1,38 @@
 /**
  * @fileoverview Rutas de API para gestionar lugares.
- * Permite obtener todos, obtener por ID, crear y actualizar lugares en la base de datos.
+ * Permite obtener todos, obtener por ID, crear, actualizar y eliminar lugares en la base de datos.
  */
 
 const express = require('express');
 const router = express.Router();
 const Lugar = require('../models/model_lugares');
 const mongoose = require('mongoose');
+const { eliminarConReferencias } = require('../services/referencias');
+const { sincronizarLista } = require('../services/sincronizacion');
+const { leerListado, listar } = require('../services/listados');
+const { validarCuerpo } = require('../services/validacion');
+const { requerirRol } = require('../services/autenticacion');
+const { registrarRevision } = require('../services/historial');
 
 /**
  * GET /api/lugares
  * 
- * Devuelve la lista de todos los lugares registrados.
- * Solo incluye campos básicos: _id, nombre y descripción.
+ * Devuelve una página de lugares (ver services/listados.js).
+ * Sin `fields` solo incluye campos básicos: _id, nombre y descripción.
  * 
- * @route GET /api/lugares
- * @returns {Array<Lugar>} Lista de lugares
+ * @route GET /api/lugares?page=1&limit=50&sort=nombre&fields=nombre
+ * @queryparam {string} [generacion] - IDs de generaciones relacionadas (separados por comas)
+ * @queryparam {string} [evento] - IDs de eventos ocurridos en el lugar
+ * @returns {{resultados: Array<Lugar>, total: number, pagina: number, limite: number, paginas: number}}
  */
 router.get('/', async (req, res) => {
+    const listado = leerListado(Lugar, req.query, {
+        campos: 'nombre descripcion',
+        filtros: { generacion: 'generaciones_relacionadas', evento: 'eventos_relacionados' }
+    });
+    if (listado.error) return res.status(400).json({ error: listado.error });
     try {
-        const lista = await Lugar.find().select('_id nombre descripcion');
-        res.json(lista);
+        res.json(await listar(Lugar, listado));
     } catch (err) {
         console.error('[ERROR] GET /api/lugares', err);
         res.status(500).json({ error: 'Error al obtener lugares.' });
@@ -56,18 +68,24 @@ router.get('/:id', async (req, res) => {
  * POST /api/lugares
  * 
  * Crea un nuevo lugar con nombre (obligatorio) y descripción opcional.
+ * Si trae `eventos_relacionados`, actualiza `lugar_relacionado` de esos eventos.
+ * El cuerpo se valida con el esquema (ver services/validacion.js): 422 si algún campo no
+ * existe, tiene un tipo inválido o referencia un ID inexistente.
  * 
  * @route POST /api/lugares
  * @body {string} nombre - Nombre del lugar (obligatorio)
  * @body {string} [descripcion] - Descripción del lugar (opcional)
+ * @body {string} [lugar_relacionado] - Nombre de un lugar relacionado
+ * @body {Array<string>} [eventos_relacionados] - IDs de eventos ocurridos en el lugar
+ * @body {Array<string>} [generaciones_relacionadas] - IDs de generaciones relacionadas
  * @returns {Lugar} Lugar creado
  */
-router.post('/', async (req, res) => {
-    const { nombre, descripcion } = req.body;
-    if (!nombre) return res.status(400).json({ error: 'Falta campo "nombre"' });
+router.post('/', requerirRol('editor'), validarCuerpo(Lugar), async (req, res) => {
     try {
-        const nuevo = new Lugar({ nombre, descripcion });
+        const nuevo = new Lugar(req.body);
         await nuevo.save();
+        await sincronizarLista('lugar_evento', nuevo._id, [], nuevo.eventos_relacionados);
+        await registrarRevision('lugar', null, nuevo, req.usuario);
         res.status(201).json(nuevo);
     } catch (err) {
         console.error('[ERROR] POST /api/lugares', err);
@@ -79,30 +97,39 @@ router.post('/', async (req, res) => {
  * PUT /api/lugares/:id
  * 
  * Actualiza los campos de un lugar existente por ID.
- * Solo se modifican los campos enviados en el cuerpo de la petición.
+ * Solo se modifican los campos enviados en el cuerpo de la petición, validados como en el POST.
+ * Si cambia `eventos_relacionados`, actualiza `lugar_relacionado` de los eventos agregados y quitados.
  * 
  * @route PUT /api/lugares/:id
  * @param {string} id - ID del lugar a actualizar
  * @body {string} [nombre] - Nuevo nombre
  * @body {string} [descripcion] - Nueva descripción
+ * @body {string} [lugar_relacionado] - Nombre de un lugar relacionado
+ * @body {Array<string>} [eventos_relacionados] - IDs de eventos ocurridos en el lugar
+ * @body {Array<string>} [generaciones_relacionadas] - IDs de generaciones relacionadas
  * @returns {Lugar} Lugar actualizado
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requerirRol('editor'), validarCuerpo(Lugar, { parcial: true }), async (req, res) => {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
         return res.status(400).json({ error: 'ID inválido' });
     }
 
-    const updates = {};
-    ['nombre', 'descripcion', 'lugar_relacionado', 'eventos_relacionados', 'generaciones_relacionadas'].forEach(f => {
-        if (req.body[f] !== undefined) updates[f] = req.body[f];
-    });
+    const updates = req.body;
 
     console.log('[DEBUG] Datos recibidos en PUT /lugares:', req.body);
 
     try {
+        const anterior = await Lugar.findById(id);
+        if (!anterior) return res.status(404).json({ error: 'Lugar no encontrado' });
+
         const actualizado = await Lugar.findByIdAndUpdate(id, updates, { new: true });
         if (!actualizado) return res.status(404).json({ error: 'Lugar no encontrado' });
+        if (updates.eventos_relacionados !== undefined) {
+            await sincronizarLista('lugar_evento', actualizado._id,
+                anterior.eventos_relacionados, actualizado.eventos_relacionados);
+        }
+        await registrarRevision('lugar', anterior, actualizado, req.usuario);
         res.json(actualizado);
     } catch (err) {
         console.error('[ERROR] PUT /api/lugares/:id', err);
@@ -110,4 +137,32 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+/**
+ * DELETE /api/lugares/:id
+ * 
+ * Elimina el lugar y limpia las referencias a él en otras colecciones.
+ * Vacía `lugar_relacionado` en los eventos y objetos que apuntan a este lugar.
+ * Con `?dryRun=true` no elimina nada: solo lista los documentos que se verían afectados.
+ * 
+ * @route DELETE /api/lugares/:id
+ * @param {string} id - ID a eliminar
+ * @queryparam {boolean} [dryRun] - Si es "true", solo simula la eliminación
+ * @returns {{dryRun: boolean, eliminado: Lugar, referencias: Array<Object>}} Resumen de la eliminación
+ */
+router.delete('/:id', requerirRol('admin'), async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'ID inválido' });
+    }
+    try {
+        const resultado = await eliminarConReferencias('lugar', id, { dryRun: req.query.dryRun === 'true' });
+        if (!resultado) return res.status(404).json({ error: 'Lugar no encontrado' });
+        if (!resultado.dryRun) await registrarRevision('lugar', resultado.eliminado, null, req.usuario);
+        res.json(resultado);
+    } catch (err) {
+        console.error('[ERROR] DELETE /api/lugares/:id', err);
+        res.status(500).json({ error: 'Error al eliminar lugar.' });
+    }
+});
+
 module.exports = router;
@@ -1,27 +1,44 @@
 /**
  * @fileoverview Rutas de API para gestionar objetos narrativos.
- * Permite obtener, crear y actualizar objetos relacionados con eventos, personajes, lugares y generaciones.
+ * Permite obtener, crear, actualizar y eliminar objetos relacionados con eventos, personajes, lugares y generaciones.
  */
 
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Objeto = require('../models/model_objetos');
+const { eliminarConReferencias } = require('../services/referencias');
+const { sincronizarReferencia } = require('../services/sincronizacion');
+const { leerListado, listar } = require('../services/listados');
+const { validarCuerpo } = require('../services/validacion');
+const { requerirRol } = require('../services/autenticacion');
+const { registrarRevision } = require('../services/historial');
 
 /**
  * GET /api/objetos
  *
- * Devuelve todos los objetos registrados.
- * Incluye referencias populadas si existen.
+ * Devuelve una página de objetos (ver services/listados.js). Las relaciones solo se
+ * populan si se piden en `populate`.
  *
- * @route GET /api/objetos
- * @returns {Array<Objeto>} Lista de objetos con sus relaciones.
+ * @route GET /api/objetos?page=1&limit=50&sort=nombre&fields=nombre&populate=evento_relacionado
+ * @queryparam {string} [evento] - IDs de eventos relacionados (separados por comas)
+ * @queryparam {string} [lugar] - IDs de lugares
+ * @queryparam {string} [personaje] - IDs de personajes
+ * @queryparam {string} [generacion] - IDs de generaciones
+ * @returns {{resultados: Array<Objeto>, total: number, pagina: number, limite: number, paginas: number}}
  */
 router.get('/', async (req, res) => {
+    const listado = leerListado(Objeto, req.query, {
+        filtros: {
+            evento: 'evento_relacionado',
+            lugar: 'lugar_relacionado',
+            personaje: 'personaje_relacionado',
+            generacion: 'generacion_relacionada'
+        }
+    });
+    if (listado.error) return res.status(400).json({ error: listado.error });
     try {
-        const objetos = await Objeto.find()
-            .populate('evento_relacionado lugar_relacionado personaje_relacionado generacion_relacionada');
-        res.json(objetos);
+        res.json(await listar(Objeto, listado));
     } catch (err) {
         console.error('[ERROR] GET /api/objetos', err);
         res.status(500).json({ error: 'Error al obtener objetos.' });
@@ -57,6 +74,9 @@ router.get('/:id', async (req, res) => {
  * POST /api/objetos
  *
  * Crea un nuevo objeto con referencias opcionales a evento, personaje, lugar o generación.
+ * Si tiene personaje, lo agrega a la lista `objetos` de ese personaje.
+ * El cuerpo se valida con el esquema (ver services/validacion.js): 422 si algún campo no
+ * existe, tiene un tipo inválido o referencia un ID inexistente.
  *
  * @route POST /api/objetos
  * @body {string} nombre - Nombre del objeto (obligatorio)
@@ -67,20 +87,12 @@ router.get('/:id', async (req, res) => {
  * @body {string} [generacion_relacionada] - ID de la generación relacionada
  * @returns {Objeto} Objeto creado con referencias populadas
  */
-router.post('/', async (req, res) => {
-    const { nombre, descripcion, evento_relacionado, lugar_relacionado, personaje_relacionado, generacion_relacionada } = req.body;
-    if (!nombre) return res.status(400).json({ error: 'Falta campo "nombre"' });
-
+router.post('/', requerirRol('editor'), validarCuerpo(Objeto), async (req, res) => {
     try {
-        const nuevo = new Objeto({
-            nombre,
-            descripcion,
-            evento_relacionado,
-            lugar_relacionado,
-            personaje_relacionado,
-            generacion_relacionada
-        });
+        const nuevo = new Objeto(req.body);
         await nuevo.save();
+        await sincronizarReferencia('personaje_objeto', nuevo._id, null, nuevo.personaje_relacionado);
+        await registrarRevision('objeto', null, nuevo, req.usuario);
         const pop = await nuevo.populate('evento_relacionado lugar_relacionado personaje_relacionado generacion_relacionada');
         res.status(201).json(pop);
     } catch (err) {
@@ -92,7 +104,9 @@ router.post('/', async (req, res) => {
 /**
  * PUT /api/objetos/:id
  *
- * Actualiza un objeto existente por ID. Solo modifica los campos enviados.
+ * Actualiza un objeto existente por ID. Solo modifica los campos enviados, validados
+ * como en el POST.
+ * Si cambia el personaje, mueve el objeto entre las listas `objetos` de ambos personajes.
  *
  * @route PUT /api/objetos/:id
  * @param {string} id - ID del objeto a actualizar
@@ -104,22 +118,25 @@ router.post('/', async (req, res) => {
  * @body {string} [generacion_relacionada] - ID de generación relacionada
  * @returns {Objeto} Objeto actualizado con referencias populadas
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requerirRol('editor'), validarCuerpo(Objeto, { parcial: true }), async (req, res) => {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
         return res.status(400).json({ error: 'ID inválido' });
     }
 
-    const updates = {};
-    ['nombre', 'descripcion', 'evento_relacionado', 'lugar_relacionado', 'personaje_relacionado', 'generacion_relacionada'].forEach(campo => {
-        if (req.body[campo] !== undefined) updates[campo] = req.body[campo];
-    });
+    const updates = req.body;
 
     try {
+        const anterior = await Objeto.findById(id);
+        if (!anterior) return res.status(404).json({ error: 'Objeto no encontrado' });
+
         const actualizado = await Objeto.findByIdAndUpdate(id, updates, { new: true })
             .populate('evento_relacionado lugar_relacionado personaje_relacionado generacion_relacionada');
 
         if (!actualizado) return res.status(404).json({ error: 'Objeto no encontrado' });
+        await sincronizarReferencia('personaje_objeto', actualizado._id,
+            anterior.personaje_relacionado, actualizado.personaje_relacionado?._id);
+        await registrarRevision('objeto', anterior, actualizado, req.usuario);
         res.json(actualizado);
     } catch (err) {
         console.error('[ERROR] PUT /api/objetos/:id', err);
@@ -127,4 +144,32 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+/**
+ * DELETE /api/objetos/:id
+ * 
+ * Elimina el objeto y limpia las referencias a él en otras colecciones.
+ * Quita el objeto de `Personaje.objetos`.
+ * Con `?dryRun=true` no elimina nada: solo lista los documentos que se verían afectados.
+ * 
+ * @route DELETE /api/objetos/:id
+ * @param {string} id - ID a eliminar
+ * @queryparam {boolean} [dryRun] - Si es "true", solo simula la eliminación
+ * @returns {{dryRun: boolean, eliminado: Objeto, referencias: Array<Object>}} Resumen de la eliminación
+ */
+router.delete('/:id', requerirRol('admin'), async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'ID inválido' });
+    }
+    try {
+        const resultado = await eliminarConReferencias('objeto', id, { dryRun: req.query.dryRun === 'true' });
+        if (!resultado) return res.status(404).json({ error: 'Objeto no encontrado' });
+        if (!resultado.dryRun) await registrarRevision('objeto', resultado.eliminado, null, req.usuario);
+        res.json(resultado);
+    } catch (err) {
+        console.error('[ERROR] DELETE /api/objetos/:id', err);
+        res.status(500).json({ error: 'Error al eliminar objeto.' });
+    }
+});
+
 module.exports = router;
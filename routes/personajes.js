@@ -1,32 +1,72 @@
 /**
  * @fileoverview Rutas de API para gestionar personajes.
- * Permite listar, obtener por ID, crear y actualizar personajes dentro del sistema.
+ * Permite listar, obtener por ID, crear, actualizar y eliminar personajes dentro del sistema,
+ * además de consultar su genealogía (ancestros, descendientes y árbol familiar).
  */
 
 const express = require('express');
 const router = express.Router();
 const Personaje = require('../models/model_personajes');
 const mongoose = require('mongoose');
+const { eliminarConReferencias } = require('../services/referencias');
+const { sincronizarLista } = require('../services/sincronizacion');
+const { leerListado, listar } = require('../services/listados');
+const { validarCuerpo, responderInvalidos } = require('../services/validacion');
+const { requerirRol } = require('../services/autenticacion');
+const { registrarRevision } = require('../services/historial');
+const {
+    obtenerAncestros,
+    obtenerDescendientes,
+    obtenerFamiliaDirecta,
+    obtenerArbolCompleto,
+    validarVinculos
+} = require('../services/genealogia');
 
 /**
  * GET /api/personajes
  * 
- * Devuelve la lista de todos los personajes registrados.
- * Solo incluye campos clave (_id, nombre, descripción).
+ * Devuelve una página de personajes (ver services/listados.js).
+ * Sin `fields` solo incluye _id y nombre.
  * 
- * @route GET /api/personajes
- * @returns {Array<Personaje>} Lista de personajes
+ * @route GET /api/personajes?page=1&limit=50&sort=nombre&fields=nombre,apodos&populate=padres
+ * @queryparam {number} [generacion] - Número de generación (varios separados por comas)
+ * @queryparam {string} [padre] - IDs del padre o la madre
+ * @queryparam {string} [objeto] - IDs de objetos vinculados
+ * @returns {{resultados: Array<Personaje>, total: number, pagina: number, limite: number, paginas: number}}
  */
 router.get('/', async (req, res) => {
+    const listado = leerListado(Personaje, req.query, {
+        campos: 'nombre',
+        filtros: { generacion: 'generacion', padre: 'padres', objeto: 'objetos' }
+    });
+    if (listado.error) return res.status(400).json({ error: listado.error });
     try {
-        const lista = await Personaje.find().select('_id nombre descripcion');
-        res.json(lista);
+        res.json(await listar(Personaje, listado));
     } catch (err) {
         console.error('[ERROR] GET /api/personajes', err);
         res.status(500).json({ error: 'Error al obtener personajes.' });
     }
 });
 
+/**
+ * GET /api/personajes/arbol
+ * 
+ * Devuelve el árbol genealógico completo de los Buendía como JSON anidado.
+ * Cada nodo incluye sus parejas, su generación registrada, la deducida de sus padres
+ * y la Generación (colección) en la que figura como personaje principal.
+ * 
+ * @route GET /api/personajes/arbol
+ * @returns {{arbol: Array<Object>, sin_vinculos: Array<Object>, inconsistencias: Array<Object>}}
+ */
+router.get('/arbol', async (req, res) => {
+    try {
+        res.json(await obtenerArbolCompleto());
+    } catch (err) {
+        console.error('[ERROR] GET /api/personajes/arbol', err);
+        res.status(500).json({ error: 'Error al construir el árbol genealógico.' });
+    }
+});
+
 /**
  * GET /api/personajes/:id
  * 
@@ -52,28 +92,104 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/personajes/:id/familia
+ * 
+ * Devuelve los familiares directos de un personaje: padres, parejas, hermanos e hijos.
+ * 
+ * @route GET /api/personajes/:id/familia
+ * @param {string} id - ID del personaje
+ * @returns {Object} Personaje con sus familiares directos
+ */
+router.get('/:id/familia', async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'ID de personaje inválido' });
+    }
+    try {
+        const familia = await obtenerFamiliaDirecta(id);
+        if (!familia) return res.status(404).json({ error: 'Personaje no encontrado' });
+        res.json(familia);
+    } catch (err) {
+        console.error('[ERROR] GET /api/personajes/:id/familia', err);
+        res.status(500).json({ error: 'Error al obtener la familia del personaje.' });
+    }
+});
+
+/**
+ * GET /api/personajes/:id/ancestros
+ * 
+ * Devuelve el árbol de ancestros del personaje (cada nodo con su arreglo `padres`).
+ * 
+ * @route GET /api/personajes/:id/ancestros
+ * @param {string} id - ID del personaje
+ * @returns {Object} Árbol de ancestros anidado
+ */
+router.get('/:id/ancestros', async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'ID de personaje inválido' });
+    }
+    try {
+        const arbol = await obtenerAncestros(id);
+        if (!arbol) return res.status(404).json({ error: 'Personaje no encontrado' });
+        res.json(arbol);
+    } catch (err) {
+        console.error('[ERROR] GET /api/personajes/:id/ancestros', err);
+        res.status(500).json({ error: 'Error al obtener los ancestros.' });
+    }
+});
+
+/**
+ * GET /api/personajes/:id/descendientes
+ * 
+ * Devuelve el árbol de descendientes del personaje (cada nodo con su arreglo `hijos`).
+ * 
+ * @route GET /api/personajes/:id/descendientes
+ * @param {string} id - ID del personaje
+ * @returns {Object} Árbol de descendientes anidado
+ */
+router.get('/:id/descendientes', async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'ID de personaje inválido' });
+    }
+    try {
+        const arbol = await obtenerDescendientes(id);
+        if (!arbol) return res.status(404).json({ error: 'Personaje no encontrado' });
+        res.json(arbol);
+    } catch (err) {
+        console.error('[ERROR] GET /api/personajes/:id/descendientes', err);
+        res.status(500).json({ error: 'Error al obtener los descendientes.' });
+    }
+});
+
 /**
  * POST /api/personajes
  * 
  * Crea un nuevo personaje. El campo 'nombre' es obligatorio.
- * Los campos opcionales incluyen descripción, género, destino y generación.
+ * Los campos opcionales incluyen apodos, género, destino, generación y vínculos familiares.
+ * El cuerpo se valida con el esquema (ver services/validacion.js): si algún campo no
+ * existe, tiene un tipo o valor inválido o referencia un ID inexistente, responde 422.
  * 
  * @route POST /api/personajes
  * @body {string} nombre - Nombre del personaje (obligatorio)
- * @body {string} [descripcion] - Descripción del personaje
+ * @body {Array<string>} [apodos] - Apodos con que se lo menciona en las preguntas ("el coronel")
  * @body {'masculino'|'femenino'|'otro'} [genero] - Género del personaje
  * @body {string} [destino] - Destino o desenlace del personaje
  * @body {number} [generacion] - Número de generación al que pertenece
+ * @body {Array<string>} [padres] - IDs del padre y/o la madre
+ * @body {Array<string>} [parejas] - IDs de cónyuges o parejas
+ * @body {Array<string>} [hermanos] - IDs de hermanos
+ * @body {Array<string>} [objetos] - IDs de objetos del personaje (se actualiza su `personaje_relacionado`)
  * @returns {Personaje} Personaje creado
  */
-router.post('/', async (req, res) => {
-    const { nombre, descripcion, genero, destino, generacion } = req.body;
-    if (!nombre) {
-        return res.status(400).json({ error: 'Falta campo "nombre"' });
-    }
+router.post('/', requerirRol('editor'), validarCuerpo(Personaje), async (req, res) => {
     try {
-        const nuevo = new Personaje({ nombre, descripcion, genero, destino, generacion });
+        const nuevo = new Personaje(req.body);
         await nuevo.save();
+        await sincronizarLista('personaje_objeto', nuevo._id, [], nuevo.objetos);
+        await registrarRevision('personaje', null, nuevo, req.usuario);
         res.status(201).json(nuevo);
     } catch (err) {
         console.error('[ERROR] POST /api/personajes', err);
@@ -85,33 +201,45 @@ router.post('/', async (req, res) => {
  * PUT /api/personajes/:id
  * 
  * Actualiza los campos de un personaje existente por su ID.
- * Solo se actualizan los campos enviados en el body.
+ * Solo se actualizan los campos enviados en el body, validados como en el POST (422 si
+ * hay errores, incluido un personaje que figure entre sus propios vínculos o que tenga
+ * como padre a uno de sus descendientes).
+ * Si cambia `objetos`, actualiza `personaje_relacionado` de los objetos agregados y quitados.
  * 
  * @route PUT /api/personajes/:id
  * @param {string} id - ID del personaje
  * @body {string} [nombre] - Nuevo nombre
- * @body {string} [descripcion] - Nueva descripción
+ * @body {Array<string>} [apodos] - Nuevos apodos
  * @body {'masculino'|'femenino'|'otro'} [genero] - Nuevo género
  * @body {string} [destino] - Nuevo destino
  * @body {number} [generacion] - Nueva generación
+ * @body {Array<string>} [padres] - Nuevos padres
+ * @body {Array<string>} [parejas] - Nuevas parejas
+ * @body {Array<string>} [hermanos] - Nuevos hermanos
+ * @body {Array<string>} [objetos] - Nuevos objetos (se actualiza su `personaje_relacionado`)
  * @returns {Personaje} Personaje actualizado
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requerirRol('editor'), validarCuerpo(Personaje, { parcial: true }), async (req, res) => {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
         return res.status(400).json({ error: 'ID de personaje inválido' });
     }
 
-    const updates = {};
-    ['nombre', 'descripcion', 'genero', 'destino', 'generacion'].forEach(field => {
-        if (req.body[field] !== undefined) {
-            updates[field] = req.body[field];
-        }
-    });
+    const updates = req.body;
 
     try {
+        const erroresVinculos = await validarVinculos(id, updates);
+        if (erroresVinculos.length) return responderInvalidos(res, erroresVinculos);
+
+        const anterior = await Personaje.findById(id);
+        if (!anterior) return res.status(404).json({ error: 'Personaje no encontrado' });
+
         const actualizado = await Personaje.findByIdAndUpdate(id, updates, { new: true });
         if (!actualizado) return res.status(404).json({ error: 'Personaje no encontrado' });
+        if (updates.objetos !== undefined) {
+            await sincronizarLista('personaje_objeto', actualizado._id, anterior.objetos, actualizado.objetos);
+        }
+        await registrarRevision('personaje', anterior, actualizado, req.usuario);
         res.json(actualizado);
     } catch (err) {
         console.error('[ERROR] PUT /api/personajes/:id', err);
@@ -119,4 +247,33 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+/**
+ * DELETE /api/personajes/:id
+ * 
+ * Elimina el personaje y limpia las referencias a él en otras colecciones.
+ * Quita al personaje de `Evento.personajes_involucrados`, `Generacion.personajes_principales`
+ * y de los vínculos familiares de otros personajes, y vacía `Objeto.personaje_relacionado`.
+ * Con `?dryRun=true` no elimina nada: solo lista los documentos que se verían afectados.
+ * 
+ * @route DELETE /api/personajes/:id
+ * @param {string} id - ID a eliminar
+ * @queryparam {boolean} [dryRun] - Si es "true", solo simula la eliminación
+ * @returns {{dryRun: boolean, eliminado: Personaje, referencias: Array<Object>}} Resumen de la eliminación
+ */
+router.delete('/:id', requerirRol('admin'), async (req, res) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'ID de personaje inválido' });
+    }
+    try {
+        const resultado = await eliminarConReferencias('personaje', id, { dryRun: req.query.dryRun === 'true' });
+        if (!resultado) return res.status(404).json({ error: 'Personaje no encontrado' });
+        if (!resultado.dryRun) await registrarRevision('personaje', resultado.eliminado, null, req.usuario);
+        res.json(resultado);
+    } catch (err) {
+        console.error('[ERROR] DELETE /api/personajes/:id', err);
+        res.status(500).json({ error: 'Error al eliminar el personaje.' });
+    }
+});
+
 module.exports = router;
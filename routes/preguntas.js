@@ -4,44 +4,60 @@
  * Procesa preguntas semánticas usando NLP (procesamiento de lenguaje natural).
  * Identifica menciones a capítulos, personajes, lugares, verbos clave,
  * patrones de existencia, fuzzy search, y busca eventos relacionados.
+ * Las preguntas pueden formar parte de una conversación (/api/preguntas/conversaciones),
+ * cuyos turnos anteriores resuelven pronombres y elipsis.
  */
 
 const express = require('express');
 const router = express.Router();
-const { analizarPregunta } = require('../nlpProcessor');
-const Capitulo = require('../models/model_capitulos');
-const Evento = require('../models/model_eventos');
-const Personaje = require('../models/model_personajes');
-const Lugar = require('../models/model_lugares');
-const Objeto = require('../models/model_objetos');
-const Generacion = require('../models/model_generaciones');
-
-/**
- * Escapa texto para uso literal en RegExp.
- * @param {string} text - Texto de entrada.
- * @returns {string} Texto escapado para usar en RegExp literal.
- */
-function escapeRegex(text) {
-    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+const { responderConAnalisis } = require('../services/preguntas');
+const {
+    crearConversacion,
+    buscarConversacion,
+    contextoDe,
+    registrarTurno,
+    historial
+} = require('../services/conversaciones');
 
 /**
  * GET /api/preguntas
  * 
- * Procesa la consulta semántica enviada vía query parameter `q`.
- * Realiza atajos directos de búsqueda de capítulo, invoca el análisis semántico,
- * maneja patrones de existencia, fuzzy search y construye filtros avanzados
- * para buscar eventos relacionados. Aplica fallbacks cuando no hay resultados
- * iniciales.
- * 
- * @route GET /api/preguntas?q={string}
+ * Procesa la consulta semántica enviada vía query parameter `q` con `responderPregunta`
+ * (services/preguntas.js): atajo de capítulo, análisis semántico, existencia, fuzzy
+ * search, filtro avanzado de eventos relacionados y fallbacks. Las exclusiones ("sin
+ * Úrsula") y las comparaciones temporales ("antes del capítulo 5", "antes que José Arcadio
+ * Buendía") restringen los eventos en todos los casos; "y" entre personajes pide eventos
+ * con todos ellos.
+ *
+ * La intención de la pregunta (ver `clasificarIntencion`) decide qué se devuelve en
+ * `resultados` (`tipoResultados`: 'eventos', 'personajes' o 'lugares'). Toda respuesta
+ * exitosa incluye además `intencion` y `respuesta: { intencion, texto, confianza, citas }`
+ * con la oración que responde a la pregunta (ver services/respuestas.js).
+ *
+ * Con `conversacion` (ver POST /api/preguntas/conversaciones) la pregunta se interpreta
+ * según los turnos anteriores y se agrega como un turno más: "¿Y con quién se casó?" tras
+ * "¿Quién fundó Macondo?" se responde como "¿Con quién se casó José Arcadio Buendía?".
+ * Si la pregunta cambió, la respuesta incluye `preguntaResuelta` y `referentes:
+ * [{ expresion, nombre }]` (a quién se refería cada pronombre).
+ *
+ * @route GET /api/preguntas?q={string}&conversacion={string}
  * @queryparam {string} q - Texto de la pregunta en lenguaje natural (obligatorio)
+ * @queryparam {string} [conversacion] - Identificador de la conversación
  * @returns {Promise<import('express').Response>} Respuesta JSON con estructura:
- *   - { capitulo: number|string, resultados: Array<Evento> }
+ *   - { capitulo: number|string, intencion, tipoResultados, resultados: Array<Evento>, respuesta: Object }
+ *   - Con "quién", "dónde", "cuántos" o comparaciones: { ..., tipoResultados: 'personajes'|'lugares',
+ *     resultados: Array<Personaje|Lugar> (con `puntaje`), eventos: Array<Evento> }
+ *   - Si una mención corresponde a varias entidades ("Aureliano"): { capitulo: 'ambigua', ambigua: true,
+ *     ambiguedades: [{ mencion, candidatos: [{ tipo, nombre, puntaje }] }], resultados: [], respuesta }
+ *     con la repregunta en `respuesta.texto`; no se busca con todas las coincidencias a la vez.
+ *   - Si alguna palabra parece un nombre mal escrito ("Ternerra"), se busca con el nombre correcto
+ *     y se agrega `quisisteDecir: string` con la pregunta corregida.
  *   - En caso de existencia: { capitulo: 'existencia', termino: string, resultados: Array<Evento> }
  *   - En caso de fuzzy: { capitulo: 'similar', resultados: [eventoSimilar] }
  *   - En caso de no encontrar nada: { capitulo: 'todos', resultados: [] }
- *   - En caso de error o capítulo no existente: status 400 o 404 con { error: string }
+ *   - Con `conversacion`, todas incluyen además `conversacion: string`
+ *   - En caso de error, capítulo no existente o conversación desconocida o vencida:
+ *     status 400 o 404 con { error: string }
  */
 router.get('/', async (req, res) => {
     const q = req.query.q?.trim();
@@ -51,179 +67,59 @@ router.get('/', async (req, res) => {
         return res.status(400).json({ error: 'Falta parámetro "q"' });
     }
 
-    // Atajo directo: “capítulo N”
-    const matchCap = q.match(/cap[ií]tulo\s*(\d+)/i);
-    if (matchCap) {
-        const capNum = parseInt(matchCap[1]);
-        const capDoc = await Capitulo.findOne({ numero: capNum }).populate({
-            path: 'eventos',
-            populate: ['personajes_involucrados', 'lugar_relacionado', 'generacion_relacionada']
-        });
-        if (!capDoc) {
-            console.log(`[INFO] Capítulo ${capNum} no encontrado`);
-            return res.json({ capitulo: capNum, resultados: [] });
-        }
-        console.log(`[INFO] Capítulo ${capNum} encontrado con ${capDoc.eventos.length} eventos`);
-        return res.json({ capitulo: capNum, resultados: capDoc.eventos });
-    }
-
-    // Análisis semántico
-    const analisis = await analizarPregunta(q);
-    const { capitulo, terminoExistencia, regexVerbos, personajes, lugares, objetos, fuzzy } = analisis;
-    console.log('[ANALYSIS]', analisis);
-
     try {
-        // Si capítulo explícito (de nuevo, por si analizarPregunta devolviera)
-        if (capitulo) {
-            const capDoc = await Capitulo.findOne({ numero: capitulo });
-            if (!capDoc) {
-                console.log('[ERROR] Capítulo no existe');
-                return res.status(404).json({ error: 'Capítulo no existe' });
-            }
-            await capDoc.populate({
-                path: 'eventos',
-                populate: [
-                    { path: 'personajes_involucrados' },
-                    { path: 'lugar_relacionado' },
-                    { path: 'generacion_relacionada' }
-                ]
-            });
-            console.log('[RESULTS] eventos capítulo', capitulo, capDoc.eventos.length);
-            return res.json({ capitulo, resultados: capDoc.eventos });
-        }
-
-        // Si fuzzy y no es pregunta de existencia
-        if (fuzzy && !terminoExistencia) {
-            console.log('[FUZZY] Evento similar encontrado con fuzzy search');
-            await fuzzy.populate([
-                { path: 'personajes_involucrados' },
-                { path: 'lugar_relacionado' },
-                { path: 'generacion_relacionada' }
-            ]);
-            return res.json({ capitulo: 'similar', resultados: [fuzzy] });
+        let conversacion = null;
+        if (req.query.conversacion !== undefined) {
+            conversacion = await buscarConversacion(req.query.conversacion, req.usuario);
+            if (!conversacion) return res.status(404).json({ error: 'Conversación no encontrada' });
         }
 
-        // Preparar arrays de IDs desde nombres detectados
-        let personajeIds = [];
-        if (personajes.length) {
-            // personajes es array de strings con nombre original
-            const docsP = await Personaje.find(
-                { nombre: { $in: personajes.map(p => new RegExp(`^${escapeRegex(p)}$`, 'i')) } },
-                '_id'
-            );
-            personajeIds = docsP.map(d => d._id);
-        }
-        let lugarIds = [];
-        if (lugares.length) {
-            const docsL = await Lugar.find(
-                { nombre: { $in: lugares.map(l => new RegExp(`^${escapeRegex(l)}$`, 'i')) } },
-                '_id'
-            );
-            lugarIds = docsL.map(d => d._id);
-        }
-        // Objetos detectados: buscamos su evento_relacionado
-        let eventosDesdeObjetos = [];
-        if (objetos.length) {
-            const docsO = await Objeto.find(
-                { nombre: { $in: objetos.map(o => new RegExp(`^${escapeRegex(o)}$`, 'i')) } },
-                'evento_relacionado'
-            );
-            eventosDesdeObjetos = docsO
-                .map(o => o.evento_relacionado)
-                .filter(eid => !!eid);
-        }
-        console.log('[IDs] personajes:', personajeIds, 'lugares:', lugarIds, 'objetos→eventos:', eventosDesdeObjetos);
-
-        // Si es pregunta de existencia
-        if (terminoExistencia) {
-            /**
-             * Normaliza texto eliminando tildes y puntuación para comparar.
-             * @param {string} str - Texto a normalizar.
-             * @returns {string} Texto limpio.
-             */
-            const normalizarTexto = str =>
-                str.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w\s]/g, '');
-
-            const termino = normalizarTexto(terminoExistencia);
-
-            const todosEventos = await Evento.find({}, 'nombre descripcion');
-            const eventosCoincidentes = todosEventos.filter(e => {
-                const nombreNorm = normalizarTexto(e.nombre || '');
-                const descNorm = normalizarTexto(e.descripcion || '');
-                return nombreNorm.includes(termino) || descNorm.includes(termino);
-            });
-
-            console.log('[EXISTENCE QUERY] término:', termino);
-            console.log('[EXISTENCE QUERY] encontrados:', eventosCoincidentes.length);
-
-            const eventosFinales = await Evento.find({ _id: { $in: eventosCoincidentes.map(e => e._id) } })
-                .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
-
-            return res.json({ capitulo: 'existencia', termino: terminoExistencia, resultados: eventosFinales });
-        }
-
-        // Si no hay verbo clave, ni entidades, y tampoco fuzzy/existencia: 0 resultados
-        if ((!regexVerbos || regexVerbos.length === 0)
-            && personajeIds.length === 0
-            && lugarIds.length === 0
-            && eventosDesdeObjetos.length === 0
-        ) {
-            console.log('[FILTER] No hay verbo ni entidad detectada -> 0 resultados');
-            return res.json({ capitulo: 'todos', resultados: [] });
-        }
-
-        // Construir filtro avanzado
-        const andConds = [];
-        if (regexVerbos && regexVerbos.length) {
-            const orConds = [];
-            for (const r of regexVerbos) {
-                orConds.push(
-                    { descripcion: { $regex: r.source, $options: 'i' } },
-                    { nombre: { $regex: r.source, $options: 'i' } }
-                );
-            }
-            andConds.push({ $or: orConds });
-        }
-        if (personajeIds.length) {
-            andConds.push({ personajes_involucrados: { $in: personajeIds } });
-        }
-        if (lugarIds.length) {
-            andConds.push({ lugar_relacionado: { $in: lugarIds } });
-        }
-        if (eventosDesdeObjetos.length) {
-            andConds.push({ _id: { $in: eventosDesdeObjetos } });
-        }
-
-        const filtro = andConds.length ? { $and: andConds } : {};
-        console.log('[ADVANCED FILTER]', JSON.stringify(filtro, null, 2));
-
-        // Consulta inicial
-        let resultados = await Evento.find(filtro)
-            .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
-        console.log('[RESULTS initial] preguntas:', resultados.length);
-
-        // Fallbacks en orden de prioridad
-        if (resultados.length === 0 && eventosDesdeObjetos.length) {
-            console.log('[FALLBACK] devolviendo eventos referenciados por objetos detectados');
-            resultados = await Evento.find({ _id: { $in: eventosDesdeObjetos } })
-                .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
-        }
-        else if (resultados.length === 0 && personajeIds.length) {
-            console.log('[FALLBACK] devolviendo eventos para personajes detectados');
-            resultados = await Evento.find({ personajes_involucrados: { $in: personajeIds } })
-                .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
-        }
-        else if (resultados.length === 0 && lugarIds.length) {
-            console.log('[FALLBACK] devolviendo eventos para lugares detectados');
-            resultados = await Evento.find({ lugar_relacionado: { $in: lugarIds } })
-                .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
-        }
+        const { cuerpo, analisis } = await responderConAnalisis(q, conversacion && contextoDe(conversacion));
+        if (conversacion) await registrarTurno(conversacion, q, cuerpo, analisis);
+        if (!cuerpo) return res.status(404).json({ error: 'Capítulo no existe' });
+        return res.json(conversacion ? { ...cuerpo, conversacion: conversacion.clave } : cuerpo);
+    } catch (error) {
+        console.error('[ERROR] en /api/preguntas:', error);
+        return res.status(500).json({ error: 'Error interno del servidor' });
+    }
+});
 
-        console.log('[RESULTS final] preguntas:', resultados.length);
-        return res.json({ capitulo: 'todos', resultados });
+/**
+ * POST /api/preguntas/conversaciones
+ *
+ * Inicia una conversación. Si hay sesión, solo ese usuario podrá continuarla. Vence tras
+ * dos horas sin preguntas.
+ *
+ * @route POST /api/preguntas/conversaciones
+ * @returns {Promise<import('express').Response>} 201 con { conversacion: string, expira: Date, turnos: [] }
+ */
+router.post('/conversaciones', async (req, res) => {
+    try {
+        const conversacion = await crearConversacion(req.usuario);
+        console.log(`[CONVERSACION] Iniciada ${conversacion.clave}`);
+        return res.status(201).json(historial(conversacion));
+    } catch (error) {
+        console.error('[ERROR] en POST /api/preguntas/conversaciones:', error);
+        return res.status(500).json({ error: 'Error interno del servidor' });
+    }
+});
 
+/**
+ * GET /api/preguntas/conversaciones/:id
+ *
+ * Historial de una conversación: cada pregunta, cómo se entendió y el texto de la respuesta.
+ *
+ * @route GET /api/preguntas/conversaciones/{id}
+ * @returns {Promise<import('express').Response>} { conversacion, expira, turnos: [{ pregunta,
+ *   preguntaResuelta, intencion, respuesta, fecha }] }, o 404 si no existe, venció o es de otro usuario
+ */
+router.get('/conversaciones/:id', async (req, res) => {
+    try {
+        const conversacion = await buscarConversacion(req.params.id, req.usuario);
+        if (!conversacion) return res.status(404).json({ error: 'Conversación no encontrada' });
+        return res.json(historial(conversacion));
     } catch (error) {
-        console.error('[ERROR] en /api/preguntas:', error);
+        console.error('[ERROR] en GET /api/preguntas/conversaciones:', error);
         return res.status(500).json({ error: 'Error interno del servidor' });
     }
 });
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Ruta /api/red
+ *
+ * Red de coaparición de personajes con grado, intermediación y comunidades
+ * (ver services/red.js). La página public/red.html la dibuja como grafo de fuerzas.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { redDePersonajes } = require('../services/red');
+const { lista } = require('../services/listados');
+
+/**
+ * GET /api/red/personajes
+ *
+ * @route GET /api/red/personajes?capitulo=1,2&generacion=id
+ * @queryparam {string} [capitulo] - Solo eventos de estos capítulos (números, separados por comas)
+ * @queryparam {string} [generacion] - Solo eventos de estas generaciones (IDs, separados por comas)
+ * @returns {Object} {
+ *   eventos, modularidad, comunidades,
+ *   nodos: [{ _id, nombre, generacion, eventos, grado, gradoPonderado, intermediacion, comunidad }],
+ *   aristas: [{ origen, destino, peso, eventos: [id] }]
+ * }
+ *   `peso` es la cantidad de eventos que comparten los dos personajes.
+ */
+router.get('/personajes', async (req, res) => {
+    console.log(`[ROUTE] GET /api/red/personajes`);
+
+    const capitulos = lista(req.query.capitulo);
+    if (capitulos.some(c => !/^\d+$/.test(c))) {
+        return res.status(400).json({ error: 'Valor inválido para "capitulo"' });
+    }
+    const generaciones = lista(req.query.generacion);
+    const invalidos = generaciones.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidos.length) {
+        return res.status(400).json({ error: `ID inválido: ${invalidos.join(', ')}` });
+    }
+
+    try {
+        const red = await redDePersonajes({ capitulos: capitulos.map(Number), generaciones });
+        console.log('[RESULTS]', `nodos=${red.nodos.length}`, `aristas=${red.aristas.length}`, `comunidades=${red.comunidades}`);
+        return res.json(red);
+    } catch (error) {
+        console.error('[ERROR] en /api/red/personajes:', error);
+        return res.status(500).json({ error: 'Error interno del servidor' });
+    }
+});
+
+module.exports = router;
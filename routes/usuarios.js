@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Rutas de API para administrar usuarios.
+ * Permite listar las cuentas y cambiar su rol. Todas requieren el rol admin.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Usuario = require('../models/model_usuarios');
+const { requerirRol, publico, ROLES } = require('../services/autenticacion');
+
+router.use(requerirRol('admin'));
+
+/**
+ * GET /api/usuarios
+ *
+ * Devuelve todas las cuentas, ordenadas por nombre.
+ *
+ * @route GET /api/usuarios
+ * @returns {Array<{_id, nombre, rol}>} Usuarios
+ */
+router.get('/', async (req, res) => {
+    try {
+        const usuarios = await Usuario.find().sort({ nombre: 1 });
+        res.json(usuarios.map(publico));
+    } catch (err) {
+        console.error('[ERROR] GET /api/usuarios', err);
+        res.status(500).json({ error: 'Error al obtener usuarios.' });
+    }
+});
+
+/**
+ * PUT /api/usuarios/:id
+ *
+ * Cambia el rol de una cuenta. Un admin no puede cambiar su propio rol,
+ * para que siempre quede al menos uno.
+ *
+ * @route PUT /api/usuarios/:id
+ * @param {string} id - ID del usuario
+ * @body {string} rol - lector, editor o admin
+ * @returns {{_id, nombre, rol}} Usuario actualizado
+ */
+router.put('/:id', async (req, res) => {
+    const { id } = req.params;
+    const { rol } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ error: 'ID inválido' });
+    }
+    if (!ROLES.includes(rol)) {
+        return res.status(400).json({ error: `Rol inválido (usa ${ROLES.join(', ')})` });
+    }
+    if (id === req.usuario._id) {
+        return res.status(400).json({ error: 'No puedes cambiar tu propio rol.' });
+    }
+
+    try {
+        const usuario = await Usuario.findByIdAndUpdate(id, { rol }, { new: true });
+        if (!usuario) return res.status(404).json({ error: 'Usuario no encontrado' });
+        console.log(`[AUTH] ${req.usuario.nombre} asignó el rol ${rol} a ${usuario.nombre}`);
+        res.json(publico(usuario));
+    } catch (err) {
+        console.error('[ERROR] PUT /api/usuarios/:id', err);
+        res.status(500).json({ error: 'Error al actualizar el usuario.' });
+    }
+});
+
+module.exports = router;
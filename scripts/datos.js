@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview CLI para exportar e importar el conjunto de datos narrativo.
+ *
+ * Uso:
+ *   node scripts/datos.js exportar [archivo.json] [--formato=jsonld|turtle|graphml]
+ *   node scripts/datos.js importar <archivo.json> [--modo=insertar|upsert|reemplazar] [--dry-run]
+ *
+ * Sin archivo, `exportar` escribe el JSON en la salida estándar. Con `--formato` exporta
+ * el grafo de conocimiento en ese formato (ver services/serializacion.js).
+ * La conexión a MongoDB se toma de la misma configuración que el servidor (`config.js`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cargarConfig, aplicarNivelLog } = require('../config');
+const { conectar, desconectar } = require('../services/baseDatos');
+const { exportar, importar, leerDataset, MODOS } = require('../services/intercambio');
+const { serializar, FORMATOS } = require('../services/serializacion');
+
+/**
+ * Muestra la ayuda y termina con el código indicado.
+ * @param {number} codigo - Código de salida.
+ */
+function ayuda(codigo) {
+    console.error([
+        'Uso:',
+        `  node scripts/datos.js exportar [archivo.json] [--formato=${Object.keys(FORMATOS).join('|')}]`,
+        `  node scripts/datos.js importar <archivo.json> [--modo=${MODOS.join('|')}] [--dry-run]`
+    ].join('\n'));
+    process.exit(codigo);
+}
+
+/**
+ * Punto de entrada del CLI.
+ * @returns {Promise<number>} Código de salida.
+ */
+async function main() {
+    const [comando, ...resto] = process.argv.slice(2);
+    const archivo = resto.find(a => !a.startsWith('--'));
+    const modo = (resto.find(a => a.startsWith('--modo=')) || '--modo=insertar').split('=')[1];
+    const dryRun = resto.includes('--dry-run');
+    const formato = (resto.find(a => a.startsWith('--formato=')) || '').split('=')[1];
+
+    if (!['exportar', 'importar'].includes(comando)) ayuda(1);
+    if (comando === 'importar' && !archivo) ayuda(1);
+    if (formato !== undefined && !FORMATOS[formato]) ayuda(1);
+
+    // El CLI escribe el JSON por stdout: los logs informativos solo en modo debug
+    const config = cargarConfig({ argv: [] });
+    aplicarNivelLog(config.logLevel === 'debug' ? 'debug' : 'warn');
+    await conectar({ ...config, semilla: false });
+
+    try {
+        if (comando === 'exportar') {
+            const { datos, advertencias } = await exportar();
+            const contenido = formato
+                ? serializar(datos, formato, { baseIri: config.baseIri })
+                : JSON.stringify(datos, null, 2) + '\n';
+            if (archivo) {
+                fs.writeFileSync(path.resolve(archivo), contenido);
+                const totales = Object.entries(datos).map(([c, l]) => `${c}=${l.length}`).join(' ');
+                console.error(`[EXPORT] ${path.resolve(archivo)}: ${totales}`);
+            } else {
+                process.stdout.write(contenido);
+            }
+            advertencias.forEach(a => console.error(`[WARN] ${a}`));
+            return 0;
+        }
+
+        const reporte = await importar(leerDataset(path.resolve(archivo)), { modo, dryRun });
+        console.error(`[IMPORT] modo=${reporte.modo}${reporte.dryRun ? ' (dry-run)' : ''}`);
+        console.error('  insertados:', reporte.insertados);
+        console.error('  actualizados:', reporte.actualizados);
+        reporte.errores.forEach(e => {
+            console.error(`[ERROR] ${e.coleccion}."${e.registro}": ${e.errores.join('; ')}`);
+        });
+        if (!reporte.escrito && !reporte.dryRun) console.error('[ERROR] No se escribió nada en la base.');
+        return reporte.errores.length ? 2 : 0;
+    } finally {
+        await desconectar();
+    }
+}
+
+main()
+    .then(codigo => process.exit(codigo))
+    .catch(err => {
+        console.error('[ERROR]', err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview CLI para evaluar las respuestas a preguntas contra el benchmark.
+ *
+ * Uso:
+ *   node scripts/evaluar.js [--benchmark=archivo.json] [--k=3] [--salida=reporte.json]
+ *                           [--comparar=reporte_anterior.json] [--memoria]
+ *
+ * Hace cada pregunta del benchmark (por defecto fixtures/evaluacion_preguntas.json) con
+ * `analizarPregunta` y el mismo recorrido que /api/preguntas, y muestra precision@k,
+ * recall, MRR, aciertos de intención y de entidades, en total y por intención. Con
+ * `--salida` guarda el reporte completo en JSON; con `--comparar` muestra las diferencias
+ * con un reporte guardado antes. Las respuestas correctas corresponden a los datos de
+ * ejemplo: con `--memoria` se evalúa sobre una base en memoria sembrada con ellos.
+ * El resto de la conexión se toma de la misma configuración que el servidor (`config.js`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cargarConfig, aplicarNivelLog } = require('../config');
+const { conectar, desconectar } = require('../services/baseDatos');
+const { leerBenchmark, evaluar, compararReportes, K_POR_DEFECTO } = require('../services/evaluacion');
+
+/**
+ * Benchmark que se usa si no se indica `--benchmark`.
+ * @type {string}
+ */
+const BENCHMARK_POR_DEFECTO = path.join(__dirname, '..', 'fixtures', 'evaluacion_preguntas.json');
+
+/**
+ * Columnas de las tablas de métricas: encabezado → métrica del resumen.
+ * @type {Array<[string, string]>}
+ */
+const COLUMNAS = [
+    ['n', 'n'],
+    ['P@k', 'precisionK'],
+    ['recall', 'recall'],
+    ['MRR', 'mrr'],
+    ['intención', 'intencion'],
+    ['P ent.', 'precisionEntidades'],
+    ['R ent.', 'recallEntidades']
+];
+
+/**
+ * Muestra la ayuda y termina con el código indicado.
+ * @param {number} codigo - Código de salida.
+ */
+function ayuda(codigo) {
+    console.error([
+        'Uso:',
+        '  node scripts/evaluar.js [--benchmark=archivo.json] [--k=3] [--salida=reporte.json]',
+        '                          [--comparar=reporte_anterior.json] [--memoria]'
+    ].join('\n'));
+    process.exit(codigo);
+}
+
+/**
+ * Valor de una opción `--nombre=valor`.
+ * @param {string[]} args - Argumentos.
+ * @param {string} nombre - Nombre de la opción, sin guiones.
+ * @returns {string|undefined}
+ */
+function opcion(args, nombre) {
+    const arg = args.find(a => a.startsWith(`--${nombre}=`));
+    return arg === undefined ? undefined : arg.slice(nombre.length + 3);
+}
+
+/**
+ * Formatea una métrica con dos decimales, o un guion si no aplica.
+ * @param {number|null} valor - Métrica.
+ * @returns {string}
+ */
+function formato(valor) {
+    if (valor === null || valor === undefined) return '-';
+    return Number.isInteger(valor) ? String(valor) : valor.toFixed(2);
+}
+
+/**
+ * Formatea una diferencia con signo ("+0.25", "-0.10"), o vacío si no cambió.
+ * @param {number|null} delta - Diferencia.
+ * @returns {string}
+ */
+function formatoDelta(delta) {
+    if (!delta) return '';
+    return `${delta > 0 ? '+' : ''}${Number.isInteger(delta) ? delta : delta.toFixed(2)}`;
+}
+
+/**
+ * Arma una tabla de texto con columnas alineadas.
+ * @param {string[]} encabezados - Encabezados de columna.
+ * @param {string[][]} filas - Celdas de cada fila.
+ * @returns {string}
+ */
+function tabla(encabezados, filas) {
+    const anchos = encabezados.map((e, i) => Math.max(e.length, ...filas.map(f => f[i].length)));
+    const linea = celdas => celdas.map((c, i) => (i === 0 ? c.padEnd(anchos[i]) : c.padStart(anchos[i]))).join('  ');
+    return [linea(encabezados), anchos.map(a => '-'.repeat(a)).join('  '), ...filas.map(linea)].join('\n');
+}
+
+/**
+ * Texto del reporte: métricas por intención y en total, y preguntas sin respuesta correcta.
+ * @param {Object} reporte - Reporte de `evaluar`.
+ * @returns {string}
+ */
+function textoReporte(reporte) {
+    const filas = [
+        ...Object.entries(reporte.porIntencion).map(([i, r]) => [i, ...COLUMNAS.map(([, m]) => formato(r[m]))]),
+        ['total', ...COLUMNAS.map(([, m]) => formato(reporte.global[m]))]
+    ];
+    const lineas = [
+        `Benchmark v${reporte.version}, k=${reporte.k}, ${reporte.global.n} preguntas`,
+        '',
+        tabla(['intención', ...COLUMNAS.map(([e]) => e)], filas)
+    ];
+
+    const fallidas = reporte.preguntas.filter(p => p.rr === 0);
+    if (fallidas.length) {
+        lineas.push('', `Sin respuesta correcta (${fallidas.length}):`);
+        fallidas.forEach(p => lineas.push(`  ${p.id}: ${p.obtenidos.length ? p.obtenidos.join(', ') : '(vacío)'}`));
+    }
+    const intencionErrada = reporte.preguntas.filter(p => !p.aciertoIntencion);
+    if (intencionErrada.length) {
+        lineas.push('', 'Intención distinta de la esperada:');
+        intencionErrada.forEach(p => lineas.push(`  ${p.id}: ${p.intencionObtenida} (se esperaba ${p.intencion})`));
+    }
+    return lineas.join('\n') + '\n';
+}
+
+/**
+ * Texto de la comparación con un reporte anterior.
+ * @param {Object} comparacion - Resultado de `compararReportes`.
+ * @returns {string}
+ */
+function textoComparacion(comparacion) {
+    const celda = d => {
+        const cambio = formatoDelta(d.delta);
+        return cambio ? `${formato(d.actual)} (${cambio})` : formato(d.actual);
+    };
+    const filas = [
+        ...Object.entries(comparacion.porIntencion).map(([i, r]) => [i, ...COLUMNAS.map(([, m]) => celda(r[m]))]),
+        ['total', ...COLUMNAS.map(([, m]) => celda(comparacion.global[m]))]
+    ];
+    const lineas = ['Comparación con el reporte anterior', ''];
+    comparacion.advertencias.forEach(a => lineas.push(`[WARN] ${a}`));
+    lineas.push(tabla(['intención', ...COLUMNAS.map(([e]) => e)], filas));
+
+    for (const [tendencia, titulo] of [['mejora', 'Mejoraron'], ['empeora', 'Empeoraron'], ['mixta', 'Cambios mixtos']]) {
+        const cambios = comparacion.cambios.filter(c => c.tendencia === tendencia);
+        if (!cambios.length) continue;
+        lineas.push('', `${titulo} (${cambios.length}):`);
+        for (const c of cambios) {
+            const metricas = Object.entries(c.metricas).map(([m, d]) => `${m} ${formato(d.anterior)}→${formato(d.actual)}`);
+            lineas.push(`  ${c.id}: ${metricas.join(', ')}`);
+        }
+    }
+    if (comparacion.nuevas.length) lineas.push('', `Preguntas nuevas: ${comparacion.nuevas.join(', ')}`);
+    if (comparacion.quitadas.length) lineas.push('', `Preguntas quitadas: ${comparacion.quitadas.join(', ')}`);
+    return lineas.join('\n') + '\n';
+}
+
+/**
+ * Punto de entrada del CLI.
+ * @returns {Promise<number>} Código de salida.
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    if (args.some(a => ['-h', '--help'].includes(a))) ayuda(0);
+    const conocidas = ['--benchmark=', '--k=', '--salida=', '--comparar=', '--memoria'];
+    if (args.some(a => !conocidas.some(c => a === c || (c.endsWith('=') && a.startsWith(c))))) ayuda(1);
+
+    const k = Number(opcion(args, 'k') ?? K_POR_DEFECTO);
+    if (!Number.isInteger(k) || k < 1) ayuda(1);
+    const benchmark = leerBenchmark(path.resolve(opcion(args, 'benchmark') || BENCHMARK_POR_DEFECTO));
+    const archivoAnterior = opcion(args, 'comparar');
+    const anterior = archivoAnterior ? JSON.parse(fs.readFileSync(path.resolve(archivoAnterior), 'utf8')) : null;
+
+    // El reporte va por stdout: los logs de cada pregunta solo en modo debug
+    const config = cargarConfig({ argv: args });
+    aplicarNivelLog(config.logLevel === 'debug' ? 'debug' : 'warn');
+    await conectar(config);
+
+    try {
+        const reporte = await evaluar(benchmark, { k });
+        if (reporte.faltantes.length) {
+            console.error(`[WARN] ${reporte.faltantes.length} claves del benchmark no existen en la base ` +
+                `(¿faltan los datos de ejemplo? usa --memoria): ${reporte.faltantes.join(', ')}`);
+        }
+        process.stdout.write(textoReporte(reporte));
+        if (anterior) process.stdout.write('\n' + textoComparacion(compararReportes(anterior, reporte)));
+
+        const salida = opcion(args, 'salida');
+        if (salida) {
+            fs.writeFileSync(path.resolve(salida), JSON.stringify(reporte, null, 2) + '\n');
+            console.error(`[EVAL] Reporte guardado en ${path.resolve(salida)}`);
+        }
+        return 0;
+    } finally {
+        await desconectar();
+    }
+}
+
+main()
+    .then(codigo => process.exit(codigo))
+    .catch(err => {
+        console.error('[ERROR]', err.message);
+        process.exit(1);
+    });
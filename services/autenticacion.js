@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Cuentas, sesiones y roles.
+ *
+ * Las contraseñas se guardan con scrypt y sal aleatoria (`scrypt:<sal>:<hash>`). Al
+ * iniciar sesión se entrega un token aleatorio que el cliente envía en cada escritura
+ * como `Authorization: Bearer <token>`; en la base solo queda su SHA-256.
+ *
+ * Las lecturas son públicas. `identificar` reconoce al usuario de cada petición (si la
+ * hay) y `requerirRol` protege las rutas de escritura: crear y modificar exige el rol
+ * editor; eliminar, importar y administrar usuarios, el rol admin.
+ *
+ * El registro público solo crea lectores. El primer admin se crea al arrancar con la
+ * cuenta de la configuración (ADMIN_NOMBRE / ADMIN_CLAVE, ver `asegurarAdmin`).
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const Usuario = require('../models/model_usuarios');
+const Sesion = require('../models/model_sesiones');
+
+const { ROLES } = Usuario;
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Duración de una sesión desde que se inicia.
+ * @type {number}
+ */
+const DURACION_SESION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Largo mínimo de una contraseña.
+ * @type {number}
+ */
+const LARGO_MIN_CLAVE = 8;
+
+/**
+ * Calcula el hash de una contraseña con una sal nueva.
+ * @param {string} clave - Contraseña en texto plano.
+ * @returns {Promise<string>} Hash en formato `scrypt:<sal>:<hash>`.
+ */
+async function hashearClave(clave) {
+    const sal = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(clave, sal, 64);
+    return `scrypt:${sal}:${hash.toString('hex')}`;
+}
+
+/**
+ * Comprueba una contraseña contra su hash, en tiempo constante.
+ * @param {string} clave - Contraseña en texto plano.
+ * @param {string} guardado - Hash guardado (ver `hashearClave`).
+ * @returns {Promise<boolean>} True si coincide.
+ */
+async function verificarClave(clave, guardado) {
+    const [algoritmo, sal, hash] = String(guardado).split(':');
+    if (algoritmo !== 'scrypt' || !sal || !hash) return false;
+    const esperado = Buffer.from(hash, 'hex');
+    const calculado = await scrypt(clave, sal, esperado.length);
+    return crypto.timingSafeEqual(esperado, calculado);
+}
+
+/**
+ * SHA-256 de un token, que es lo que se guarda de cada sesión.
+ * @param {string} token - Token entregado al cliente.
+ * @returns {string} Hash en hexadecimal.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Datos de un usuario que se pueden mostrar.
+ * @param {Object} usuario - Documento Usuario.
+ * @returns {{_id: string, nombre: string, rol: string}}
+ */
+function publico(usuario) {
+    return { _id: String(usuario._id), nombre: usuario.nombre, rol: usuario.rol };
+}
+
+/**
+ * Crea la cuenta admin de la configuración o, si ya existe, le da el rol admin (sin
+ * cambiar su contraseña). Es un upsert: varios arranques simultáneos no la duplican.
+ * @param {string} nombre - Nombre de la cuenta (ADMIN_NOMBRE).
+ * @param {string} clave - Contraseña con que se crea (ADMIN_CLAVE).
+ * @returns {Promise<Object>} Documento Usuario.
+ * @throws {Error} Si la contraseña es más corta que LARGO_MIN_CLAVE.
+ */
+async function asegurarAdmin(nombre, clave) {
+    if (clave.length < LARGO_MIN_CLAVE) {
+        throw new Error(`ADMIN_CLAVE debe tener al menos ${LARGO_MIN_CLAVE} caracteres`);
+    }
+    const usuario = await Usuario.findOneAndUpdate(
+        { nombre },
+        { $set: { rol: 'admin' }, $setOnInsert: { claveHash: await hashearClave(clave) } },
+        { new: true, upsert: true }
+    );
+    console.log(`[AUTH] Cuenta admin de la configuración: ${usuario.nombre}`);
+    return usuario;
+}
+
+/**
+ * Inicia una sesión para el usuario.
+ * @param {Object} usuario - Documento Usuario.
+ * @returns {Promise<{token: string, expira: Date}>} Token para el cliente y vencimiento.
+ */
+async function iniciarSesion(usuario) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expira = new Date(Date.now() + DURACION_SESION_MS);
+    await Sesion.create({ tokenHash: hashToken(token), usuario: usuario._id, expira });
+    return { token, expira };
+}
+
+/**
+ * Cierra la sesión de un token (si existe).
+ * @param {string} token - Token entregado al cliente.
+ * @returns {Promise<void>}
+ */
+async function cerrarSesion(token) {
+    await Sesion.deleteOne({ tokenHash: hashToken(token) });
+}
+
+/**
+ * Lee el token de la cabecera `Authorization: Bearer <token>`.
+ * @param {import('express').Request} req - Petición HTTP.
+ * @returns {string|null} Token o null si no se envió.
+ */
+function tokenDe(req) {
+    const [tipo, token] = (req.get('authorization') || '').split(' ');
+    return tipo === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Middleware global: deja en `req.usuario` el usuario de la sesión (`{_id, nombre, rol}`)
+ * o null si no hay sesión válida. Nunca rechaza la petición: eso lo decide `requerirRol`.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function identificar(req, res, next) {
+    req.usuario = null;
+    const token = tokenDe(req);
+    if (!token) return next();
+    try {
+        // El índice TTL borra las sesiones vencidas con cierto retraso: se vuelve a comprobar
+        const sesion = await Sesion.findOne({ tokenHash: hashToken(token), expira: { $gt: new Date() } })
+            .populate('usuario');
+        if (sesion?.usuario) req.usuario = publico(sesion.usuario);
+        next();
+    } catch (err) {
+        console.error('[ERROR] identificando la sesión', err);
+        res.status(500).json({ error: 'Error al verificar la sesión.' });
+    }
+}
+
+/**
+ * Indica si un rol alcanza el nivel de otro.
+ * @param {string} rol - Rol del usuario.
+ * @param {string} minimo - Rol exigido.
+ * @returns {boolean} True si `rol` es `minimo` o superior.
+ */
+function alcanza(rol, minimo) {
+    return ROLES.indexOf(rol) >= ROLES.indexOf(minimo);
+}
+
+/**
+ * Middleware que exige una sesión con al menos el rol indicado.
+ * Responde 401 sin sesión y 403 con un rol insuficiente.
+ *
+ * @param {string} minimo - Uno de ROLES.
+ * @returns {import('express').RequestHandler}
+ */
+function requerirRol(minimo) {
+    if (!ROLES.includes(minimo)) throw new Error(`Rol desconocido: ${minimo}`);
+    return (req, res, next) => {
+        if (!req.usuario) {
+            return res.status(401).json({ error: 'Debes iniciar sesión.' });
+        }
+        if (!alcanza(req.usuario.rol, minimo)) {
+            console.log(`[AUTH] ${req.usuario.nombre} (${req.usuario.rol}) sin permiso para ${req.method} ${req.originalUrl}`);
+            return res.status(403).json({ error: `Se requiere el rol ${minimo}.` });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    hashearClave,
+    verificarClave,
+    iniciarSesion,
+    cerrarSesion,
+    tokenDe,
+    publico,
+    asegurarAdmin,
+    identificar,
+    requerirRol,
+    alcanza,
+    ROLES,
+    LARGO_MIN_CLAVE
+};
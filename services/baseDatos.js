@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Conexión a MongoDB.
+ *
+ * Conecta Mongoose a la URI configurada o, en modo memoria, levanta una instancia
+ * efímera de MongoDB con `mongodb-memory-server`. Opcionalmente siembra el conjunto
+ * de datos de ejemplo de la novela.
+ */
+
+const mongoose = require('mongoose');
+const { ocultarCredenciales } = require('../config');
+const { importar, leerDataset } = require('./intercambio');
+
+/**
+ * Instancia de MongoDB en memoria (solo en modo memoria).
+ * @type {import('mongodb-memory-server').MongoMemoryServer|null}
+ */
+let servidorMemoria = null;
+
+/**
+ * Conecta a MongoDB según la configuración.
+ *
+ * @param {{mongoUri: string, memoria: boolean, semilla: boolean, archivoSemilla: string}} config
+ * @returns {Promise<string>} URI a la que se conectó.
+ */
+async function conectar(config) {
+    let uri = config.mongoUri;
+
+    if (config.memoria) {
+        let MongoMemoryServer;
+        try {
+            ({ MongoMemoryServer } = require('mongodb-memory-server'));
+        } catch (err) {
+            throw new Error('El modo memoria requiere "mongodb-memory-server" (npm install --include=dev)');
+        }
+        servidorMemoria = await MongoMemoryServer.create();
+        uri = servidorMemoria.getUri('DB_100_anos');
+        console.log('[INFO] MongoDB en memoria iniciado');
+    }
+
+    console.log(`[INFO] Conectando a MongoDB: ${ocultarCredenciales(uri)}`);
+    await mongoose.connect(uri);
+    console.log('[SUCCESS] Conectado a MongoDB');
+
+    if (config.semilla) {
+        console.log(`[INFO] Sembrando datos desde ${config.archivoSemilla}`);
+        const reporte = await importar(leerDataset(config.archivoSemilla), { modo: 'reemplazar' });
+        if (reporte.errores.length) {
+            throw new Error(`El conjunto de datos tiene errores: ${JSON.stringify(reporte.errores, null, 2)}`);
+        }
+    }
+    return uri;
+}
+
+/**
+ * Cierra la conexión y detiene la instancia en memoria si existe.
+ * @returns {Promise<void>}
+ */
+async function desconectar() {
+    await mongoose.disconnect();
+    if (servidorMemoria) {
+        await servidorMemoria.stop();
+        servidorMemoria = null;
+    }
+}
+
+module.exports = { conectar, desconectar };
@@ -0,0 +1,387 @@
+/**
+ * @fileoverview Índice invertido para la búsqueda de texto de /api/buscar.
+ *
+ * En lugar de cargar y recorrer todas las colecciones en cada búsqueda, se mantiene en
+ * memoria un índice de raíces (ver `lematizar`) de los campos de texto de cada entidad.
+ * El índice se construye con la primera búsqueda y se reconstruye en la siguiente búsqueda
+ * después de cualquier escritura (ver services/cambios.js).
+ *
+ * Las raíces no llevan tildes, así que "Ursula" encuentra "Úrsula", y las flexiones
+ * coinciden entre sí ("guerras" con "guerra"). La última palabra de la consulta también se
+ * busca como prefijo ("aure" → "Aureliano") para buscar mientras se escribe, y las palabras
+ * que no aparecen en ningún texto se cambian por la más parecida del índice ("Melqiades" →
+ * "Melquíades", ver similitud.js), informando la consulta corregida en `quisisteDecir`.
+ * El puntaje es BM25 con pesos por campo: una coincidencia en el nombre vale más que en la
+ * descripción.
+ */
+
+const Personaje = require('../models/model_personajes');
+const Lugar = require('../models/model_lugares');
+const Objeto = require('../models/model_objetos');
+const Evento = require('../models/model_eventos');
+const Generacion = require('../models/model_generaciones');
+const { lematizar, limpiarTexto, corregirPregunta } = require('../nlpProcessor');
+const { masParecida } = require('../similitud');
+const { versionDatos } = require('./cambios');
+
+/**
+ * Colecciones indexadas: modelo, peso de cada campo de texto y relaciones que se
+ * populan al devolver los resultados.
+ * @type {Object.<string, {modelo: import('mongoose').Model, campos: Object.<string, number>, populate: Array}>}
+ */
+const COLECCIONES = {
+    personajes: {
+        modelo: Personaje,
+        campos: { nombre: 3, apodos: 2, destino: 1 },
+        populate: [{ path: 'objetos', select: 'nombre descripcion' }]
+    },
+    lugares: {
+        modelo: Lugar,
+        campos: { nombre: 3, descripcion: 1 },
+        populate: []
+    },
+    objetos: {
+        modelo: Objeto,
+        campos: { nombre: 3, descripcion: 1 },
+        populate: ['evento_relacionado', 'lugar_relacionado', 'personaje_relacionado', 'generacion_relacionada']
+            .map(path => ({ path, select: 'nombre' }))
+    },
+    generaciones: {
+        modelo: Generacion,
+        campos: { nombre: 3, descripcion: 1 },
+        populate: []
+    },
+    eventos: {
+        modelo: Evento,
+        campos: { nombre: 3, descripcion: 1 },
+        populate: ['personajes_involucrados', 'lugar_relacionado', 'generacion_relacionada']
+            .map(path => ({ path, select: 'nombre' }))
+    }
+};
+
+/**
+ * Parámetros de BM25.
+ * @type {{k1: number, b: number}}
+ */
+const BM25 = { k1: 1.2, b: 0.75 };
+
+/**
+ * Factor de las coincidencias por prefijo frente a las de raíz completa.
+ * @type {number}
+ */
+const PESO_PREFIJO = 0.5;
+
+/**
+ * Factor de las coincidencias con una palabra corregida por error de tipeo.
+ * @type {number}
+ */
+const PESO_APROXIMADA = 0.6;
+
+/**
+ * Largo mínimo de la palabra para buscarla como prefijo.
+ * @type {number}
+ */
+const LARGO_MIN_PREFIJO = 3;
+
+/**
+ * Palabras de contexto a cada lado de la coincidencia en un fragmento.
+ * @type {number}
+ */
+const CONTEXTO_FRAGMENTO = 8;
+
+/**
+ * Índice vigente y versión de los datos con que se construyó.
+ * @type {{version: number, indice: Object}|null}
+ */
+let vigente = null;
+
+/**
+ * Construcción en curso, para que búsquedas simultáneas no reconstruyan dos veces.
+ * @type {Promise<Object>|null}
+ */
+let construyendo = null;
+
+/**
+ * Separa un texto en palabras con su posición y su raíz.
+ * Las palabras vacías ("de", "la") quedan con raíz null: no se indexan pero sí se
+ * conservan para armar los fragmentos.
+ *
+ * @param {string} texto - Texto original.
+ * @returns {Array<{inicio: number, fin: number, palabra: string, lema: string|null}>}
+ */
+function tokenizar(texto) {
+    const tokens = [];
+    for (const m of texto.matchAll(/[a-z0-9áéíóúüñ]+/gi)) {
+        const [lema = null] = lematizar(m[0], { omitirVacias: true });
+        tokens.push({ inicio: m.index, fin: m.index + m[0].length, palabra: m[0], lema });
+    }
+    return tokens;
+}
+
+/**
+ * Texto de un campo (los arreglos, como `apodos`, se unen con comas).
+ * @param {*} valor - Valor del campo.
+ * @returns {string} Texto indexable.
+ */
+function textoDe(valor) {
+    if (Array.isArray(valor)) return valor.join(', ');
+    return typeof valor === 'string' ? valor : '';
+}
+
+/**
+ * Construye el índice leyendo solo los campos de texto de cada colección.
+ *
+ * @returns {Promise<{
+ *   documentos: Map<string, {tipo: string, id: string, campos: Object.<string, string>, largo: number}>,
+ *   postings: Map<string, Map<string, Object.<string, number>>>,
+ *   terminos: string[],
+ *   vocabulario: Map<string, {palabra: string, lema: string}>,
+ *   largoMedio: Object.<string, number>,
+ *   totales: Object.<string, number>
+ * }>} `postings` guarda, por raíz, las frecuencias por campo de cada documento, y
+ *   `vocabulario` cada palabra indexada (sin tildes) con su forma escrita y su raíz.
+ */
+async function construirIndice() {
+    const documentos = new Map();
+    const postings = new Map();
+    const vocabulario = new Map();
+    const largoMedio = {};
+    const totales = {};
+
+    for (const [tipo, { modelo, campos }] of Object.entries(COLECCIONES)) {
+        const docs = await modelo.find({}, Object.keys(campos).join(' ')).lean();
+        let suma = 0;
+        for (const doc of docs) {
+            const clave = `${tipo}:${doc._id}`;
+            const textos = {};
+            let largo = 0;
+            for (const campo of Object.keys(campos)) {
+                textos[campo] = textoDe(doc[campo]);
+                for (const { palabra, lema } of tokenizar(textos[campo])) {
+                    if (!lema) continue;
+                    largo++;
+                    const plana = limpiarTexto(palabra);
+                    if (!vocabulario.has(plana)) vocabulario.set(plana, { palabra, lema });
+                    if (!postings.has(lema)) postings.set(lema, new Map());
+                    const frecuencias = postings.get(lema);
+                    if (!frecuencias.has(clave)) frecuencias.set(clave, {});
+                    const porCampo = frecuencias.get(clave);
+                    porCampo[campo] = (porCampo[campo] || 0) + 1;
+                }
+            }
+            documentos.set(clave, { tipo, id: String(doc._id), campos: textos, largo });
+            suma += largo;
+        }
+        largoMedio[tipo] = docs.length ? suma / docs.length : 0;
+        totales[tipo] = docs.length;
+    }
+
+    const terminos = [...postings.keys()].sort();
+    console.log(`[INFO] Índice de búsqueda construido: ${documentos.size} documentos, ${terminos.length} raíces`);
+    return { documentos, postings, terminos, vocabulario, largoMedio, totales };
+}
+
+/**
+ * Devuelve el índice vigente, reconstruyéndolo si hubo escrituras desde la última vez.
+ * @returns {Promise<Object>} Índice (ver `construirIndice`).
+ */
+async function obtenerIndice() {
+    const version = versionDatos();
+    if (vigente && vigente.version === version) return vigente.indice;
+    if (!construyendo) {
+        construyendo = construirIndice()
+            .then(indice => {
+                vigente = { version, indice };
+                return indice;
+            })
+            .finally(() => { construyendo = null; });
+    }
+    return construyendo;
+}
+
+/**
+ * Raíces del índice que empiezan por un prefijo (búsqueda binaria sobre la lista ordenada).
+ * @param {string[]} terminos - Raíces ordenadas.
+ * @param {string} prefijo - Prefijo sin tildes.
+ * @returns {string[]} Raíces con ese prefijo.
+ */
+function conPrefijo(terminos, prefijo) {
+    let bajo = 0;
+    let alto = terminos.length;
+    while (bajo < alto) {
+        const medio = (bajo + alto) >> 1;
+        if (terminos[medio] < prefijo) bajo = medio + 1;
+        else alto = medio;
+    }
+    const encontrados = [];
+    for (let i = bajo; i < terminos.length && terminos[i].startsWith(prefijo); i++) encontrados.push(terminos[i]);
+    return encontrados;
+}
+
+/**
+ * Convierte la consulta en términos de búsqueda: cada palabra significativa con las raíces
+ * que la representan en el índice y el peso de cada una. Una palabra que no coincide con
+ * ninguna raíz (ni como prefijo, si es la última) se busca por la palabra indexada más
+ * parecida, y la corrección se agrega a `correcciones`.
+ *
+ * @param {string} consulta - Texto buscado.
+ * @param {Object} indice - Índice vigente.
+ * @param {Array<{palabra: string, sugerencia: string}>} correcciones - Recibe las palabras corregidas.
+ * @returns {Array<Map<string, number>>} Por cada palabra, peso de cada raíz que la satisface.
+ */
+function terminosDeConsulta(consulta, indice, correcciones) {
+    // Las palabras vacías no están en el índice: una consulta como "de los" no encuentra nada
+    const palabras = tokenizar(consulta).filter(t => t.lema);
+    return palabras.map((t, i) => {
+        const raices = new Map([[t.lema, 1]]);
+        if (i === palabras.length - 1 && t.palabra.length >= LARGO_MIN_PREFIJO) {
+            const prefijo = limpiarTexto(t.palabra);
+            for (const termino of [...conPrefijo(indice.terminos, prefijo), ...conPrefijo(indice.terminos, t.lema)]) {
+                if (!raices.has(termino)) raices.set(termino, PESO_PREFIJO);
+            }
+        }
+        if (raices.size === 1 && !indice.postings.has(t.lema)) {
+            const parecida = masParecida(t.palabra, indice.vocabulario.keys());
+            if (parecida) {
+                const { palabra, lema } = indice.vocabulario.get(parecida.palabra);
+                correcciones.push({ palabra: t.palabra, sugerencia: palabra });
+                return new Map([[lema, PESO_APROXIMADA]]);
+            }
+        }
+        return raices;
+    });
+}
+
+/**
+ * Escapa texto para insertarlo en HTML.
+ * @param {string} texto - Texto original.
+ * @returns {string} Texto escapado.
+ */
+function escaparHtml(texto) {
+    return texto.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Arma un fragmento del texto alrededor de la primera coincidencia, marcando con
+ * `<mark>` cada palabra que coincide. El resto del texto se escapa como HTML.
+ *
+ * @param {string} texto - Texto del campo.
+ * @param {Set<string>} raices - Raíces que coincidieron con la consulta.
+ * @returns {string|null} Fragmento con las coincidencias marcadas, o null si no hay.
+ */
+function fragmentar(texto, raices) {
+    const tokens = tokenizar(texto);
+    const primera = tokens.findIndex(t => t.lema && raices.has(t.lema));
+    if (primera === -1) return null;
+
+    const desde = Math.max(0, primera - CONTEXTO_FRAGMENTO);
+    const hasta = Math.min(tokens.length - 1, primera + CONTEXTO_FRAGMENTO * 2);
+    let posicion = desde === 0 ? 0 : tokens[desde].inicio;
+    let html = desde === 0 ? '' : '…';
+    for (const t of tokens.slice(desde, hasta + 1)) {
+        html += escaparHtml(texto.slice(posicion, t.inicio));
+        const palabra = escaparHtml(t.palabra);
+        html += t.lema && raices.has(t.lema) ? `<mark>${palabra}</mark>` : palabra;
+        posicion = t.fin;
+    }
+    html += hasta === tokens.length - 1 ? escaparHtml(texto.slice(posicion)) : '…';
+    return html;
+}
+
+/**
+ * Busca en el índice y devuelve una página de resultados ordenados por relevancia,
+ * con los documentos completos (populados) y fragmentos resaltados.
+ *
+ * Un documento entra en los resultados si coincide con alguna palabra de la consulta;
+ * los que coinciden con todas quedan primero (el puntaje se multiplica por la proporción
+ * de palabras encontradas). Si alguna palabra se corrigió por error de tipeo, la consulta
+ * corregida viene en `quisisteDecir`.
+ *
+ * @param {string} consulta - Texto buscado.
+ * @param {Object} [opciones]
+ * @param {string[]} [opciones.tipos] - Colecciones donde buscar (por defecto, todas).
+ * @param {number} [opciones.pagina=1] - Página (desde 1).
+ * @param {number} [opciones.porPagina=20] - Resultados por página.
+ * @returns {Promise<{
+ *   total: number,
+ *   totalesPorTipo: Object.<string, number>,
+ *   resultados: Array<{tipo: string, puntaje: number, fragmentos: Array<{campo: string, texto: string}>, documento: Object}>,
+ *   quisisteDecir: string|null
+ * }>}
+ */
+async function buscar(consulta, { tipos = Object.keys(COLECCIONES), pagina = 1, porPagina = 20 } = {}) {
+    const indice = await obtenerIndice();
+    const correcciones = [];
+    const terminos = terminosDeConsulta(consulta, indice, correcciones);
+    const permitidos = new Set(tipos);
+
+    // Puntaje BM25 por documento y raíces con que coincidió
+    const puntajes = new Map();
+    for (const raices of terminos) {
+        const encontradosPorPalabra = new Set();
+        for (const [raiz, pesoRaiz] of raices) {
+            const frecuencias = indice.postings.get(raiz);
+            if (!frecuencias) continue;
+            const df = {};
+            for (const clave of frecuencias.keys()) {
+                const { tipo } = indice.documentos.get(clave);
+                df[tipo] = (df[tipo] || 0) + 1;
+            }
+            for (const [clave, porCampo] of frecuencias) {
+                const doc = indice.documentos.get(clave);
+                if (!permitidos.has(doc.tipo)) continue;
+
+                const n = indice.totales[doc.tipo];
+                const idf = Math.log(1 + (n - df[doc.tipo] + 0.5) / (df[doc.tipo] + 0.5));
+                const tf = Object.entries(porCampo)
+                    .reduce((suma, [campo, f]) => suma + COLECCIONES[doc.tipo].campos[campo] * f, 0);
+                const normal = 1 - BM25.b + BM25.b * doc.largo / (indice.largoMedio[doc.tipo] || 1);
+
+                if (!puntajes.has(clave)) puntajes.set(clave, { puntaje: 0, palabras: 0, raices: new Set() });
+                const acumulado = puntajes.get(clave);
+                acumulado.puntaje += pesoRaiz * idf * tf * (BM25.k1 + 1) / (tf + BM25.k1 * normal);
+                acumulado.raices.add(raiz);
+                if (!encontradosPorPalabra.has(clave)) {
+                    encontradosPorPalabra.add(clave);
+                    acumulado.palabras++;
+                }
+            }
+        }
+    }
+
+    const ordenados = [...puntajes.entries()]
+        .map(([clave, p]) => ({ clave, ...p, puntaje: p.puntaje * p.palabras / terminos.length }))
+        .sort((a, b) => b.puntaje - a.puntaje || a.clave.localeCompare(b.clave));
+
+    const totalesPorTipo = Object.fromEntries(tipos.map(tipo => [tipo, 0]));
+    ordenados.forEach(r => totalesPorTipo[indice.documentos.get(r.clave).tipo]++);
+
+    const enPagina = ordenados.slice((pagina - 1) * porPagina, pagina * porPagina);
+
+    // Documentos completos de la página, populados como antes
+    const porTipo = {};
+    enPagina.forEach(r => {
+        const { tipo, id } = indice.documentos.get(r.clave);
+        (porTipo[tipo] = porTipo[tipo] || []).push(id);
+    });
+    const cargados = new Map();
+    for (const [tipo, ids] of Object.entries(porTipo)) {
+        const docs = await COLECCIONES[tipo].modelo.find({ _id: { $in: ids } }).populate(COLECCIONES[tipo].populate).lean();
+        docs.forEach(d => cargados.set(`${tipo}:${d._id}`, d));
+    }
+
+    const resultados = enPagina
+        .filter(r => cargados.has(r.clave))
+        .map(r => {
+            const { tipo, campos } = indice.documentos.get(r.clave);
+            const fragmentos = Object.keys(COLECCIONES[tipo].campos)
+                .map(campo => ({ campo, texto: fragmentar(campos[campo], r.raices) }))
+                .filter(f => f.texto);
+            return { tipo, puntaje: Math.round(r.puntaje * 1000) / 1000, fragmentos, documento: cargados.get(r.clave) };
+        });
+
+    const quisisteDecir = correcciones.length ? corregirPregunta(consulta, correcciones) : null;
+    return { total: ordenados.length, totalesPorTipo, resultados, quisisteDecir };
+}
+
+module.exports = { buscar, COLECCIONES };
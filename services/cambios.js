@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Registro de escrituras en las colecciones narrativas.
+ *
+ * Los modelos que usan el plugin `registrarCambios` incrementan un contador de versión
+ * cada vez que se guarda, actualiza o elimina un documento, sin importar si la escritura
+ * viene de una ruta, de una importación o de la reparación de integridad.
+ * Los índices en memoria (ver services/busqueda.js) y el léxico de verbos en caché (ver
+ * services/lexico.js) comparan esa versión con la que tenían al construirse para saber
+ * si deben reconstruirse.
+ */
+
+/**
+ * Versión actual de los datos: aumenta con cada escritura.
+ * @type {number}
+ */
+let version = 0;
+
+/**
+ * Operaciones de documento, consulta y modelo que modifican datos.
+ * `updateOne` y `deleteOne` existen tanto en documentos como en consultas y se registran aparte.
+ * @type {string[]}
+ */
+const ESCRITURAS = [
+    'save', 'insertMany', 'bulkWrite',
+    'updateMany', 'replaceOne', 'deleteMany',
+    'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'
+];
+
+/**
+ * Incrementa la versión de los datos.
+ */
+function marcarCambio() {
+    version++;
+}
+
+/**
+ * Plugin de Mongoose: registra las escrituras del esquema. Debe aplicarse antes de
+ * compilar el modelo (`Schema.plugin(registrarCambios)` antes de `mongoose.model`).
+ * @param {import('mongoose').Schema} schema - Esquema a vigilar.
+ */
+function registrarCambios(schema) {
+    schema.post(ESCRITURAS, marcarCambio);
+    schema.post(['updateOne', 'deleteOne'], { document: true, query: true }, marcarCambio);
+}
+
+/**
+ * Versión actual de los datos.
+ * @returns {number} Contador de escrituras desde que arrancó el proceso.
+ */
+function versionDatos() {
+    return version;
+}
+
+module.exports = { registrarCambios, versionDatos };
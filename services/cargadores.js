@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Carga por lotes de documentos para las consultas GraphQL.
+ *
+ * Al resolver una lista (por ejemplo, los personajes de cada evento de un lugar) GraphQL
+ * pide cada relación por separado. Los cargadores juntan todos los IDs pedidos en el mismo
+ * paso de la ejecución y los traen con una sola consulta `$in` por colección, en lugar de
+ * una consulta por documento (N+1). Los resultados se guardan mientras dura la petición:
+ * se crea un juego de cargadores nuevo para cada una (ver routes/graphql.js).
+ */
+
+const { MODELOS } = require('./referencias');
+
+/**
+ * Crea una función que carga valores por clave, agrupando en un solo lote todas las claves
+ * pedidas antes de que la ejecución siga (misma técnica que DataLoader: el lote se despacha
+ * en `process.nextTick` después de las promesas ya resueltas).
+ *
+ * @param {function(string[]): Promise<Map<string, *>>} cargarLote - Trae los valores de varias claves.
+ * @returns {{cargar: function(string): Promise<*>, limpiar: function(): void}}
+ *   `cargar` devuelve el valor de una clave (undefined si no existe); `limpiar` vacía la caché.
+ */
+function lote(cargarLote) {
+    const cache = new Map();
+    let pendientes = null;
+
+    const despachar = async (claves) => {
+        try {
+            const valores = await cargarLote([...claves.keys()]);
+            for (const [clave, { resolve }] of claves) resolve(valores.get(clave));
+        } catch (err) {
+            for (const { reject } of claves.values()) reject(err);
+        }
+    };
+
+    const cargar = (clave) => {
+        if (cache.has(clave)) return cache.get(clave);
+        if (!pendientes) {
+            const claves = pendientes = new Map();
+            Promise.resolve().then(() => process.nextTick(() => {
+                pendientes = null;
+                despachar(claves);
+            }));
+        }
+        const promesa = new Promise((resolve, reject) => pendientes.set(clave, { resolve, reject }));
+        cache.set(clave, promesa);
+        return promesa;
+    };
+
+    return { cargar, limpiar: () => cache.clear() };
+}
+
+/**
+ * Crea los cargadores de una petición.
+ *
+ * @returns {{
+ *   porId: function(string, string): Promise<Object|undefined>,
+ *   referidos: function(string, string, string): Promise<Array<Object>>,
+ *   limpiar: function(): void
+ * }}
+ *   - `porId(tipo, id)`: documento de ese tipo (lean), o undefined si no existe;
+ *   - `referidos(tipo, campo, id)`: documentos de `tipo` cuyo `campo` apunta a `id`
+ *     (las relaciones inversas), ordenados por `_id`;
+ *   - `limpiar()`: olvida lo cargado (después de una mutación).
+ */
+function crearCargadores() {
+    const lotes = new Map();
+
+    const obtener = (clave, crear) => {
+        if (!lotes.has(clave)) lotes.set(clave, lote(crear()));
+        return lotes.get(clave);
+    };
+
+    const porId = (tipo, id) => obtener(tipo, () => async (ids) => {
+        const docs = await MODELOS[tipo].find({ _id: { $in: ids } }).lean();
+        return new Map(docs.map(d => [String(d._id), d]));
+    }).cargar(String(id));
+
+    const referidos = (tipo, campo, id) => obtener(`${tipo}.${campo}`, () => async (ids) => {
+        const docs = await MODELOS[tipo].find({ [campo]: { $in: ids } }).sort({ _id: 1 }).lean();
+        const porDestino = new Map(ids.map(i => [i, []]));
+        for (const doc of docs) {
+            for (const destino of [].concat(doc[campo] ?? []).map(String)) {
+                porDestino.get(destino)?.push(doc);
+            }
+        }
+        return porDestino;
+    }).cargar(String(id));
+
+    const limpiar = () => {
+        for (const { limpiar: limpiarLote } of lotes.values()) limpiarLote();
+    };
+
+    return { porId, referidos, limpiar };
+}
+
+module.exports = { crearCargadores };
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Conversaciones de /api/preguntas.
+ *
+ * Una conversación guarda, turno a turno, de qué entidades trató cada pregunta y cuáles
+ * fueron su respuesta, para que la siguiente pueda referirse a ellas con pronombres o
+ * elipsis ("¿Quién fundó Macondo?" → "¿Y con quién se casó?"). El contexto que se pasa
+ * a `analizarPregunta` se arma con los últimos turnos (ver correferencia.js). Las
+ * conversaciones vencen solas tras DURACION_CONVERSACION_MS sin preguntas.
+ */
+
+const crypto = require('crypto');
+const Conversacion = require('../models/model_conversaciones');
+
+/**
+ * Tiempo sin preguntas tras el cual vence una conversación: 2 horas.
+ * @type {number}
+ */
+const DURACION_CONVERSACION_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Turnos que se conservan por conversación; los más antiguos se descartan.
+ * @type {number}
+ */
+const MAX_TURNOS = 20;
+
+/**
+ * Tipos de resultado de una respuesta que son entidades a las que se puede volver a referir.
+ * @type {Object.<string, string>}
+ */
+const TIPOS_RESPONDIDOS = { personajes: 'personaje', lugares: 'lugar' };
+
+/**
+ * Crea una conversación vacía.
+ * @param {{_id: ObjectId}|null} usuario - Usuario con sesión (`req.usuario`), o null.
+ * @returns {Promise<Conversacion>} Conversación creada.
+ */
+async function crearConversacion(usuario) {
+    return Conversacion.create({
+        clave: crypto.randomBytes(16).toString('hex'),
+        usuario: usuario?._id,
+        turnos: [],
+        expira: new Date(Date.now() + DURACION_CONVERSACION_MS)
+    });
+}
+
+/**
+ * Busca una conversación vigente. Una conversación iniciada con sesión solo la puede
+ * continuar el mismo usuario.
+ * @param {string} clave - Identificador entregado al crearla.
+ * @param {{_id: ObjectId}|null} usuario - Usuario con sesión (`req.usuario`), o null.
+ * @returns {Promise<Conversacion|null>} Conversación, o null si no existe, venció o es de otro usuario.
+ */
+async function buscarConversacion(clave, usuario) {
+    if (typeof clave !== 'string' || !clave) return null;
+    const conversacion = await Conversacion.findOne({ clave, expira: { $gt: new Date() } });
+    if (!conversacion) return null;
+    if (conversacion.usuario && String(conversacion.usuario) !== String(usuario?._id)) return null;
+    return conversacion;
+}
+
+/**
+ * Contexto de la conversación para resolver referencias (ver correferencia.js).
+ * @param {Conversacion} conversacion - Conversación.
+ * @returns {import('../correferencia').ContextoConversacion}
+ */
+function contextoDe(conversacion) {
+    const turnos = [...conversacion.turnos].reverse();
+    const foco = [];
+    const vistas = new Set();
+    for (const turno of turnos) {
+        const entidades = [
+            ...turno.respondidos,
+            ...turno.personajes.map(nombre => ({ tipo: 'personaje', nombre })),
+            ...turno.lugares.map(nombre => ({ tipo: 'lugar', nombre })),
+            ...turno.objetos.map(nombre => ({ tipo: 'objeto', nombre }))
+        ];
+        for (const { tipo, nombre } of entidades) {
+            if (vistas.has(`${tipo}/${nombre}`)) continue;
+            vistas.add(`${tipo}/${nombre}`);
+            foco.push({ tipo, nombre });
+        }
+    }
+
+    // "ellos": los personajes respondidos o buscados del último turno que habló de varios
+    let grupo = [];
+    for (const turno of turnos) {
+        const respondidos = turno.respondidos.filter(e => e.tipo === 'personaje').map(e => e.nombre);
+        grupo = respondidos.length > 1 ? respondidos : turno.personajes.length > 1 ? [...turno.personajes] : [];
+        if (grupo.length) break;
+    }
+
+    const [ultimo] = turnos;
+    const anterior = ultimo
+        ? {
+            pregunta: ultimo.preguntaResuelta || ultimo.pregunta,
+            menciones: ultimo.menciones.map(({ tipo, nombre, texto }) => ({ tipo, nombre, texto }))
+        }
+        : null;
+    return { foco, grupo, anterior };
+}
+
+/**
+ * Entidades con que se respondió una pregunta: los personajes o lugares con el mayor
+ * puntaje (todos si la estrategia no puntúa, como al contar hijos).
+ * @param {Object|null} cuerpo - Cuerpo de la respuesta (ver routes/preguntas.js).
+ * @returns {Array<{tipo: string, nombre: string}>}
+ */
+function respondidosDe(cuerpo) {
+    const tipo = TIPOS_RESPONDIDOS[cuerpo?.tipoResultados];
+    if (!tipo || !cuerpo.resultados.length) return [];
+    const maximo = Math.max(...cuerpo.resultados.map(r => r.puntaje ?? -Infinity));
+    return cuerpo.resultados
+        .filter(r => maximo === -Infinity || r.puntaje === maximo)
+        .map(r => ({ tipo, nombre: r.nombre.trim() }));
+}
+
+/**
+ * Agrega un turno respondido a la conversación y renueva su vencimiento. Se hace en una
+ * sola actualización, para que dos preguntas simultáneas de la misma conversación no
+ * pisen una el turno de la otra.
+ * @param {Conversacion} conversacion - Conversación.
+ * @param {string} pregunta - Pregunta tal como se hizo.
+ * @param {Object|null} cuerpo - Cuerpo de la respuesta (null si el capítulo no existe).
+ * @param {Object} analisis - Análisis de la pregunta (`analizarPregunta`).
+ * @returns {Promise<Conversacion|null>} Conversación actualizada, o null si se borró entretanto.
+ */
+async function registrarTurno(conversacion, pregunta, cuerpo, analisis) {
+    const turno = {
+        pregunta,
+        preguntaResuelta: analisis.preguntaResuelta || null,
+        intencion: analisis.intencion ?? null,
+        respuesta: cuerpo?.respuesta?.texto || 'Ese capítulo no existe.',
+        personajes: analisis.personajes || [],
+        lugares: analisis.lugares || [],
+        objetos: analisis.objetos || [],
+        respondidos: respondidosDe(cuerpo),
+        menciones: analisis.menciones || []
+    };
+    return Conversacion.findOneAndUpdate(
+        { clave: conversacion.clave },
+        {
+            // Solo los últimos MAX_TURNOS
+            $push: { turnos: { $each: [turno], $slice: -MAX_TURNOS } },
+            $set: { expira: new Date(Date.now() + DURACION_CONVERSACION_MS) }
+        },
+        { new: true }
+    );
+}
+
+/**
+ * Historial de la conversación para el cliente.
+ * @param {Conversacion} conversacion - Conversación.
+ * @returns {{conversacion: string, expira: Date, turnos: Array<Object>}}
+ */
+function historial(conversacion) {
+    return {
+        conversacion: conversacion.clave,
+        expira: conversacion.expira,
+        turnos: conversacion.turnos.map(t => ({
+            pregunta: t.pregunta,
+            preguntaResuelta: t.preguntaResuelta,
+            intencion: t.intencion,
+            respuesta: t.respuesta,
+            fecha: t.fecha
+        }))
+    };
+}
+
+module.exports = {
+    crearConversacion,
+    buscarConversacion,
+    contextoDe,
+    registrarTurno,
+    historial,
+    DURACION_CONVERSACION_MS,
+    MAX_TURNOS
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Línea de tiempo de los eventos.
+ *
+ * Cada evento tiene dos posiciones:
+ *   - narrativa: el capítulo donde se cuenta y su lugar en `Capitulo.eventos`
+ *     (los eventos que no están en ningún capítulo van al final);
+ *   - cronológica: el momento de la historia en que ocurre, medido en años desde la
+ *     fundación de Macondo (`anios_desde_fundacion`) o con un año aproximado (`anio`).
+ *
+ * Las dos escalas se combinan si la fundación tiene año: el evento con
+ * `anios_desde_fundacion: 0` y `anio` fija la equivalencia. Sin esa referencia, `anio`
+ * solo se usa cuando ningún evento indica años desde la fundación.
+ *
+ * Un evento sin fecha toma el momento del evento fechado que lo precede en la narración
+ * (se marca como `estimado`): la novela avanza en orden salvo en las retrospectivas,
+ * que conviene fechar. Los eventos del mismo momento se ordenan por `orden_cronologico`
+ * (los que no lo tienen, después) y luego por su orden narrativo.
+ */
+
+const Evento = require('../models/model_eventos');
+const Capitulo = require('../models/model_capitulos');
+
+/**
+ * Órdenes disponibles para la línea de tiempo.
+ * @type {string[]}
+ */
+const ORDENES = ['cronologico', 'narrativo'];
+
+/**
+ * Posición narrativa de cada evento: primer capítulo que lo cuenta y su índice (base 0)
+ * en la lista del capítulo.
+ *
+ * @param {Array<{numero: number, eventos: Array<ObjectId>}>} capitulos - Capítulos.
+ * @returns {Map<string, {capitulo: number, posicion: number}>} Posición por ID de evento.
+ */
+function posicionesNarrativas(capitulos) {
+    const posiciones = new Map();
+    const ordenados = [...capitulos].sort((a, b) => a.numero - b.numero);
+    for (const { numero, eventos } of ordenados) {
+        (eventos || []).forEach((id, posicion) => {
+            if (!posiciones.has(String(id))) posiciones.set(String(id), { capitulo: numero, posicion });
+        });
+    }
+    return posiciones;
+}
+
+/**
+ * Decide en qué escala se miden los momentos y devuelve cómo calcular el de cada evento.
+ *
+ * @param {Array<Object>} eventos - Eventos con sus campos de tiempo.
+ * @returns {{escala: 'anios_desde_fundacion'|'anio'|null, momentoDe: function(Object): (number|null)}}
+ */
+function escalaDe(eventos) {
+    const tiene = campo => e => typeof e[campo] === 'number';
+    const fundacion = eventos.find(e => e.anios_desde_fundacion === 0 && tiene('anio')(e));
+
+    if (eventos.some(tiene('anios_desde_fundacion'))) {
+        return {
+            escala: 'anios_desde_fundacion',
+            momentoDe: e => tiene('anios_desde_fundacion')(e) ? e.anios_desde_fundacion
+                : fundacion && tiene('anio')(e) ? e.anio - fundacion.anio : null
+        };
+    }
+    if (eventos.some(tiene('anio'))) {
+        return { escala: 'anio', momentoDe: e => tiene('anio')(e) ? e.anio : null };
+    }
+    return { escala: null, momentoDe: () => null };
+}
+
+/**
+ * Completa el momento de los eventos sin fecha con el del evento fechado anterior.
+ *
+ * @param {Array<Object>} eventos - Eventos en orden narrativo, con `momento`.
+ * @returns {Array<Object>} Nuevos objetos, en el mismo orden, con `momento` y `estimado`.
+ */
+function estimarMomentos(eventos) {
+    let anterior = null;
+    return eventos.map(evento => {
+        if (evento.momento !== null) {
+            anterior = evento.momento;
+            return { ...evento, estimado: false };
+        }
+        return { ...evento, momento: anterior, estimado: anterior !== null };
+    });
+}
+
+/**
+ * Ordena cronológicamente eventos con el momento ya estimado (ver la descripción del módulo).
+ *
+ * @param {Array<Object>} eventos - Eventos en orden narrativo.
+ * @returns {Array<Object>} Los mismos eventos, en orden cronológico.
+ */
+function ordenarCronologicamente(eventos) {
+    // Los que no tienen ningún evento fechado antes van al principio
+    const clave = e => e.momento ?? -Infinity;
+    const orden = e => e.orden_cronologico ?? Infinity;
+    return eventos
+        .map((evento, indice) => ({ evento, indice }))
+        .sort((a, b) => clave(a.evento) - clave(b.evento)
+            || orden(a.evento) - orden(b.evento)
+            || a.indice - b.indice)
+        .map(({ evento }) => evento);
+}
+
+/**
+ * Construye la línea de tiempo.
+ *
+ * Los momentos se calculan sobre todos los eventos y recién después se filtra, así que
+ * un filtro no cambia la fecha estimada de ningún evento.
+ *
+ * @param {Object} [opciones]
+ * @param {'cronologico'|'narrativo'} [opciones.orden='cronologico'] - Orden de los eventos.
+ * @param {string[]} [opciones.personajes] - Solo eventos con alguno de estos personajes.
+ * @param {string[]} [opciones.generaciones] - Solo eventos de alguna de estas generaciones.
+ * @returns {Promise<{
+ *   orden: string, escala: string|null, total: number,
+ *   eventos: Array<{
+ *     _id, nombre, descripcion, personajes_involucrados, lugar_relacionado, generacion_relacionada,
+ *     anio?, anios_desde_fundacion?, orden_cronologico?, retrospectiva: boolean,
+ *     capitulo: number|null, posicion: number|null, momento: number|null, estimado: boolean
+ *   }>
+ * }>} `momento` está en la escala indicada por `escala`; `estimado` indica que se dedujo
+ *   del evento anterior en la narración.
+ */
+async function lineaDeTiempo({ orden = 'cronologico', personajes = [], generaciones = [] } = {}) {
+    const [eventos, capitulos] = await Promise.all([
+        Evento.find()
+            .populate('personajes_involucrados', 'nombre')
+            .populate('lugar_relacionado', 'nombre')
+            .populate('generacion_relacionada', 'nombre')
+            .lean(),
+        Capitulo.find({}, 'numero eventos').lean()
+    ]);
+
+    const posiciones = posicionesNarrativas(capitulos);
+    const { escala, momentoDe } = escalaDe(eventos);
+    const sinCapitulo = { capitulo: null, posicion: null };
+    const narrativos = estimarMomentos(eventos
+        .map(e => ({
+            ...e,
+            retrospectiva: Boolean(e.retrospectiva),
+            ...(posiciones.get(String(e._id)) || sinCapitulo),
+            momento: momentoDe(e)
+        }))
+        .sort((a, b) => (a.capitulo ?? Infinity) - (b.capitulo ?? Infinity)
+            || (a.posicion ?? 0) - (b.posicion ?? 0)
+            || String(a._id).localeCompare(String(b._id))));
+
+    let resultado = orden === 'narrativo' ? narrativos : ordenarCronologicamente(narrativos);
+
+    const incluye = (ids, valor) => ids.includes(String(valor?._id ?? valor));
+    if (personajes.length) {
+        resultado = resultado.filter(e => (e.personajes_involucrados || []).some(p => incluye(personajes, p)));
+    }
+    if (generaciones.length) {
+        resultado = resultado.filter(e => incluye(generaciones, e.generacion_relacionada));
+    }
+
+    return { orden, escala, total: resultado.length, eventos: resultado };
+}
+
+module.exports = { lineaDeTiempo, ORDENES };
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Estrategias de consulta según la intención de la pregunta.
+ *
+ * /api/preguntas primero encuentra los eventos relacionados con la pregunta;
+ * luego, según la intención detectada por `clasificarIntencion`, esta capa decide
+ * qué entidades devolver:
+ *   - quién       → personajes ordenados por participación en los eventos
+ *   - dónde       → lugares ordenados por número de eventos
+ *   - cuántos     → familiares del personaje ("¿Cuántos hijos tuvo Úrsula?")
+ *   - comparación → dos personajes medidos por familiares o por eventos
+ * El resto de intenciones se responde con los propios eventos.
+ */
+
+const Personaje = require('../models/model_personajes');
+const Lugar = require('../models/model_lugares');
+const { obtenerFamiliaDirecta } = require('./genealogia');
+const { limpiarTexto } = require('../nlpProcessor');
+
+/**
+ * Palabras de parentesco y la lista de `obtenerFamiliaDirecta` que les corresponde.
+ * @type {Object.<string, string>}
+ */
+const PARENTESCOS = {
+    hijo: 'hijos', hija: 'hijos', hijos: 'hijos', hijas: 'hijos',
+    hermano: 'hermanos', hermana: 'hermanos', hermanos: 'hermanos', hermanas: 'hermanos',
+    pareja: 'parejas', parejas: 'parejas', esposo: 'parejas', esposa: 'parejas',
+    esposos: 'parejas', esposas: 'parejas', marido: 'parejas', maridos: 'parejas',
+    padre: 'padres', madre: 'padres', padres: 'padres'
+};
+
+/**
+ * Separa un texto sin tildes en palabras.
+ * @param {string} texto - Texto original.
+ * @returns {string[]} Palabras normalizadas.
+ */
+function palabras(texto) {
+    return limpiarTexto(texto).split(/[^a-z0-9ñ]+/).filter(Boolean);
+}
+
+/**
+ * Busca la primera palabra de parentesco de la pregunta.
+ * @param {string} pregunta - Pregunta original.
+ * @returns {string|null} Lista de familiares ('hijos', 'hermanos', 'parejas', 'padres') o null.
+ */
+function parentescoDe(pregunta) {
+    const palabra = palabras(pregunta).find(p => PARENTESCOS[p]);
+    return palabra ? PARENTESCOS[palabra] : null;
+}
+
+/**
+ * Cuenta en cuántos eventos aparece cada entidad y carga sus documentos en ese orden.
+ *
+ * @param {import('mongoose').Model} Modelo - Modelo de las entidades.
+ * @param {Array<Object>} eventos - Eventos populados.
+ * @param {function(Object): Array<Object>} extraer - Entidades populadas de un evento.
+ * @param {function(Object): boolean} [incluir] - Filtro opcional de entidades.
+ * @returns {Promise<Array<Object>>} Entidades con `puntaje` (n.º de eventos) y `eventos` (IDs).
+ */
+async function rankear(Modelo, eventos, extraer, incluir = () => true) {
+    const conteo = new Map();
+    for (const ev of eventos) {
+        for (const entidad of extraer(ev)) {
+            if (!entidad?._id || !incluir(entidad)) continue;
+            const id = String(entidad._id);
+            if (!conteo.has(id)) conteo.set(id, []);
+            conteo.get(id).push(String(ev._id));
+        }
+    }
+    const docs = await Modelo.find({ _id: { $in: [...conteo.keys()] } }).lean();
+    return docs
+        .map(doc => ({ ...doc, puntaje: conteo.get(String(doc._id)).length, eventos: conteo.get(String(doc._id)) }))
+        .sort((a, b) => b.puntaje - a.puntaje || a.nombre.localeCompare(b.nombre));
+}
+
+/**
+ * "¿Quién…?": personajes de los eventos encontrados, sin contar los que ya se nombran
+ * en la pregunta, también como referencia temporal ("¿Quién murió después que José
+ * Arcadio Buendía?"), salvo que no quede ningún otro. Los excluidos ("sin Úrsula") no
+ * llegan: sus eventos ya se descartan en la búsqueda.
+ *
+ * @param {Object} analisis - Resultado de `analizarPregunta`.
+ * @param {string} pregunta - Pregunta original.
+ * @param {Array<Object>} eventos - Eventos encontrados.
+ * @returns {Promise<Object>} Resultado de la estrategia.
+ */
+async function estrategiaQuien(analisis, pregunta, eventos) {
+    const mencionados = new Set([...(analisis.personajes || []), ...(analisis.temporal?.personajes || [])].map(limpiarTexto));
+    const extraer = ev => ev.personajes_involucrados || [];
+    let resultados = await rankear(Personaje, eventos, extraer, p => !mencionados.has(limpiarTexto(p.nombre || '')));
+    if (!resultados.length) resultados = await rankear(Personaje, eventos, extraer);
+    return { tipoResultados: 'personajes', resultados };
+}
+
+/**
+ * "¿Dónde…?": lugares de los eventos encontrados.
+ * @param {Object} analisis - Resultado de `analizarPregunta`.
+ * @param {string} pregunta - Pregunta original.
+ * @param {Array<Object>} eventos - Eventos encontrados.
+ * @returns {Promise<Object>} Resultado de la estrategia.
+ */
+async function estrategiaDonde(analisis, pregunta, eventos) {
+    const resultados = await rankear(Lugar, eventos, ev => [ev.lugar_relacionado]);
+    return { tipoResultados: 'lugares', resultados };
+}
+
+/**
+ * "¿Cuántos hijos/hermanos… tuvo X?": familiares registrados del personaje.
+ * Si la pregunta no cuenta familiares, se responde con el número de eventos.
+ * X es el personaje mejor enlazado (ver enlazador.js).
+ *
+ * @param {Object} analisis - Resultado de `analizarPregunta`.
+ * @param {string} pregunta - Pregunta original.
+ * @returns {Promise<Object|null>} Resultado de la estrategia o null.
+ */
+async function estrategiaCuantos(analisis, pregunta) {
+    const parentesco = parentescoDe(pregunta);
+    const [nombre] = analisis.personajes || [];
+    if (!parentesco || !nombre) return null;
+
+    const personaje = await Personaje.findOne({ nombre }, '_id nombre').lean();
+    const familia = personaje && await obtenerFamiliaDirecta(String(personaje._id));
+    if (!familia) return null;
+
+    const ids = familia[parentesco].map(f => f._id);
+    const resultados = await Personaje.find({ _id: { $in: ids } }).sort({ nombre: 1 }).lean();
+    return {
+        tipoResultados: 'personajes',
+        resultados,
+        origen: 'genealogia',
+        medida: { criterio: parentesco, sujeto: personaje.nombre }
+    };
+}
+
+/**
+ * Comparación entre los dos personajes mejor enlazados. Si la pregunta menciona un parentesco
+ * ("¿Tuvo Aureliano más hijos que José Arcadio?") se comparan familiares;
+ * si no, el número de eventos encontrados en que participa cada uno.
+ *
+ * @param {Object} analisis - Resultado de `analizarPregunta`.
+ * @param {string} pregunta - Pregunta original.
+ * @param {Array<Object>} eventos - Eventos encontrados.
+ * @returns {Promise<Object|null>} Resultado de la estrategia o null si no hay dos personajes.
+ */
+async function estrategiaComparacion(analisis, pregunta, eventos) {
+    const nombres = (analisis.personajes || []).slice(0, 2);
+    if (nombres.length < 2) return null;
+
+    const docs = await Personaje.find({ nombre: { $in: nombres } }).lean();
+    const parentesco = parentescoDe(pregunta);
+    const resultados = [];
+    for (const doc of docs) {
+        const id = String(doc._id);
+        if (parentesco) {
+            const familia = await obtenerFamiliaDirecta(id);
+            resultados.push({ ...doc, puntaje: familia ? familia[parentesco].length : 0 });
+        } else {
+            const propios = eventos.filter(ev =>
+                (ev.personajes_involucrados || []).some(p => String(p._id || p) === id));
+            resultados.push({ ...doc, puntaje: propios.length, eventos: propios.map(ev => String(ev._id)) });
+        }
+    }
+    resultados.sort((a, b) => b.puntaje - a.puntaje);
+    return {
+        tipoResultados: 'personajes',
+        resultados,
+        ...(parentesco && { origen: 'genealogia' }),
+        medida: { criterio: parentesco || 'eventos' }
+    };
+}
+
+/**
+ * Estrategia por intención. Las intenciones que no figuran aquí devuelven eventos.
+ * @type {Object.<string, function(Object, string, Array<Object>): Promise<Object|null>>}
+ */
+const ESTRATEGIAS = {
+    quien: estrategiaQuien,
+    donde: estrategiaDonde,
+    cuantos: estrategiaCuantos,
+    comparacion: estrategiaComparacion
+};
+
+/**
+ * Aplica la estrategia correspondiente a la intención de la pregunta.
+ *
+ * @param {Object} analisis - Resultado de `analizarPregunta` (con `intencion`).
+ * @param {string} pregunta - Pregunta original.
+ * @param {Array<Object>} eventos - Eventos encontrados, con personajes y lugar populados.
+ * @returns {Promise<{
+ *   tipoResultados: 'personajes'|'lugares',
+ *   resultados: Array<Object>,
+ *   origen?: string,
+ *   medida?: {criterio: string, sujeto?: string}
+ * }|null>} Entidades a devolver en lugar de los eventos, o null para devolver eventos.
+ */
+async function aplicarEstrategia(analisis, pregunta, eventos) {
+    const estrategia = ESTRATEGIAS[analisis.intencion];
+    return estrategia ? estrategia(analisis, pregunta, eventos) : null;
+}
+
+module.exports = { aplicarEstrategia };
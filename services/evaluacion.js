@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Evaluación de las respuestas a preguntas contra un benchmark.
+ *
+ * El benchmark (fixtures/evaluacion_preguntas.json) es un archivo versionado con preguntas
+ * y sus respuestas correctas: `relevantes` son las entidades que /api/preguntas debería
+ * devolver en `resultados`, y `entidades` (opcional) las que `analizarPregunta` debería
+ * reconocer en la pregunta. Se identifican como `<tipo>/<slug>`, igual que en la
+ * exportación (ver services/intercambio.js), para no depender de los ObjectId de cada base.
+ *
+ * Por pregunta se mide precision@k, recall, rango recíproco, la intención detectada y el
+ * enlazado de entidades. El reporte promedia esas métricas en total y por intención, y dos
+ * reportes se comparan para ver qué preguntas mejoraron o empeoraron.
+ */
+
+const fs = require('fs');
+const { analizarPregunta } = require('../nlpProcessor');
+const { responderPregunta } = require('./preguntas');
+const { asignarSlugs, COLECCIONES } = require('./intercambio');
+const { MODELOS } = require('./referencias');
+
+/**
+ * Resultados que cuenta precision@k si no se indica otro `k`.
+ * @type {number}
+ */
+const K_POR_DEFECTO = 3;
+
+/**
+ * Versión del cálculo de las métricas; sube cuando cambia la fórmula de alguna, porque los
+ * reportes de versiones distintas no se pueden comparar. 2: precision@k divide por `k`.
+ * @type {number}
+ */
+const VERSION_METRICAS = 2;
+
+/**
+ * Métricas que se promedian en los resúmenes: nombre en el resumen → campo de cada pregunta.
+ * `mrr` es el promedio de los rangos recíprocos (`rr`).
+ * @type {Object.<string, string>}
+ */
+const METRICAS = {
+    precisionK: 'precisionK',
+    recall: 'recall',
+    mrr: 'rr',
+    intencion: 'aciertoIntencion',
+    precisionEntidades: 'precisionEntidades',
+    recallEntidades: 'recallEntidades'
+};
+
+/**
+ * Grupo de las preguntas sin intención ("capítulo 3") en el desglose por intención.
+ * @type {string}
+ */
+const SIN_INTENCION = 'ninguna';
+
+/**
+ * Redondea una métrica a cuatro decimales para que los reportes se lean y comparen bien.
+ * @param {number|null} valor - Métrica.
+ * @returns {number|null}
+ */
+function redondear(valor) {
+    return valor === null ? null : Math.round(valor * 10000) / 10000;
+}
+
+/**
+ * Revisa la forma de un benchmark.
+ * @param {Object} benchmark - Contenido del archivo.
+ * @returns {string[]} Problemas encontrados (vacío si es válido).
+ */
+function validarBenchmark(benchmark) {
+    if (!benchmark || typeof benchmark !== 'object') return ['El benchmark debe ser un objeto JSON'];
+    const errores = [];
+    if (!Number.isInteger(benchmark.version) || benchmark.version < 1) {
+        errores.push('"version" debe ser un entero positivo');
+    }
+    if (!Array.isArray(benchmark.preguntas) || !benchmark.preguntas.length) {
+        return [...errores, '"preguntas" debe ser un arreglo no vacío'];
+    }
+
+    const esClave = c => typeof c === 'string' && COLECCIONES[c.split('/')[0]] !== undefined && /^[a-z]+\/.+/.test(c);
+    const ids = new Set();
+    benchmark.preguntas.forEach((caso, i) => {
+        const donde = `preguntas[${i}]${caso?.id ? ` ("${caso.id}")` : ''}`;
+        if (typeof caso?.id !== 'string' || !caso.id) errores.push(`${donde}: falta "id"`);
+        else if (ids.has(caso.id)) errores.push(`${donde}: "id" repetido`);
+        else ids.add(caso.id);
+        if (typeof caso?.pregunta !== 'string' || !caso.pregunta.trim()) errores.push(`${donde}: falta "pregunta"`);
+        if (!(caso?.intencion === null || typeof caso?.intencion === 'string')) {
+            errores.push(`${donde}: "intencion" debe ser un texto o null`);
+        }
+        for (const campo of ['relevantes', 'entidades']) {
+            if (campo === 'entidades' && caso?.entidades === undefined) continue;
+            const lista = caso?.[campo];
+            if (!Array.isArray(lista) || !lista.length || !lista.every(esClave)) {
+                errores.push(`${donde}: "${campo}" debe ser un arreglo no vacío de claves <tipo>/<slug>`);
+            }
+        }
+    });
+    return errores;
+}
+
+/**
+ * Lee y valida un benchmark.
+ * @param {string} ruta - Ruta del archivo JSON.
+ * @returns {Object} Benchmark con `version` y `preguntas`.
+ * @throws {Error} Si el archivo no es un benchmark válido.
+ */
+function leerBenchmark(ruta) {
+    const benchmark = JSON.parse(fs.readFileSync(ruta, 'utf8'));
+    const errores = validarBenchmark(benchmark);
+    if (errores.length) throw new Error(`Benchmark inválido (${ruta}):\n  ${errores.join('\n  ')}`);
+    return benchmark;
+}
+
+/**
+ * Claves `<tipo>/<slug>` de todos los documentos de la base, con los mismos slugs que la
+ * exportación. Si dos documentos del mismo tipo tienen el mismo nombre, `porNombre` se
+ * queda con el de slug base (el más antiguo).
+ * @returns {Promise<{porId: Map<string, string>, porNombre: Map<string, string>}>}
+ *   Clave por ID de documento y por `<tipo>/<nombre>`.
+ */
+async function clavesDeLaBase() {
+    const porId = new Map();
+    const porNombre = new Map();
+    for (const tipo of Object.keys(COLECCIONES)) {
+        const docs = await MODELOS[tipo].find({}, tipo === 'capitulo' ? 'numero' : 'nombre').lean();
+        const slugs = asignarSlugs(tipo, docs);
+        [...docs]
+            .sort((a, b) => String(a._id).localeCompare(String(b._id)))
+            .forEach(d => {
+                const clave = `${tipo}/${slugs.get(String(d._id))}`;
+                porId.set(String(d._id), clave);
+                const nombre = `${tipo}/${tipo === 'capitulo' ? d.numero : d.nombre}`;
+                if (!porNombre.has(nombre)) porNombre.set(nombre, clave);
+            });
+    }
+    return { porId, porNombre };
+}
+
+/**
+ * Fracción de los `k` primeros puestos ocupada por resultados relevantes. Los puestos
+ * vacíos cuentan como fallos: un solo resultado correcto vale 1/k, y una respuesta vacía, 0.
+ * @param {string[]} obtenidos - Claves obtenidas, en orden.
+ * @param {Set<string>} relevantes - Claves correctas.
+ * @param {number} k - Resultados que se cuentan.
+ * @returns {number}
+ */
+function precisionEnK(obtenidos, relevantes, k) {
+    return obtenidos.slice(0, k).filter(c => relevantes.has(c)).length / k;
+}
+
+/**
+ * Fracción de las claves correctas que aparecen entre las obtenidas.
+ * @param {string[]} obtenidos - Claves obtenidas.
+ * @param {Set<string>} relevantes - Claves correctas (al menos una).
+ * @returns {number}
+ */
+function recall(obtenidos, relevantes) {
+    return new Set(obtenidos.filter(c => relevantes.has(c))).size / relevantes.size;
+}
+
+/**
+ * Inverso de la posición del primer resultado correcto (1, 1/2, 1/3...), o 0 si no hay.
+ * @param {string[]} obtenidos - Claves obtenidas, en orden.
+ * @param {Set<string>} relevantes - Claves correctas.
+ * @returns {number}
+ */
+function rangoReciproco(obtenidos, relevantes) {
+    const posicion = obtenidos.findIndex(c => relevantes.has(c));
+    return posicion === -1 ? 0 : 1 / (posicion + 1);
+}
+
+/**
+ * Hace una pregunta del benchmark y mide la respuesta.
+ *
+ * @param {Object} caso - Pregunta del benchmark.
+ * @param {{porId: Map<string, string>, porNombre: Map<string, string>}} claves - Ver `clavesDeLaBase`.
+ * @param {number} k - Resultados que cuenta precision@k.
+ * @returns {Promise<Object>} Registro de la pregunta: lo obtenido, lo esperado y sus métricas
+ *   (`precisionEntidades` y `recallEntidades` son null si el caso no indica `entidades`).
+ */
+async function evaluarPregunta(caso, claves, k) {
+    const analisis = await analizarPregunta(caso.pregunta);
+    const cuerpo = await responderPregunta(caso.pregunta);
+
+    const obtenidos = (cuerpo?.resultados || [])
+        .map(r => claves.porId.get(String(r._id)))
+        .filter(Boolean);
+    const relevantes = new Set(caso.relevantes);
+    const entidadesObtenidas = [['personaje', analisis.personajes], ['lugar', analisis.lugares], ['objeto', analisis.objetos]]
+        .flatMap(([tipo, nombres]) => nombres.map(n => claves.porNombre.get(`${tipo}/${n}`)))
+        .filter(Boolean);
+    const intencionObtenida = cuerpo ? cuerpo.intencion : analisis.intencion;
+
+    let precisionEntidades = null;
+    let recallEntidades = null;
+    if (caso.entidades) {
+        const esperadas = new Set(caso.entidades);
+        precisionEntidades = entidadesObtenidas.length
+            ? entidadesObtenidas.filter(c => esperadas.has(c)).length / entidadesObtenidas.length
+            : 0;
+        recallEntidades = recall(entidadesObtenidas, esperadas);
+    }
+
+    return {
+        id: caso.id,
+        pregunta: caso.pregunta,
+        intencion: caso.intencion,
+        intencionObtenida: intencionObtenida ?? null,
+        capitulo: cuerpo ? cuerpo.capitulo : null,
+        tipoResultados: cuerpo ? cuerpo.tipoResultados : null,
+        relevantes: caso.relevantes,
+        obtenidos,
+        entidades: caso.entidades || null,
+        entidadesObtenidas,
+        precisionK: redondear(precisionEnK(obtenidos, relevantes, k)),
+        recall: redondear(recall(obtenidos, relevantes)),
+        rr: redondear(rangoReciproco(obtenidos, relevantes)),
+        aciertoIntencion: (intencionObtenida ?? null) === caso.intencion ? 1 : 0,
+        precisionEntidades: redondear(precisionEntidades),
+        recallEntidades: redondear(recallEntidades)
+    };
+}
+
+/**
+ * Promedia las métricas de un grupo de preguntas (ver METRICAS). Las métricas que no
+ * aplican a ninguna pregunta del grupo quedan en null.
+ * @param {Array<Object>} registros - Registros de `evaluarPregunta`.
+ * @returns {Object} `{ n, precisionK, recall, mrr, intencion, precisionEntidades, recallEntidades }`.
+ */
+function resumir(registros) {
+    const resumen = { n: registros.length };
+    for (const [nombre, campo] of Object.entries(METRICAS)) {
+        const valores = registros.map(r => r[campo]).filter(v => v !== null && v !== undefined);
+        resumen[nombre] = valores.length ? redondear(valores.reduce((a, b) => a + b, 0) / valores.length) : null;
+    }
+    return resumen;
+}
+
+/**
+ * Evalúa todas las preguntas de un benchmark contra la base conectada.
+ *
+ * @param {Object} benchmark - Benchmark válido (ver `leerBenchmark`).
+ * @param {{k?: number}} [opciones] - `k` de precision@k (por defecto K_POR_DEFECTO).
+ * @returns {Promise<{
+ *   version: number, metricas: number, fecha: string, k: number,
+ *   global: Object, porIntencion: Object.<string, Object>,
+ *   faltantes: string[], preguntas: Array<Object>
+ * }>} Reporte. `faltantes` son claves del benchmark que no existen en la base: sus
+ *   preguntas no pueden acertar, y suele indicar que la base no tiene los datos de ejemplo.
+ */
+async function evaluar(benchmark, { k = K_POR_DEFECTO } = {}) {
+    const claves = await clavesDeLaBase();
+    const conocidas = new Set(claves.porId.values());
+    const faltantes = [...new Set(benchmark.preguntas.flatMap(c => [...c.relevantes, ...(c.entidades || [])]))]
+        .filter(c => !conocidas.has(c))
+        .sort();
+
+    const preguntas = [];
+    for (const caso of benchmark.preguntas) {
+        preguntas.push(await evaluarPregunta(caso, claves, k));
+    }
+
+    const grupos = {};
+    for (const registro of preguntas) {
+        const intencion = registro.intencion ?? SIN_INTENCION;
+        (grupos[intencion] = grupos[intencion] || []).push(registro);
+    }
+    const porIntencion = {};
+    for (const intencion of Object.keys(grupos).sort()) porIntencion[intencion] = resumir(grupos[intencion]);
+
+    return {
+        version: benchmark.version,
+        metricas: VERSION_METRICAS,
+        fecha: new Date().toISOString(),
+        k,
+        global: resumir(preguntas),
+        porIntencion,
+        faltantes,
+        preguntas
+    };
+}
+
+/**
+ * Diferencia entre dos valores de una métrica.
+ * @param {number|null|undefined} anterior - Valor del reporte anterior.
+ * @param {number|null|undefined} actual - Valor del reporte actual.
+ * @returns {{anterior: number|null, actual: number|null, delta: number|null}}
+ */
+function diferencia(anterior, actual) {
+    anterior = anterior ?? null;
+    actual = actual ?? null;
+    const delta = anterior === null || actual === null ? null : redondear(actual - anterior);
+    return { anterior, actual, delta };
+}
+
+/**
+ * Compara dos resúmenes métrica por métrica.
+ * @param {Object} [anterior] - Resumen del reporte anterior.
+ * @param {Object} [actual] - Resumen del reporte actual.
+ * @returns {Object.<string, {anterior, actual, delta}>} Incluye `n`.
+ */
+function compararResumen(anterior = {}, actual = {}) {
+    const resultado = {};
+    for (const nombre of ['n', ...Object.keys(METRICAS)]) resultado[nombre] = diferencia(anterior[nombre], actual[nombre]);
+    return resultado;
+}
+
+/**
+ * Compara un reporte con uno anterior.
+ *
+ * Las preguntas se emparejan por `id`. Una pregunta mejora si alguna de sus métricas sube
+ * y ninguna baja, empeora en el caso contrario, y es mixta si unas suben y otras bajan.
+ *
+ * @param {Object} anterior - Reporte anterior (de `evaluar`, leído de un JSON guardado).
+ * @param {Object} actual - Reporte actual.
+ * @returns {{
+ *   advertencias: string[],
+ *   global: Object, porIntencion: Object.<string, Object>,
+ *   cambios: Array<{id: string, pregunta: string, tendencia: 'mejora'|'empeora'|'mixta',
+ *     metricas: Object.<string, {anterior, actual, delta}>, obtenidos: {anterior: string[], actual: string[]}}>,
+ *   nuevas: string[], quitadas: string[]
+ * }}
+ */
+function compararReportes(anterior, actual) {
+    const advertencias = [];
+    if (anterior.version !== actual.version) {
+        advertencias.push(`El benchmark cambió de versión (${anterior.version} → ${actual.version}): los totales no son comparables`);
+    }
+    if (anterior.k !== actual.k) advertencias.push(`k cambió (${anterior.k} → ${actual.k}): precision@k no es comparable`);
+    // Los reportes anteriores a VERSION_METRICAS no la registran: son de la versión 1
+    const [metricasAntes, metricasAhora] = [anterior.metricas ?? 1, actual.metricas ?? 1];
+    if (metricasAntes !== metricasAhora) {
+        advertencias.push(`Las métricas se calculan distinto (versión ${metricasAntes} → ${metricasAhora}): los valores no son comparables`);
+    }
+
+    const porIntencion = {};
+    const intenciones = [...new Set([...Object.keys(anterior.porIntencion || {}), ...Object.keys(actual.porIntencion || {})])].sort();
+    for (const i of intenciones) porIntencion[i] = compararResumen(anterior.porIntencion?.[i], actual.porIntencion?.[i]);
+
+    const previas = new Map((anterior.preguntas || []).map(p => [p.id, p]));
+    const actuales = new Set(actual.preguntas.map(p => p.id));
+    const campos = Object.values(METRICAS);
+    const cambios = [];
+    for (const registro of actual.preguntas) {
+        const previo = previas.get(registro.id);
+        if (!previo) continue;
+        const metricas = {};
+        for (const campo of campos) {
+            const d = diferencia(previo[campo], registro[campo]);
+            if (d.delta) metricas[campo] = d;
+        }
+        const deltas = Object.values(metricas).map(d => d.delta);
+        if (!deltas.length) continue;
+        const sube = deltas.some(d => d > 0);
+        const baja = deltas.some(d => d < 0);
+        cambios.push({
+            id: registro.id,
+            pregunta: registro.pregunta,
+            tendencia: sube && baja ? 'mixta' : sube ? 'mejora' : 'empeora',
+            metricas,
+            obtenidos: { anterior: previo.obtenidos || [], actual: registro.obtenidos }
+        });
+    }
+
+    return {
+        advertencias,
+        global: compararResumen(anterior.global, actual.global),
+        porIntencion,
+        cambios,
+        nuevas: actual.preguntas.filter(p => !previas.has(p.id)).map(p => p.id),
+        quitadas: [...previas.keys()].filter(id => !actuales.has(id))
+    };
+}
+
+module.exports = {
+    leerBenchmark,
+    validarBenchmark,
+    evaluar,
+    compararReportes,
+    precisionEnK,
+    recall,
+    rangoReciproco,
+    K_POR_DEFECTO,
+    METRICAS
+};
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Servicio de genealogía.
+ *
+ * Construye ancestros, descendientes y el árbol familiar completo a partir de los
+ * vínculos `padres`, `parejas` y `hermanos` de los personajes, y los cruza con la
+ * colección de generaciones. También deduce la generación de cada personaje a partir
+ * de sus padres para detectar inconsistencias con el campo numérico `generacion`.
+ */
+
+const Personaje = require('../models/model_personajes');
+const Generacion = require('../models/model_generaciones');
+
+/**
+ * Carga todos los personajes y generaciones y arma un índice en memoria.
+ *
+ * @returns {Promise<{
+ *   porId: Map<string, Object>,
+ *   hijosDe: Map<string, string[]>,
+ *   generacionDe: Map<string, {_id: ObjectId, nombre: string}>
+ * }>} Índice de personajes por ID, hijos por ID de padre y generación por ID de personaje.
+ */
+async function cargarFamilia() {
+    const [personajes, generaciones] = await Promise.all([
+        Personaje.find({}, 'nombre genero generacion padres parejas hermanos').lean(),
+        Generacion.find({}, 'nombre personajes_principales').lean()
+    ]);
+
+    const porId = new Map();
+    const hijosDe = new Map();
+    personajes.forEach(p => porId.set(String(p._id), p));
+
+    personajes.forEach(p => {
+        (p.padres || []).forEach(padreId => {
+            const clave = String(padreId);
+            if (!porId.has(clave)) return;
+            if (!hijosDe.has(clave)) hijosDe.set(clave, []);
+            hijosDe.get(clave).push(String(p._id));
+        });
+    });
+
+    const generacionDe = new Map();
+    generaciones.forEach(g => {
+        (g.personajes_principales || []).forEach(pid => {
+            generacionDe.set(String(pid), { _id: g._id, nombre: g.nombre });
+        });
+    });
+
+    return { porId, hijosDe, generacionDe };
+}
+
+/**
+ * Devuelve las parejas de un personaje en ambos sentidos
+ * (las que declara él y las que lo declaran a él).
+ *
+ * @param {Object} familia - Índice devuelto por cargarFamilia().
+ * @param {string} id - ID del personaje.
+ * @returns {string[]} IDs de las parejas.
+ */
+function parejasDe(familia, id) {
+    const ids = new Set();
+    const p = familia.porId.get(id);
+    (p?.parejas || []).forEach(pid => ids.add(String(pid)));
+    familia.porId.forEach((otro, otroId) => {
+        if ((otro.parejas || []).some(pid => String(pid) === id)) ids.add(otroId);
+    });
+    ids.delete(id);
+    return [...ids].filter(pid => familia.porId.has(pid));
+}
+
+/**
+ * Devuelve los hermanos de un personaje: los declarados en ambos sentidos
+ * más los que comparten al menos uno de sus padres.
+ *
+ * @param {Object} familia - Índice devuelto por cargarFamilia().
+ * @param {string} id - ID del personaje.
+ * @returns {string[]} IDs de los hermanos.
+ */
+function hermanosDe(familia, id) {
+    const ids = new Set();
+    const p = familia.porId.get(id);
+    (p?.hermanos || []).forEach(hid => ids.add(String(hid)));
+    familia.porId.forEach((otro, otroId) => {
+        if ((otro.hermanos || []).some(hid => String(hid) === id)) ids.add(otroId);
+    });
+    (p?.padres || []).forEach(padreId => {
+        (familia.hijosDe.get(String(padreId)) || []).forEach(hid => ids.add(hid));
+    });
+    ids.delete(id);
+    return [...ids].filter(hid => familia.porId.has(hid));
+}
+
+/**
+ * Calcula la generación de cada personaje a partir de sus padres:
+ * un personaje sin padres conserva su `generacion` registrada (o 1),
+ * y uno con padres está una generación por debajo del más reciente de ellos.
+ *
+ * @param {Object} familia - Índice devuelto por cargarFamilia().
+ * @returns {Map<string, number>} Generación calculada por ID de personaje.
+ */
+function calcularGeneraciones(familia) {
+    const calculadas = new Map();
+
+    const calcular = (id, enCurso) => {
+        if (calculadas.has(id)) return calculadas.get(id);
+        const p = familia.porId.get(id);
+        const padres = (p.padres || [])
+            .map(String)
+            .filter(pid => familia.porId.has(pid) && !enCurso.has(pid));
+
+        let gen;
+        if (!padres.length) {
+            gen = p.generacion || 1;
+        } else {
+            enCurso.add(id);
+            gen = 1 + Math.max(...padres.map(pid => calcular(pid, enCurso)));
+            enCurso.delete(id);
+        }
+        calculadas.set(id, gen);
+        return gen;
+    };
+
+    familia.porId.forEach((_, id) => calcular(id, new Set()));
+    return calculadas;
+}
+
+/**
+ * Lista los personajes cuya `generacion` registrada no coincide con la deducida
+ * de sus padres.
+ *
+ * @param {Object} familia - Índice devuelto por cargarFamilia().
+ * @param {Map<string, number>} calculadas - Resultado de calcularGeneraciones().
+ * @returns {Array<{_id: ObjectId, nombre: string, generacion: number, generacion_calculada: number}>}
+ */
+function inconsistenciasGeneracion(familia, calculadas) {
+    const lista = [];
+    familia.porId.forEach((p, id) => {
+        if (p.generacion != null && p.generacion !== calculadas.get(id)) {
+            lista.push({
+                _id: p._id,
+                nombre: p.nombre,
+                generacion: p.generacion,
+                generacion_calculada: calculadas.get(id)
+            });
+        }
+    });
+    return lista;
+}
+
+/**
+ * Resume un personaje con sus datos genealógicos básicos.
+ *
+ * @param {Object} familia - Índice devuelto por cargarFamilia().
+ * @param {Map<string, number>} calculadas - Generaciones calculadas.
+ * @param {string} id - ID del personaje.
+ * @returns {Object} Nodo con _id, nombre, género, generación y parejas.
+ */
+function nodo(familia, calculadas, id) {
+    const p = familia.porId.get(id);
+    return {
+        _id: p._id,
+        nombre: p.nombre,
+        genero: p.genero,
+        generacion: p.generacion,
+        generacion_calculada: calculadas.get(id),
+        generacion_relacionada: familia.generacionDe.get(id) || null,
+        parejas: parejasDe(familia, id).map(pid => ({
+            _id: familia.porId.get(pid)._id,
+            nombre: familia.porId.get(pid).nombre
+        }))
+    };
+}
+
+/**
+ * Construye el árbol de ancestros de un personaje como JSON anidado
+ * (cada nodo incluye un arreglo `padres`).
+ *
+ * @param {string} id - ID del personaje.
+ * @returns {Promise<Object|null>} Árbol de ancestros o null si el personaje no existe.
+ */
+async function obtenerAncestros(id) {
+    const familia = await cargarFamilia();
+    if (!familia.porId.has(id)) return null;
+    const calculadas = calcularGeneraciones(familia);
+
+    const construir = (pid, camino) => {
+        const n = nodo(familia, calculadas, pid);
+        const siguiente = new Set(camino).add(pid);
+        n.padres = (familia.porId.get(pid).padres || [])
+            .map(String)
+            .filter(padreId => familia.porId.has(padreId) && !siguiente.has(padreId))
+            .map(padreId => construir(padreId, siguiente));
+        return n;
+    };
+
+    return construir(id, new Set());
+}
+
+/**
+ * Construye el árbol de descendientes de un personaje como JSON anidado
+ * (cada nodo incluye un arreglo `hijos`).
+ *
+ * @param {string} id - ID del personaje.
+ * @returns {Promise<Object|null>} Árbol de descendientes o null si el personaje no existe.
+ */
+async function obtenerDescendientes(id) {
+    const familia = await cargarFamilia();
+    if (!familia.porId.has(id)) return null;
+    const calculadas = calcularGeneraciones(familia);
+
+    const construir = (pid, camino) => {
+        const n = nodo(familia, calculadas, pid);
+        const siguiente = new Set(camino).add(pid);
+        n.hijos = (familia.hijosDe.get(pid) || [])
+            .filter(hid => !siguiente.has(hid))
+            .map(hid => construir(hid, siguiente));
+        return n;
+    };
+
+    return construir(id, new Set());
+}
+
+/**
+ * Devuelve los familiares directos de un personaje: padres, parejas, hermanos e hijos.
+ *
+ * @param {string} id - ID del personaje.
+ * @returns {Promise<Object|null>} Familiares directos o null si el personaje no existe.
+ */
+async function obtenerFamiliaDirecta(id) {
+    const familia = await cargarFamilia();
+    if (!familia.porId.has(id)) return null;
+    const calculadas = calcularGeneraciones(familia);
+    const resumir = pid => ({ _id: familia.porId.get(pid)._id, nombre: familia.porId.get(pid).nombre });
+
+    return {
+        ...nodo(familia, calculadas, id),
+        padres: (familia.porId.get(id).padres || []).map(String).filter(pid => familia.porId.has(pid)).map(resumir),
+        hermanos: hermanosDe(familia, id).map(resumir),
+        hijos: (familia.hijosDe.get(id) || []).map(resumir)
+    };
+}
+
+/**
+ * Construye el árbol genealógico completo.
+ *
+ * Las raíces son los personajes sin padres registrados que no entran al árbol
+ * como pareja de alguien con padres (p. ej. Fernanda del Carpio cuelga de
+ * Aureliano Segundo). De cada pareja de raíces solo se muestra la primera; la otra
+ * aparece en su campo `parejas`. Un hijo compartido se anida una única vez.
+ * Los personajes sin ningún vínculo familiar se devuelven aparte en `sin_vinculos`.
+ *
+ * @returns {Promise<{arbol: Object[], sin_vinculos: Object[], inconsistencias: Object[]}>}
+ */
+async function obtenerArbolCompleto() {
+    const familia = await cargarFamilia();
+    const calculadas = calcularGeneraciones(familia);
+    const tienePadres = id => (familia.porId.get(id).padres || []).some(pid => familia.porId.has(String(pid)));
+
+    const colocados = new Set();
+    const construir = id => {
+        colocados.add(id);
+        const n = nodo(familia, calculadas, id);
+        n.hijos = (familia.hijosDe.get(id) || [])
+            .filter(hid => !colocados.has(hid))
+            .map(hid => construir(hid));
+        return n;
+    };
+
+    const arbol = [];
+    const sinVinculos = [];
+    const raices = [...familia.porId.keys()]
+        .filter(id => !tienePadres(id))
+        .sort((a, b) => calculadas.get(a) - calculadas.get(b));
+
+    for (const id of raices) {
+        if (colocados.has(id)) continue;
+        const parejas = parejasDe(familia, id);
+        if (parejas.some(pid => tienePadres(pid))) continue;
+
+        const tieneHijos = (familia.hijosDe.get(id) || []).length > 0;
+        if (!tieneHijos && !parejas.length && !hermanosDe(familia, id).length) {
+            sinVinculos.push(nodo(familia, calculadas, id));
+            colocados.add(id);
+            continue;
+        }
+
+        parejas.forEach(pid => { if (!tienePadres(pid)) colocados.add(pid); });
+        arbol.push(construir(id));
+    }
+
+    return {
+        arbol,
+        sin_vinculos: sinVinculos,
+        inconsistencias: inconsistenciasGeneracion(familia, calculadas)
+    };
+}
+
+/**
+ * Verifica que el personaje no figure entre sus propios padres, parejas o hermanos, y
+ * que ninguno de los padres nuevos descienda de él (A hijo de B y B hijo de A).
+ * El tipo de cada vínculo, que los IDs existan y el máximo de dos padres se validan
+ * con el esquema (ver services/validacion.js).
+ *
+ * @param {string} id - ID del personaje que se actualiza.
+ * @param {{padres?: string[], parejas?: string[], hermanos?: string[]}} vinculos - Vínculos enviados.
+ * @returns {Promise<Array<{campo: string, mensaje: string}>>} Errores por campo (vacío si todo es válido).
+ */
+async function validarVinculos(id, vinculos) {
+    const errores = ['padres', 'parejas', 'hermanos']
+        .filter(campo => (vinculos[campo] || []).some(v => String(v) === String(id)))
+        .map(campo => ({
+            campo,
+            mensaje: `Un personaje no puede ser su propio ${campo === 'padres' ? 'padre' : campo.slice(0, -1)}`
+        }));
+    if (errores.length || !vinculos.padres?.length) return errores;
+
+    // Se sube desde los padres propuestos: si se llega al personaje, sería su propio ancestro
+    const familia = await cargarFamilia();
+    const vistos = new Set();
+    const pendientes = vinculos.padres.map(String);
+    while (pendientes.length) {
+        const actual = pendientes.pop();
+        if (actual === String(id)) {
+            return [{ campo: 'padres', mensaje: 'Un personaje no puede tener como padre a uno de sus descendientes' }];
+        }
+        if (vistos.has(actual)) continue;
+        vistos.add(actual);
+        (familia.porId.get(actual)?.padres || []).forEach(pid => pendientes.push(String(pid)));
+    }
+    return [];
+}
+
+module.exports = {
+    obtenerAncestros,
+    obtenerDescendientes,
+    obtenerFamiliaDirecta,
+    obtenerArbolCompleto,
+    validarVinculos
+};
@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Esquema GraphQL de las entidades narrativas.
+ *
+ * Los tipos se generan a partir de los esquemas Mongoose (con `describirCampos`, igual que
+ * el formulario de alta), así que un campo nuevo en un modelo aparece solo en GraphQL.
+ * Cada referencia se resuelve al documento referenciado y cada tipo expone además las
+ * relaciones inversas (ver INVERSAS): por ejemplo `Lugar.eventos_relacionados` lleva a los
+ * eventos, `Evento.personajes_involucrados` a los personajes y `Personaje.eventos` de
+ * vuelta a los eventos.
+ *
+ * Las relaciones se cargan por lotes (services/cargadores.js) y la profundidad de las
+ * consultas se limita con `limiteProfundidad`. Las mutaciones validan con
+ * services/validacion.js, sincronizan las relaciones inversas, registran la revisión y
+ * exigen los mismos roles que la API REST (editor para crear y modificar, admin para eliminar).
+ */
+
+const mongoose = require('mongoose');
+const {
+    GraphQLSchema, GraphQLObjectType, GraphQLInputObjectType, GraphQLList, GraphQLNonNull,
+    GraphQLString, GraphQLFloat, GraphQLBoolean, GraphQLID, GraphQLInt, GraphQLError, Kind
+} = require('graphql');
+const { MODELOS, eliminarConReferencias } = require('./referencias');
+const { describirCampos, validarDatos } = require('./validacion');
+const { sincronizarEntidad } = require('./sincronizacion');
+const { registrarRevision } = require('./historial');
+const { validarVinculos } = require('./genealogia');
+const { alcanza } = require('./autenticacion');
+const { LIMITE } = require('./listados');
+
+/**
+ * Relaciones inversas de cada tipo: nombre del campo GraphQL → [tipo que referencia, campo].
+ * No se incluyen las que ya se guardan en ambos sentidos (`Lugar.eventos_relacionados`,
+ * `Personaje.objetos`, ver services/sincronizacion.js), ni parejas y hermanos, que son
+ * simétricas.
+ * @type {Object.<string, Object.<string, [string, string]>>}
+ */
+const INVERSAS = {
+    personaje: {
+        eventos: ['evento', 'personajes_involucrados'],
+        generaciones: ['generacion', 'personajes_principales'],
+        hijos: ['personaje', 'padres']
+    },
+    lugar: { objetos: ['objeto', 'lugar_relacionado'] },
+    evento: { capitulos: ['capitulo', 'eventos'], objetos: ['objeto', 'evento_relacionado'] },
+    objeto: {},
+    generacion: {
+        eventos: ['evento', 'generacion_relacionada'],
+        objetos: ['objeto', 'generacion_relacionada'],
+        lugares: ['lugar', 'generaciones_relacionadas']
+    },
+    capitulo: {}
+};
+
+/**
+ * Tipo GraphQL de cada tipo de campo de `describirCampos` (las referencias se tratan aparte).
+ * @type {Object.<string, import('graphql').GraphQLScalarType>}
+ */
+const ESCALARES = { texto: GraphQLString, numero: GraphQLFloat, booleano: GraphQLBoolean, fecha: GraphQLString, id: GraphQLID };
+
+/**
+ * Tipo de entidad de cada colección ('personajes' → 'personaje').
+ * @type {Object.<string, string>}
+ */
+const TIPO_DE_COLECCION = Object.fromEntries(
+    Object.entries(MODELOS).map(([tipo, modelo]) => [modelo.collection.collectionName, tipo])
+);
+
+/**
+ * Error de GraphQL con un código en `extensions.code`.
+ * @param {string} mensaje - Mensaje para el usuario.
+ * @param {string} codigo - NO_AUTENTICADO, PROHIBIDO, NO_ENCONTRADO, ENTRADA_INVALIDA,
+ *   DATOS_INVALIDOS o CONFLICTO.
+ * @param {Object} [extra] - Otros datos para `extensions` (p. ej. `errores`).
+ * @returns {GraphQLError}
+ */
+function error(mensaje, codigo, extra = {}) {
+    return new GraphQLError(mensaje, { extensions: { code: codigo, ...extra } });
+}
+
+/**
+ * Exige una sesión con al menos el rol indicado (como `requerirRol` en REST).
+ * @param {{_id: string, nombre: string, rol: string}|null} usuario - Usuario de la petición.
+ * @param {string} minimo - Rol exigido.
+ * @throws {GraphQLError} NO_AUTENTICADO o PROHIBIDO.
+ */
+function exigirRol(usuario, minimo) {
+    if (!usuario) throw error('Debes iniciar sesión.', 'NO_AUTENTICADO');
+    if (!alcanza(usuario.rol, minimo)) throw error(`Se requiere el rol ${minimo}.`, 'PROHIBIDO');
+}
+
+/**
+ * Comprueba que un ID tenga formato de ObjectId.
+ * @param {string} id - ID recibido.
+ * @throws {GraphQLError} ENTRADA_INVALIDA.
+ */
+function exigirId(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) throw error(`ID inválido: ${id}`, 'ENTRADA_INVALIDA');
+}
+
+/**
+ * Convierte los errores de `validarDatos` en un error GraphQL con la misma lista que el 422 de REST.
+ * @param {Array<{campo: string|null, mensaje: string}>} errores - Errores por campo.
+ * @returns {GraphQLError}
+ */
+function datosInvalidos(errores) {
+    const campos = errores.map(e => e.campo).filter(Boolean);
+    return error(campos.length ? `Datos inválidos en: ${campos.join(', ')}` : errores[0].mensaje, 'DATOS_INVALIDOS', { errores });
+}
+
+/**
+ * Copia plana de un documento Mongoose (los resolvers trabajan con objetos lean).
+ * @param {import('mongoose').Document|Object} doc - Documento.
+ * @returns {Object}
+ */
+function plano(doc) {
+    return typeof doc.toObject === 'function' ? doc.toObject() : doc;
+}
+
+/**
+ * Nombre del tipo GraphQL de una entidad ('personaje' → 'Personaje').
+ * @param {string} tipo - Tipo de entidad.
+ * @returns {string}
+ */
+function nombreTipo(tipo) {
+    return MODELOS[tipo].modelName;
+}
+
+/**
+ * Construye el tipo de salida y el tipo de entrada de cada entidad.
+ * @returns {{salida: Object.<string, GraphQLObjectType>, entrada: Object.<string, GraphQLInputObjectType>}}
+ */
+function construirTipos() {
+    const salida = {};
+    const entrada = {};
+
+    for (const [tipo, modelo] of Object.entries(MODELOS)) {
+        const campos = describirCampos(modelo);
+        const descripcionDe = c => c.valores ? `${c.etiqueta}. Uno de: ${c.valores.join(', ')}` : c.etiqueta;
+
+        salida[tipo] = new GraphQLObjectType({
+            name: nombreTipo(tipo),
+            // Thunk: los tipos se referencian entre sí
+            fields: () => {
+                const campos_ = { id: { type: new GraphQLNonNull(GraphQLID), resolve: doc => String(doc._id) } };
+                for (const c of campos) {
+                    const tipoRef = c.coleccion && TIPO_DE_COLECCION[c.coleccion];
+                    if (tipoRef) {
+                        campos_[c.campo] = c.arreglo
+                            ? {
+                                type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(salida[tipoRef]))),
+                                description: c.etiqueta,
+                                // Las referencias rotas se omiten
+                                resolve: async (doc, args, { cargadores }) => (await Promise.all(
+                                    (doc[c.campo] || []).map(id => cargadores.porId(tipoRef, id))
+                                )).filter(Boolean)
+                            }
+                            : {
+                                type: salida[tipoRef],
+                                description: c.etiqueta,
+                                resolve: async (doc, args, { cargadores }) =>
+                                    doc[c.campo] ? (await cargadores.porId(tipoRef, doc[c.campo])) || null : null
+                            };
+                        continue;
+                    }
+                    const escalar = ESCALARES[c.tipo] || GraphQLString;
+                    campos_[c.campo] = c.arreglo
+                        ? { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(escalar))), description: descripcionDe(c), resolve: doc => doc[c.campo] || [] }
+                        : { type: escalar, description: descripcionDe(c) };
+                }
+                for (const [nombre, [tipoOrigen, campo]] of Object.entries(INVERSAS[tipo])) {
+                    campos_[nombre] = {
+                        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(salida[tipoOrigen]))),
+                        description: `${nombreTipo(tipoOrigen)} con ${campo} apuntando aquí`,
+                        resolve: (doc, args, { cargadores }) => cargadores.referidos(tipoOrigen, campo, doc._id)
+                    };
+                }
+                return campos_;
+            }
+        });
+
+        // Todos los campos son opcionales en GraphQL: los obligatorios los exige validarDatos,
+        // con los mismos mensajes que REST
+        entrada[tipo] = new GraphQLInputObjectType({
+            name: `${nombreTipo(tipo)}Input`,
+            fields: Object.fromEntries(campos.map(c => {
+                const escalar = c.coleccion ? GraphQLID : (ESCALARES[c.tipo] || GraphQLString);
+                return [c.campo, {
+                    type: c.arreglo ? new GraphQLList(new GraphQLNonNull(escalar)) : escalar,
+                    description: descripcionDe(c)
+                }];
+            }))
+        });
+    }
+    return { salida, entrada };
+}
+
+/**
+ * Lee la paginación de una consulta de lista.
+ * @param {{limite: number, pagina: number}} args - Argumentos.
+ * @returns {{limite: number, salto: number}}
+ * @throws {GraphQLError} ENTRADA_INVALIDA.
+ */
+function paginacion({ limite, pagina }) {
+    if (!Number.isInteger(limite) || limite < 1 || limite > LIMITE.maximo) {
+        throw error(`"limite" debe estar entre 1 y ${LIMITE.maximo}`, 'ENTRADA_INVALIDA');
+    }
+    if (!Number.isInteger(pagina) || pagina < 1) throw error('"pagina" debe ser un entero positivo', 'ENTRADA_INVALIDA');
+    return { limite, salto: (pagina - 1) * limite };
+}
+
+/**
+ * Escapa un texto para usarlo literal dentro de una expresión regular.
+ * @param {string} texto - Texto.
+ * @returns {string}
+ */
+function escaparRegex(texto) {
+    return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Consultas: `<tipo>(id)` y `<coleccion>(ids, nombre, limite, pagina)` por cada entidad.
+ * @param {Object.<string, GraphQLObjectType>} salida - Tipos de salida.
+ * @returns {GraphQLObjectType}
+ */
+function construirConsultas(salida) {
+    const campos = {};
+    for (const [tipo, modelo] of Object.entries(MODELOS)) {
+        const esCapitulo = tipo === 'capitulo';
+        const campoNombre = esCapitulo ? 'titulo' : 'nombre';
+
+        campos[tipo] = {
+            type: salida[tipo],
+            args: {
+                id: { type: esCapitulo ? GraphQLID : new GraphQLNonNull(GraphQLID) },
+                ...(esCapitulo && { numero: { type: GraphQLInt } })
+            },
+            resolve: async (raiz, { id, numero }, { cargadores }) => {
+                if (id !== undefined && id !== null) {
+                    exigirId(id);
+                    return (await cargadores.porId(tipo, id)) || null;
+                }
+                if (numero === undefined || numero === null) throw error('Indica "id" o "numero"', 'ENTRADA_INVALIDA');
+                return modelo.findOne({ numero }).lean();
+            }
+        };
+
+        campos[modelo.collection.collectionName] = {
+            type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(salida[tipo]))),
+            args: {
+                ids: { type: new GraphQLList(new GraphQLNonNull(GraphQLID)) },
+                [campoNombre]: { type: GraphQLString, description: 'Contiene este texto (sin distinguir mayúsculas)' },
+                limite: { type: GraphQLInt, defaultValue: 50 },
+                pagina: { type: GraphQLInt, defaultValue: 1 }
+            },
+            resolve: (raiz, args) => {
+                const { limite, salto } = paginacion(args);
+                const filtro = {};
+                if (args.ids) {
+                    args.ids.forEach(exigirId);
+                    filtro._id = { $in: args.ids };
+                }
+                if (args[campoNombre]) filtro[campoNombre] = { $regex: escaparRegex(args[campoNombre]), $options: 'i' };
+                return modelo.find(filtro).sort(esCapitulo ? { numero: 1 } : { nombre: 1, _id: 1 }).skip(salto).limit(limite).lean();
+            }
+        };
+    }
+    return new GraphQLObjectType({ name: 'Query', fields: campos });
+}
+
+/**
+ * Mutaciones `crear<Tipo>`, `actualizar<Tipo>` y `eliminar<Tipo>` por cada entidad.
+ * Hacen lo mismo que POST, PUT y DELETE de la API REST.
+ *
+ * @param {Object.<string, GraphQLObjectType>} salida - Tipos de salida.
+ * @param {Object.<string, GraphQLInputObjectType>} entrada - Tipos de entrada.
+ * @returns {GraphQLObjectType}
+ */
+function construirMutaciones(salida, entrada) {
+    const campos = {};
+    for (const [tipo, modelo] of Object.entries(MODELOS)) {
+        const nombre = nombreTipo(tipo);
+
+        // El número de capítulo es único
+        const exigirNumeroLibre = async (datos, id) => {
+            if (tipo !== 'capitulo' || datos.numero === undefined || datos.numero === null) return;
+            if (await modelo.exists({ numero: datos.numero, ...(id && { _id: { $ne: id } }) })) {
+                throw error(`Ya existe el capítulo ${datos.numero}`, 'CONFLICTO');
+            }
+        };
+        // Si otra escritura tomó el número después de exigirNumeroLibre, lo rechaza el índice único
+        const conflictoSiRepetido = datos => err => {
+            throw tipo === 'capitulo' && err.code === 11000 ? error(`Ya existe el capítulo ${datos.numero}`, 'CONFLICTO') : err;
+        };
+
+        campos[`crear${nombre}`] = {
+            type: new GraphQLNonNull(salida[tipo]),
+            args: { datos: { type: new GraphQLNonNull(entrada[tipo]) } },
+            resolve: async (raiz, args, { usuario, cargadores }) => {
+                exigirRol(usuario, 'editor');
+                const { datos, errores } = await validarDatos(modelo, { ...args.datos });
+                if (errores.length) throw datosInvalidos(errores);
+                await exigirNumeroLibre(datos);
+
+                const nuevo = await modelo.create(datos).catch(conflictoSiRepetido(datos));
+                await sincronizarEntidad(modelo, nuevo._id, null, nuevo);
+                await registrarRevision(tipo, null, nuevo, usuario);
+                cargadores.limpiar();
+                console.log(`[GRAPHQL] ${usuario.nombre} creó ${tipo} ${nuevo._id}`);
+                return plano(nuevo);
+            }
+        };
+
+        campos[`actualizar${nombre}`] = {
+            type: new GraphQLNonNull(salida[tipo]),
+            args: { id: { type: new GraphQLNonNull(GraphQLID) }, datos: { type: new GraphQLNonNull(entrada[tipo]) } },
+            resolve: async (raiz, { id, ...args }, { usuario, cargadores }) => {
+                exigirRol(usuario, 'editor');
+                exigirId(id);
+                const { datos, errores } = await validarDatos(modelo, { ...args.datos }, { parcial: true });
+                if (errores.length) throw datosInvalidos(errores);
+                // Como en PUT /api/personajes/:id: nadie es su propio padre, pareja, hermano ni ancestro
+                if (tipo === 'personaje') {
+                    const erroresVinculos = await validarVinculos(id, datos);
+                    if (erroresVinculos.length) throw datosInvalidos(erroresVinculos);
+                }
+                const anterior = await modelo.findById(id);
+                if (!anterior) throw error(`${nombre} no encontrado`, 'NO_ENCONTRADO');
+                await exigirNumeroLibre(datos, id);
+
+                const actualizado = await modelo.findByIdAndUpdate(id, datos, { new: true }).catch(conflictoSiRepetido(datos));
+                await sincronizarEntidad(modelo, actualizado._id, anterior, actualizado);
+                await registrarRevision(tipo, anterior, actualizado, usuario);
+                cargadores.limpiar();
+                console.log(`[GRAPHQL] ${usuario.nombre} actualizó ${tipo} ${id}`);
+                return plano(actualizado);
+            }
+        };
+
+        campos[`eliminar${nombre}`] = {
+            type: new GraphQLNonNull(salida[tipo]),
+            description: 'Devuelve la entidad tal como estaba antes de eliminarla.',
+            args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+            resolve: async (raiz, { id }, { usuario, cargadores }) => {
+                exigirRol(usuario, 'admin');
+                exigirId(id);
+                const resultado = await eliminarConReferencias(tipo, id);
+                if (!resultado) throw error(`${nombre} no encontrado`, 'NO_ENCONTRADO');
+                await registrarRevision(tipo, resultado.eliminado, null, usuario);
+                cargadores.limpiar();
+                console.log(`[GRAPHQL] ${usuario.nombre} eliminó ${tipo} ${id}`);
+                return plano(resultado.eliminado);
+            }
+        };
+    }
+    return new GraphQLObjectType({ name: 'Mutation', fields: campos });
+}
+
+/**
+ * Regla de validación que rechaza las operaciones con más niveles de campos anidados que
+ * `maximo` (los fragmentos cuentan como los campos que contienen). Los campos de
+ * introspección (`__schema`, `__type`...) no cuentan.
+ *
+ * @param {number} maximo - Profundidad máxima.
+ * @returns {function(import('graphql').ValidationContext): Object} Regla para `validate`.
+ */
+function limiteProfundidad(maximo) {
+    return (contexto) => {
+        const profundidad = (seleccion, fragmentos) => {
+            let mayor = 0;
+            for (const nodo of seleccion.selections) {
+                if (nodo.kind === Kind.FIELD) {
+                    if (nodo.name.value.startsWith('__')) continue;
+                    mayor = Math.max(mayor, 1 + (nodo.selectionSet ? profundidad(nodo.selectionSet, fragmentos) : 0));
+                } else if (nodo.kind === Kind.INLINE_FRAGMENT) {
+                    mayor = Math.max(mayor, profundidad(nodo.selectionSet, fragmentos));
+                } else if (nodo.kind === Kind.FRAGMENT_SPREAD) {
+                    // Los ciclos entre fragmentos los rechaza otra regla; aquí solo se cortan
+                    const fragmento = contexto.getFragment(nodo.name.value);
+                    if (!fragmento || fragmentos.has(nodo.name.value)) continue;
+                    mayor = Math.max(mayor, profundidad(fragmento.selectionSet, new Set([...fragmentos, nodo.name.value])));
+                }
+            }
+            return mayor;
+        };
+
+        return {
+            OperationDefinition(operacion) {
+                const total = profundidad(operacion.selectionSet, new Set());
+                if (total > maximo) {
+                    contexto.reportError(new GraphQLError(
+                        `La consulta tiene ${total} niveles de profundidad; el máximo es ${maximo}.`,
+                        { nodes: [operacion] }
+                    ));
+                }
+            }
+        };
+    };
+}
+
+const { salida, entrada } = construirTipos();
+
+/**
+ * Esquema GraphQL completo.
+ * @type {GraphQLSchema}
+ */
+const esquema = new GraphQLSchema({
+    query: construirConsultas(salida),
+    mutation: construirMutaciones(salida, entrada)
+});
+
+module.exports = { esquema, limiteProfundidad };
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Historial de cambios de las entidades narrativas.
+ *
+ * Las rutas de escritura registran una revisión por cada creación, actualización o
+ * eliminación (ver models/model_revisiones.js): autor, fecha, diferencias por campo y
+ * el documento completo tal como estaba antes. Con eso se puede revertir una revisión,
+ * es decir, devolver la entidad al estado que tenía justo antes de ella. La reversión
+ * se registra como una revisión más, así que también puede deshacerse.
+ *
+ * Solo se registra la entidad editada: los arreglos inversos que se sincronizan
+ * (ver services/sincronizacion.js) y las referencias que se limpian al eliminar
+ * (ver services/referencias.js) son consecuencia de ese cambio y se recalculan al revertir.
+ */
+
+const Revision = require('../models/model_revisiones');
+const { MODELOS, eliminarConReferencias } = require('./referencias');
+const { validarDatos } = require('./validacion');
+const { sincronizarEntidad } = require('./sincronizacion');
+const { validarVinculos } = require('./genealogia');
+
+/**
+ * Convierte un valor a JSON plano (ObjectId → string, Date → ISO), que es como se
+ * guarda y se compara.
+ * @param {*} valor - Valor original.
+ * @returns {*} Valor plano, null si era undefined.
+ */
+function normalizar(valor) {
+    return valor === undefined ? null : JSON.parse(JSON.stringify(valor));
+}
+
+/**
+ * Copia plana de un documento, sin relaciones populadas ni `__v`.
+ * @param {import('mongoose').Document|Object|null} doc - Documento o copia previa.
+ * @returns {Object|null} Copia, o null si no hay documento.
+ */
+function instantanea(doc) {
+    if (!doc) return null;
+    const objeto = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+    const { __v, ...resto } = normalizar(objeto);
+    return resto;
+}
+
+/**
+ * Campos del esquema que se versionan (todos salvo `_id` y `__v`).
+ * @param {import('mongoose').Model} modelo - Modelo Mongoose.
+ * @returns {string[]} Nombres de campo, en el orden del esquema.
+ */
+function camposDe(modelo) {
+    const campos = [];
+    modelo.schema.eachPath(ruta => {
+        if (ruta !== '_id' && ruta !== '__v') campos.push(ruta);
+    });
+    return campos;
+}
+
+/**
+ * Indica si un valor equivale a "sin valor" (null, undefined o arreglo vacío).
+ * @param {*} valor - Valor de un campo.
+ * @returns {boolean}
+ */
+function vacio(valor) {
+    return valor === null || valor === undefined || (Array.isArray(valor) && !valor.length);
+}
+
+/**
+ * Diferencias por campo entre dos copias de un documento.
+ *
+ * @param {import('mongoose').Model} modelo - Modelo del documento.
+ * @param {Object|null} anterior - Copia previa (null si se creó).
+ * @param {Object|null} actual - Copia actual (null si se eliminó).
+ * @returns {Array<{campo: string, antes: *, despues: *}>} Campos que cambiaron.
+ */
+function diferencias(modelo, anterior, actual) {
+    const cambios = [];
+    for (const campo of camposDe(modelo)) {
+        const antes = anterior?.[campo] ?? null;
+        const despues = actual?.[campo] ?? null;
+        if (vacio(antes) && vacio(despues)) continue;
+        if (JSON.stringify(antes) === JSON.stringify(despues)) continue;
+        cambios.push({ campo, antes, despues });
+    }
+    return cambios;
+}
+
+/**
+ * Registra una revisión. La acción se deduce de los estados: sin `anterior` es una
+ * creación; sin `actual`, una eliminación. Una actualización sin diferencias no se registra.
+ *
+ * Se llama después de escribir: si el registro falla se informa en el log pero no se
+ * deshace el cambio ya aplicado.
+ *
+ * @param {string} tipo - Tipo de entidad (clave de MODELOS).
+ * @param {import('mongoose').Document|Object|null} anterior - Documento antes del cambio.
+ * @param {import('mongoose').Document|Object|null} actual - Documento después del cambio.
+ * @param {{_id: string, nombre: string}|null} usuario - Autor (`req.usuario`).
+ * @param {{revierte?: ObjectId}} [opciones] - `revierte`: revisión que este cambio deshace.
+ * @returns {Promise<Object|null>} Revisión creada, o null si no hubo cambios o no pudo guardarse.
+ */
+async function registrarRevision(tipo, anterior, actual, usuario, { revierte } = {}) {
+    const antes = instantanea(anterior);
+    const despues = instantanea(actual);
+    const accion = !antes ? 'crear' : !despues ? 'eliminar' : 'actualizar';
+    const cambios = diferencias(MODELOS[tipo], antes, despues);
+    if (accion === 'actualizar' && !cambios.length) return null;
+
+    const entidad = (antes || despues)._id;
+    try {
+        return await Revision.create({
+            tipo,
+            entidad,
+            accion,
+            usuario: usuario ? { _id: usuario._id, nombre: usuario.nombre } : undefined,
+            cambios,
+            anterior: antes,
+            revierte
+        });
+    } catch (err) {
+        console.error(`[ERROR] registrando la revisión de ${tipo} ${entidad}`, err);
+        return null;
+    }
+}
+
+/**
+ * Devuelve una página del historial de una entidad, de la revisión más reciente a la más
+ * antigua. No incluye la copia completa (`anterior`), solo las diferencias.
+ *
+ * @param {string} tipo - Tipo de entidad.
+ * @param {ObjectId|string} entidad - ID del documento.
+ * @param {{pagina: number, limite: number}} paginacion
+ * @returns {Promise<{resultados: Array<Object>, total: number, pagina: number, limite: number, paginas: number}>}
+ */
+async function listarRevisiones(tipo, entidad, { pagina, limite }) {
+    const filtro = { tipo, entidad };
+    const [resultados, total] = await Promise.all([
+        Revision.find(filtro, '-anterior')
+            .sort({ fecha: -1, _id: -1 })
+            .skip((pagina - 1) * limite)
+            .limit(limite),
+        Revision.countDocuments(filtro)
+    ]);
+    return { resultados, total, pagina, limite, paginas: Math.ceil(total / limite) };
+}
+
+/**
+ * Devuelve la entidad al estado que tenía justo antes de una revisión:
+ *   - revisión de creación: se elimina la entidad (limpiando sus referencias);
+ *   - actualización: se restauran todos los campos de la copia `anterior`;
+ *   - eliminación: se vuelve a crear con el mismo ID (las referencias que otros
+ *     documentos tenían hacia ella no se recuperan, salvo las relaciones inversas).
+ *
+ * La copia se valida como un POST: si referencia entidades que ya no existen, o si sus
+ * padres hoy descienden del personaje, no se aplica y se devuelven los errores.
+ *
+ * @param {string} tipo - Tipo de entidad.
+ * @param {Object} revision - Revisión a revertir (con `anterior`).
+ * @param {{_id: string, nombre: string}} usuario - Autor de la reversión.
+ * @returns {Promise<{accion: string|null, documento: Object|null}|{errores: Array<{campo: string, mensaje: string}>}>}
+ *   Acción aplicada (null si no había nada que hacer) y el documento resultante, o los
+ *   errores de validación.
+ */
+async function revertir(tipo, revision, usuario) {
+    const modelo = MODELOS[tipo];
+    const opciones = { revierte: revision._id };
+    const actual = await modelo.findById(revision.entidad);
+
+    if (!revision.anterior) {
+        if (!actual) return { accion: null, documento: null };
+        const { eliminado } = await eliminarConReferencias(tipo, actual._id);
+        await registrarRevision(tipo, eliminado, null, usuario, opciones);
+        return { accion: 'eliminar', documento: null };
+    }
+
+    const campos = new Set(camposDe(modelo));
+    const copia = Object.fromEntries(Object.entries(revision.anterior).filter(([campo]) => campos.has(campo)));
+    const { datos, errores } = await validarDatos(modelo, copia);
+    if (errores.length) return { errores };
+    // Los padres de entonces pueden ser hoy descendientes del personaje
+    if (tipo === 'personaje') {
+        const erroresVinculos = await validarVinculos(revision.entidad, datos);
+        if (erroresVinculos.length) return { errores: erroresVinculos };
+    }
+    if (tipo === 'capitulo' && await modelo.exists({ numero: datos.numero, _id: { $ne: revision.entidad } })) {
+        return { errores: [{ campo: 'numero', mensaje: `Ya existe el capítulo ${datos.numero}` }] };
+    }
+
+    const previo = instantanea(actual);
+    let documento;
+    try {
+        if (actual) {
+            actual.overwrite(datos);
+            documento = await actual.save();
+        } else {
+            documento = await modelo.create({ _id: revision.entidad, ...datos });
+        }
+    } catch (err) {
+        // Otro capítulo tomó el número después de la comprobación
+        if (tipo !== 'capitulo' || err.code !== 11000) throw err;
+        return { errores: [{ campo: 'numero', mensaje: `Ya existe el capítulo ${datos.numero}` }] };
+    }
+    await sincronizarEntidad(modelo, documento._id, previo, documento);
+    await registrarRevision(tipo, previo, documento, usuario, opciones);
+    return { accion: actual ? 'actualizar' : 'crear', documento };
+}
+
+module.exports = { registrarRevision, listarRevisiones, revertir, instantanea };
@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Exportación e importación del conjunto de datos narrativo.
+ *
+ * El formato de intercambio es un objeto JSON con un arreglo por colección
+ * (`generaciones`, `personajes`, `lugares`, `eventos`, `objetos`, `capitulos`).
+ * Cada registro lleva un `slug` estable derivado de su nombre y las referencias
+ * se escriben como slugs (o números, en el caso de los capítulos) en lugar de ObjectId,
+ * de modo que el archivo puede revisarse en git y reconstruir una base desde cero.
+ * Al importar también se aceptan referencias por nombre.
+ */
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { MODELOS } = require('./referencias');
+const { RELACIONES, repararRelacion } = require('./sincronizacion');
+
+/**
+ * Colección del archivo de intercambio asociada a cada tipo de entidad,
+ * en el orden en que se exportan.
+ * @type {Object.<string, string>}
+ */
+const COLECCIONES = {
+    generacion: 'generaciones',
+    personaje: 'personajes',
+    lugar: 'lugares',
+    evento: 'eventos',
+    objeto: 'objetos',
+    capitulo: 'capitulos'
+};
+
+/**
+ * Campos de referencia de cada tipo: campo → tipo de entidad referenciada.
+ * @type {Object.<string, Object.<string, string>>}
+ */
+const CAMPOS_REF = {
+    generacion: { personajes_principales: 'personaje' },
+    personaje: { padres: 'personaje', parejas: 'personaje', hermanos: 'personaje', objetos: 'objeto' },
+    lugar: { generaciones_relacionadas: 'generacion', eventos_relacionados: 'evento' },
+    evento: { personajes_involucrados: 'personaje', lugar_relacionado: 'lugar', generacion_relacionada: 'generacion' },
+    objeto: {
+        evento_relacionado: 'evento',
+        lugar_relacionado: 'lugar',
+        personaje_relacionado: 'personaje',
+        generacion_relacionada: 'generacion'
+    },
+    capitulo: { eventos: 'evento' }
+};
+
+/**
+ * Modos de importación admitidos:
+ * - `insertar`: solo crea registros nuevos; un slug que ya existe es un error.
+ * - `upsert`: actualiza los registros cuyo slug ya existe y crea el resto.
+ * - `reemplazar`: vacía las colecciones y vuelve a crear todo.
+ * @type {string[]}
+ */
+const MODOS = ['insertar', 'upsert', 'reemplazar'];
+
+/**
+ * Convierte un nombre en slug: minúsculas, sin tildes y con guiones.
+ * @param {string} texto - Nombre original.
+ * @returns {string} Slug (p. ej. "Úrsula Iguarán" → "ursula-iguaran").
+ */
+function slugify(texto) {
+    return String(texto || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Asigna slugs a documentos de la base de datos. Si dos documentos generan el mismo
+ * slug, el más antiguo (menor _id) conserva el slug base y los demás reciben
+ * el sufijo `-2`, `-3`, ... para que el resultado sea determinista.
+ *
+ * @param {string} tipo - Tipo de entidad.
+ * @param {Array<Object>} docs - Documentos con `_id` y `nombre` (o `numero`).
+ * @returns {Map<string, string>} Slug por ID de documento.
+ */
+function asignarSlugs(tipo, docs) {
+    const slugPorId = new Map();
+    const usados = new Map();
+    [...docs]
+        .sort((a, b) => String(a._id).localeCompare(String(b._id)))
+        .forEach(d => {
+            const base = tipo === 'capitulo' ? String(d.numero) : (slugify(d.nombre) || 'sin-nombre');
+            const n = (usados.get(base) || 0) + 1;
+            usados.set(base, n);
+            slugPorId.set(String(d._id), n === 1 ? base : `${base}-${n}`);
+        });
+    return slugPorId;
+}
+
+/**
+ * Clave con la que se identifica un registro del archivo de intercambio.
+ * @param {string} tipo - Tipo de entidad.
+ * @param {Object} registro - Registro del archivo.
+ * @returns {string} Slug (explícito o derivado del nombre) o número de capítulo.
+ */
+function claveDe(tipo, registro) {
+    if (tipo === 'capitulo') return String(registro.numero);
+    return registro.slug || slugify(registro.nombre);
+}
+
+/**
+ * Lee un conjunto de datos desde un archivo JSON.
+ * @param {string} ruta - Ruta del archivo.
+ * @returns {Object} Conjunto de datos.
+ */
+function leerDataset(ruta) {
+    return JSON.parse(fs.readFileSync(ruta, 'utf8'));
+}
+
+/**
+ * Exporta todas las colecciones al formato de intercambio.
+ * Los registros se ordenan por slug (capítulos por número) y las claves de cada
+ * registro siguen el orden del esquema, para que las exportaciones sucesivas
+ * produzcan diferencias limpias.
+ *
+ * @returns {Promise<{datos: Object.<string, Array<Object>>, advertencias: string[]}>}
+ *   Conjunto de datos y referencias rotas encontradas (que se omiten).
+ */
+async function exportar() {
+    const docs = {};
+    const slugs = {};
+    for (const tipo of Object.keys(COLECCIONES)) {
+        docs[tipo] = await MODELOS[tipo].find().lean();
+        slugs[tipo] = asignarSlugs(tipo, docs[tipo]);
+    }
+
+    const advertencias = [];
+    const datos = {};
+    for (const [tipo, coleccion] of Object.entries(COLECCIONES)) {
+        const campos = Object.keys(MODELOS[tipo].schema.paths)
+            .filter(c => !['_id', '__v'].includes(c) && !c.includes('.'));
+
+        datos[coleccion] = docs[tipo].map(d => {
+            const slug = slugs[tipo].get(String(d._id));
+            const registro = tipo === 'capitulo' ? {} : { slug };
+            for (const campo of campos) {
+                const valor = d[campo];
+                if (valor === undefined || valor === null) continue;
+                const tipoRef = CAMPOS_REF[tipo][campo];
+                if (!tipoRef) {
+                    registro[campo] = valor;
+                    continue;
+                }
+                const aSlug = id => {
+                    const s = slugs[tipoRef].get(String(id));
+                    if (!s) advertencias.push(`${coleccion}."${slug}".${campo}: ${tipoRef} ${id} no existe`);
+                    return s;
+                };
+                if (Array.isArray(valor)) {
+                    if (!valor.length) continue;
+                    registro[campo] = valor.map(aSlug).filter(Boolean);
+                } else {
+                    const s = aSlug(valor);
+                    if (s) registro[campo] = s;
+                }
+            }
+            return registro;
+        });
+
+        datos[coleccion].sort(tipo === 'capitulo'
+            ? (a, b) => a.numero - b.numero
+            : (a, b) => a.slug.localeCompare(b.slug));
+    }
+
+    return { datos, advertencias };
+}
+
+/**
+ * Importa un conjunto de datos en formato de intercambio.
+ *
+ * Cada registro se valida por separado (esquema Mongoose y referencias); los que
+ * fallan no se escriben y se informan en `errores` junto con la colección y el slug.
+ * Las referencias pueden apuntar a registros del mismo archivo o a documentos que
+ * ya existen en la base (por slug o nombre). Al terminar se completan las listas
+ * inversas (`Lugar.eventos_relacionados`, `Personaje.objetos`).
+ * En modo `reemplazar` no se escribe nada si algún registro tiene errores,
+ * para no dejar la base vacía a medias.
+ *
+ * @param {Object} dataset - Conjunto de datos a importar.
+ * @param {Object} [opciones]
+ * @param {'insertar'|'upsert'|'reemplazar'} [opciones.modo='insertar'] - Modo de importación.
+ * @param {boolean} [opciones.dryRun=false] - Solo valida, sin escribir.
+ * @returns {Promise<{
+ *   modo: string,
+ *   dryRun: boolean,
+ *   escrito: boolean,
+ *   insertados: Object.<string, number>,
+ *   actualizados: Object.<string, number>,
+ *   errores: Array<{coleccion: string, registro: string, errores: string[]}>
+ * }>} Reporte de la importación.
+ */
+async function importar(dataset, opciones = {}) {
+    const modo = opciones.modo || 'insertar';
+    const dryRun = Boolean(opciones.dryRun);
+    if (!MODOS.includes(modo)) throw new Error(`Modo de importación inválido: "${modo}" (usa ${MODOS.join(', ')})`);
+    if (!dataset || typeof dataset !== 'object') throw new Error('El conjunto de datos debe ser un objeto JSON');
+
+    const errores = [];
+    const errorDe = (coleccion, registro, mensaje) => {
+        let entrada = errores.find(e => e.coleccion === coleccion && e.registro === registro);
+        if (!entrada) {
+            entrada = { coleccion, registro, errores: [] };
+            errores.push(entrada);
+        }
+        entrada.errores.push(mensaje);
+    };
+
+    // 1) Índice de lo que ya existe en la base: slug y nombre → _id
+    const existentes = {};
+    for (const tipo of Object.keys(COLECCIONES)) {
+        existentes[tipo] = new Map();
+        if (modo === 'reemplazar') continue;
+        const docs = await MODELOS[tipo].find({}, 'nombre numero').lean();
+        asignarSlugs(tipo, docs).forEach((slug, id) => existentes[tipo].set(slug, id));
+        docs.forEach(d => {
+            if (d.nombre && !existentes[tipo].has(d.nombre)) existentes[tipo].set(d.nombre, String(d._id));
+        });
+    }
+
+    // 2) Asignar _id a cada registro del archivo
+    const ids = {};
+    const nuevos = {};
+    for (const [tipo, coleccion] of Object.entries(COLECCIONES)) {
+        ids[tipo] = new Map();
+        nuevos[tipo] = new Set();
+        const registros = dataset[coleccion] || [];
+        if (!Array.isArray(registros)) {
+            errorDe(coleccion, '*', 'debe ser un arreglo');
+            continue;
+        }
+        for (const registro of registros) {
+            const clave = claveDe(tipo, registro);
+            if (!clave) {
+                errorDe(coleccion, '?', tipo === 'capitulo' ? 'falta "numero"' : 'falta "nombre" o "slug"');
+                continue;
+            }
+            if (ids[tipo].has(clave)) {
+                errorDe(coleccion, clave, 'está duplicado en el archivo');
+                continue;
+            }
+            const previo = existentes[tipo].get(clave);
+            if (previo && modo === 'insertar') {
+                errorDe(coleccion, clave, 'ya existe en la base (usa el modo upsert)');
+                continue;
+            }
+            ids[tipo].set(clave, previo || String(new mongoose.Types.ObjectId()));
+            if (!previo) nuevos[tipo].add(clave);
+            if (registro.nombre) ids[tipo].set(`nombre:${registro.nombre}`, ids[tipo].get(clave));
+        }
+    }
+
+    // 3) Resolver referencias y validar cada registro
+    const resolver = (tipo, valor) => {
+        const v = String(valor);
+        return ids[tipo].get(v) || ids[tipo].get(`nombre:${v}`) || existentes[tipo].get(v);
+    };
+
+    const documentos = {};
+    for (const [tipo, coleccion] of Object.entries(COLECCIONES)) {
+        documentos[tipo] = [];
+        for (const registro of Array.isArray(dataset[coleccion]) ? dataset[coleccion] : []) {
+            const clave = claveDe(tipo, registro);
+            if (!clave || errores.some(e => e.coleccion === coleccion && e.registro === clave)) continue;
+
+            const { slug, ...campos } = registro;
+            const doc = { ...campos, _id: ids[tipo].get(clave) };
+            for (const [campo, tipoRef] of Object.entries(CAMPOS_REF[tipo])) {
+                const valor = registro[campo];
+                if (valor === undefined || valor === null) continue;
+                const resolverCampo = v => {
+                    const id = resolver(tipoRef, v);
+                    if (!id) errorDe(coleccion, clave, `${campo}: no existe ${tipoRef} "${v}"`);
+                    return id;
+                };
+                doc[campo] = Array.isArray(valor) ? valor.map(resolverCampo) : resolverCampo(valor);
+            }
+
+            const errValidacion = new MODELOS[tipo](doc).validateSync();
+            if (errValidacion) {
+                Object.values(errValidacion.errors).forEach(e => errorDe(coleccion, clave, `${e.path}: ${e.message}`));
+            }
+            if (!errores.some(e => e.coleccion === coleccion && e.registro === clave)) {
+                documentos[tipo].push({ clave, doc });
+            }
+        }
+    }
+
+    // 4) Descartar en cascada los registros que apuntan a registros nuevos con errores
+    let descartados = true;
+    while (descartados) {
+        descartados = false;
+        const fallidos = new Set();
+        for (const [tipo, coleccion] of Object.entries(COLECCIONES)) {
+            errores.filter(e => e.coleccion === coleccion).forEach(e => {
+                if (nuevos[tipo].has(e.registro)) fallidos.add(ids[tipo].get(e.registro));
+            });
+        }
+        for (const [tipo, coleccion] of Object.entries(COLECCIONES)) {
+            documentos[tipo] = documentos[tipo].filter(({ clave, doc }) => {
+                const rotas = Object.keys(CAMPOS_REF[tipo])
+                    .filter(campo => [].concat(doc[campo] ?? []).some(id => fallidos.has(id)));
+                rotas.forEach(campo => errorDe(coleccion, clave, `${campo}: referencia a un registro con errores`));
+                if (rotas.length) descartados = true;
+                return !rotas.length;
+            });
+        }
+    }
+
+    // 5) Escribir (en modo reemplazar, solo si no hubo ningún error)
+    const escribir = !dryRun && !(modo === 'reemplazar' && errores.length);
+    const insertados = {};
+    const actualizados = {};
+    for (const [tipo, coleccion] of Object.entries(COLECCIONES)) {
+        const Modelo = MODELOS[tipo];
+        const aInsertar = documentos[tipo].filter(d => nuevos[tipo].has(d.clave)).map(d => d.doc);
+        const aActualizar = documentos[tipo].filter(d => !nuevos[tipo].has(d.clave)).map(d => d.doc);
+        insertados[coleccion] = aInsertar.length;
+        actualizados[coleccion] = aActualizar.length;
+        if (!escribir) continue;
+
+        if (modo === 'reemplazar') await Modelo.deleteMany({});
+        if (aInsertar.length) await Modelo.insertMany(aInsertar);
+        for (const doc of aActualizar) {
+            await Modelo.replaceOne({ _id: doc._id }, doc);
+        }
+    }
+
+    if (escribir) {
+        for (const relacion of Object.keys(RELACIONES)) {
+            await repararRelacion(relacion);
+        }
+    }
+
+    console.log(`[IMPORT] modo=${modo} dryRun=${dryRun} escrito=${escribir}`,
+        { insertados, actualizados, errores: errores.length });
+    return { modo, dryRun, escrito: escribir, insertados, actualizados, errores };
+}
+
+module.exports = { exportar, importar, leerDataset, slugify, asignarSlugs, COLECCIONES, CAMPOS_REF, MODOS };
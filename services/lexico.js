@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Léxico de verbos clave con que se interpretan las preguntas.
+ *
+ * Cada verbo agrupa las formas que lo indican ("murió", "falleció", "dejó de existir");
+ * nlpProcessor.js busca en la pregunta cualquiera de ellas y filtra los eventos por todas
+ * las del verbo y las de sus verbos relacionados (construir → fundar). Las formas se
+ * comparan por su raíz (ver stemmer.js), así que basta una por verbo regular ("fundó"
+ * cubre "fundaron", "fundaba"...); los irregulares necesitan sus variantes.
+ *
+ * El léxico por defecto está en fixtures/verbos.json. Al primer cambio de un admin se
+ * copia a la colección `verbos`, que desde entonces manda (ver models/model_lexico.js).
+ * Queda en caché hasta la siguiente escritura en la base, así que los cambios valen sin
+ * reiniciar el servidor.
+ *
+ * La validación informa lo que confunde al procesador: verbos definidos dos veces, formas
+ * repetidas, relaciones con verbos que no existen y colisiones (formas de verbos distintos
+ * con la misma raíz, que hacen que una pregunta traiga los eventos de ambos verbos sin que
+ * nadie lo haya pedido con `relacionados`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { raiz } = require('../stemmer');
+const { sinTildes } = require('../similitud');
+const { versionDatos } = require('./cambios');
+const Verbo = require('../models/model_verbos');
+const Lexico = require('../models/model_lexico');
+
+/**
+ * Archivo con el léxico por defecto.
+ * @type {string}
+ */
+const ARCHIVO_LEXICO = path.join(__dirname, '..', 'fixtures', 'verbos.json');
+
+/**
+ * Entrada del léxico.
+ * @typedef {Object} EntradaLexico
+ * @property {string} verbo - Verbo en infinitivo.
+ * @property {string[]} formas - Formas que lo indican.
+ * @property {string[]} relacionados - Verbos cuyas formas también se buscan cuando la
+ *   pregunta usa este ("construyó Macondo" → también "fundó"). La relación va en un sentido.
+ */
+
+/**
+ * Problema encontrado al validar el léxico.
+ * @typedef {Object} ProblemaLexico
+ * @property {'invalido'|'verbo_repetido'|'forma_repetida'|'colision'} tipo - Tipo de problema.
+ * @property {string[]} verbos - Verbos involucrados.
+ * @property {Array<{verbo: string, forma: string}>} formas - Formas involucradas.
+ * @property {string} mensaje - Descripción legible.
+ */
+
+/**
+ * Separa una forma en palabras (minúsculas, con tildes).
+ * @param {string} forma - Forma del verbo.
+ * @returns {string[]}
+ */
+function palabrasDe(forma) {
+    return forma.toLowerCase().split(/[^a-z0-9áéíóúüñ]+/).filter(Boolean);
+}
+
+/**
+ * Clave con que el procesador compara una forma: las raíces de sus palabras, sin tildes
+ * (igual que `lematizar` de nlpProcessor). Dos formas con la misma clave son, para él,
+ * la misma forma.
+ * @param {string} forma - Forma del verbo.
+ * @returns {string} Raíces separadas por espacios ('' si la forma no tiene palabras).
+ */
+function claveForma(forma) {
+    return palabrasDe(forma).map(p => sinTildes(raiz(p))).join(' ');
+}
+
+/**
+ * Normaliza una forma para guardarla: sin espacios sobrantes ni mayúsculas.
+ * @param {string} forma - Forma escrita por el admin.
+ * @returns {string}
+ */
+function normalizarForma(forma) {
+    return forma.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Lee un léxico de un archivo JSON con la forma `{ version, verbos: [{ verbo, formas, relacionados? }] }`.
+ * @param {string} [ruta] - Archivo; por defecto el léxico de fixtures.
+ * @returns {EntradaLexico[]}
+ * @throws {Error} Si el archivo no tiene la lista de verbos.
+ */
+function leerLexico(ruta = ARCHIVO_LEXICO) {
+    const contenido = JSON.parse(fs.readFileSync(ruta, 'utf8'));
+    if (!Array.isArray(contenido?.verbos)) {
+        throw new Error(`El léxico ${ruta} no tiene la lista "verbos".`);
+    }
+    return contenido.verbos.map(entrada);
+}
+
+/**
+ * Copia una entrada del léxico con solo sus campos conocidos.
+ * @param {{verbo: string, formas?: string[], relacionados?: string[]}} datos - Entrada leída.
+ * @returns {EntradaLexico}
+ */
+function entrada({ verbo, formas, relacionados }) {
+    return { verbo, formas: [...(formas || [])], relacionados: [...(relacionados || [])] };
+}
+
+/**
+ * Revisa un léxico y devuelve sus problemas (lista vacía si no tiene). No modifica nada.
+ * @param {EntradaLexico[]} verbos - Léxico a revisar.
+ * @returns {ProblemaLexico[]}
+ */
+function validarLexico(verbos) {
+    const problemas = [];
+    const definidos = new Set();
+    const usos = new Map(); // clave de la forma → [{ verbo, forma }]
+
+    for (const { verbo, formas } of verbos) {
+        if (typeof verbo !== 'string' || !verbo.trim() || !Array.isArray(formas)) {
+            problemas.push({
+                tipo: 'invalido', verbos: [String(verbo)], formas: [],
+                mensaje: `La entrada "${verbo}" debe tener un verbo y una lista de formas.`
+            });
+            continue;
+        }
+        if (definidos.has(verbo)) {
+            problemas.push({
+                tipo: 'verbo_repetido', verbos: [verbo], formas: [],
+                mensaje: `El verbo "${verbo}" está definido más de una vez.`
+            });
+        }
+        definidos.add(verbo);
+
+        const propias = new Set();
+        for (const forma of formas) {
+            const clave = typeof forma === 'string' ? claveForma(forma) : '';
+            if (!clave) {
+                problemas.push({
+                    tipo: 'invalido', verbos: [verbo], formas: [{ verbo, forma }],
+                    mensaje: `La forma ${JSON.stringify(forma)} de "${verbo}" no tiene palabras.`
+                });
+                continue;
+            }
+            const exacta = sinTildes(normalizarForma(forma));
+            if (propias.has(exacta)) {
+                problemas.push({
+                    tipo: 'forma_repetida', verbos: [verbo], formas: [{ verbo, forma }],
+                    mensaje: `La forma "${forma}" figura más de una vez en "${verbo}".`
+                });
+            }
+            propias.add(exacta);
+            usos.set(clave, [...(usos.get(clave) || []), { verbo, forma }]);
+        }
+    }
+
+    for (const { verbo, relacionados = [] } of verbos) {
+        for (const relacionado of relacionados) {
+            if (relacionado !== verbo && definidos.has(relacionado)) continue;
+            problemas.push({
+                tipo: 'invalido', verbos: [verbo, relacionado], formas: [],
+                mensaje: `"${verbo}" se relaciona con "${relacionado}", que no es otro verbo del léxico.`
+            });
+        }
+    }
+
+    for (const formas of usos.values()) {
+        const involucrados = [...new Set(formas.map(f => f.verbo))];
+        if (involucrados.length < 2) continue;
+        problemas.push({
+            tipo: 'colision', verbos: involucrados, formas,
+            mensaje: `${formas.map(f => `"${f.forma}" (${f.verbo})`).join(', ')} tienen la misma raíz: `
+                + `una pregunta con cualquiera de ellas busca los eventos de ${involucrados.join(' y ')}.`
+        });
+    }
+    return problemas;
+}
+
+/**
+ * Léxico por defecto, leído una sola vez al cargar el módulo.
+ * @type {EntradaLexico[]}
+ */
+const LEXICO_POR_DEFECTO = leerLexico();
+
+/**
+ * Léxico en caché y la versión de los datos con que se leyó (ver services/cambios.js).
+ * @type {{version: number, lexico: {origen: string, verbos: EntradaLexico[]}}|null}
+ */
+let vigente = null;
+
+/**
+ * Léxico vigente: el de la colección `verbos` si ya se editó (aunque haya quedado vacía)
+ * o, si no, el por defecto. Se guarda en caché hasta la siguiente escritura en la base.
+ * @returns {Promise<{origen: 'base'|'archivo', verbos: EntradaLexico[]}>}
+ */
+async function lexicoVigente() {
+    const version = versionDatos();
+    if (vigente && vigente.version === version) return vigente.lexico;
+
+    let lexico = { origen: 'archivo', verbos: LEXICO_POR_DEFECTO };
+    if (await Lexico.exists({ clave: 'verbos' })) {
+        const guardados = await Verbo.find({}, 'verbo formas relacionados').sort({ _id: 1 }).lean();
+        lexico = { origen: 'base', verbos: guardados.map(entrada) };
+    }
+    vigente = { version, lexico };
+    return lexico;
+}
+
+/**
+ * Verbos clave con que se analiza una pregunta (ver `lexicoVigente`).
+ * @returns {Promise<EntradaLexico[]>}
+ */
+async function cargarVerbos() {
+    return (await lexicoVigente()).verbos;
+}
+
+/**
+ * Copia el léxico por defecto a la colección antes del primer cambio y deja la marca de
+ * que ya se copió, para que borrar verbos no lo restaure. Si dos cambios llegan a la vez
+ * ambos copian: los verbos que ya estaban se ignoran.
+ * @returns {Promise<void>}
+ */
+async function copiarLexicoPorDefecto() {
+    if (await Lexico.exists({ clave: 'verbos' })) return;
+    try {
+        await Verbo.insertMany(LEXICO_POR_DEFECTO.map(v => ({ ...v, formas: [...v.formas] })), { ordered: false });
+    } catch (err) {
+        if (!esDuplicado(err)) throw err;
+    }
+    try {
+        await Lexico.create({ clave: 'verbos' });
+        console.log('[LEXICO] Léxico por defecto copiado a la colección verbos');
+    } catch (err) {
+        if (!esDuplicado(err)) throw err;
+    }
+}
+
+/**
+ * Indica si un error de escritura se debe solo a claves repetidas (E11000).
+ * @param {Error} err - Error de Mongoose o del driver.
+ * @returns {boolean}
+ */
+function esDuplicado(err) {
+    const errores = err.writeErrors || (err.code !== undefined ? [err] : []);
+    return errores.length > 0 && errores.every(e => (e.code ?? e.err?.code) === 11000);
+}
+
+/**
+ * Agrega formas (sinónimos, conjugaciones irregulares) a un verbo, creándolo si no existe.
+ * No guarda nada si alguna forma ya está en el léxico o colisiona con la de otro verbo.
+ *
+ * @param {string} verbo - Verbo en infinitivo.
+ * @param {string[]} formas - Formas nuevas.
+ * @returns {Promise<{verbo: EntradaLexico|null, creado: boolean, problemas: ProblemaLexico[]}>}
+ *   El verbo actualizado, o null y los problemas que lo impidieron.
+ */
+async function agregarFormas(verbo, formas) {
+    const nombre = normalizarForma(verbo);
+    const nuevas = [...new Set(formas.map(normalizarForma))];
+    const { verbos } = await lexicoVigente();
+    const existente = verbos.find(v => v.verbo === nombre);
+    const propuesto = existente
+        ? verbos.map(v => (v === existente ? { ...v, formas: [...v.formas, ...nuevas] } : v))
+        : [...verbos, { verbo: nombre, formas: nuevas, relacionados: [] }];
+
+    // Solo cuentan los problemas que causan las formas nuevas
+    const claves = new Set(nuevas.map(claveForma));
+    const problemas = validarLexico(propuesto).filter(p =>
+        p.tipo !== 'verbo_repetido' && p.formas.some(f => f.verbo === nombre && claves.has(claveForma(String(f.forma)))));
+    if (problemas.length) return { verbo: null, creado: false, problemas };
+
+    await copiarLexicoPorDefecto();
+    const guardado = await Verbo.findOneAndUpdate(
+        { verbo: nombre },
+        { $push: { formas: { $each: nuevas } } },
+        { new: true, upsert: true }
+    ).lean();
+    return { verbo: entrada(guardado), creado: !existente, problemas: [] };
+}
+
+/**
+ * Quita una forma de un verbo (sin distinguir tildes ni mayúsculas).
+ * @param {string} verbo - Verbo en infinitivo.
+ * @param {string} forma - Forma a quitar.
+ * @returns {Promise<EntradaLexico|null>} El verbo actualizado, o null si no tenía esa forma.
+ */
+async function quitarForma(verbo, forma) {
+    const nombre = normalizarForma(verbo);
+    const buscada = sinTildes(normalizarForma(forma));
+    const actual = (await cargarVerbos()).find(v => v.verbo === nombre);
+    const quitada = actual?.formas.find(f => sinTildes(normalizarForma(f)) === buscada);
+    if (quitada === undefined) return null;
+
+    await copiarLexicoPorDefecto();
+    const guardado = await Verbo.findOneAndUpdate({ verbo: nombre }, { $pull: { formas: quitada } }, { new: true }).lean();
+    return guardado && entrada(guardado);
+}
+
+/**
+ * Quita un verbo entero del léxico, y de los verbos que se relacionaban con él.
+ * @param {string} verbo - Verbo en infinitivo.
+ * @returns {Promise<EntradaLexico|null>} El verbo quitado, o null si no estaba.
+ */
+async function quitarVerbo(verbo) {
+    const nombre = normalizarForma(verbo);
+    const quitado = (await cargarVerbos()).find(v => v.verbo === nombre);
+    if (!quitado) return null;
+    await copiarLexicoPorDefecto();
+    await Verbo.deleteOne({ verbo: nombre });
+    await Verbo.updateMany({ relacionados: nombre }, { $pull: { relacionados: nombre } });
+    return quitado;
+}
+
+module.exports = {
+    ARCHIVO_LEXICO,
+    claveForma,
+    leerLexico,
+    validarLexico,
+    lexicoVigente,
+    cargarVerbos,
+    agregarFormas,
+    quitarForma,
+    quitarVerbo
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Listados paginados para los `GET /` de cada colección.
+ *
+ * Todas las rutas de listado aceptan los mismos parámetros:
+ *   - `page` y `limit`: página (desde 1) y documentos por página;
+ *   - `sort`: campos separados por comas, con `-` delante para orden descendente
+ *     (`?sort=-numero,titulo`);
+ *   - `fields`: campos a devolver (`?fields=nombre`); `_id` siempre se incluye;
+ *   - `populate`: relaciones a popular (`?populate=lugar_relacionado,personajes_involucrados`);
+ *   - filtros propios de cada colección (`/api/eventos?personaje=<id>`), con varios
+ *     valores separados por comas.
+ *
+ * Los campos y relaciones válidos se leen del esquema de cada modelo, así que no hay que
+ * repetirlos en las rutas. La respuesta siempre tiene la misma forma:
+ * `{ resultados, total, pagina, limite, paginas }`.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Documentos por página si no se indica `limit`, y máximo permitido.
+ * @type {{defecto: number, maximo: number}}
+ */
+const LIMITE = { defecto: 50, maximo: 500 };
+
+/**
+ * Campos de un modelo que se pueden pedir, ordenar o filtrar, con su tipo
+ * ('ObjectId', 'Number', 'String'...) y el modelo que referencian, si lo hacen.
+ *
+ * @param {import('mongoose').Model} modelo - Modelo Mongoose.
+ * @returns {Map<string, {tipo: string, ref: string|null}>} Campos por nombre.
+ */
+function camposDe(modelo) {
+    const campos = new Map();
+    modelo.schema.eachPath((ruta, tipoEsquema) => {
+        if (ruta === '__v') return;
+        const elemento = tipoEsquema.caster || tipoEsquema;
+        campos.set(ruta, { tipo: elemento.instance, ref: elemento.options?.ref || null });
+    });
+    return campos;
+}
+
+/**
+ * Separa un parámetro de lista ("a,b,c") en valores no vacíos.
+ * @param {string|string[]|undefined} valor - Valor recibido en la query.
+ * @returns {string[]} Valores.
+ */
+function lista(valor) {
+    if (valor === undefined) return [];
+    return [].concat(valor).join(',').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Lee un entero positivo de la query.
+ * @param {string|undefined} valor - Valor recibido.
+ * @param {number} defecto - Valor si no se envía.
+ * @returns {number|null} Entero, o null si no es válido.
+ */
+function enteroPositivo(valor, defecto) {
+    if (valor === undefined || valor === '') return defecto;
+    const n = Number(valor);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Convierte el valor de un filtro al tipo del campo.
+ * @param {string} valor - Valor recibido.
+ * @param {string} tipo - Tipo del campo en el esquema.
+ * @returns {*} Valor convertido, o undefined si no es válido para ese tipo.
+ */
+function convertir(valor, tipo) {
+    if (tipo === 'ObjectId') return mongoose.Types.ObjectId.isValid(valor) ? valor : undefined;
+    if (tipo === 'Number') return Number.isFinite(Number(valor)) ? Number(valor) : undefined;
+    return valor;
+}
+
+/**
+ * Valida los parámetros de listado de la query.
+ *
+ * @param {import('mongoose').Model} modelo - Modelo listado.
+ * @param {Object} query - `req.query`.
+ * @param {Object} [config]
+ * @param {string} [config.campos] - Campos por defecto si no se envía `fields` (todos si se omite).
+ * @param {string} [config.orden='_id'] - Orden por defecto si no se envía `sort`.
+ * @param {Object.<string, string>} [config.filtros] - Parámetro de la query → campo del esquema
+ *   (`{ personaje: 'personajes_involucrados' }`).
+ * @returns {{error: string}|{
+ *   filtro: Object, pagina: number, limite: number, orden: Object.<string, number>,
+ *   seleccion: string|null, populate: string[]
+ * }} Opciones para `listar`, o el mensaje de error.
+ */
+function leerListado(modelo, query, { campos: camposDefecto = null, orden: ordenDefecto = '_id', filtros = {} } = {}) {
+    const campos = camposDe(modelo);
+
+    const pagina = enteroPositivo(query.page, 1);
+    const limite = enteroPositivo(query.limit, LIMITE.defecto);
+    if (!pagina || !limite || limite > LIMITE.maximo) {
+        return { error: `"page" y "limit" deben ser enteros positivos (limit ≤ ${LIMITE.maximo})` };
+    }
+
+    const orden = {};
+    for (const clave of lista(query.sort ?? ordenDefecto)) {
+        const campo = clave.replace(/^-/, '');
+        if (!campos.has(campo)) return { error: `No se puede ordenar por "${campo}"` };
+        orden[campo] = clave.startsWith('-') ? -1 : 1;
+    }
+    // Desempate estable para que las páginas no se solapen
+    if (!orden._id) orden._id = 1;
+
+    const populate = lista(query.populate);
+    const invalidas = populate.filter(p => !campos.get(p)?.ref);
+    if (invalidas.length) {
+        const relaciones = [...campos].filter(([, c]) => c.ref).map(([nombre]) => nombre);
+        return { error: `Relación inválida: ${invalidas.join(', ')}. Usa ${relaciones.join(', ') || 'ninguna'}` };
+    }
+
+    let seleccion = camposDefecto;
+    if (query.fields !== undefined) {
+        const pedidos = lista(query.fields);
+        const desconocidos = pedidos.filter(c => !campos.has(c));
+        if (!pedidos.length || desconocidos.length) {
+            return { error: `Campo inválido: ${desconocidos.join(', ') || '(vacío)'}` };
+        }
+        seleccion = pedidos.join(' ');
+    }
+    // Una relación pedida en `populate` se devuelve aunque no esté en `fields`
+    if (seleccion && populate.length) seleccion = [...new Set([...seleccion.split(' '), ...populate])].join(' ');
+
+    const filtro = {};
+    for (const [parametro, campo] of Object.entries(filtros)) {
+        if (query[parametro] === undefined) continue;
+        const { tipo } = campos.get(campo);
+        const valores = lista(query[parametro]).map(v => convertir(v, tipo));
+        if (!valores.length || valores.includes(undefined)) {
+            return { error: `Valor inválido para "${parametro}"` };
+        }
+        filtro[campo] = valores.length === 1 ? valores[0] : { $in: valores };
+    }
+
+    return { filtro, pagina, limite, orden, seleccion, populate };
+}
+
+/**
+ * Devuelve una página del listado con los totales.
+ *
+ * @param {import('mongoose').Model} modelo - Modelo listado.
+ * @param {Object} opciones - Resultado de `leerListado` (se puede ampliar `filtro`).
+ * @returns {Promise<{resultados: Array<Object>, total: number, pagina: number, limite: number, paginas: number}>}
+ */
+async function listar(modelo, { filtro, pagina, limite, orden, seleccion, populate }) {
+    const consulta = modelo.find(filtro)
+        .sort(orden)
+        .skip((pagina - 1) * limite)
+        .limit(limite);
+    if (seleccion) consulta.select(seleccion);
+    if (populate.length) consulta.populate(populate);
+
+    const [resultados, total] = await Promise.all([consulta, modelo.countDocuments(filtro)]);
+    return { resultados, total, pagina, limite, paginas: Math.ceil(total / limite) };
+}
+
+module.exports = { leerListado, listar, lista, enteroPositivo, LIMITE };
@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Respuesta a preguntas en lenguaje natural.
+ *
+ * Reúne el recorrido completo de una pregunta: atajo de "capítulo N", análisis semántico
+ * (nlpProcessor.js), aclaración de menciones ambiguas, evento similar, preguntas de
+ * existencia y filtro por verbos y entidades con sus fallbacks. Las exclusiones ("sin
+ * Úrsula") y las comparaciones temporales ("antes del capítulo 5") se aplican en todos
+ * los caminos. Con el contexto de una conversación (services/conversaciones.js), la pregunta
+ * se reescribe antes según las anteriores. Lo usan la ruta /api/preguntas y la evaluación de
+ * respuestas (scripts/evaluar.js).
+ */
+
+const { analizarPregunta, clasificarIntencion, contieneTermino, tieneModificadores } = require('../nlpProcessor');
+const { generarRespuesta, pedirAclaracion } = require('./respuestas');
+const { aplicarEstrategia } = require('./estrategias');
+const { lineaDeTiempo } = require('./cronologia');
+const Capitulo = require('../models/model_capitulos');
+const Evento = require('../models/model_eventos');
+const Personaje = require('../models/model_personajes');
+const Lugar = require('../models/model_lugares');
+const Objeto = require('../models/model_objetos');
+
+/**
+ * Escapa texto para uso literal en RegExp.
+ * @param {string} text - Texto de entrada.
+ * @returns {string} Texto escapado para usar en RegExp literal.
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * IDs de las entidades con alguno de esos nombres (sin distinguir mayúsculas).
+ * @param {import('mongoose').Model} Modelo - Modelo de las entidades.
+ * @param {string[]} nombres - Nombres originales.
+ * @returns {Promise<Array>} IDs encontrados.
+ */
+async function idsPorNombre(Modelo, nombres) {
+    if (!nombres.length) return [];
+    const docs = await Modelo.find(
+        { nombre: { $in: nombres.map(n => new RegExp(`^${escapeRegex(n)}$`, 'i')) } },
+        '_id'
+    );
+    return docs.map(d => d._id);
+}
+
+/**
+ * IDs de los eventos relacionados con los objetos de esos nombres.
+ * @param {string[]} nombres - Nombres originales de los objetos.
+ * @returns {Promise<Array>} IDs de `evento_relacionado`.
+ */
+async function eventosDeObjetos(nombres) {
+    if (!nombres.length) return [];
+    const docsO = await Objeto.find(
+        { nombre: { $in: nombres.map(o => new RegExp(`^${escapeRegex(o)}$`, 'i')) } },
+        'evento_relacionado'
+    );
+    return docsO
+        .map(o => o.evento_relacionado)
+        .filter(eid => !!eid);
+}
+
+/**
+ * Condición "el nombre o la descripción contiene alguno de estos verbos".
+ * @param {RegExp[]} regexVerbos - Verbos clave de la pregunta.
+ * @returns {Array<Object>} Condiciones para un `$or` (o un `$nor`).
+ */
+function condicionesVerbo(regexVerbos) {
+    const orConds = [];
+    for (const r of regexVerbos) {
+        orConds.push(
+            { descripcion: { $regex: r.source, $options: 'i' } },
+            { nombre: { $regex: r.source, $options: 'i' } }
+        );
+    }
+    return orConds;
+}
+
+/**
+ * IDs de los eventos anteriores o posteriores a la referencia de una comparación temporal.
+ *
+ * Un capítulo ("antes del capítulo 5") se compara en el orden del relato: cuentan los
+ * eventos de capítulos anteriores o posteriores. Un evento o una entidad ("antes que José
+ * Arcadio Buendía") se compara en el orden cronológico de la línea de tiempo
+ * (services/cronologia.js); la referencia es el evento indicado o, con entidades, el primero
+ * de sus eventos que coincide con el verbo ("murió antes que…" → su muerte), o el primero
+ * en que aparecen si ninguno coincide.
+ *
+ * @param {Object} temporal - Comparación temporal de `analizarPregunta`.
+ * @returns {Promise<Array>} IDs de los eventos (vacío si no se encuentra la referencia).
+ */
+async function eventosEnRango(temporal) {
+    const { relacion, capitulo, regexVerbos, evento } = temporal;
+    const { eventos } = await lineaDeTiempo({ orden: 'cronologico' });
+    const antes = relacion === 'antes';
+
+    if (capitulo !== null) {
+        return eventos
+            .filter(e => e.capitulo !== null && (antes ? e.capitulo < capitulo : e.capitulo > capitulo))
+            .map(e => e._id);
+    }
+
+    let referencias;
+    if (evento) {
+        referencias = eventos.filter(e => String(e._id) === String(evento._id));
+    } else {
+        const [personajeIds, lugarIds, eventosObjetos] = await Promise.all([
+            idsPorNombre(Personaje, temporal.personajes),
+            idsPorNombre(Lugar, temporal.lugares),
+            eventosDeObjetos(temporal.objetos)
+        ]);
+        const ids = new Set([...personajeIds, ...lugarIds, ...eventosObjetos].map(String));
+        const id = valor => String(valor?._id ?? valor);
+        referencias = eventos.filter(e => ids.has(id(e._id)) || ids.has(id(e.lugar_relacionado))
+            || (e.personajes_involucrados || []).some(p => ids.has(id(p))));
+        const conVerbo = referencias.filter(e =>
+            regexVerbos.some(re => re.test(e.nombre || '') || re.test(e.descripcion || '')));
+        if (conVerbo.length) referencias = conVerbo;
+    }
+    if (!referencias.length) {
+        console.log('[TEMPORAL] Referencia no encontrada:', temporal.texto);
+        return [];
+    }
+
+    const indice = eventos.indexOf(referencias[0]);
+    console.log(`[TEMPORAL] ${relacion} de "${referencias[0].nombre}" (posición ${indice})`);
+    return eventos.filter((e, i) => (antes ? i < indice : i > indice)).map(e => e._id);
+}
+
+/**
+ * Condiciones que toda respuesta debe cumplir, también la de un capítulo, la de existencia
+ * y los fallbacks: entidades excluidas ("sin Úrsula"), verbo negado ("nunca murieron")
+ * y comparación temporal ("antes del capítulo 5").
+ *
+ * @param {Object} analisis - Resultado de `analizarPregunta`.
+ * @returns {Promise<Array<Object>>} Condiciones para un `$and` (vacío si no hay ninguna).
+ */
+async function armarRestricciones(analisis) {
+    const { negados, verboNegado, regexVerbos, temporal } = analisis;
+    const restricciones = [];
+    const [personajeIds, lugarIds, eventosObjetos] = await Promise.all([
+        idsPorNombre(Personaje, negados.personajes),
+        idsPorNombre(Lugar, negados.lugares),
+        eventosDeObjetos(negados.objetos)
+    ]);
+    if (personajeIds.length) {
+        restricciones.push({ personajes_involucrados: { $nin: personajeIds } });
+    }
+    if (lugarIds.length) {
+        restricciones.push({ lugar_relacionado: { $nin: lugarIds } });
+    }
+    if (eventosObjetos.length) {
+        restricciones.push({ _id: { $nin: eventosObjetos } });
+    }
+    if (verboNegado && regexVerbos.length) {
+        restricciones.push({ $nor: condicionesVerbo(regexVerbos) });
+    }
+    if (temporal) {
+        restricciones.push({ _id: { $in: await eventosEnRango(temporal) } });
+    }
+    return restricciones;
+}
+
+/**
+ * Campos opcionales de la respuesta según el análisis: la pregunta corregida en
+ * `quisisteDecir` si alguna palabra se corrigió por error de tipeo, y la pregunta
+ * reescrita con sus `referentes` en `preguntaResuelta` si dependía de la conversación.
+ * @param {Object} analisis - Análisis de la pregunta.
+ * @returns {Object}
+ */
+function agregados(analisis) {
+    return {
+        ...(analisis.quisisteDecir && { quisisteDecir: analisis.quisisteDecir }),
+        ...(analisis.preguntaResuelta && { preguntaResuelta: analisis.preguntaResuelta, referentes: analisis.referentes })
+    };
+}
+
+/**
+ * Arma el cuerpo de la respuesta según la intención de la pregunta.
+ *
+ * Con los eventos encontrados aplica la estrategia de la intención (services/estrategias.js):
+ * "¿Quién…?" devuelve personajes, "¿Dónde…?" lugares, etc. En ese caso `resultados`
+ * contiene esas entidades y los eventos de apoyo pasan a `eventos`. Agrega además la
+ * respuesta redactada en español (texto, citas y confianza) y los agregados de `agregados`.
+ *
+ * @param {string} pregunta - Pregunta (ya resuelta, si dependía de la conversación).
+ * @param {Object} analisis - Análisis de la pregunta (al menos `{intencion, estructura}`).
+ * @param {Object} cuerpo - Cuerpo con `capitulo` y `resultados` (eventos populados).
+ * @param {string} origen - Cómo se obtuvieron los resultados (capitulo, similar, existencia, filtro, fallback).
+ * @returns {Promise<Object>} Cuerpo de la respuesta.
+ */
+async function armarRespuesta(pregunta, analisis, cuerpo, origen) {
+    const eventos = cuerpo.resultados;
+    const entidades = await aplicarEstrategia(analisis, pregunta, eventos);
+    const respuesta = await generarRespuesta(analisis, eventos, origen, entidades);
+    const sugerencia = agregados(analisis);
+    console.log(`[ANSWER] ${analisis.intencion} (${respuesta.confianza}) ${respuesta.texto}`);
+
+    if (!entidades) {
+        return { ...cuerpo, intencion: analisis.intencion, tipoResultados: 'eventos', respuesta, ...sugerencia };
+    }
+    return {
+        ...cuerpo,
+        intencion: analisis.intencion,
+        tipoResultados: entidades.tipoResultados,
+        resultados: entidades.resultados,
+        eventos,
+        respuesta,
+        ...sugerencia
+    };
+}
+
+/**
+ * Responde una pregunta en lenguaje natural y devuelve también su análisis.
+ *
+ * Realiza atajos directos de búsqueda de capítulo, invoca el análisis semántico,
+ * maneja patrones de existencia, fuzzy search y construye filtros avanzados
+ * para buscar eventos relacionados. Aplica fallbacks cuando no hay resultados
+ * iniciales. El formato del cuerpo se describe en routes/preguntas.js.
+ *
+ * @param {string} q - Texto de la pregunta (no vacío).
+ * @param {import('../correferencia').ContextoConversacion|null} [contexto=null] - Contexto de la
+ *   conversación para resolver pronombres y elipsis (ver services/conversaciones.js).
+ * @returns {Promise<{cuerpo: Object|null, analisis: Object}>} Cuerpo de la respuesta (null si el
+ *   análisis encontró un número de capítulo que no existe) y análisis de la pregunta (solo
+ *   `{intencion, estructura}` en el atajo de capítulo).
+ */
+async function responderConAnalisis(q, contexto = null) {
+    // Atajo directo: “capítulo N” (si nada lo excluye ni lo vuelve una referencia temporal)
+    const matchCap = q.match(/cap[ií]tulo\s*(\d+)/i);
+    if (matchCap && !tieneModificadores(q)) {
+        const capNum = parseInt(matchCap[1]);
+        const { intencion, ...estructura } = clasificarIntencion(q);
+        const analisisCap = { intencion, estructura };
+        const capDoc = await Capitulo.findOne({ numero: capNum }).populate({
+            path: 'eventos',
+            populate: ['personajes_involucrados', 'lugar_relacionado', 'generacion_relacionada']
+        });
+        if (!capDoc) {
+            console.log(`[INFO] Capítulo ${capNum} no encontrado`);
+            const cuerpo = await armarRespuesta(q, analisisCap, { capitulo: capNum, resultados: [] }, 'capitulo');
+            return { cuerpo, analisis: analisisCap };
+        }
+        console.log(`[INFO] Capítulo ${capNum} encontrado con ${capDoc.eventos.length} eventos`);
+        const cuerpo = await armarRespuesta(q, analisisCap, { capitulo: capNum, resultados: capDoc.eventos }, 'capitulo');
+        return { cuerpo, analisis: analisisCap };
+    }
+
+    // Análisis semántico
+    const analisis = await analizarPregunta(q, contexto);
+    const pregunta = analisis.preguntaResuelta || q;
+    const { capitulo, terminoExistencia, regexVerbos, personajes, lugares, objetos, ambiguedades, fuzzy } = analisis;
+    console.log('[ANALYSIS]', analisis);
+    const { verboNegado, operador } = analisis;
+    const restricciones = await armarRestricciones(analisis);
+    const conRestricciones = filtro => (restricciones.length ? { $and: [filtro, ...restricciones] } : filtro);
+
+    // Si capítulo explícito (de nuevo, por si analizarPregunta devolviera)
+    if (capitulo) {
+        const capDoc = await Capitulo.findOne({ numero: capitulo });
+        if (!capDoc) {
+            console.log('[ERROR] Capítulo no existe');
+            return { cuerpo: null, analisis };
+        }
+        await capDoc.populate({
+            path: 'eventos',
+            ...(restricciones.length && { match: { $and: restricciones } }),
+            populate: [
+                { path: 'personajes_involucrados' },
+                { path: 'lugar_relacionado' },
+                { path: 'generacion_relacionada' }
+            ]
+        });
+        console.log('[RESULTS] eventos capítulo', capitulo, capDoc.eventos.length);
+        const cuerpo = await armarRespuesta(pregunta, analisis, { capitulo, resultados: capDoc.eventos }, 'capitulo');
+        return { cuerpo, analisis };
+    }
+
+    // Menciones ambiguas: se pide aclaración en lugar de buscar con todos los candidatos
+    if (ambiguedades.length) {
+        console.log('[AMBIGUOUS]', ambiguedades.map(a => `"${a.mencion}" → ${a.candidatos.length} candidatos`).join('; '));
+        const cuerpo = {
+            capitulo: 'ambigua',
+            intencion: analisis.intencion,
+            tipoResultados: 'eventos',
+            resultados: [],
+            ambigua: true,
+            ambiguedades,
+            respuesta: pedirAclaracion(analisis),
+            ...agregados(analisis)
+        };
+        return { cuerpo, analisis };
+    }
+
+    // Si fuzzy y no es pregunta de existencia
+    if (fuzzy && !terminoExistencia) {
+        console.log('[FUZZY] Evento similar encontrado con fuzzy search');
+        // El evento similar solo trae nombre y descripción: se carga completo para la estrategia
+        const evento = await Evento.findById(fuzzy._id)
+            .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
+        if (evento) {
+            const cuerpo = await armarRespuesta(pregunta, analisis, { capitulo: 'similar', resultados: [evento] }, 'similar');
+            return { cuerpo, analisis };
+        }
+        // Se borró entre el análisis y esta consulta: se sigue con el filtro
+        console.log('[FUZZY] El evento similar ya no existe; se usa el filtro');
+    }
+
+    // Preparar arrays de IDs desde nombres detectados
+    const personajeIds = await idsPorNombre(Personaje, personajes);
+    const lugarIds = await idsPorNombre(Lugar, lugares);
+    // Objetos detectados: buscamos su evento_relacionado
+    const eventosDesdeObjetos = await eventosDeObjetos(objetos);
+    console.log('[IDs] personajes:', personajeIds, 'lugares:', lugarIds, 'objetos→eventos:', eventosDesdeObjetos);
+
+    // Si es pregunta de existencia
+    if (terminoExistencia) {
+        // Comparación por raíces: "guerras" encuentra "la guerra civil"
+        const todosEventos = await Evento.find({}, 'nombre descripcion');
+        const eventosCoincidentes = todosEventos.filter(e =>
+            contieneTermino(terminoExistencia, `${e.nombre || ''} ${e.descripcion || ''}`));
+
+        console.log('[EXISTENCE QUERY] término:', terminoExistencia);
+        console.log('[EXISTENCE QUERY] encontrados:', eventosCoincidentes.length);
+
+        const eventosFinales = await Evento.find(conRestricciones({ _id: { $in: eventosCoincidentes.map(e => e._id) } }))
+            .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
+
+        const cuerpo = await armarRespuesta(pregunta, analisis,
+            { capitulo: 'existencia', termino: terminoExistencia, resultados: eventosFinales }, 'existencia');
+        return { cuerpo, analisis };
+    }
+
+    // Si no hay verbo clave, ni entidades, ni exclusiones, y tampoco fuzzy/existencia: 0 resultados
+    if ((!regexVerbos || regexVerbos.length === 0)
+        && personajeIds.length === 0
+        && lugarIds.length === 0
+        && eventosDesdeObjetos.length === 0
+        && restricciones.length === 0
+    ) {
+        console.log('[FILTER] No hay verbo ni entidad detectada -> 0 resultados');
+        const cuerpo = await armarRespuesta(pregunta, analisis, { capitulo: 'todos', resultados: [] }, 'filtro');
+        return { cuerpo, analisis };
+    }
+
+    // Construir filtro avanzado
+    const andConds = [];
+    if (regexVerbos && regexVerbos.length && !verboNegado) {
+        andConds.push({ $or: condicionesVerbo(regexVerbos) });
+    }
+    // "Úrsula y Rebeca": eventos con todos; "Úrsula o Rebeca" (o sin conector): con alguno.
+    // Una comparación mide a cada personaje por separado.
+    const todos = operador === 'y' && analisis.intencion !== 'comparacion';
+    const conPersonajes = { personajes_involucrados: todos ? { $all: personajeIds } : { $in: personajeIds } };
+    if (personajeIds.length) {
+        andConds.push(conPersonajes);
+    }
+    if (lugarIds.length) {
+        andConds.push({ lugar_relacionado: { $in: lugarIds } });
+    }
+    if (eventosDesdeObjetos.length) {
+        andConds.push({ _id: { $in: eventosDesdeObjetos } });
+    }
+    andConds.push(...restricciones);
+
+    const filtro = andConds.length ? { $and: andConds } : {};
+    console.log('[ADVANCED FILTER]', JSON.stringify(filtro, null, 2));
+
+    // Consulta inicial
+    let resultados = await Evento.find(filtro)
+        .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
+    console.log('[RESULTS initial] preguntas:', resultados.length);
+
+    // Fallbacks en orden de prioridad
+    const origen = resultados.length ? 'filtro' : 'fallback';
+    if (resultados.length === 0 && eventosDesdeObjetos.length) {
+        console.log('[FALLBACK] devolviendo eventos referenciados por objetos detectados');
+        resultados = await Evento.find(conRestricciones({ _id: { $in: eventosDesdeObjetos } }))
+            .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
+    }
+    else if (resultados.length === 0 && personajeIds.length) {
+        // Se relaja el verbo, no el conector: con "y" siguen haciendo falta todos los personajes
+        console.log('[FALLBACK] devolviendo eventos para personajes detectados');
+        resultados = await Evento.find(conRestricciones(conPersonajes))
+            .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
+    }
+    else if (resultados.length === 0 && lugarIds.length) {
+        console.log('[FALLBACK] devolviendo eventos para lugares detectados');
+        resultados = await Evento.find(conRestricciones({ lugar_relacionado: { $in: lugarIds } }))
+            .populate('personajes_involucrados lugar_relacionado generacion_relacionada');
+    }
+
+    console.log('[RESULTS final] preguntas:', resultados.length);
+    const cuerpo = await armarRespuesta(pregunta, analisis, { capitulo: 'todos', resultados }, origen);
+    return { cuerpo, analisis };
+}
+
+/**
+ * Responde una pregunta en lenguaje natural (ver `responderConAnalisis`).
+ *
+ * @param {string} q - Texto de la pregunta (no vacío).
+ * @param {import('../correferencia').ContextoConversacion|null} [contexto=null] - Contexto de la conversación.
+ * @returns {Promise<Object|null>} Cuerpo de la respuesta, o null si el análisis
+ *   encontró un número de capítulo que no existe.
+ */
+async function responderPregunta(q, contexto = null) {
+    const { cuerpo } = await responderConAnalisis(q, contexto);
+    return cuerpo;
+}
+
+module.exports = { responderPregunta, responderConAnalisis };
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Red de coaparición de personajes.
+ *
+ * Dos personajes quedan unidos si participan juntos en algún evento
+ * (`Evento.personajes_involucrados`); el peso de la arista es la cantidad de eventos
+ * que comparten. Sobre ese grafo no dirigido se calculan:
+ *   - grado: cantidad de personajes con los que se relaciona (y la suma de pesos);
+ *   - intermediación (betweenness): en qué medida está en los caminos más cortos entre
+ *     otros personajes, con el algoritmo de Brandes sin pesos, normalizada entre 0 y 1;
+ *   - comunidades: grupos que comparten más eventos entre sí que con el resto, por
+ *     propagación de etiquetas ponderada. Se recorre siempre en el mismo orden y los
+ *     empates se resuelven por la etiqueta menor, así que el resultado es estable.
+ */
+
+const Evento = require('../models/model_eventos');
+const Personaje = require('../models/model_personajes');
+const Capitulo = require('../models/model_capitulos');
+
+/**
+ * Rondas máximas de la propagación de etiquetas (suele estabilizarse en pocas).
+ * @type {number}
+ */
+const MAX_RONDAS = 100;
+
+/**
+ * Arma el grafo a partir de los eventos: aristas con su peso y la lista de adyacencia.
+ *
+ * @param {Array<{_id: ObjectId, personajes_involucrados: Array<ObjectId>}>} eventos - Eventos.
+ * @returns {{
+ *   apariciones: Map<string, number>,
+ *   aristas: Map<string, {origen: string, destino: string, peso: number, eventos: string[]}>,
+ *   vecinos: Map<string, Map<string, number>>
+ * }} Eventos de cada personaje, aristas por par ("a|b") y pesos por vecino.
+ */
+function construirGrafo(eventos) {
+    const apariciones = new Map();
+    const aristas = new Map();
+    const vecinos = new Map();
+
+    for (const evento of eventos) {
+        const ids = [...new Set((evento.personajes_involucrados || []).map(String))].sort();
+        for (const id of ids) {
+            apariciones.set(id, (apariciones.get(id) || 0) + 1);
+            if (!vecinos.has(id)) vecinos.set(id, new Map());
+        }
+        for (let i = 0; i < ids.length; i++) {
+            for (let j = i + 1; j < ids.length; j++) {
+                const clave = `${ids[i]}|${ids[j]}`;
+                if (!aristas.has(clave)) aristas.set(clave, { origen: ids[i], destino: ids[j], peso: 0, eventos: [] });
+                const arista = aristas.get(clave);
+                arista.peso++;
+                arista.eventos.push(String(evento._id));
+                vecinos.get(ids[i]).set(ids[j], arista.peso);
+                vecinos.get(ids[j]).set(ids[i], arista.peso);
+            }
+        }
+    }
+    return { apariciones, aristas, vecinos };
+}
+
+/**
+ * Intermediación de cada nodo (Brandes, grafo no dirigido sin pesos).
+ *
+ * @param {Map<string, Map<string, number>>} vecinos - Lista de adyacencia.
+ * @returns {Map<string, number>} Intermediación normalizada (0 a 1) por nodo.
+ */
+function intermediacion(vecinos) {
+    const nodos = [...vecinos.keys()];
+    const resultado = new Map(nodos.map(n => [n, 0]));
+
+    for (const fuente of nodos) {
+        const pila = [];
+        const predecesores = new Map(nodos.map(n => [n, []]));
+        const caminos = new Map(nodos.map(n => [n, 0]));
+        const distancia = new Map([[fuente, 0]]);
+        caminos.set(fuente, 1);
+
+        const cola = [fuente];
+        while (cola.length) {
+            const v = cola.shift();
+            pila.push(v);
+            for (const w of vecinos.get(v).keys()) {
+                if (!distancia.has(w)) {
+                    distancia.set(w, distancia.get(v) + 1);
+                    cola.push(w);
+                }
+                if (distancia.get(w) === distancia.get(v) + 1) {
+                    caminos.set(w, caminos.get(w) + caminos.get(v));
+                    predecesores.get(w).push(v);
+                }
+            }
+        }
+
+        const dependencia = new Map(nodos.map(n => [n, 0]));
+        while (pila.length) {
+            const w = pila.pop();
+            for (const v of predecesores.get(w)) {
+                dependencia.set(v, dependencia.get(v) + (caminos.get(v) / caminos.get(w)) * (1 + dependencia.get(w)));
+            }
+            if (w !== fuente) resultado.set(w, resultado.get(w) + dependencia.get(w));
+        }
+    }
+
+    // Cada par se cuenta dos veces (una desde cada extremo); se divide por los pares posibles
+    const n = nodos.length;
+    const pares = (n - 1) * (n - 2);
+    for (const [nodo, valor] of resultado) {
+        resultado.set(nodo, pares > 0 ? valor / pares : 0);
+    }
+    return resultado;
+}
+
+/**
+ * Comunidades por propagación de etiquetas ponderada.
+ *
+ * @param {Map<string, Map<string, number>>} vecinos - Lista de adyacencia con pesos.
+ * @returns {Map<string, number>} Comunidad de cada nodo, numeradas desde 0 de la más
+ *   grande a la más chica.
+ */
+function comunidades(vecinos) {
+    const nodos = [...vecinos.keys()].sort();
+    const etiqueta = new Map(nodos.map(n => [n, n]));
+
+    for (let ronda = 0; ronda < MAX_RONDAS; ronda++) {
+        let cambios = 0;
+        for (const nodo of nodos) {
+            const pesos = new Map();
+            for (const [vecino, peso] of vecinos.get(nodo)) {
+                const e = etiqueta.get(vecino);
+                pesos.set(e, (pesos.get(e) || 0) + peso);
+            }
+            if (!pesos.size) continue;
+            const [mejor] = [...pesos].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+            if (mejor !== etiqueta.get(nodo)) {
+                etiqueta.set(nodo, mejor);
+                cambios++;
+            }
+        }
+        if (!cambios) break;
+    }
+
+    const tamanios = new Map();
+    for (const e of etiqueta.values()) tamanios.set(e, (tamanios.get(e) || 0) + 1);
+    const orden = [...tamanios].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([e]) => e);
+    return new Map(nodos.map(n => [n, orden.indexOf(etiqueta.get(n))]));
+}
+
+/**
+ * Modularidad de una partición: cuánto más peso queda dentro de las comunidades del que
+ * se esperaría al azar (de -0.5 a 1; más alto, grupos más marcados).
+ *
+ * @param {Map<string, Map<string, number>>} vecinos - Lista de adyacencia con pesos.
+ * @param {Map<string, number>} comunidad - Comunidad de cada nodo.
+ * @returns {number} Modularidad, 0 si no hay aristas.
+ */
+function modularidad(vecinos, comunidad) {
+    const fuerza = new Map([...vecinos].map(([n, vs]) => [n, [...vs.values()].reduce((s, p) => s + p, 0)]));
+    const dobleTotal = [...fuerza.values()].reduce((s, f) => s + f, 0);
+    if (!dobleTotal) return 0;
+
+    let dentro = 0;
+    const fuerzaPorComunidad = new Map();
+    for (const [nodo, vs] of vecinos) {
+        const c = comunidad.get(nodo);
+        fuerzaPorComunidad.set(c, (fuerzaPorComunidad.get(c) || 0) + fuerza.get(nodo));
+        for (const [vecino, peso] of vs) {
+            if (comunidad.get(vecino) === c) dentro += peso;
+        }
+    }
+    let esperado = 0;
+    for (const f of fuerzaPorComunidad.values()) esperado += (f / dobleTotal) ** 2;
+    return dentro / dobleTotal - esperado;
+}
+
+/**
+ * Construye la red de personajes con sus métricas.
+ *
+ * Los filtros se combinan: con capítulos y generaciones solo cuentan los eventos de esos
+ * capítulos que además pertenecen a alguna de esas generaciones. Solo aparecen los
+ * personajes que participan en algún evento considerado.
+ *
+ * @param {Object} [opciones]
+ * @param {number[]} [opciones.capitulos] - Números de capítulo.
+ * @param {string[]} [opciones.generaciones] - IDs de generación (`Evento.generacion_relacionada`).
+ * @returns {Promise<{
+ *   eventos: number, modularidad: number, comunidades: number,
+ *   nodos: Array<{
+ *     _id: string, nombre: string, generacion: number|null, eventos: number,
+ *     grado: number, gradoPonderado: number, intermediacion: number, comunidad: number
+ *   }>,
+ *   aristas: Array<{origen: string, destino: string, peso: number, eventos: string[]}>
+ * }>} Nodos de mayor a menor grado ponderado y aristas de mayor a menor peso.
+ */
+async function redDePersonajes({ capitulos = [], generaciones = [] } = {}) {
+    const filtro = {};
+    if (capitulos.length) {
+        const encontrados = await Capitulo.find({ numero: { $in: capitulos } }, 'eventos').lean();
+        filtro._id = { $in: encontrados.flatMap(c => c.eventos) };
+    }
+    if (generaciones.length) filtro.generacion_relacionada = { $in: generaciones };
+
+    const eventos = await Evento.find(filtro, 'personajes_involucrados').lean();
+    const { apariciones, aristas, vecinos } = construirGrafo(eventos);
+
+    const personajes = await Personaje.find({ _id: { $in: [...apariciones.keys()] } }, 'nombre generacion').lean();
+    const porId = new Map(personajes.map(p => [String(p._id), p]));
+
+    // Referencias a personajes que ya no existen: no se muestran
+    for (const id of [...vecinos.keys()]) {
+        if (porId.has(id)) continue;
+        for (const vecino of vecinos.get(id).keys()) vecinos.get(vecino).delete(id);
+        vecinos.delete(id);
+        for (const [clave, arista] of aristas) {
+            if (arista.origen === id || arista.destino === id) aristas.delete(clave);
+        }
+    }
+
+    const centralidad = intermediacion(vecinos);
+    const comunidad = comunidades(vecinos);
+
+    const nodos = [...vecinos].map(([id, vs]) => ({
+        _id: id,
+        nombre: porId.get(id).nombre,
+        generacion: porId.get(id).generacion ?? null,
+        eventos: apariciones.get(id),
+        grado: vs.size,
+        gradoPonderado: [...vs.values()].reduce((s, p) => s + p, 0),
+        intermediacion: centralidad.get(id),
+        comunidad: comunidad.get(id)
+    })).sort((a, b) => b.gradoPonderado - a.gradoPonderado || a.nombre.localeCompare(b.nombre));
+
+    return {
+        eventos: eventos.length,
+        modularidad: modularidad(vecinos, comunidad),
+        comunidades: new Set(comunidad.values()).size,
+        nodos,
+        aristas: [...aristas.values()].sort((a, b) => b.peso - a.peso)
+    };
+}
+
+module.exports = { redDePersonajes };
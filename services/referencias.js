@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Servicio de integridad referencial para eliminaciones.
+ *
+ * Describe, para cada tipo de entidad, qué campos de otras colecciones pueden
+ * referenciarla, y elimina documentos limpiando esas referencias
+ * (quitando el ID de los arreglos o vaciando las referencias simples).
+ * Con `dryRun` solo informa qué documentos se verían afectados.
+ */
+
+const Personaje = require('../models/model_personajes');
+const Lugar = require('../models/model_lugares');
+const Evento = require('../models/model_eventos');
+const Objeto = require('../models/model_objetos');
+const Generacion = require('../models/model_generaciones');
+const Capitulo = require('../models/model_capitulos');
+
+/**
+ * Modelo Mongoose correspondiente a cada tipo de entidad.
+ * @type {Object.<string, import('mongoose').Model>}
+ */
+const MODELOS = {
+    personaje: Personaje,
+    lugar: Lugar,
+    evento: Evento,
+    objeto: Objeto,
+    generacion: Generacion,
+    capitulo: Capitulo
+};
+
+/**
+ * Campos que referencian a cada tipo de entidad.
+ * `arreglo: true` indica un arreglo de ObjectId (se aplica $pull);
+ * en caso contrario es una referencia simple (se aplica $unset).
+ *
+ * @type {Object.<string, Array<{modelo: import('mongoose').Model, campo: string, arreglo: boolean}>>}
+ */
+const REFERENCIAS = {
+    personaje: [
+        { modelo: Evento, campo: 'personajes_involucrados', arreglo: true },
+        { modelo: Generacion, campo: 'personajes_principales', arreglo: true },
+        { modelo: Objeto, campo: 'personaje_relacionado', arreglo: false },
+        { modelo: Personaje, campo: 'padres', arreglo: true },
+        { modelo: Personaje, campo: 'parejas', arreglo: true },
+        { modelo: Personaje, campo: 'hermanos', arreglo: true }
+    ],
+    lugar: [
+        { modelo: Evento, campo: 'lugar_relacionado', arreglo: false },
+        { modelo: Objeto, campo: 'lugar_relacionado', arreglo: false }
+    ],
+    evento: [
+        { modelo: Capitulo, campo: 'eventos', arreglo: true },
+        { modelo: Lugar, campo: 'eventos_relacionados', arreglo: true },
+        { modelo: Objeto, campo: 'evento_relacionado', arreglo: false }
+    ],
+    objeto: [
+        { modelo: Personaje, campo: 'objetos', arreglo: true }
+    ],
+    generacion: [
+        { modelo: Evento, campo: 'generacion_relacionada', arreglo: false },
+        { modelo: Objeto, campo: 'generacion_relacionada', arreglo: false },
+        { modelo: Lugar, campo: 'generaciones_relacionadas', arreglo: true }
+    ],
+    capitulo: []
+};
+
+/**
+ * Elimina una entidad y limpia las referencias a ella en el resto de colecciones.
+ *
+ * @param {'personaje'|'lugar'|'evento'|'objeto'|'generacion'|'capitulo'} tipo - Tipo de entidad.
+ * @param {string} id - ID del documento a eliminar.
+ * @param {{dryRun?: boolean}} [opciones] - Con `dryRun` no se modifica nada.
+ * @returns {Promise<{
+ *   dryRun: boolean,
+ *   eliminado: Object,
+ *   referencias: Array<{coleccion: string, campo: string, documentos: Array<{_id: ObjectId, nombre?: string, numero?: number}>}>
+ * }|null>} Resumen de lo eliminado y de las referencias afectadas, o null si no existe.
+ */
+async function eliminarConReferencias(tipo, id, opciones = {}) {
+    const Modelo = MODELOS[tipo];
+    if (!Modelo) throw new Error(`Tipo de entidad desconocido: ${tipo}`);
+    const dryRun = Boolean(opciones.dryRun);
+
+    const doc = await Modelo.findById(id);
+    if (!doc) return null;
+
+    const referencias = [];
+    for (const { modelo, campo, arreglo } of REFERENCIAS[tipo]) {
+        const filtro = { [campo]: doc._id };
+        const afectados = await modelo.find(filtro, 'nombre numero');
+        if (!afectados.length) continue;
+
+        referencias.push({
+            coleccion: modelo.collection.collectionName,
+            campo,
+            documentos: afectados.map(a => ({ _id: a._id, nombre: a.nombre, numero: a.numero }))
+        });
+
+        if (!dryRun) {
+            const update = arreglo ? { $pull: { [campo]: doc._id } } : { $unset: { [campo]: 1 } };
+            await modelo.updateMany(filtro, update);
+        }
+    }
+
+    if (!dryRun) {
+        await Modelo.deleteOne({ _id: doc._id });
+        console.log(`[INFO] ${tipo} ${id} eliminado; referencias limpiadas en ${referencias.length} campo(s)`);
+    }
+
+    return { dryRun, eliminado: doc, referencias };
+}
+
+module.exports = { eliminarConReferencias, MODELOS, REFERENCIAS };
@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Generación de respuestas en lenguaje natural.
+ *
+ * A partir del análisis de una pregunta (`analizarPregunta`) y de los eventos
+ * encontrados, redacta una oración en español que responde a la pregunta,
+ * acompañada de los eventos que la respaldan (citas) y un valor de confianza.
+ *
+ * La respuesta se arma con plantillas por intención (ver `clasificarIntencion`):
+ *   - dónde       → lugar con más eventos (services/estrategias.js)
+ *   - quién       → personajes con más eventos que no se mencionan en la pregunta
+ *   - cuándo      → capítulos (y generación) en que ocurren los eventos
+ *   - cuántos     → familiares del personaje o número de eventos encontrados
+ *   - comparación → qué personaje supera al otro y por cuánto
+ *   - sí/no       → confirmación con los eventos que la respaldan
+ *   - por qué/cómo → descripción del evento más relevante
+ *   - qué/cuáles  → resumen del evento (o los eventos) encontrados
+ */
+
+const Capitulo = require('../models/model_capitulos');
+
+/**
+ * Confianza base según cómo se obtuvieron los resultados en /api/preguntas.
+ * Un filtro por entidades y verbo es más fiable que un fallback o el fuzzy search;
+ * los vínculos familiares registrados son la fuente más directa.
+ * @type {Object.<string, number>}
+ */
+const CONFIANZA_ORIGEN = {
+    capitulo: 0.9,
+    genealogia: 0.9,
+    filtro: 0.8,
+    existencia: 0.8,
+    fallback: 0.5,
+    similar: 0.4
+};
+
+/**
+ * Número máximo de eventos citados en una respuesta.
+ * @type {number}
+ */
+const MAX_CITAS = 5;
+
+/**
+ * Une una lista en español: "A", "A y B", "A, B y C" (o "A, B o C").
+ * @param {string[]} lista - Elementos a unir.
+ * @param {string} [conjuncion='y'] - Conjunción antes del último elemento.
+ * @returns {string} Texto enumerado.
+ */
+function enumerar(lista, conjuncion = 'y') {
+    if (lista.length <= 1) return lista.join('');
+    return `${lista.slice(0, -1).join(', ')} ${conjuncion} ${lista[lista.length - 1]}`;
+}
+
+/**
+ * Pone en mayúscula la primera letra de una oración.
+ * @param {string} texto - Oración.
+ * @returns {string} Oración capitalizada.
+ */
+function capitalizar(texto) {
+    return texto.charAt(0).toUpperCase() + texto.slice(1);
+}
+
+/**
+ * Cuenta cuántos eventos apoyan cada valor y los ordena de más a menos frecuente.
+ *
+ * @param {Array<Object>} eventos - Eventos populados.
+ * @param {function(Object): Array<{nombre: string}>} extraer - Devuelve las entidades de un evento.
+ * @returns {Array<{nombre: string, eventos: Array<Object>}>} Valores con sus eventos de apoyo.
+ */
+function agrupar(eventos, extraer) {
+    const grupos = new Map();
+    for (const ev of eventos) {
+        for (const entidad of extraer(ev)) {
+            if (!entidad?.nombre) continue;
+            if (!grupos.has(entidad.nombre)) grupos.set(entidad.nombre, []);
+            grupos.get(entidad.nombre).push(ev);
+        }
+    }
+    return [...grupos.entries()]
+        .map(([nombre, evs]) => ({ nombre, eventos: evs }))
+        .sort((a, b) => b.eventos.length - a.eventos.length);
+}
+
+/**
+ * Sujeto de la oración: el texto que el usuario escribió tras el verbo o,
+ * si no hay, los personajes detectados en la pregunta.
+ *
+ * @param {Object} analisis - Resultado de `analizarPregunta`.
+ * @returns {string} Sujeto para la respuesta.
+ */
+function sujetoDe(analisis) {
+    return analisis.estructura?.resto || enumerar(analisis.personajes || []);
+}
+
+/**
+ * Busca los capítulos que contienen cada evento.
+ *
+ * @param {Array<Object>} eventos - Eventos citados.
+ * @returns {Promise<Map<string, number[]>>} Mapa id de evento → números de capítulo.
+ */
+async function capitulosPorEvento(eventos) {
+    const mapa = new Map(eventos.map(ev => [String(ev._id), []]));
+    if (!eventos.length) return mapa;
+    const capitulos = await Capitulo.find(
+        { eventos: { $in: eventos.map(ev => ev._id) } },
+        'numero eventos'
+    ).sort({ numero: 1 }).lean();
+    for (const cap of capitulos) {
+        for (const id of cap.eventos) {
+            mapa.get(String(id))?.push(cap.numero);
+        }
+    }
+    return mapa;
+}
+
+/**
+ * Forma singular de los criterios de conteo.
+ * @type {Object.<string, string>}
+ */
+const SINGULAR = { eventos: 'evento', hijos: 'hijo', hermanos: 'hermano', parejas: 'pareja', padres: 'padre' };
+
+/**
+ * Escribe una cantidad con el sustantivo en singular o plural: "1 hijo", "3 hijos".
+ * @param {number} n - Cantidad.
+ * @param {string} plural - Sustantivo en plural.
+ * @returns {string} Cantidad redactada.
+ */
+function cantidad(n, plural) {
+    return `${n} ${n === 1 ? SINGULAR[plural] || plural : plural}`;
+}
+
+/**
+ * Redacta la oración de respuesta según la intención de la pregunta.
+ *
+ * @param {Object} analisis - Resultado de `analizarPregunta` (intencion, estructura, terminoExistencia...).
+ * @param {Array<Object>} eventos - Eventos encontrados.
+ * @param {Map<string, number[]>} capitulos - Capítulos de cada evento.
+ * @param {Object|null} entidades - Resultado de `aplicarEstrategia` (personajes o lugares rankeados).
+ * @returns {{texto: string, apoyo: Array<Object>, proporcion: number}} Oración, eventos que
+ *   la respaldan y proporción de eventos encontrados que coinciden con la respuesta.
+ */
+function redactar(analisis, eventos, capitulos, entidades) {
+    const { intencion, estructura = {}, terminoExistencia } = analisis;
+    const verbo = estructura.verbo || '';
+    const total = eventos.length;
+    const porId = new Map(eventos.map(ev => [String(ev._id), ev]));
+    const eventosDe = entidad => (entidad.eventos || []).map(id => porId.get(id)).filter(Boolean);
+    const lista = entidades?.resultados || [];
+
+    if (terminoExistencia) {
+        return { texto: `Sí, hubo ${terminoExistencia}`, apoyo: eventos, proporcion: 1 };
+    }
+
+    if (intencion === 'cuantos' && entidades?.medida) {
+        const { criterio, sujeto } = entidades.medida;
+        return {
+            texto: lista.length
+                ? `${sujeto} tiene ${cantidad(lista.length, criterio)}: ${enumerar(lista.map(p => p.nombre))}`
+                : `${sujeto} no tiene ${criterio} registrados`,
+            apoyo: [],
+            proporcion: 1
+        };
+    }
+
+    if (intencion === 'comparacion' && lista.length >= 2) {
+        const [a, b] = lista;
+        const { criterio } = entidades.medida;
+        return {
+            texto: a.puntaje === b.puntaje
+                ? `${a.nombre} y ${b.nombre} empatan con ${cantidad(a.puntaje, criterio)}`
+                : `${a.nombre} supera a ${b.nombre}: ${cantidad(a.puntaje, criterio)} frente a ${b.puntaje}`,
+            apoyo: [...new Set([...eventosDe(a), ...eventosDe(b)])],
+            proporcion: 1
+        };
+    }
+
+    if (intencion === 'donde' && lista.length) {
+        const apoyo = eventosDe(lista[0]);
+        return {
+            texto: `${sujetoDe(analisis)} ${verbo} en ${lista[0].nombre}`,
+            apoyo,
+            proporcion: apoyo.length / total
+        };
+    }
+
+    if (intencion === 'quien' && lista.length) {
+        // Se nombran todos los personajes empatados con el más frecuente
+        const principales = lista.filter(p => p.puntaje === lista[0].puntaje);
+        const apoyo = [...new Set(principales.flatMap(eventosDe))];
+        const nombres = enumerar(principales.map(p => p.nombre));
+        return {
+            // Con un empate no se conjuga el verbo en plural: se enumeran los personajes
+            texto: principales.length === 1
+                ? `${nombres} ${verbo} ${estructura.resto || ''}`
+                : `Los personajes más relacionados son ${nombres}`,
+            apoyo,
+            proporcion: apoyo.length / total
+        };
+    }
+
+    if (intencion === 'cuando') {
+        const numeros = [...new Set(eventos.flatMap(ev => capitulos.get(String(ev._id)) || []))]
+            .sort((a, b) => a - b);
+        const [generacion] = agrupar(eventos, ev => [ev.generacion_relacionada]);
+        if (numeros.length || generacion) {
+            const partes = [];
+            if (numeros.length) {
+                partes.push(numeros.length === 1
+                    ? `en el capítulo ${numeros[0]}`
+                    : `en los capítulos ${enumerar(numeros.map(String))}`);
+            }
+            if (generacion) partes.push(`durante la ${generacion.nombre}`);
+            return {
+                texto: `${sujetoDe(analisis)} ${verbo} ${partes.join(', ')}`,
+                apoyo: eventos,
+                proporcion: 1
+            };
+        }
+    }
+
+    if (intencion === 'cuantos') {
+        // "cuántas guerras hubo" → se cuenta sobre el sustantivo, no sobre el verbo
+        const [contado] = (estructura.resto || '').split(/\s+/).filter(Boolean);
+        const sustantivo = contado ? ` sobre «${contado}»` : '';
+        return { texto: `Hay ${cantidad(total, 'eventos')}${sustantivo}`, apoyo: eventos, proporcion: 1 };
+    }
+
+    if (intencion === 'sino') {
+        return { texto: `Sí, según ${cantidad(total, 'eventos')}`, apoyo: eventos, proporcion: 1 };
+    }
+
+    const [principal] = eventos;
+    const resumen = (principal.descripcion || '').replace(/[.\s]+$/, '');
+
+    // "por qué" y "cómo" se explican con la descripción del evento más relevante
+    if ((intencion === 'porque' || intencion === 'como') && resumen) {
+        return { texto: `Según «${principal.nombre}»: ${resumen}`, apoyo: [principal], proporcion: 1 / total };
+    }
+
+    // "qué", "cuáles" y preguntas sin intención reconocida: se resume el evento si es
+    // uno solo o se enumeran los eventos encontrados
+    if (total > 1) {
+        return { texto: `Se encontraron ${total} eventos relacionados`, apoyo: eventos, proporcion: 1 };
+    }
+    return {
+        texto: resumen ? `${principal.nombre}: ${resumen}` : principal.nombre,
+        apoyo: [principal],
+        proporcion: 1
+    };
+}
+
+/**
+ * Genera la respuesta a una pregunta a partir de los eventos encontrados y, si la
+ * intención lo requiere, de las entidades elegidas por `aplicarEstrategia`.
+ *
+ * @param {Object} analisis - Resultado de `analizarPregunta` (o al menos `{intencion, estructura}`).
+ * @param {Array<Object>} eventos - Eventos encontrados, con personajes, lugar y generación populados.
+ * @param {string} origen - Cómo se obtuvieron los eventos (ver CONFIANZA_ORIGEN).
+ * @param {Object|null} [entidades=null] - Resultado de `aplicarEstrategia`.
+ * @returns {Promise<{
+ *   intencion: string|null,
+ *   texto: string,
+ *   confianza: number,
+ *   citas: Array<{evento: string, nombre: string, capitulos: number[]}>
+ * }>} Respuesta redactada con citas y confianza entre 0 y 1.
+ */
+async function generarRespuesta(analisis, eventos, origen, entidades = null) {
+    const intencion = analisis.intencion || null;
+    // Los conteos genealógicos no dependen de los eventos encontrados
+    const fuente = entidades?.origen || origen;
+
+    if (!eventos.length && fuente !== 'genealogia') {
+        let texto = 'No encontré información suficiente para responder la pregunta.';
+        if (analisis.terminoExistencia) texto = `No se encontraron registros de ${analisis.terminoExistencia}.`;
+        else if (analisis.operador === 'y' && analisis.personajes?.length > 1 && intencion !== 'comparacion') {
+            texto = `No encontré eventos en que aparezcan juntos ${enumerar(analisis.personajes)}.`;
+        }
+        else if (intencion === 'sino') texto = 'No se encontraron eventos que lo confirmen.';
+        return { intencion, texto, confianza: 0, citas: [] };
+    }
+
+    const capitulos = await capitulosPorEvento(eventos);
+    const { texto, apoyo, proporcion } = redactar(analisis, eventos, capitulos, entidades);
+
+    const citas = apoyo.slice(0, MAX_CITAS).map(ev => ({
+        evento: String(ev._id),
+        nombre: ev.nombre,
+        capitulos: capitulos.get(String(ev._id)) || []
+    }));
+    const oracion = capitalizar(texto.replace(/\s+/g, ' ').trim());
+    const confianza = Math.round((CONFIANZA_ORIGEN[fuente] ?? 0.5) * proporcion * 100) / 100;
+
+    return {
+        intencion,
+        texto: citas.length ? `${oracion} (ver: ${citas.map(c => c.nombre).join('; ')}).` : `${oracion}.`,
+        confianza,
+        citas
+    };
+}
+
+/**
+ * Redacta la repregunta para una pregunta con menciones ambiguas
+ * (ver `ambiguedades` en `analizarPregunta`).
+ *
+ * Ejemplo: "«Remedios» puede referirse a Remedios Moscote, Remedios la bella o
+ * Renata Remedios (Meme). ¿A cuál te refieres?"
+ *
+ * @param {Object} analisis - Resultado de `analizarPregunta` con `ambiguedades` no vacío.
+ * @returns {{intencion: string|null, texto: string, confianza: number, citas: Array}}
+ *   Respuesta sin citas y con confianza 0: la pregunta no se respondió.
+ */
+function pedirAclaracion(analisis) {
+    const oraciones = analisis.ambiguedades.map(({ mencion, candidatos }) =>
+        `«${mencion}» puede referirse a ${enumerar(candidatos.map(c => c.nombre), 'o')}.`);
+    return {
+        intencion: analisis.intencion || null,
+        texto: `${oraciones.join(' ')} ¿A cuál te refieres?`,
+        confianza: 0,
+        citas: []
+    };
+}
+
+module.exports = { generarRespuesta, pedirAclaracion, CONFIANZA_ORIGEN };
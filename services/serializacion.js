@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Serialización del grafo de conocimiento a JSON-LD, Turtle y GraphML.
+ *
+ * Parte del conjunto de datos de intercambio (ver services/intercambio.js), que ya tiene
+ * referencias por slug, registros ordenados y claves en el orden del esquema. Por eso
+ * cada entidad tiene un IRI estable, `<baseIri><tipo>/<slug>` (capítulos:
+ * `<baseIri>capitulo/<numero>`), que no cambia al reimportar los datos en otra base, y
+ * dos exportaciones de los mismos datos son idénticas línea por línea.
+ *
+ * Las clases y propiedades usan schema.org cuando hay una equivalente (Person, Place,
+ * Event, Chapter...); el resto va al vocabulario propio `<baseIri>vocab#`, con el mismo
+ * nombre del campo. Cada entidad lleva además su clase propia (`macondo:Personaje`...).
+ */
+
+const { COLECCIONES, CAMPOS_REF } = require('./intercambio');
+const { MODELOS } = require('./referencias');
+
+/**
+ * Clase schema.org y propiedades schema.org de cada tipo. Los campos que no aparecen
+ * se exportan como `macondo:<campo>`.
+ * @type {Object.<string, {clase: string, propiedades: Object.<string, string>}>}
+ */
+const VOCABULARIO = {
+    generacion: {
+        clase: 'schema:Thing',
+        propiedades: { nombre: 'schema:name', descripcion: 'schema:description' }
+    },
+    personaje: {
+        clase: 'schema:Person',
+        propiedades: {
+            nombre: 'schema:name',
+            apodos: 'schema:alternateName',
+            genero: 'schema:gender',
+            objetos: 'schema:owns',
+            padres: 'schema:parent',
+            parejas: 'schema:spouse',
+            hermanos: 'schema:sibling'
+        }
+    },
+    lugar: {
+        clase: 'schema:Place',
+        propiedades: { nombre: 'schema:name', descripcion: 'schema:description', eventos_relacionados: 'schema:event' }
+    },
+    evento: {
+        clase: 'schema:Event',
+        propiedades: {
+            nombre: 'schema:name',
+            descripcion: 'schema:description',
+            personajes_involucrados: 'schema:actor',
+            lugar_relacionado: 'schema:location'
+        }
+    },
+    objeto: {
+        clase: 'schema:Thing',
+        propiedades: { nombre: 'schema:name', descripcion: 'schema:description' }
+    },
+    capitulo: {
+        clase: 'schema:Chapter',
+        propiedades: { numero: 'schema:position', titulo: 'schema:name', resumen: 'schema:abstract', eventos: 'schema:about' }
+    }
+};
+
+/**
+ * Clase propia de cada tipo en el vocabulario `macondo:`.
+ * @type {Object.<string, string>}
+ */
+const CLASES = {
+    generacion: 'Generacion',
+    personaje: 'Personaje',
+    lugar: 'Lugar',
+    evento: 'Evento',
+    objeto: 'Objeto',
+    capitulo: 'Capitulo'
+};
+
+/**
+ * Formatos de exportación: tipo de contenido, extensión del archivo y serializador.
+ * @type {Object.<string, {contentType: string, extension: string, serializar: function(Array<Object>, string): string}>}
+ */
+const FORMATOS = {
+    jsonld: { contentType: 'application/ld+json', extension: 'jsonld', serializar: aJsonLd },
+    turtle: { contentType: 'text/turtle', extension: 'ttl', serializar: aTurtle },
+    graphml: { contentType: 'application/graphml+xml', extension: 'graphml', serializar: aGraphml }
+};
+
+/**
+ * Convierte el conjunto de datos de intercambio en una lista de entidades con sus
+ * propiedades ya traducidas: literales y referencias a otras entidades.
+ *
+ * @param {Object.<string, Array<Object>>} datos - Resultado de `exportar()`.
+ * @returns {Array<{
+ *   tipo: string, id: string,
+ *   propiedades: Array<{campo: string, propiedad: string, valores: Array<*>, referencia: boolean, arreglo: boolean}>
+ * }>} Entidades en el orden del archivo de intercambio. `id` es `<tipo>/<slug>` y, en las
+ *   referencias, cada valor es el `id` de la entidad referenciada. `arreglo` indica que el
+ *   campo es un arreglo en el esquema.
+ */
+function entidadesDe(datos) {
+    const entidades = [];
+    for (const [tipo, coleccion] of Object.entries(COLECCIONES)) {
+        const { propiedades } = VOCABULARIO[tipo];
+        for (const registro of datos[coleccion] || []) {
+            const clave = tipo === 'capitulo' ? registro.numero : registro.slug;
+            const lista = [];
+            for (const [campo, valor] of Object.entries(registro)) {
+                if (campo === 'slug') continue;
+                const tipoRef = CAMPOS_REF[tipo][campo];
+                const valores = [].concat(valor).map(v => tipoRef ? `${tipoRef}/${v}` : v);
+                if (!valores.length) continue;
+                lista.push({
+                    campo,
+                    propiedad: propiedades[campo] || `macondo:${campo}`,
+                    valores,
+                    referencia: Boolean(tipoRef),
+                    arreglo: MODELOS[tipo].schema.path(campo)?.instance === 'Array'
+                });
+            }
+            entidades.push({ tipo, id: `${tipo}/${clave}`, propiedades: lista });
+        }
+    }
+    return entidades;
+}
+
+/**
+ * Prefijos comunes a JSON-LD y Turtle.
+ * @param {string} baseIri - IRI base de las entidades.
+ * @returns {Object.<string, string>} IRI de cada prefijo.
+ */
+function prefijos(baseIri) {
+    return { schema: 'https://schema.org/', macondo: `${baseIri}vocab#`, xsd: 'http://www.w3.org/2001/XMLSchema#' };
+}
+
+/**
+ * Serializa a JSON-LD: un `@graph` con un nodo por entidad.
+ * @param {Array<Object>} entidades - Ver `entidadesDe`.
+ * @param {string} baseIri - IRI base.
+ * @returns {string} Documento JSON-LD.
+ */
+function aJsonLd(entidades, baseIri) {
+    const grafo = entidades.map(({ tipo, id, propiedades }) => {
+        const nodo = { '@id': baseIri + id, '@type': [VOCABULARIO[tipo].clase, `macondo:${CLASES[tipo]}`] };
+        for (const { propiedad, valores, referencia, arreglo } of propiedades) {
+            const convertidos = referencia ? valores.map(v => ({ '@id': baseIri + v })) : valores;
+            // Los arreglos del esquema se exportan siempre como lista, aunque tengan un elemento
+            nodo[propiedad] = arreglo ? convertidos : convertidos[0];
+        }
+        return nodo;
+    });
+    return JSON.stringify({ '@context': prefijos(baseIri), '@graph': grafo }, null, 2) + '\n';
+}
+
+/**
+ * Escribe un literal Turtle.
+ * @param {*} valor - Texto, número o booleano.
+ * @returns {string} Literal.
+ */
+function literalTurtle(valor) {
+    if (typeof valor === 'boolean') return String(valor);
+    if (typeof valor === 'number') {
+        return Number.isInteger(valor) ? String(valor) : `"${valor}"^^xsd:decimal`;
+    }
+    const escapado = String(valor).replace(/[\\"\n\r\t]/g, c => ({ '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' })[c]);
+    return `"${escapado}"`;
+}
+
+/**
+ * Serializa a Turtle: un bloque por entidad, con IRIs completos.
+ * @param {Array<Object>} entidades - Ver `entidadesDe`.
+ * @param {string} baseIri - IRI base.
+ * @returns {string} Documento Turtle.
+ */
+function aTurtle(entidades, baseIri) {
+    const lineas = Object.entries(prefijos(baseIri)).map(([prefijo, iri]) => `@prefix ${prefijo}: <${iri}> .`);
+    for (const { tipo, id, propiedades } of entidades) {
+        const predicados = [`a ${VOCABULARIO[tipo].clase}, macondo:${CLASES[tipo]}`];
+        for (const { propiedad, valores, referencia } of propiedades) {
+            const objetos = valores.map(v => referencia ? `<${baseIri}${v}>` : literalTurtle(v));
+            predicados.push(`${propiedad} ${objetos.join(', ')}`);
+        }
+        lineas.push('', `<${baseIri}${id}> ${predicados.join(' ;\n    ')} .`);
+    }
+    return lineas.join('\n') + '\n';
+}
+
+/**
+ * Escapa un texto para XML.
+ * @param {*} texto - Texto.
+ * @returns {string} Texto escapado.
+ */
+function escaparXml(texto) {
+    return String(texto).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+/**
+ * Serializa a GraphML (dirigido): un nodo por entidad con sus campos simples como
+ * atributos, y una arista por referencia con el nombre del campo en `relacion`.
+ * `label` es el nombre (o el título del capítulo), que es lo que muestra Gephi.
+ *
+ * @param {Array<Object>} entidades - Ver `entidadesDe`.
+ * @param {string} baseIri - IRI base (se guarda en el atributo `iri`).
+ * @returns {string} Documento GraphML.
+ */
+function aGraphml(entidades, baseIri) {
+    // Atributos de nodo: los campos simples de todas las entidades, en orden de aparición
+    const atributos = new Map([['tipo', 'string'], ['label', 'string'], ['iri', 'string']]);
+    for (const { propiedades } of entidades) {
+        for (const { campo, valores, referencia } of propiedades) {
+            if (referencia || atributos.has(campo)) continue;
+            const muestra = valores[0];
+            atributos.set(campo, typeof muestra === 'number' ? 'double' : typeof muestra === 'boolean' ? 'boolean' : 'string');
+        }
+    }
+
+    const lineas = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+    ];
+    for (const [nombre, tipo] of atributos) {
+        lineas.push(`  <key id="n_${nombre}" for="node" attr.name="${nombre}" attr.type="${tipo}"/>`);
+    }
+    lineas.push('  <key id="e_relacion" for="edge" attr.name="relacion" attr.type="string"/>');
+    lineas.push('  <graph id="macondo" edgedefault="directed">');
+
+    const aristas = [];
+    for (const { tipo, id, propiedades } of entidades) {
+        const nombre = propiedades.find(p => p.campo === 'nombre' || p.campo === 'titulo');
+        const datos = [['tipo', tipo], ['label', nombre ? nombre.valores[0] : id], ['iri', baseIri + id]];
+        for (const { campo, valores, referencia } of propiedades) {
+            if (referencia) {
+                valores.forEach(destino => aristas.push({ origen: id, destino, relacion: campo }));
+            } else {
+                datos.push([campo, valores.join(', ')]);
+            }
+        }
+        lineas.push(`    <node id="${escaparXml(id)}">`);
+        datos.forEach(([campo, valor]) => lineas.push(`      <data key="n_${campo}">${escaparXml(valor)}</data>`));
+        lineas.push('    </node>');
+    }
+    aristas.forEach(({ origen, destino, relacion }, i) => {
+        lineas.push(`    <edge id="e${i}" source="${escaparXml(origen)}" target="${escaparXml(destino)}">`);
+        lineas.push(`      <data key="e_relacion">${relacion}</data>`);
+        lineas.push('    </edge>');
+    });
+    lineas.push('  </graph>', '</graphml>');
+    return lineas.join('\n') + '\n';
+}
+
+/**
+ * Serializa el conjunto de datos de intercambio en uno de los formatos de FORMATOS.
+ *
+ * @param {Object.<string, Array<Object>>} datos - Resultado de `exportar()`.
+ * @param {string} formato - Clave de FORMATOS.
+ * @param {{baseIri: string}} opciones - `baseIri`: prefijo de los IRIs (terminado en `/` o `#`).
+ * @returns {string} Documento serializado.
+ */
+function serializar(datos, formato, { baseIri }) {
+    if (!FORMATOS[formato]) throw new Error(`Formato desconocido: ${formato}`);
+    return FORMATOS[formato].serializar(entidadesDe(datos), baseIri);
+}
+
+module.exports = { serializar, FORMATOS };
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Servicio de sincronización de referencias inversas.
+ *
+ * Algunas relaciones se guardan dos veces: una referencia simple en un lado
+ * (`Evento.lugar_relacionado`, `Objeto.personaje_relacionado`) y un arreglo en el otro
+ * (`Lugar.eventos_relacionados`, `Personaje.objetos`). Este módulo mantiene ambos lados
+ * alineados tras cada creación o actualización y permite auditar y reparar
+ * las discrepancias ya existentes.
+ */
+
+const Personaje = require('../models/model_personajes');
+const Lugar = require('../models/model_lugares');
+const Evento = require('../models/model_eventos');
+const Objeto = require('../models/model_objetos');
+
+/**
+ * Relaciones almacenadas en ambos sentidos.
+ * `simple` es el modelo con la referencia única y `lista` el modelo con el arreglo inverso.
+ *
+ * @type {Object.<string, {simple: import('mongoose').Model, campoSimple: string, lista: import('mongoose').Model, campoLista: string}>}
+ */
+const RELACIONES = {
+    lugar_evento: { simple: Evento, campoSimple: 'lugar_relacionado', lista: Lugar, campoLista: 'eventos_relacionados' },
+    personaje_objeto: { simple: Objeto, campoSimple: 'personaje_relacionado', lista: Personaje, campoLista: 'objetos' }
+};
+
+/**
+ * Compara dos IDs que pueden venir como ObjectId, string, null o undefined.
+ * @param {*} a - Primer ID.
+ * @param {*} b - Segundo ID.
+ * @returns {boolean} True si representan el mismo ID (o ambos están vacíos).
+ */
+function mismoId(a, b) {
+    return String(a || '') === String(b || '');
+}
+
+/**
+ * Actualiza el arreglo inverso cuando cambia la referencia simple de un documento
+ * (p. ej. cuando un evento cambia de lugar, lo quita del lugar anterior y lo agrega al nuevo).
+ *
+ * @param {'lugar_evento'|'personaje_objeto'} relacion - Relación a sincronizar.
+ * @param {ObjectId|string} id - ID del documento con la referencia simple.
+ * @param {ObjectId|string|null} anterior - Valor previo de la referencia.
+ * @param {ObjectId|string|null} nuevo - Valor actual de la referencia.
+ * @returns {Promise<void>}
+ */
+async function sincronizarReferencia(relacion, id, anterior, nuevo) {
+    const { lista, campoLista } = RELACIONES[relacion];
+    if (mismoId(anterior, nuevo)) {
+        if (nuevo) await lista.updateOne({ _id: nuevo }, { $addToSet: { [campoLista]: id } });
+        return;
+    }
+    if (anterior) await lista.updateOne({ _id: anterior }, { $pull: { [campoLista]: id } });
+    if (nuevo) await lista.updateOne({ _id: nuevo }, { $addToSet: { [campoLista]: id } });
+}
+
+/**
+ * Actualiza las referencias simples cuando cambia el arreglo de un documento
+ * (p. ej. cuando un lugar agrega eventos, esos eventos pasan a apuntar a él y se quitan
+ * de la lista de su lugar anterior; los eventos retirados dejan de apuntar a él).
+ *
+ * @param {'lugar_evento'|'personaje_objeto'} relacion - Relación a sincronizar.
+ * @param {ObjectId|string} id - ID del documento que tiene el arreglo.
+ * @param {Array<ObjectId|string>} anteriores - Contenido previo del arreglo.
+ * @param {Array<ObjectId|string>} nuevos - Contenido actual del arreglo.
+ * @returns {Promise<void>}
+ */
+async function sincronizarLista(relacion, id, anteriores, nuevos) {
+    const { simple, campoSimple, lista, campoLista } = RELACIONES[relacion];
+    const previos = new Set((anteriores || []).map(String));
+    const actuales = new Set((nuevos || []).map(String));
+
+    const agregados = [...actuales].filter(x => !previos.has(x));
+    const quitados = [...previos].filter(x => !actuales.has(x));
+
+    for (const itemId of agregados) {
+        const item = await simple.findById(itemId, campoSimple);
+        if (!item) continue;
+        const propietarioAnterior = item[campoSimple];
+        if (propietarioAnterior && !mismoId(propietarioAnterior, id)) {
+            await lista.updateOne({ _id: propietarioAnterior }, { $pull: { [campoLista]: item._id } });
+        }
+        await simple.updateOne({ _id: item._id }, { $set: { [campoSimple]: id } });
+    }
+
+    if (quitados.length) {
+        await simple.updateMany(
+            { _id: { $in: quitados }, [campoSimple]: id },
+            { $unset: { [campoSimple]: 1 } }
+        );
+    }
+}
+
+/**
+ * Sincroniza todas las relaciones en las que participa un documento, comparando su
+ * estado anterior con el actual. Sirve cuando cambian varios campos a la vez
+ * (p. ej. al revertir una revisión, ver services/historial.js).
+ *
+ * @param {import('mongoose').Model} modelo - Modelo del documento.
+ * @param {ObjectId|string} id - ID del documento.
+ * @param {Object|null} anterior - Estado previo (null si el documento no existía).
+ * @param {Object|null} actual - Estado actual (null si se eliminó).
+ * @returns {Promise<void>}
+ */
+async function sincronizarEntidad(modelo, id, anterior, actual) {
+    for (const [relacion, { simple, campoSimple, lista, campoLista }] of Object.entries(RELACIONES)) {
+        if (simple.modelName === modelo.modelName) {
+            await sincronizarReferencia(relacion, id, anterior?.[campoSimple], actual?.[campoSimple]);
+        }
+        if (lista.modelName === modelo.modelName) {
+            await sincronizarLista(relacion, id, anterior?.[campoLista], actual?.[campoLista]);
+        }
+    }
+}
+
+/**
+ * Busca discrepancias en una relación:
+ * - `faltantes_en_lista`: el documento simple apunta a X pero X no lo lista.
+ * - `sobrantes_en_lista`: X lista un documento que apunta a otro lado o no existe.
+ *
+ * @param {'lugar_evento'|'personaje_objeto'} relacion - Relación a revisar.
+ * @returns {Promise<{faltantes_en_lista: Array<Object>, sobrantes_en_lista: Array<Object>}>}
+ */
+async function revisarRelacion(relacion) {
+    const { simple, campoSimple, lista, campoLista } = RELACIONES[relacion];
+    const [docsSimples, docsLista] = await Promise.all([
+        simple.find({}, `nombre ${campoSimple}`).lean(),
+        lista.find({}, `nombre ${campoLista}`).lean()
+    ]);
+    const simplesPorId = new Map(docsSimples.map(d => [String(d._id), d]));
+    const listaPorId = new Map(docsLista.map(d => [String(d._id), d]));
+
+    const faltantes = [];
+    for (const d of docsSimples) {
+        const destinoId = d[campoSimple];
+        if (!destinoId) continue;
+        const destino = listaPorId.get(String(destinoId));
+        if (!destino) {
+            faltantes.push({ _id: d._id, nombre: d.nombre, [campoSimple]: destinoId, motivo: 'referencia inexistente' });
+        } else if (!(destino[campoLista] || []).some(x => mismoId(x, d._id))) {
+            faltantes.push({ _id: d._id, nombre: d.nombre, [campoSimple]: destinoId, motivo: 'no aparece en la lista' });
+        }
+    }
+
+    const sobrantes = [];
+    for (const l of docsLista) {
+        for (const itemId of l[campoLista] || []) {
+            const item = simplesPorId.get(String(itemId));
+            if (!item) {
+                sobrantes.push({ _id: l._id, nombre: l.nombre, item: itemId, motivo: 'referencia inexistente' });
+            } else if (!mismoId(item[campoSimple], l._id)) {
+                sobrantes.push({
+                    _id: l._id,
+                    nombre: l.nombre,
+                    item: itemId,
+                    [campoSimple]: item[campoSimple] || null,
+                    motivo: item[campoSimple] ? 'apunta a otro documento' : 'sin referencia inversa'
+                });
+            }
+        }
+    }
+
+    return { faltantes_en_lista: faltantes, sobrantes_en_lista: sobrantes };
+}
+
+/**
+ * Repara las discrepancias detectadas por revisarRelacion():
+ * - Las referencias simples a documentos inexistentes se vacían.
+ * - Los documentos que faltan en la lista se agregan.
+ * - Los elementos de la lista que no existen o apuntan a otro documento se quitan.
+ * - Si un elemento listado no tiene referencia simple, se completa con el primer
+ *   documento que lo lista (la lista es la única información disponible).
+ *
+ * @param {'lugar_evento'|'personaje_objeto'} relacion - Relación a reparar.
+ * @returns {Promise<{faltantes_en_lista: Array<Object>, sobrantes_en_lista: Array<Object>}>}
+ *   Las discrepancias que se repararon.
+ */
+async function repararRelacion(relacion) {
+    const { simple, campoSimple, lista, campoLista } = RELACIONES[relacion];
+    const reporte = await revisarRelacion(relacion);
+
+    for (const f of reporte.faltantes_en_lista) {
+        if (f.motivo === 'referencia inexistente') {
+            await simple.updateOne({ _id: f._id }, { $unset: { [campoSimple]: 1 } });
+        } else {
+            await lista.updateOne({ _id: f[campoSimple] }, { $addToSet: { [campoLista]: f._id } });
+        }
+    }
+
+    const asignados = new Set();
+    for (const s of reporte.sobrantes_en_lista) {
+        if (s.motivo === 'sin referencia inversa' && !asignados.has(String(s.item))) {
+            await simple.updateOne({ _id: s.item }, { $set: { [campoSimple]: s._id } });
+            asignados.add(String(s.item));
+        } else {
+            await lista.updateOne({ _id: s._id }, { $pull: { [campoLista]: s.item } });
+        }
+    }
+
+    console.log(`[INFO] Relación ${relacion} reparada:`,
+        `faltantes=${reporte.faltantes_en_lista.length}`,
+        `sobrantes=${reporte.sobrantes_en_lista.length}`);
+    return reporte;
+}
+
+module.exports = {
+    RELACIONES,
+    sincronizarReferencia,
+    sincronizarLista,
+    sincronizarEntidad,
+    revisarRelacion,
+    repararRelacion
+};
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Validación de los cuerpos de POST y PUT a partir de los esquemas Mongoose.
+ *
+ * Los esquemas de models/ son la única declaración de cada campo: tipo, obligatorio,
+ * valores permitidos (`enum`), mínimos, validadores propios y a qué colección referencia.
+ * Este módulo los usa para:
+ *   - rechazar campos que no existen en el esquema (antes se descartaban en silencio);
+ *   - validar tipos y reglas con `validateSync`, informando todos los campos que fallan;
+ *   - comprobar que los IDs referenciados existen;
+ *   - describir los campos para que el formulario de alta (public/js/createmodal.js)
+ *     se arme con las mismas reglas, incluidas las opciones `etiqueta` y `multilinea`
+ *     que los modelos agregan solo para mostrarlos.
+ *
+ * Los errores se responden con estado 422: `{ error, errores: [{ campo, mensaje }] }`.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Nombre de cada tipo Mongoose en la descripción de los campos.
+ * @type {Object.<string, string>}
+ */
+const TIPOS = { String: 'texto', Number: 'numero', ObjectId: 'id', Boolean: 'booleano', Date: 'fecha' };
+
+/**
+ * Cómo se describe en los mensajes el valor esperado de cada tipo.
+ * @type {Object.<string, string>}
+ */
+const ESPERADO = { texto: 'un texto', numero: 'un número', id: 'un ID válido', booleano: 'verdadero o falso', fecha: 'una fecha' };
+
+/**
+ * Convierte el nombre de un campo en etiqueta ("lugar_relacionado" → "Lugar relacionado").
+ * @param {string} campo - Nombre del campo.
+ * @returns {string} Etiqueta legible.
+ */
+function etiquetaDe(campo) {
+    const texto = campo.replace(/_/g, ' ');
+    return texto.charAt(0).toUpperCase() + texto.slice(1);
+}
+
+/**
+ * Describe los campos editables de un modelo, en el orden del esquema.
+ *
+ * @param {import('mongoose').Model} modelo - Modelo Mongoose.
+ * @returns {Array<{
+ *   campo: string, etiqueta: string, tipo: string, arreglo: boolean, obligatorio: boolean,
+ *   valores?: string[], minimo?: number, maximo?: number, coleccion?: string, multilinea?: boolean
+ * }>} Campos. `coleccion` es la colección referenciada (la misma ruta de la API: /api/<coleccion>).
+ */
+function describirCampos(modelo) {
+    const campos = [];
+    modelo.schema.eachPath((ruta, tipoEsquema) => {
+        if (ruta === '_id' || ruta === '__v') return;
+        const elemento = tipoEsquema.caster || tipoEsquema;
+        const opciones = { ...elemento.options, ...tipoEsquema.options };
+        const descripcion = {
+            campo: ruta,
+            etiqueta: opciones.etiqueta || etiquetaDe(ruta),
+            tipo: TIPOS[elemento.instance] || elemento.instance,
+            arreglo: tipoEsquema.instance === 'Array',
+            obligatorio: Boolean(tipoEsquema.isRequired)
+        };
+        if (elemento.enumValues?.length) descripcion.valores = elemento.enumValues;
+        if (opciones.min !== undefined) descripcion.minimo = opciones.min;
+        if (opciones.max !== undefined) descripcion.maximo = opciones.max;
+        if (elemento.options?.ref) descripcion.coleccion = mongoose.model(elemento.options.ref).collection.collectionName;
+        if (opciones.multilinea) descripcion.multilinea = true;
+        campos.push(descripcion);
+    });
+    return campos;
+}
+
+/**
+ * Traduce un error de validación de Mongoose a un mensaje para el usuario.
+ * @param {Object} error - Error de `validateSync().errors`.
+ * @param {Object} descripcion - Descripción del campo (ver `describirCampos`).
+ * @returns {string} Mensaje.
+ */
+function mensajeDe(error, descripcion) {
+    if (error.name === 'CastError') {
+        const esperado = ESPERADO[descripcion.tipo] || descripcion.tipo;
+        return descripcion.arreglo ? `Cada elemento debe ser ${esperado}` : `Debe ser ${esperado}`;
+    }
+    switch (error.kind) {
+        case 'required': return 'Es obligatorio';
+        case 'enum': return `Debe ser uno de: ${descripcion.valores.join(', ')}`;
+        case 'min': return `Debe ser mayor o igual que ${descripcion.minimo}`;
+        case 'max': return `Debe ser menor o igual que ${descripcion.maximo}`;
+        default: return error.message;
+    }
+}
+
+/**
+ * Valida un cuerpo contra el esquema de un modelo y comprueba que existan los IDs referenciados.
+ *
+ * Con `parcial` (PUT) solo se validan los campos enviados; sin él (POST) también se exigen
+ * los obligatorios. Una cadena vacía en un campo que no es texto libre (referencias,
+ * números, valores de una lista) se toma como "sin valor": así llegan los selects vacíos
+ * del frontend.
+ *
+ * @param {import('mongoose').Model} modelo - Modelo del documento.
+ * @param {*} cuerpo - `req.body`.
+ * @param {{parcial?: boolean}} [opciones]
+ * @returns {Promise<{datos: Object, errores: Array<{campo: string|null, mensaje: string}>}>}
+ *   Datos normalizados (solo campos del esquema) y errores, uno por campo.
+ */
+async function validarDatos(modelo, cuerpo, { parcial = false } = {}) {
+    if (cuerpo === undefined) cuerpo = {};
+    if (!cuerpo || typeof cuerpo !== 'object' || Array.isArray(cuerpo)) {
+        return { datos: {}, errores: [{ campo: null, mensaje: 'El cuerpo debe ser un objeto JSON' }] };
+    }
+
+    const campos = new Map(describirCampos(modelo).map(c => [c.campo, c]));
+    const errores = [];
+    const datos = {};
+    for (const [campo, valor] of Object.entries(cuerpo)) {
+        const descripcion = campos.get(campo);
+        if (!descripcion) {
+            errores.push({ campo, mensaje: 'No es un campo válido' });
+            continue;
+        }
+        const textoLibre = descripcion.tipo === 'texto' && !descripcion.valores;
+        datos[campo] = valor === '' && !textoLibre ? null : valor;
+    }
+
+    const documento = new modelo(datos);
+    const invalido = documento.validateSync(parcial ? Object.keys(datos) : undefined);
+    const conError = new Set(errores.map(e => e.campo));
+    for (const error of Object.values(invalido?.errors || {})) {
+        // "padres.0" → "padres": un solo error por campo
+        const campo = error.path.split('.')[0];
+        if (conError.has(campo)) continue;
+        conError.add(campo);
+        errores.push({ campo, mensaje: mensajeDe(error, campos.get(campo)) });
+    }
+
+    for (const campo of Object.keys(datos)) {
+        const { coleccion } = campos.get(campo);
+        if (!coleccion || conError.has(campo)) continue;
+        const ids = [].concat(documento.get(campo) ?? []).map(String);
+        if (!ids.length) continue;
+        const tipoEsquema = modelo.schema.path(campo);
+        const Referido = mongoose.model((tipoEsquema.caster || tipoEsquema).options.ref);
+        const existentes = new Set((await Referido.find({ _id: { $in: ids } }, '_id').lean()).map(d => String(d._id)));
+        const faltantes = [...new Set(ids.filter(id => !existentes.has(id)))];
+        if (faltantes.length) errores.push({ campo, mensaje: `No existe en ${coleccion}: ${faltantes.join(', ')}` });
+    }
+
+    return { datos, errores };
+}
+
+/**
+ * Responde 422 con la lista de errores de validación.
+ * @param {import('express').Response} res - Respuesta HTTP.
+ * @param {Array<{campo: string|null, mensaje: string}>} errores - Errores por campo.
+ * @returns {import('express').Response}
+ */
+function responderInvalidos(res, errores) {
+    const campos = errores.map(e => e.campo).filter(Boolean);
+    return res.status(422).json({
+        error: campos.length ? `Datos inválidos en: ${campos.join(', ')}` : errores[0].mensaje,
+        errores
+    });
+}
+
+/**
+ * Middleware que valida `req.body` contra el esquema del modelo (ver `validarDatos`).
+ * Si no hay errores reemplaza `req.body` por los datos normalizados y continúa.
+ *
+ * @param {import('mongoose').Model} modelo - Modelo del documento.
+ * @param {{parcial?: boolean}} [opciones] - `parcial: true` para las actualizaciones.
+ * @returns {import('express').RequestHandler}
+ */
+function validarCuerpo(modelo, opciones) {
+    return async (req, res, next) => {
+        try {
+            const { datos, errores } = await validarDatos(modelo, req.body, opciones);
+            if (errores.length) {
+                console.log(`[VALIDATION] ${req.method} ${req.originalUrl}:`, errores.map(e => `${e.campo}: ${e.mensaje}`).join('; '));
+                return responderInvalidos(res, errores);
+            }
+            req.body = datos;
+            next();
+        } catch (err) {
+            console.error(`[ERROR] validando ${req.method} ${req.originalUrl}`, err);
+            res.status(500).json({ error: 'Error al validar los datos.' });
+        }
+    };
+}
+
+module.exports = { describirCampos, validarDatos, validarCuerpo, responderInvalidos };
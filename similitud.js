@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Comparación tolerante a errores de tipeo.
+ *
+ * Distancia de edición (Damerau-Levenshtein restringida: inserción, borrado, sustitución
+ * y transposición de letras vecinas) entre palabras sin tildes, con una tolerancia que
+ * crece con el largo de la palabra: "Ternerra" → "Ternera", "Remedios la bela" →
+ * "Remedios la bella", "Melqiades" → "Melquíades". Las palabras de hasta tres letras
+ * deben coincidir exactamente, y solo se corrige una palabra que no existe tal cual.
+ *
+ * Lo usan el enlazador de entidades (nombres, alias y apodos), la búsqueda de texto
+ * (services/busqueda.js) y la búsqueda de eventos similares de nlpProcessor.js.
+ */
+
+/**
+ * Elimina tildes y convierte a minúsculas (igual que `limpiarTexto` de nlpProcessor,
+ * repetido aquí para que este módulo no dependa de los modelos).
+ * @param {string} texto - Texto original.
+ * @returns {string} Texto sin tildes.
+ */
+function sinTildes(texto) {
+    return texto.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Ediciones toleradas según el largo de la palabra.
+ * @param {string} palabra - Palabra escrita por el usuario.
+ * @returns {number} 0 hasta 3 letras, 1 hasta 7, 2 desde 8.
+ */
+function tolerancia(palabra) {
+    if (palabra.length <= 3) return 0;
+    return palabra.length <= 7 ? 1 : 2;
+}
+
+/**
+ * Distancia de edición entre dos palabras, contando la transposición de dos letras
+ * vecinas como un solo error. Deja de calcular en cuanto se supera `maximo`.
+ *
+ * @param {string} a - Primera palabra.
+ * @param {string} b - Segunda palabra.
+ * @param {number} [maximo=Infinity] - Distancia a partir de la cual no interesa el valor exacto.
+ * @returns {number} Distancia, o `maximo + 1` si es mayor que `maximo`.
+ */
+function distancia(a, b, maximo = Infinity) {
+    if (Math.abs(a.length - b.length) > maximo) return maximo + 1;
+    let previa = null;
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        let minimoFila = i;
+        for (let j = 1; j <= b.length; j++) {
+            const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+            actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + costo);
+            if (previa && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                actual[j] = Math.min(actual[j], previa[j - 2] + 1);
+            }
+            minimoFila = Math.min(minimoFila, actual[j]);
+        }
+        if (minimoFila > maximo) return maximo + 1;
+        previa = anterior;
+        anterior = actual;
+    }
+    return Math.min(anterior[b.length], maximo + 1);
+}
+
+/**
+ * Busca en un vocabulario la palabra más parecida a la dada, dentro de su tolerancia.
+ * La comparación ignora tildes y mayúsculas; una palabra idéntica no cuenta como corrección.
+ *
+ * @param {string} palabra - Palabra escrita por el usuario.
+ * @param {Iterable<string>} vocabulario - Palabras conocidas (sin tildes).
+ * @returns {{palabra: string, distancia: number}|null} Palabra del vocabulario y a qué
+ *   distancia está, o null si ninguna está dentro de la tolerancia.
+ */
+function masParecida(palabra, vocabulario) {
+    const buscada = sinTildes(palabra);
+    const maximo = tolerancia(buscada);
+    if (!maximo) return null;
+    let mejor = null;
+    for (const candidata of vocabulario) {
+        if (candidata === buscada) return null;
+        const d = distancia(buscada, candidata, maximo);
+        if (d <= maximo && (!mejor || d < mejor.distancia)) mejor = { palabra: candidata, distancia: d };
+    }
+    return mejor;
+}
+
+module.exports = { distancia, tolerancia, masParecida, sinTildes };
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Lematizador (stemmer) para español.
+ *
+ * Implementa el algoritmo Snowball para español: reduce una palabra a su raíz
+ * eliminando pronombres enclíticos, sufijos derivativos, terminaciones verbales
+ * y vocales finales, de modo que las distintas flexiones de una palabra compartan
+ * la misma raíz:
+ *
+ *   "murió", "murieron", "muriendo"      → "mur"
+ *   "Aureliano", "Aurelianos"            → "aurelian"
+ *   "mariposa", "mariposas amarillas"    → "marip", "amarill"
+ *
+ * Los verbos irregulares cuya raíz cambia ("morir" / "murió" / "muere") producen
+ * raíces distintas; por eso el léxico de verbos (services/lexico.js) sigue listando
+ * esas variantes.
+ *
+ * Referencia: https://snowballstem.org/algorithms/spanish/stemmer.html
+ */
+
+/**
+ * Vocales del español (con y sin tilde).
+ * @type {Set<string>}
+ */
+const VOCALES = new Set(['a', 'e', 'i', 'o', 'u', 'á', 'é', 'í', 'ó', 'ú', 'ü']);
+
+/**
+ * Ordena sufijos de más largo a más corto para buscar siempre el más largo primero.
+ * @param {string[]} sufijos - Lista de sufijos.
+ * @returns {string[]} Sufijos ordenados.
+ */
+function porLargo(sufijos) {
+    return [...sufijos].sort((a, b) => b.length - a.length);
+}
+
+/** Pronombres enclíticos ("haciéndola", "decírselo"). */
+const PRONOMBRES = porLargo(['me', 'se', 'sela', 'selo', 'selas', 'selos', 'la', 'le', 'lo', 'las', 'les', 'los', 'nos']);
+
+/** Terminaciones verbales que pueden llevar pronombres enclíticos. */
+const ANTES_DE_PRONOMBRE = porLargo(['iéndo', 'ándo', 'ár', 'ér', 'ír', 'ando', 'iendo', 'ar', 'er', 'ir']);
+
+/** Sufijos derivativos del paso 1, agrupados por regla. */
+const SUFIJOS_PASO1 = {
+    simples: porLargo([
+        'anza', 'anzas', 'ico', 'ica', 'icos', 'icas', 'ismo', 'ismos', 'able', 'ables', 'ible', 'ibles',
+        'ista', 'istas', 'oso', 'osa', 'osos', 'osas', 'amiento', 'amientos', 'imiento', 'imientos'
+    ]),
+    adores: porLargo(['adora', 'ador', 'ación', 'adoras', 'adores', 'aciones', 'ante', 'antes', 'ancia', 'ancias']),
+    logia: porLargo(['logía', 'logías']),
+    ucion: porLargo(['ución', 'uciones']),
+    encia: porLargo(['encia', 'encias']),
+    amente: ['amente'],
+    mente: ['mente'],
+    idad: porLargo(['idad', 'idades']),
+    ivo: porLargo(['iva', 'ivo', 'ivas', 'ivos'])
+};
+
+/** Terminaciones verbales que empiezan con "y" (paso 2a). */
+const VERBALES_Y = porLargo(['ya', 'ye', 'yan', 'yen', 'yeron', 'yendo', 'yo', 'yó', 'yas', 'yes', 'yais', 'yamos']);
+
+/** Terminaciones "en/es/éis/emos" (paso 2b, con tratamiento de "gu"). */
+const VERBALES_GU = porLargo(['en', 'es', 'éis', 'emos']);
+
+/** Resto de terminaciones verbales (paso 2b). */
+const VERBALES = porLargo([
+    'arían', 'arías', 'arán', 'arás', 'aríais', 'aría', 'aréis', 'aríamos', 'aremos', 'ará', 'aré',
+    'erían', 'erías', 'erán', 'erás', 'eríais', 'ería', 'eréis', 'eríamos', 'eremos', 'erá', 'eré',
+    'irían', 'irías', 'irán', 'irás', 'iríais', 'iría', 'iréis', 'iríamos', 'iremos', 'irá', 'iré',
+    'aba', 'ada', 'ida', 'ía', 'ara', 'iera', 'ad', 'ed', 'id', 'ase', 'iese', 'aste', 'iste', 'an',
+    'aban', 'ían', 'aran', 'ieran', 'asen', 'iesen', 'aron', 'ieron', 'ado', 'ido', 'ando', 'iendo',
+    'ió', 'ar', 'er', 'ir', 'as', 'abas', 'adas', 'idas', 'ías', 'aras', 'ieras', 'ases', 'ieses',
+    'ís', 'áis', 'abais', 'íais', 'arais', 'ierais', 'aseis', 'ieseis', 'asteis', 'isteis', 'ados',
+    'idos', 'amos', 'ábamos', 'íamos', 'imos', 'áramos', 'iéramos', 'iésemos', 'ásemos'
+]);
+
+/** Vocales residuales (paso 3). */
+const RESIDUALES = porLargo(['os', 'a', 'o', 'á', 'í', 'ó']);
+
+/**
+ * Quita las tildes agudas (no la diéresis ni la virgulilla de la ñ).
+ * @param {string} palabra - Palabra.
+ * @returns {string} Palabra sin tildes.
+ */
+function quitarTildes(palabra) {
+    return palabra
+        .replace(/á/g, 'a')
+        .replace(/é/g, 'e')
+        .replace(/í/g, 'i')
+        .replace(/ó/g, 'o')
+        .replace(/ú/g, 'u');
+}
+
+/**
+ * Calcula las regiones RV, R1 y R2 del algoritmo Snowball (como índices de inicio).
+ *
+ * @param {string} w - Palabra en minúsculas.
+ * @returns {{rv: number, r1: number, r2: number}} Índices donde empieza cada región.
+ */
+function regiones(w) {
+    const esVocal = i => VOCALES.has(w[i]);
+    const n = w.length;
+
+    let rv = n;
+    if (n > 3) {
+        if (!esVocal(1)) {
+            // Segunda letra consonante: después de la siguiente vocal
+            for (let i = 2; i < n; i++) if (esVocal(i)) { rv = i + 1; break; }
+        } else if (esVocal(0) && esVocal(1)) {
+            // Dos vocales iniciales: después de la siguiente consonante
+            for (let i = 2; i < n; i++) if (!esVocal(i)) { rv = i + 1; break; }
+        } else {
+            // Consonante + vocal: después de la tercera letra
+            rv = 3;
+        }
+    }
+
+    const despuesDeVC = desde => {
+        for (let i = desde + 1; i < n; i++) {
+            if (!esVocal(i) && esVocal(i - 1)) return i + 1;
+        }
+        return n;
+    };
+    const r1 = despuesDeVC(0);
+    const r2 = despuesDeVC(r1);
+    return { rv, r1, r2 };
+}
+
+/**
+ * Devuelve el sufijo más largo de la lista con el que termina la palabra.
+ * @param {string} w - Palabra.
+ * @param {string[]} sufijos - Sufijos ordenados de más largo a más corto.
+ * @param {number} [desde=0] - Solo se aceptan sufijos que empiecen en este índice o después.
+ * @returns {string|null} Sufijo encontrado o null.
+ */
+function sufijoDe(w, sufijos, desde = 0) {
+    return sufijos.find(s => w.endsWith(s) && w.length - s.length >= desde) || null;
+}
+
+/**
+ * Paso 0: elimina pronombres enclíticos tras gerundios e infinitivos.
+ * @param {string} w - Palabra.
+ * @param {number} rv - Inicio de RV.
+ * @returns {string} Palabra sin pronombre.
+ */
+function paso0(w, rv) {
+    const pronombre = sufijoDe(w, PRONOMBRES);
+    if (!pronombre) return w;
+    const base = w.slice(0, -pronombre.length);
+    if (base.length - rv < 0) return w;
+
+    const previo = sufijoDe(base, ANTES_DE_PRONOMBRE);
+    if (previo && base.length - previo.length >= rv) {
+        // "haciéndola" → "haciendo": además de quitar el pronombre se quita la tilde
+        return /[áéí]/.test(previo) ? base.slice(0, -previo.length) + quitarTildes(previo) : base;
+    }
+    if (base.endsWith('uyendo') && base.length - 'yendo'.length >= rv) return base;
+    return w;
+}
+
+/**
+ * Paso 1: elimina sufijos derivativos (-miento, -ación, -mente, -idad...).
+ * @param {string} w - Palabra.
+ * @param {{rv: number, r1: number, r2: number}} r - Regiones.
+ * @returns {string} Palabra sin sufijo (o la misma si no hubo cambios).
+ */
+function paso1(w, { r1, r2 }) {
+    const enR2 = s => w.length - s.length >= r2;
+    const candidatos = Object.entries(SUFIJOS_PASO1)
+        .map(([regla, lista]) => ({ regla, sufijo: sufijoDe(w, lista) }))
+        .filter(c => c.sufijo)
+        .sort((a, b) => b.sufijo.length - a.sufijo.length);
+    if (!candidatos.length) return w;
+
+    const { regla, sufijo } = candidatos[0];
+    const base = w.slice(0, -sufijo.length);
+    const quitarSiR2 = (palabra, previo) =>
+        palabra.endsWith(previo) && palabra.length - previo.length >= r2 ? palabra.slice(0, -previo.length) : palabra;
+
+    switch (regla) {
+        case 'simples':
+            return enR2(sufijo) ? base : w;
+        case 'adores':
+            return enR2(sufijo) ? quitarSiR2(base, 'ic') : w;
+        case 'logia':
+            return enR2(sufijo) ? base + 'log' : w;
+        case 'ucion':
+            return enR2(sufijo) ? base + 'u' : w;
+        case 'encia':
+            return enR2(sufijo) ? base + 'ente' : w;
+        case 'amente': {
+            if (w.length - sufijo.length < r1) return w;
+            if (base.endsWith('iv') && base.length - 2 >= r2) {
+                return quitarSiR2(base.slice(0, -2), 'at');
+            }
+            for (const previo of ['os', 'ic', 'ad']) {
+                if (base.endsWith(previo)) return quitarSiR2(base, previo);
+            }
+            return base;
+        }
+        case 'mente': {
+            if (!enR2(sufijo)) return w;
+            for (const previo of ['ante', 'able', 'ible']) {
+                if (base.endsWith(previo)) return quitarSiR2(base, previo);
+            }
+            return base;
+        }
+        case 'idad': {
+            if (!enR2(sufijo)) return w;
+            for (const previo of ['abil', 'ic', 'iv']) {
+                if (base.endsWith(previo)) return quitarSiR2(base, previo);
+            }
+            return base;
+        }
+        case 'ivo':
+            return enR2(sufijo) ? quitarSiR2(base, 'at') : w;
+        default:
+            return w;
+    }
+}
+
+/**
+ * Paso 2: elimina terminaciones verbales dentro de RV.
+ * @param {string} w - Palabra.
+ * @param {number} rv - Inicio de RV.
+ * @returns {string} Palabra sin terminación verbal.
+ */
+function paso2(w, rv) {
+    // 2a: terminaciones con "y" precedidas de "u" ("huyeron" → "hu")
+    const conY = sufijoDe(w, VERBALES_Y, rv);
+    if (conY && w[w.length - conY.length - 1] === 'u') {
+        return w.slice(0, -conY.length);
+    }
+
+    // 2b: resto de terminaciones verbales
+    const gu = sufijoDe(w, VERBALES_GU, rv);
+    const otro = sufijoDe(w, VERBALES, rv);
+    const sufijo = [gu, otro].filter(Boolean).sort((a, b) => b.length - a.length)[0];
+    if (!sufijo) return w;
+
+    const base = w.slice(0, -sufijo.length);
+    if (sufijo === gu && base.endsWith('gu')) return base.slice(0, -1);
+    return base;
+}
+
+/**
+ * Paso 3: elimina vocales residuales dentro de RV.
+ * @param {string} w - Palabra.
+ * @param {number} rv - Inicio de RV.
+ * @returns {string} Palabra sin vocal final.
+ */
+function paso3(w, rv) {
+    const residual = sufijoDe(w, RESIDUALES);
+    if (residual && w.length - residual.length >= rv) return w.slice(0, -residual.length);
+
+    if ((w.endsWith('e') || w.endsWith('é')) && w.length - 1 >= rv) {
+        const base = w.slice(0, -1);
+        // "pague" → "pag": la "u" de "gu" también se quita si está en RV
+        if (base.endsWith('gu') && base.length - 1 >= rv) return base.slice(0, -1);
+        return base;
+    }
+    return w;
+}
+
+/**
+ * Obtiene la raíz de una palabra en español.
+ *
+ * @param {string} palabra - Palabra (se convierte a minúsculas).
+ * @returns {string} Raíz, sin tildes.
+ */
+function raiz(palabra) {
+    let w = palabra.toLowerCase();
+    if (w.length < 3) return quitarTildes(w);
+
+    w = paso0(w, regiones(w).rv);
+
+    const despuesPaso1 = paso1(w, regiones(w));
+    if (despuesPaso1 !== w) {
+        w = despuesPaso1;
+    } else {
+        w = paso2(w, regiones(w).rv);
+    }
+
+    w = paso3(w, regiones(w).rv);
+    return quitarTildes(w);
+}
+
+/**
+ * Indica si una palabra tiene terminación verbal ("casaron", "murió", "fundaba").
+ * Sirve para distinguir verbos de sustantivos con la misma raíz corta
+ * ("casaron" / "casa" → "cas").
+ *
+ * @param {string} palabra - Palabra.
+ * @returns {boolean} True si el paso 2 del algoritmo le quita una terminación verbal
+ *   o si termina en "ó"/"é" acentuadas (pretérito: "casó", "amé").
+ */
+function esFormaVerbal(palabra) {
+    let w = palabra.toLowerCase();
+    if (w.length < 3) return false;
+    if (/[óé]$/.test(w)) return true;
+    w = paso0(w, regiones(w).rv);
+    if (paso1(w, regiones(w)) !== w) return false;
+    return paso2(w, regiones(w).rv) !== w;
+}
+
+/**
+ * Terminaciones verbales sin tildes (incluye "o"/"e" del pretérito: "caso" de "casó"),
+ * de más larga a más corta.
+ * @type {string[]}
+ */
+const TERMINACIONES_VERBALES = porLargo([...new Set(
+    [...VERBALES, ...VERBALES_GU, ...VERBALES_Y, 'ó', 'é'].map(quitarTildes)
+)]);
+
+module.exports = { raiz, esFormaVerbal, TERMINACIONES_VERBALES };
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Pruebas de las cuentas: el registro público solo crea lectores y el
+ * primer admin sale de la configuración (ADMIN_NOMBRE / ADMIN_CLAVE).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar, detener, pedir } = require('./entorno');
+const { asegurarAdmin } = require('../services/autenticacion');
+const { cargarConfig } = require('../config');
+
+describe('cuentas', () => {
+    before(iniciar);
+    after(detener);
+
+    /**
+     * Inicia sesión y devuelve el usuario.
+     * @param {string} nombre - Nombre de la cuenta.
+     * @param {string} clave - Contraseña.
+     * @returns {Promise<{status: number, usuario: Object}>}
+     */
+    const entrar = async (nombre, clave) => {
+        const { status, cuerpo } = await pedir('POST', '/api/auth/login', { cuerpo: { nombre, clave } });
+        return { status, usuario: cuerpo.usuario };
+    };
+
+    it('la primera cuenta registrada en una base vacía es lector', async () => {
+        const { status, cuerpo } = await pedir('POST', '/api/auth/registro', { cuerpo: { nombre: 'ana', clave: 'macondo1967' } });
+        assert.equal(status, 201);
+        assert.equal(cuerpo.usuario.rol, 'lector');
+        assert.equal((await pedir('GET', '/api/usuarios', { token: cuerpo.token })).status, 403);
+    });
+
+    it('crea la cuenta admin de la configuración', async () => {
+        await asegurarAdmin('melquiades', 'pergaminos');
+        const { status, usuario } = await entrar('melquiades', 'pergaminos');
+        assert.equal(status, 200);
+        assert.equal(usuario.rol, 'admin');
+    });
+
+    it('asciende una cuenta existente sin cambiar su clave', async () => {
+        await asegurarAdmin('ana', 'otra-clave-larga');
+        assert.equal((await entrar('ana', 'otra-clave-larga')).status, 401);
+        assert.equal((await entrar('ana', 'macondo1967')).usuario.rol, 'admin');
+        await assert.rejects(asegurarAdmin('corta', '1234'), /al menos 8/);
+    });
+
+    it('ADMIN_NOMBRE y ADMIN_CLAVE se configuran juntos', () => {
+        const env = { CONFIG_FILE: '/no/existe.json', ADMIN_NOMBRE: 'ana', ADMIN_CLAVE: 'macondo1967' };
+        const config = cargarConfig({ env, argv: [] });
+        assert.equal(config.adminNombre, 'ana');
+        assert.equal(config.adminClave, 'macondo1967');
+        assert.throws(() => cargarConfig({ env: { CONFIG_FILE: '/no/existe.json', ADMIN_NOMBRE: 'ana' }, argv: [] }), /juntos/);
+        assert.equal(cargarConfig({ env: { CONFIG_FILE: '/no/existe.json' }, argv: [] }).adminNombre, null);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Pruebas de /api/buscar: normalización de la consulta (mayúsculas, tildes,
+ * flexiones, prefijos y errores de tipeo), filtro por tipo y validación de parámetros.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar, detener, pedir } = require('./entorno');
+
+/**
+ * Busca y devuelve el cuerpo de la respuesta, verificando que sea 200.
+ * @param {string} query - Query string sin el `?`.
+ * @returns {Promise<Object>}
+ */
+async function buscar(query) {
+    const { status, cuerpo } = await pedir('GET', `/api/buscar?${query}`);
+    assert.equal(status, 200, JSON.stringify(cuerpo));
+    return cuerpo;
+}
+
+/**
+ * Claves `tipo:_id` de los resultados, en orden.
+ * @param {Object} cuerpo - Respuesta de /api/buscar.
+ * @returns {string[]}
+ */
+function claves(cuerpo) {
+    return cuerpo.resultados.map(r => `${r.tipo}:${r.documento._id}`);
+}
+
+describe('/api/buscar', () => {
+    before(iniciar);
+    after(detener);
+
+    it('no distingue mayúsculas ni tildes', async () => {
+        const conTildes = await buscar(`q=${encodeURIComponent('Melquíades')}`);
+        const sinTildes = await buscar('q=melquiades');
+        const mayusculas = await buscar(`q=${encodeURIComponent('MELQUÍADES')}`);
+
+        assert.ok(conTildes.total > 0);
+        assert.deepEqual(claves(sinTildes), claves(conTildes));
+        assert.deepEqual(claves(mayusculas), claves(conTildes));
+        assert.equal(conTildes.resultados[0].tipo, 'personajes');
+        assert.equal(conTildes.resultados[0].documento.nombre, 'Melquíades');
+        assert.equal(sinTildes.quisisteDecir, undefined);
+    });
+
+    it('encuentra otras flexiones de la palabra', async () => {
+        const cuerpo = await buscar('q=gitano');
+        const evento = cuerpo.resultados.find(r => r.documento.nombre === 'Llegada de los gitanos');
+        assert.ok(evento);
+        assert.ok(evento.fragmentos.some(f => f.texto.includes('<mark>gitanos</mark>')));
+    });
+
+    it('busca la última palabra como prefijo', async () => {
+        const cuerpo = await buscar('q=Remed&tipo=personajes');
+        const nombres = cuerpo.resultados.map(r => r.documento.nombre);
+        assert.ok(nombres.includes('Remedios Moscote'));
+        assert.ok(nombres.includes('Remedios la bella'));
+    });
+
+    it('corrige errores de tipeo y lo informa en quisisteDecir', async () => {
+        const corregida = await buscar('q=Melqiades');
+        assert.equal(corregida.quisisteDecir, 'Melquíades');
+        assert.deepEqual(claves(corregida), claves(await buscar('q=melquiades')));
+    });
+
+    it('ignora signos y palabras vacías de una pregunta', async () => {
+        const cuerpo = await buscar(`q=${encodeURIComponent('¿Dónde está Macondo?')}&tipo=lugares`);
+        assert.equal(cuerpo.resultados[0].documento.nombre, 'Macondo');
+    });
+
+    it('filtra por tipo', async () => {
+        const cuerpo = await buscar('q=hielo&tipo=objetos');
+        assert.deepEqual(Object.keys(cuerpo.totalesPorTipo), ['objetos']);
+        assert.deepEqual(cuerpo.resultados.map(r => r.documento.nombre), ['Bloque de hielo']);
+    });
+
+    it('valida los parámetros', async () => {
+        assert.equal((await pedir('GET', '/api/buscar')).status, 400);
+        assert.equal((await pedir('GET', '/api/buscar?q=hielo&tipo=capitulos')).status, 400);
+        assert.equal((await pedir('GET', '/api/buscar?q=hielo&porPagina=101')).status, 400);
+        assert.equal((await pedir('GET', '/api/buscar?q=hielo&pagina=0')).status, 400);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Pruebas de `cargarConfig` (config.js): los valores de config.json se
+ * interpretan igual que los de las variables de entorno.
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cargarConfig } = require('../config');
+
+describe('cargarConfig', () => {
+    const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'macondo-config-'));
+    after(() => fs.rmSync(directorio, { recursive: true, force: true }));
+
+    /**
+     * Carga la configuración desde un config.json con el contenido dado.
+     * @param {Object} contenido - Contenido del archivo.
+     * @param {NodeJS.ProcessEnv} [env] - Otras variables de entorno.
+     * @returns {ReturnType<typeof cargarConfig>}
+     */
+    const conArchivo = (contenido, env = {}) => {
+        const ruta = path.join(directorio, 'config.json');
+        fs.writeFileSync(ruta, JSON.stringify(contenido));
+        return cargarConfig({ env: { CONFIG_FILE: ruta, ...env }, argv: [] });
+    };
+
+    it('acepta el puerto del archivo como número o como texto', () => {
+        assert.equal(conArchivo({ port: 3001 }).port, 3001);
+        assert.equal(conArchivo({ port: '3002' }).port, 3002);
+        assert.equal(conArchivo({ port: '3002' }, { PORT: '4000' }).port, 4000);
+    });
+
+    it('un puerto vacío cuenta como no definido', () => {
+        assert.equal(conArchivo({ port: '' }).port, 3000);
+        assert.equal(conArchivo({ port: 3001 }, { PORT: '' }).port, 3001);
+        assert.equal(conArchivo({}, { PORT: ' ' }).port, 3000);
+    });
+
+    it('rechaza un puerto que no es un entero', () => {
+        assert.throws(() => conArchivo({ port: 'tres mil' }), /PORT inválido/);
+        assert.throws(() => conArchivo({ port: null }), /PORT inválido/);
+        assert.throws(() => conArchivo({}, { PORT: '80.5' }), /PORT inválido/);
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Pruebas de las conversaciones de /api/preguntas: resolución de pronombres
+ * y elipsis (correferencia.js) y el recorrido completo por la API, donde cada pregunta
+ * se interpreta según las anteriores.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar, detener, pedir, crearSesiones } = require('./entorno');
+const { quitarConector, resolverPronombres, completarSujeto, reemplazarMencion } = require('../correferencia');
+const { buscarConversacion, registrarTurno, MAX_TURNOS } = require('../services/conversaciones');
+
+describe('correferencia', () => {
+    const contexto = {
+        foco: [
+            { tipo: 'personaje', nombre: 'Úrsula Iguarán' },
+            { tipo: 'personaje', nombre: 'José Arcadio Buendía' },
+            { tipo: 'lugar', nombre: 'Macondo' }
+        ],
+        grupo: ['José Arcadio Buendía', 'Úrsula Iguarán'],
+        anterior: null
+    };
+    const generoDe = new Map([['Úrsula Iguarán', 'femenino'], ['José Arcadio Buendía', 'masculino']]);
+
+    it('quita la "y" inicial y conserva los signos', () => {
+        assert.deepEqual(quitarConector('¿Y con quién se casó?'), { texto: '¿Con quién se casó?', conector: true });
+        assert.deepEqual(quitarConector('¿E Isabel?'), { texto: '¿Isabel?', conector: true });
+        assert.deepEqual(quitarConector('¿Yo quién soy?'), { texto: '¿Yo quién soy?', conector: false });
+    });
+
+    it('"él" y "ella" se refieren al último personaje de ese género', () => {
+        const { texto, referentes } = resolverPronombres('¿Con quién se casó él?', contexto, generoDe);
+        assert.equal(texto, '¿Con quién se casó José Arcadio Buendía?');
+        assert.deepEqual(referentes, [{ expresion: 'él', nombre: 'José Arcadio Buendía' }]);
+        assert.equal(resolverPronombres('¿Dónde murió ella?', contexto, generoDe).texto, '¿Dónde murió Úrsula Iguarán?');
+        // "el" sin tilde es un artículo
+        assert.equal(resolverPronombres('¿Qué pasó con el hielo?', contexto, generoDe).texto, '¿Qué pasó con el hielo?');
+    });
+
+    it('"ellos" se refiere al grupo y "su" a la última entidad', () => {
+        assert.equal(resolverPronombres('¿Dónde vivían ellos?', contexto).texto,
+            '¿Dónde vivían José Arcadio Buendía y Úrsula Iguarán?');
+        assert.equal(resolverPronombres('¿Quién era su madre?', contexto).texto, '¿Quién era la madre de Úrsula Iguarán?');
+        assert.equal(resolverPronombres('¿Cuántos fueron sus hijos?', contexto).texto,
+            '¿Cuántos fueron los hijos de Úrsula Iguarán?');
+    });
+
+    it('"allí" se refiere al último lugar', () => {
+        assert.equal(resolverPronombres('¿Qué pasó allí?', contexto).texto, '¿Qué pasó en Macondo?');
+        assert.equal(resolverPronombres('¿Quién huyó de allí?', contexto).texto, '¿Quién huyó de Macondo?');
+    });
+
+    it('deja los pronombres sin referente', () => {
+        const { texto, referentes } = resolverPronombres('¿Qué pasó allí con ellos?', { foco: [], grupo: [] });
+        assert.equal(texto, '¿Qué pasó allí con ellos?');
+        assert.deepEqual(referentes, []);
+    });
+
+    it('completa el sujeto y reemplaza menciones', () => {
+        assert.equal(completarSujeto('¿Cuándo murió?', { tipo: 'personaje', nombre: 'Rebeca' }), '¿Cuándo murió Rebeca?');
+        assert.equal(completarSujeto('¿Qué pasó?', { tipo: 'lugar', nombre: 'Riohacha' }), '¿Qué pasó en Riohacha?');
+        assert.equal(reemplazarMencion('¿Dónde murió Úrsula?', 'Úrsula', 'Amaranta'), '¿Dónde murió Amaranta?');
+        assert.equal(reemplazarMencion('¿Dónde murió Úrsula?', 'Rebeca', 'Amaranta'), null);
+    });
+});
+
+describe('/api/preguntas con conversación', () => {
+    before(iniciar);
+    after(detener);
+
+    /**
+     * Inicia una conversación.
+     * @param {string} [token] - Token de sesión.
+     * @returns {Promise<string>} Identificador de la conversación.
+     */
+    const iniciarConversacion = async (token) => {
+        const { status, cuerpo } = await pedir('POST', '/api/preguntas/conversaciones', { token });
+        assert.equal(status, 201);
+        assert.deepEqual(cuerpo.turnos, []);
+        return cuerpo.conversacion;
+    };
+
+    /**
+     * Hace una pregunta dentro de una conversación.
+     * @param {string} conversacion - Identificador de la conversación.
+     * @param {string} q - Pregunta.
+     * @returns {Promise<Object>} Cuerpo de la respuesta.
+     */
+    const preguntar = async (conversacion, q) => {
+        const ruta = `/api/preguntas?q=${encodeURIComponent(q)}&conversacion=${conversacion}`;
+        const { status, cuerpo } = await pedir('GET', ruta);
+        assert.equal(status, 200);
+        assert.equal(cuerpo.conversacion, conversacion);
+        return cuerpo;
+    };
+
+    it('responde 404 con una conversación desconocida', async () => {
+        const { status, cuerpo } = await pedir('GET', '/api/preguntas?q=%C2%BFQui%C3%A9n%3F&conversacion=desconocida');
+        assert.equal(status, 404);
+        assert.equal(cuerpo.error, 'Conversación no encontrada');
+        assert.equal((await pedir('GET', '/api/preguntas/conversaciones/desconocida')).status, 404);
+    });
+
+    it('resuelve la elipsis y los pronombres con los turnos anteriores', async () => {
+        const conversacion = await iniciarConversacion();
+        const primera = await preguntar(conversacion, '¿Quién fundó Macondo?');
+        assert.equal(primera.preguntaResuelta, undefined);
+        assert.deepEqual(primera.resultados.map(p => p.nombre), ['José Arcadio Buendía', 'Úrsula Iguarán']);
+
+        const segunda = await preguntar(conversacion, '¿Y con quién se casó?');
+        assert.equal(segunda.preguntaResuelta, '¿Con quién se casó José Arcadio Buendía?');
+        assert.deepEqual(segunda.referentes, [{ expresion: null, nombre: 'José Arcadio Buendía' }]);
+
+        const tercera = await preguntar(conversacion, '¿Dónde vivían ellos?');
+        assert.equal(tercera.preguntaResuelta, '¿Dónde vivían José Arcadio Buendía y Úrsula Iguarán?');
+        assert.equal(tercera.tipoResultados, 'lugares');
+    });
+
+    it('repite la pregunta anterior con otra entidad u otro interrogativo', async () => {
+        const conversacion = await iniciarConversacion();
+        await preguntar(conversacion, '¿Quién mató a Prudencio Aguilar?');
+        const donde = await preguntar(conversacion, '¿Y dónde?');
+        assert.equal(donde.preguntaResuelta, '¿Dónde mató a Prudencio Aguilar?');
+        assert.deepEqual(donde.resultados.map(l => l.nombre), ['Riohacha']);
+
+        await preguntar(conversacion, '¿Qué pasó en Riohacha?');
+        const otra = await preguntar(conversacion, '¿Y en Macondo?');
+        assert.equal(otra.preguntaResuelta, '¿Qué pasó en Macondo?');
+    });
+
+    it('guarda el historial con cada pregunta como se entendió', async () => {
+        const conversacion = await iniciarConversacion();
+        await preguntar(conversacion, '¿Cuándo llegó Rebeca?');
+        await preguntar(conversacion, '¿Dónde murió ella?');
+        const { status, cuerpo } = await pedir('GET', `/api/preguntas/conversaciones/${conversacion}`);
+        assert.equal(status, 200);
+        assert.deepEqual(cuerpo.turnos.map(t => [t.pregunta, t.preguntaResuelta]), [
+            ['¿Cuándo llegó Rebeca?', null],
+            ['¿Dónde murió ella?', '¿Dónde murió Rebeca?']
+        ]);
+        assert.ok(cuerpo.turnos.every(t => typeof t.respuesta === 'string'));
+    });
+
+    it('dos preguntas simultáneas guardan sus dos turnos, hasta MAX_TURNOS', async () => {
+        const clave = await iniciarConversacion();
+        for (let i = 1; i <= MAX_TURNOS; i++) {
+            await registrarTurno(await buscarConversacion(clave, null), `¿Pregunta ${i}?`, null, {});
+        }
+        // Las dos la leen antes de que cualquiera guarde su turno
+        const [una, otra] = await Promise.all([buscarConversacion(clave, null), buscarConversacion(clave, null)]);
+        await Promise.all([
+            registrarTurno(una, '¿Quién fundó Macondo?', null, {}),
+            registrarTurno(otra, '¿Quién murió?', null, {})
+        ]);
+        const { cuerpo } = await pedir('GET', `/api/preguntas/conversaciones/${clave}`);
+        assert.equal(cuerpo.turnos.length, MAX_TURNOS);
+        assert.deepEqual(cuerpo.turnos.slice(-2).map(t => t.pregunta).sort(), ['¿Quién fundó Macondo?', '¿Quién murió?']);
+        assert.equal(cuerpo.turnos[0].pregunta, '¿Pregunta 3?');
+    });
+
+    it('una conversación iniciada con sesión solo la continúa su usuario', async () => {
+        const { lector } = await crearSesiones();
+        const conversacion = await iniciarConversacion(lector);
+        assert.equal((await pedir('GET', `/api/preguntas/conversaciones/${conversacion}`)).status, 404);
+        assert.equal((await pedir('GET', `/api/preguntas/conversaciones/${conversacion}`, { token: lector })).status, 200);
+    });
+
+    it('sin conversación las preguntas no dependen de las anteriores', async () => {
+        const { cuerpo } = await pedir('GET', `/api/preguntas?q=${encodeURIComponent('¿Y con quién se casó?')}`);
+        assert.equal(cuerpo.preguntaResuelta, undefined);
+        assert.equal(cuerpo.conversacion, undefined);
+    });
+});
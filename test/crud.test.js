@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Pruebas de las rutas CRUD de las seis colecciones: listado, lectura,
+ * permisos por rol, validación, alta, modificación y baja; y de la sincronización de
+ * relaciones y la limpieza de referencias al eliminar.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar, detener, pedir, crearSesiones, idsPorNombre } = require('./entorno');
+const Capitulo = require('../models/model_capitulos');
+const dataset = require('../fixtures/macondo.json');
+
+/**
+ * ObjectId válido que no existe en la base.
+ * @type {string}
+ */
+const ID_INEXISTENTE = '000000000000000000000000';
+
+/**
+ * Un caso por colección. `clave` es el campo de la URL (`_id`, o `numero` en capítulos);
+ * `invalido` es un cuerpo que la validación debe rechazar con 422.
+ * @type {Array<{coleccion: string, clave: string, campo: string, nuevo: Object, cambio: Object, invalido: Object}>}
+ */
+const CASOS = [
+    {
+        coleccion: 'personajes', clave: '_id', campo: 'nombre',
+        nuevo: { nombre: 'Prudencio Aguilar', genero: 'masculino' },
+        cambio: { destino: 'Siguió apareciéndose en la casa después de muerto.' },
+        invalido: { nombre: 'Nadie', genero: 'ninguno' }
+    },
+    {
+        coleccion: 'lugares', clave: '_id', campo: 'nombre',
+        nuevo: { nombre: 'Manaure' },
+        cambio: { descripcion: 'Pueblo de la sierra donde vivió la familia.' },
+        invalido: { descripcion: 'Un lugar sin nombre' }
+    },
+    {
+        coleccion: 'eventos', clave: '_id', campo: 'nombre',
+        nuevo: { nombre: 'Llegada de Pietro Crespi', descripcion: 'El italiano llegó a arreglar la pianola.' },
+        cambio: { anios_desde_fundacion: 15 },
+        invalido: { nombre: 'Evento fantasma', personajes_involucrados: [ID_INEXISTENTE] }
+    },
+    {
+        coleccion: 'objetos', clave: '_id', campo: 'nombre',
+        nuevo: { nombre: 'Pianola', descripcion: 'Instrumento que armó Pietro Crespi.' },
+        cambio: { descripcion: 'Pianola que Pietro Crespi armó en la sala.' },
+        invalido: { nombre: 'Objeto', evento_relacionado: 'no-es-un-id' }
+    },
+    {
+        coleccion: 'generaciones', clave: '_id', campo: 'nombre',
+        nuevo: { nombre: 'Generación de prueba' },
+        cambio: { descripcion: 'Solo existe durante las pruebas.' },
+        invalido: { nombre: 'Sin personajes', personajes_principales: 'Úrsula' }
+    },
+    {
+        coleccion: 'capitulos', clave: 'numero', campo: 'titulo',
+        nuevo: { numero: 4, titulo: 'Pietro Crespi' },
+        cambio: { resumen: 'Llega Pietro Crespi y Rebeca y Amaranta se disputan su amor.' },
+        invalido: { numero: 2.5 }
+    }
+];
+
+describe('CRUD', () => {
+    let tokens;
+
+    before(async () => {
+        await iniciar();
+        tokens = await crearSesiones();
+    });
+    after(detener);
+
+    for (const caso of CASOS) {
+        const { coleccion, clave, campo } = caso;
+        const inexistente = clave === 'numero' ? 999 : ID_INEXISTENTE;
+
+        describe(coleccion, () => {
+            it('lista los documentos sembrados', async () => {
+                const { status, cuerpo } = await pedir('GET', `/api/${coleccion}?limit=500`);
+                assert.equal(status, 200);
+                assert.equal(cuerpo.total, dataset[coleccion].length);
+                assert.equal(cuerpo.resultados.length, dataset[coleccion].length);
+            });
+
+            it('obtiene un documento por su clave', async () => {
+                const campos = clave === 'numero' ? 'numero,titulo' : campo;
+                const { cuerpo: lista } = await pedir('GET', `/api/${coleccion}?fields=${campos}&limit=1`);
+                const [primero] = lista.resultados;
+                const { status, cuerpo } = await pedir('GET', `/api/${coleccion}/${primero[clave]}`);
+                assert.equal(status, 200);
+                assert.equal(cuerpo[campo], primero[campo]);
+            });
+
+            it('responde 404 si no existe y 400 si la clave no es válida', async () => {
+                assert.equal((await pedir('GET', `/api/${coleccion}/${inexistente}`)).status, 404);
+                assert.equal((await pedir('GET', `/api/${coleccion}/abc`)).status, 400);
+            });
+
+            it('exige sesión de editor para escribir', async () => {
+                assert.equal((await pedir('POST', `/api/${coleccion}`, { cuerpo: caso.nuevo })).status, 401);
+                assert.equal((await pedir('POST', `/api/${coleccion}`, { cuerpo: caso.nuevo, token: tokens.lector })).status, 403);
+            });
+
+            it('rechaza con 422 un cuerpo inválido', async () => {
+                const { status, cuerpo } = await pedir('POST', `/api/${coleccion}`, { cuerpo: caso.invalido, token: tokens.editor });
+                assert.equal(status, 422);
+                assert.ok(cuerpo.errores.length > 0);
+            });
+
+            it('crea, modifica y elimina un documento', async () => {
+                const creado = await pedir('POST', `/api/${coleccion}`, { cuerpo: caso.nuevo, token: tokens.editor });
+                assert.equal(creado.status, 201);
+                assert.equal(creado.cuerpo[campo], caso.nuevo[campo]);
+                const url = `/api/${coleccion}/${creado.cuerpo[clave]}`;
+
+                const leido = await pedir('GET', url);
+                assert.equal(leido.status, 200);
+                assert.equal(leido.cuerpo[campo], caso.nuevo[campo]);
+
+                const modificado = await pedir('PUT', url, { cuerpo: caso.cambio, token: tokens.editor });
+                assert.equal(modificado.status, 200);
+                for (const [k, v] of Object.entries(caso.cambio)) assert.equal(modificado.cuerpo[k], v);
+
+                assert.equal((await pedir('DELETE', url, { token: tokens.editor })).status, 403);
+                const eliminado = await pedir('DELETE', url, { token: tokens.admin });
+                assert.equal(eliminado.status, 200);
+                assert.equal(eliminado.cuerpo.eliminado[campo], caso.nuevo[campo]);
+                assert.equal((await pedir('GET', url)).status, 404);
+            });
+        });
+    }
+
+    describe('capitulos', () => {
+        it('si otra alta toma el número después de la comprobación, responde 409', async () => {
+            // La comprobación previa no ve el capítulo 1, como si se hubiera creado entretanto
+            const exists = mock.method(Capitulo, 'exists', async () => null);
+            try {
+                const { status, cuerpo } = await pedir('POST', '/api/capitulos', { cuerpo: { numero: 1, titulo: 'Otro' }, token: tokens.editor });
+                assert.equal(status, 409);
+                assert.equal(cuerpo.error, 'Ya existe el capítulo 1');
+                assert.equal((await pedir('PUT', '/api/capitulos/2', { cuerpo: { numero: 1 }, token: tokens.editor })).status, 409);
+            } finally {
+                exists.mock.restore();
+            }
+            const { cuerpo } = await pedir('GET', '/api/capitulos?limit=500');
+            assert.equal(cuerpo.resultados.filter(c => c.numero === 1).length, 1);
+        });
+    });
+
+    describe('relaciones', () => {
+        it('al asignar un objeto a un personaje lo agrega a sus objetos', async () => {
+            const personajes = await idsPorNombre('personajes');
+            const rebeca = personajes.get('Rebeca');
+            const { status, cuerpo: objeto } = await pedir('POST', '/api/objetos', {
+                cuerpo: { nombre: 'Mecedora', personaje_relacionado: rebeca },
+                token: tokens.editor
+            });
+            assert.equal(status, 201);
+
+            const { cuerpo } = await pedir('GET', `/api/personajes/${rebeca}`);
+            assert.ok(cuerpo.objetos.includes(objeto._id));
+        });
+
+        it('rechaza con 422 que un personaje tenga como padre a uno de sus descendientes', async () => {
+            const personajes = await idsPorNombre('personajes');
+            const arcadio = personajes.get('Arcadio');
+            const ruta = `/api/personajes/${personajes.get('José Arcadio')}`;
+
+            for (const padres of [[arcadio], [personajes.get('Aureliano Segundo'), personajes.get('Pilar Ternera')]]) {
+                const { status, cuerpo } = await pedir('PUT', ruta, { cuerpo: { padres }, token: tokens.editor });
+                assert.equal(status, 422);
+                assert.deepEqual(cuerpo.errores.map(e => e.campo), ['padres']);
+            }
+            const { cuerpo } = await pedir('GET', `/api/personajes/${arcadio}`);
+            assert.equal((await pedir('PUT', `/api/personajes/${arcadio}`, { cuerpo: { padres: cuerpo.padres }, token: tokens.editor })).status, 200);
+        });
+
+        it('no revierte a unos padres que hoy descienden del personaje', async () => {
+            const personajes = await idsPorNombre('personajes');
+            const joseArcadio = `/api/personajes/${personajes.get('José Arcadio')}`;
+            const fundador = `/api/personajes/${personajes.get('José Arcadio Buendía')}`;
+            const editar = (ruta, cuerpo) => pedir('PUT', ruta, { cuerpo, token: tokens.editor });
+
+            // José Arcadio pierde a sus padres y su padre pasa a ser hijo suyo
+            assert.equal((await editar(joseArcadio, { padres: [] })).status, 200);
+            const [revision] = (await pedir('GET', `${joseArcadio}/historial`)).cuerpo.resultados;
+            assert.equal((await editar(fundador, { padres: [personajes.get('José Arcadio')] })).status, 200);
+
+            const revertir = () => pedir('POST', `${joseArcadio}/historial/${revision._id}/revertir`, { token: tokens.editor });
+            const rechazado = await revertir();
+            assert.equal(rechazado.status, 422);
+            assert.deepEqual(rechazado.cuerpo.errores.map(e => e.campo), ['padres']);
+
+            assert.equal((await editar(fundador, { padres: [] })).status, 200);
+            assert.equal((await revertir()).status, 200);
+            assert.equal((await pedir('GET', joseArcadio)).cuerpo.padres.length, 2);
+        });
+
+        it('al eliminar un lugar lo quita de los eventos que lo referencian', async () => {
+            const riohacha = (await idsPorNombre('lugares')).get('Riohacha');
+            const evento = (await idsPorNombre('eventos')).get('Muerte de Prudencio Aguilar');
+
+            const simulado = await pedir('DELETE', `/api/lugares/${riohacha}?dryRun=true`, { token: tokens.admin });
+            assert.equal(simulado.status, 200);
+            assert.equal(simulado.cuerpo.dryRun, true);
+            assert.equal((await pedir('GET', `/api/lugares/${riohacha}`)).status, 200);
+
+            assert.equal((await pedir('DELETE', `/api/lugares/${riohacha}`, { token: tokens.admin })).status, 200);
+            const { cuerpo } = await pedir('GET', `/api/eventos/${evento}`);
+            assert.equal(cuerpo.lugar_relacionado ?? null, null);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Entorno de las pruebas de la API.
+ *
+ * Levanta una base MongoDB en memoria sembrada con `fixtures/macondo.json` y atiende la
+ * app de server.js en un puerto libre. Cada archivo de pruebas llama a `iniciar` y
+ * `detener` en sus hooks `before`/`after` y tiene así su propia base.
+ */
+
+const path = require('path');
+
+// Sin los logs de cada petición, salvo que se pida otro nivel
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const app = require('../server');
+const { conectar, desconectar } = require('../services/baseDatos');
+const { asegurarAdmin } = require('../services/autenticacion');
+
+/**
+ * Conjunto de datos con que se siembra la base.
+ * @type {string}
+ */
+const ARCHIVO_SEMILLA = path.join(__dirname, '..', 'fixtures', 'macondo.json');
+
+/** @type {import('http').Server|null} */
+let servidor = null;
+
+/** @type {string} URL base de la app, p. ej. http://127.0.0.1:54321 */
+let base = '';
+
+/**
+ * Conecta la base en memoria, la siembra y atiende la app en un puerto libre.
+ * @returns {Promise<void>}
+ */
+async function iniciar() {
+    await conectar({ memoria: true, semilla: true, archivoSemilla: ARCHIVO_SEMILLA });
+    servidor = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    base = `http://127.0.0.1:${servidor.address().port}`;
+}
+
+/**
+ * Cierra el servidor y detiene la base en memoria.
+ * @returns {Promise<void>}
+ */
+async function detener() {
+    if (servidor) await new Promise(resolve => servidor.close(resolve));
+    servidor = null;
+    await desconectar();
+}
+
+/**
+ * Hace una petición a la app.
+ *
+ * @param {string} metodo - GET, POST, PUT, DELETE...
+ * @param {string} ruta - Ruta con query string, p. ej. '/api/personajes?limit=5'.
+ * @param {{cuerpo?: Object, token?: string}} [opciones] - Cuerpo JSON y token de sesión.
+ * @returns {Promise<{status: number, cuerpo: *}>} Estado HTTP y cuerpo (JSON si lo es).
+ */
+async function pedir(metodo, ruta, { cuerpo, token } = {}) {
+    const headers = {};
+    if (cuerpo !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(base + ruta, {
+        method: metodo,
+        headers,
+        body: cuerpo !== undefined ? JSON.stringify(cuerpo) : undefined
+    });
+    const texto = await res.text();
+    const esJson = (res.headers.get('content-type') || '').includes('json');
+    return { status: res.status, cuerpo: esJson && texto ? JSON.parse(texto) : texto };
+}
+
+/**
+ * Crea la cuenta admin como al arrancar con ADMIN_NOMBRE/ADMIN_CLAVE, registra una cuenta
+ * para cada uno de los otros roles y devuelve los tokens. El admin asciende luego a la
+ * de editor.
+ * @returns {Promise<{admin: string, editor: string, lector: string}>}
+ */
+async function crearSesiones() {
+    const entrar = async (ruta, nombre) => {
+        const { status, cuerpo } = await pedir('POST', ruta, { cuerpo: { nombre, clave: 'macondo1967' } });
+        if (status !== 200 && status !== 201) throw new Error(`No se pudo entrar como ${nombre}: ${JSON.stringify(cuerpo)}`);
+        return cuerpo;
+    };
+    await asegurarAdmin('admin', 'macondo1967');
+    const admin = await entrar('/api/auth/login', 'admin');
+    const editor = await entrar('/api/auth/registro', 'editor');
+    const lector = await entrar('/api/auth/registro', 'lector');
+    const { status } = await pedir('PUT', `/api/usuarios/${editor.usuario._id}`, { cuerpo: { rol: 'editor' }, token: admin.token });
+    if (status !== 200) throw new Error('No se pudo asignar el rol editor');
+    return { admin: admin.token, editor: editor.token, lector: lector.token };
+}
+
+/**
+ * IDs de los documentos de una colección, por nombre (capítulos: por título).
+ * @param {string} coleccion - Colección de la API ('personajes', 'eventos'...).
+ * @returns {Promise<Map<string, string>>} Nombre → _id.
+ */
+async function idsPorNombre(coleccion) {
+    const campo = coleccion === 'capitulos' ? 'titulo' : 'nombre';
+    const { cuerpo } = await pedir('GET', `/api/${coleccion}?fields=${campo}&limit=500`);
+    return new Map(cuerpo.resultados.map(d => [d[campo], d._id]));
+}
+
+module.exports = { iniciar, detener, pedir, crearSesiones, idsPorNombre, ARCHIVO_SEMILLA };
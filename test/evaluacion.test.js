@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Pruebas de la evaluación de preguntas (services/evaluacion.js): métricas,
+ * validación del benchmark, comparación de reportes y que las respuestas correctas del
+ * benchmark existan en los datos de ejemplo.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { iniciar, detener } = require('./entorno');
+const {
+    leerBenchmark,
+    validarBenchmark,
+    evaluar,
+    compararReportes,
+    precisionEnK,
+    recall,
+    rangoReciproco
+} = require('../services/evaluacion');
+
+const ARCHIVO_BENCHMARK = path.join(__dirname, '..', 'fixtures', 'evaluacion_preguntas.json');
+
+describe('métricas', () => {
+    const relevantes = new Set(['evento/a', 'evento/c']);
+
+    it('precision@k cuenta los primeros k puestos, y los vacíos como fallos', () => {
+        assert.equal(precisionEnK(['evento/a', 'evento/b', 'evento/c', 'evento/d'], relevantes, 2), 0.5);
+        assert.equal(precisionEnK(['evento/c'], relevantes, 3), 1 / 3);
+        assert.equal(precisionEnK(['evento/c', 'evento/a', 'evento/b'], relevantes, 3), 2 / 3);
+        assert.equal(precisionEnK([], relevantes, 3), 0);
+    });
+
+    it('recall cuenta las correctas encontradas en cualquier posición', () => {
+        assert.equal(recall(['evento/b', 'evento/c'], relevantes), 0.5);
+        assert.equal(recall(['evento/d', 'evento/c', 'evento/a'], relevantes), 1);
+    });
+
+    it('el rango recíproco depende de la primera correcta', () => {
+        assert.equal(rangoReciproco(['evento/a', 'evento/c'], relevantes), 1);
+        assert.equal(rangoReciproco(['evento/b', 'evento/d', 'evento/c'], relevantes), 1 / 3);
+        assert.equal(rangoReciproco(['evento/b'], relevantes), 0);
+    });
+});
+
+describe('benchmark', () => {
+    it('el benchmark versionado es válido', () => {
+        const benchmark = leerBenchmark(ARCHIVO_BENCHMARK);
+        assert.ok(benchmark.preguntas.length > 0);
+    });
+
+    it('rechaza ids repetidos y claves mal formadas', () => {
+        const errores = validarBenchmark({
+            version: 1,
+            preguntas: [
+                { id: 'a', pregunta: '¿Quién fundó Macondo?', intencion: 'quien', relevantes: ['personaje/ursula-iguaran'] },
+                { id: 'a', pregunta: '¿Dónde?', intencion: 'donde', relevantes: ['Macondo'] },
+                { id: 'b', pregunta: 'capítulo 3', relevantes: [], entidades: ['capitulo/3'] }
+            ]
+        });
+        assert.deepEqual(errores, [
+            'preguntas[1] ("a"): "id" repetido',
+            'preguntas[1] ("a"): "relevantes" debe ser un arreglo no vacío de claves <tipo>/<slug>',
+            'preguntas[2] ("b"): "intencion" debe ser un texto o null',
+            'preguntas[2] ("b"): "relevantes" debe ser un arreglo no vacío de claves <tipo>/<slug>'
+        ]);
+    });
+});
+
+describe('compararReportes', () => {
+    /**
+     * Reporte mínimo con una pregunta.
+     * @param {Object} metricas - Métricas de la pregunta.
+     * @returns {Object}
+     */
+    const reporte = (metricas) => ({
+        version: 1,
+        k: 3,
+        global: { n: 1, precisionK: metricas.precisionK, recall: metricas.recall, mrr: metricas.rr },
+        porIntencion: { quien: { n: 1, precisionK: metricas.precisionK, recall: metricas.recall, mrr: metricas.rr } },
+        preguntas: [{ id: 'quien-fundo-macondo', pregunta: '¿Quién fundó Macondo?', obtenidos: [], aciertoIntencion: 1, ...metricas }]
+    });
+
+    it('clasifica cada pregunta por la dirección de sus cambios', () => {
+        const antes = reporte({ precisionK: 0.5, recall: 0.5, rr: 0.5 });
+        assert.equal(compararReportes(antes, reporte({ precisionK: 1, recall: 1, rr: 1 })).cambios[0].tendencia, 'mejora');
+        assert.equal(compararReportes(antes, reporte({ precisionK: 0, recall: 0.5, rr: 0 })).cambios[0].tendencia, 'empeora');
+        assert.equal(compararReportes(antes, reporte({ precisionK: 1, recall: 0, rr: 0.5 })).cambios[0].tendencia, 'mixta');
+        assert.deepEqual(compararReportes(antes, antes).cambios, []);
+    });
+
+    it('informa las diferencias globales y los cambios de versión', () => {
+        const comparacion = compararReportes(
+            reporte({ precisionK: 0.5, recall: 0.5, rr: 0.5 }),
+            { ...reporte({ precisionK: 0.5, recall: 1, rr: 0.5 }), version: 2 }
+        );
+        assert.deepEqual(comparacion.global.recall, { anterior: 0.5, actual: 1, delta: 0.5 });
+        assert.equal(comparacion.global.precisionK.delta, 0);
+        assert.equal(comparacion.advertencias.length, 1);
+    });
+
+    it('advierte al comparar con un reporte de métricas calculadas de otra forma', () => {
+        const anterior = reporte({ precisionK: 1, recall: 1, rr: 1 });
+        const { advertencias } = compararReportes(anterior, { ...anterior, metricas: 2 });
+        assert.deepEqual(advertencias, ['Las métricas se calculan distinto (versión 1 → 2): los valores no son comparables']);
+    });
+});
+
+describe('evaluar', () => {
+    before(iniciar);
+    after(detener);
+
+    it('las respuestas correctas del benchmark existen en los datos de ejemplo', async () => {
+        const reporte = await evaluar(leerBenchmark(ARCHIVO_BENCHMARK), { k: 3 });
+        assert.deepEqual(reporte.faltantes, []);
+        assert.equal(reporte.preguntas.length, reporte.global.n);
+        for (const metrica of ['precisionK', 'recall', 'mrr']) {
+            assert.ok(reporte.global[metrica] >= 0 && reporte.global[metrica] <= 1);
+        }
+    });
+
+    it('identifica resultados y entidades con las claves del benchmark', async () => {
+        const benchmark = {
+            version: 1,
+            preguntas: [{
+                id: 'que-paso-en-riohacha',
+                pregunta: '¿Qué pasó en Riohacha?',
+                intencion: 'que',
+                relevantes: ['evento/muerte-de-prudencio-aguilar'],
+                entidades: ['lugar/riohacha']
+            }]
+        };
+        const [registro] = (await evaluar(benchmark)).preguntas;
+        assert.deepEqual(registro.obtenidos, ['evento/muerte-de-prudencio-aguilar']);
+        assert.deepEqual(registro.entidadesObtenidas, ['lugar/riohacha']);
+        assert.equal(registro.rr, 1);
+        assert.equal(registro.recallEntidades, 1);
+    });
+});
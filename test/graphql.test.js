@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Pruebas de /graphql (services/graphql.js): consultas anidadas por las
+ * relaciones en ambos sentidos, el límite de profundidad, y las mutaciones con los mismos
+ * roles, validación, sincronización de relaciones e historial que la API REST.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar, detener, pedir, crearSesiones, idsPorNombre } = require('./entorno');
+const Capitulo = require('../models/model_capitulos');
+
+describe('/graphql', () => {
+    let tokens;
+
+    before(async () => {
+        await iniciar();
+        tokens = await crearSesiones();
+    });
+    after(detener);
+
+    /**
+     * Ejecuta una operación por POST.
+     * @param {string} query - Documento GraphQL.
+     * @param {{variables?: Object, token?: string}} [opciones] - Variables y token de sesión.
+     * @returns {Promise<{status: number, data: Object|null, errors: Array<Object>|undefined}>}
+     */
+    const graphql = async (query, { variables, token } = {}) => {
+        const { status, cuerpo } = await pedir('POST', '/graphql', { cuerpo: { query, variables }, token });
+        return { status, data: cuerpo.data ?? null, errors: cuerpo.errors };
+    };
+
+    describe('consultas', () => {
+        it('sigue las relaciones en ambos sentidos', async () => {
+            const lugares = await idsPorNombre('lugares');
+            const personajes = await idsPorNombre('personajes');
+
+            // Lugar → eventos → personajes
+            const ida = await graphql(`query ($id: ID!) {
+                lugar(id: $id) { nombre eventos_relacionados { nombre personajes_involucrados { nombre } } }
+            }`, { variables: { id: lugares.get('Riohacha') } });
+            assert.equal(ida.status, 200);
+            assert.equal(ida.errors, undefined);
+            assert.deepEqual(ida.data.lugar, {
+                nombre: 'Riohacha',
+                eventos_relacionados: [{ nombre: 'Muerte de Prudencio Aguilar', personajes_involucrados: [{ nombre: 'José Arcadio Buendía' }] }]
+            });
+
+            // Y de vuelta: personaje → eventos (relación inversa) → lugar
+            const vuelta = await graphql(`query ($id: ID!) {
+                personaje(id: $id) { eventos { nombre lugar_relacionado { nombre } } }
+            }`, { variables: { id: personajes.get('José Arcadio Buendía') } });
+            assert.equal(vuelta.errors, undefined);
+            const muerte = vuelta.data.personaje.eventos.find(e => e.nombre === 'Muerte de Prudencio Aguilar');
+            assert.deepEqual(muerte?.lugar_relacionado, { nombre: 'Riohacha' });
+        });
+
+        it('rechaza con 400 las consultas más profundas que el límite', async () => {
+            const { status, data, errors } = await graphql(`{
+                lugares { eventos_relacionados { personajes_involucrados { eventos { personajes_involucrados { eventos { nombre } } } } } }
+            }`);
+            assert.equal(status, 400);
+            assert.equal(data, null);
+            assert.match(errors[0].message, /7 niveles de profundidad; el máximo es 6/);
+        });
+    });
+
+    describe('mutaciones', () => {
+        const CREAR_LUGAR = 'mutation { crearLugar(datos: { nombre: "Manaure" }) { id nombre } }';
+
+        it('exigen los mismos roles que REST', async () => {
+            assert.equal((await graphql(CREAR_LUGAR)).errors[0].extensions.code, 'NO_AUTENTICADO');
+            assert.equal((await graphql(CREAR_LUGAR, { token: tokens.lector })).errors[0].extensions.code, 'PROHIBIDO');
+
+            const { data } = await graphql(CREAR_LUGAR, { token: tokens.editor });
+            const eliminar = `mutation { eliminarLugar(id: "${data.crearLugar.id}") { nombre } }`;
+            assert.equal((await graphql(eliminar, { token: tokens.editor })).errors[0].extensions.code, 'PROHIBIDO');
+            assert.deepEqual((await graphql(eliminar, { token: tokens.admin })).data.eliminarLugar, { nombre: 'Manaure' });
+        });
+
+        it('validan los datos como REST', async () => {
+            const { status, data, errors } = await graphql(
+                'mutation { crearPersonaje(datos: { nombre: "Nadie", genero: "ninguno" }) { id } }',
+                { token: tokens.editor }
+            );
+            assert.equal(status, 200);
+            assert.equal(data, null);
+            assert.equal(errors[0].extensions.code, 'DATOS_INVALIDOS');
+            assert.deepEqual(errors[0].extensions.errores.map(e => e.campo), ['genero']);
+            assert.equal((await idsPorNombre('personajes')).has('Nadie'), false);
+        });
+
+        it('al crear sincronizan las relaciones inversas y registran la revisión', async () => {
+            const rebeca = (await idsPorNombre('personajes')).get('Rebeca');
+            const { data, errors } = await graphql(`mutation ($datos: ObjetoInput!) {
+                crearObjeto(datos: $datos) { id nombre personaje_relacionado { nombre } }
+            }`, { variables: { datos: { nombre: 'Mecedora', personaje_relacionado: rebeca } }, token: tokens.editor });
+            assert.equal(errors, undefined);
+            assert.deepEqual(data.crearObjeto.personaje_relacionado, { nombre: 'Rebeca' });
+
+            const { data: leido } = await graphql(`{ personaje(id: "${rebeca}") { objetos { id } } }`);
+            assert.ok(leido.personaje.objetos.some(o => o.id === data.crearObjeto.id));
+
+            const { cuerpo } = await pedir('GET', `/api/objetos/${data.crearObjeto.id}/historial`);
+            assert.deepEqual(cuerpo.resultados.map(r => [r.accion, r.usuario.nombre]), [['crear', 'editor']]);
+        });
+
+        it('si otra alta toma el número del capítulo después de la comprobación, es un CONFLICTO', async () => {
+            const exists = mock.method(Capitulo, 'exists', async () => null);
+            try {
+                const { data, errors } = await graphql('mutation { crearCapitulo(datos: { numero: 1, titulo: "Otro" }) { numero } }', { token: tokens.editor });
+                assert.equal(data, null);
+                assert.equal(errors[0].extensions.code, 'CONFLICTO');
+            } finally {
+                exists.mock.restore();
+            }
+            assert.equal((await graphql('{ capitulos(limite: 500) { numero } }')).data.capitulos.filter(c => c.numero === 1).length, 1);
+        });
+
+        const ACTUALIZAR_PERSONAJE = `mutation ($id: ID!, $datos: PersonajeInput!) {
+            actualizarPersonaje(id: $id, datos: $datos) { id padres { nombre } }
+        }`;
+
+        it('rechaza los vínculos que REST rechaza: el propio personaje o un descendiente como padre', async () => {
+            const personajes = await idsPorNombre('personajes');
+            const id = personajes.get('José Arcadio');
+            for (const datos of [{ padres: [personajes.get('Arcadio')] }, { hermanos: [id] }]) {
+                const { status, errors } = await graphql(ACTUALIZAR_PERSONAJE, { variables: { id, datos }, token: tokens.editor });
+                assert.equal(status, 200);
+                assert.equal(errors[0].extensions.code, 'DATOS_INVALIDOS');
+                assert.equal(errors[0].extensions.errores.length, 1);
+            }
+            const { cuerpo } = await pedir('GET', `/api/personajes/${id}`);
+            assert.deepEqual(cuerpo.padres.sort(), [personajes.get('José Arcadio Buendía'), personajes.get('Úrsula Iguarán')].sort());
+        });
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Pruebas del léxico de verbos clave (services/lexico.js): la validación de
+ * duplicados y colisiones, y la edición por /api/lexico, que debe valer desde la pregunta
+ * siguiente sin reiniciar el servidor.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar, detener, pedir, crearSesiones } = require('./entorno');
+const { leerLexico, validarLexico } = require('../services/lexico');
+const { analizarPregunta } = require('../nlpProcessor');
+
+/**
+ * Indica si algún patrón de verbo de la pregunta coincide con el texto.
+ * @param {string} pregunta - Pregunta.
+ * @param {string} texto - Texto de un evento.
+ * @returns {Promise<boolean>}
+ */
+const coincide = async (pregunta, texto) => (await analizarPregunta(pregunta)).regexVerbos.some(re => re.test(texto));
+
+describe('validarLexico', () => {
+    it('el léxico por defecto no tiene problemas', () => {
+        assert.deepEqual(validarLexico(leerLexico()), []);
+    });
+
+    it('informa verbos definidos dos veces y formas repetidas', () => {
+        const problemas = validarLexico([
+            { verbo: 'perder', formas: ['perder', 'perdió', 'Perdió'] },
+            { verbo: 'perder', formas: ['derrota'] }
+        ]);
+        assert.deepEqual(problemas.map(p => [p.tipo, p.verbos]), [
+            ['forma_repetida', ['perder']],
+            ['verbo_repetido', ['perder']]
+        ]);
+    });
+
+    it('informa las formas de verbos distintos con la misma raíz', () => {
+        const problemas = validarLexico([
+            { verbo: 'ganar', formas: ['ganó', 'obtuvo'] },
+            { verbo: 'recibir', formas: ['recibió', 'obtuvo'] },
+            { verbo: 'desaparecer', formas: ['desapareció'] },
+            { verbo: 'perder', formas: ['desaparecer'] }
+        ]);
+        assert.deepEqual(problemas.map(p => [p.tipo, p.verbos]), [
+            ['colision', ['ganar', 'recibir']],
+            ['colision', ['desaparecer', 'perder']]
+        ]);
+        assert.match(problemas[1].mensaje, /"desapareció" \(desaparecer\), "desaparecer" \(perder\)/);
+    });
+
+    it('informa las relaciones con verbos que no están en el léxico', () => {
+        const problemas = validarLexico([
+            { verbo: 'construir', formas: ['construyó'], relacionados: ['fundar', 'construir'] }
+        ]);
+        assert.deepEqual(problemas.map(p => [p.tipo, p.verbos]), [
+            ['invalido', ['construir', 'fundar']],
+            ['invalido', ['construir', 'construir']]
+        ]);
+    });
+});
+
+describe('/api/lexico', () => {
+    /** @type {{admin: string, editor: string, lector: string}} */
+    let tokens;
+
+    before(async () => {
+        await iniciar();
+        tokens = await crearSesiones();
+    });
+    after(detener);
+
+    it('sin cambios usa el léxico por defecto, que es válido', async () => {
+        const { status, cuerpo } = await pedir('GET', '/api/lexico');
+        assert.equal(status, 200);
+        assert.equal(cuerpo.origen, 'archivo');
+        assert.deepEqual(cuerpo.verbos, leerLexico());
+        assert.deepEqual((await pedir('GET', '/api/lexico/validacion')).cuerpo, { valido: true, problemas: [] });
+    });
+
+    describe('léxico por defecto', () => {
+        // Cambios de la migración a fixtures/verbos.json (ver README, "Léxico de verbos")
+        it('construir también busca fundar, pero no al revés', async () => {
+            assert.equal(await coincide('¿Quién construyó Macondo?', 'fundó la aldea'), true);
+            assert.equal(await coincide('¿Quién fundó Macondo?', 'construyó la casa'), false);
+        });
+
+        it('huir, confesar, revelar, obtener y tener ya no se mezclan con otros verbos', async () => {
+            assert.equal(await coincide('¿Quién huyó de Riohacha?', 'partió hacia la sierra'), false);
+            assert.equal(await coincide('¿Quién confesó algo?', 'descubrió el hielo'), false);
+            assert.equal(await coincide('¿Quién reveló el secreto?', 'confesó su crimen'), false);
+            assert.equal(await coincide('¿Quién obtuvo el pergamino?', 'recibió una carta'), false);
+            assert.equal(await coincide('¿Quién tuvo hijos?', 'hubo una peste'), false);
+            assert.equal(await coincide('¿Quién tenía el pergamino?', 'tuvo en sus manos'), true);
+        });
+
+        it('haber es parte de existir', async () => {
+            assert.equal(await coincide('¿Qué ocurrió en Macondo?', 'hubo una peste'), true);
+            assert.equal(await coincide('¿Hubo una peste?', 'existió una peste'), true);
+        });
+    });
+
+    it('dos primeros cambios simultáneos copian el léxico una sola vez', async () => {
+        const [uno, otro] = await Promise.all([
+            pedir('POST', '/api/lexico/leer/formas', { cuerpo: { formas: ['hojeó'] }, token: tokens.admin }),
+            pedir('POST', '/api/lexico/ver/formas', { cuerpo: { formas: ['divisó'] }, token: tokens.admin })
+        ]);
+        assert.deepEqual([uno.status, otro.status], [200, 200]);
+        const { origen, verbos } = (await pedir('GET', '/api/lexico')).cuerpo;
+        assert.equal(origen, 'base');
+        assert.deepEqual(verbos.map(v => v.verbo), leerLexico().map(v => v.verbo));
+        assert.ok(verbos.find(v => v.verbo === 'leer').formas.includes('hojeó'));
+        assert.ok(verbos.find(v => v.verbo === 'ver').formas.includes('divisó'));
+    });
+
+    it('solo un admin puede editarlo', async () => {
+        const ruta = '/api/lexico/morir/formas';
+        const cuerpo = { formas: ['feneció'] };
+        assert.equal((await pedir('POST', ruta, { cuerpo })).status, 401);
+        assert.equal((await pedir('POST', ruta, { cuerpo, token: tokens.editor })).status, 403);
+        assert.equal((await pedir('DELETE', `${ruta}/murió`, { token: tokens.lector })).status, 403);
+        assert.equal((await pedir('POST', ruta, { cuerpo: { formas: [] }, token: tokens.admin })).status, 400);
+    });
+
+    it('un sinónimo agregado vale desde la pregunta siguiente', async () => {
+        assert.equal(await coincide('¿Quién feneció en Macondo?', 'murió de viejo'), false);
+
+        const { status, cuerpo } = await pedir('POST', '/api/lexico/morir/formas', {
+            cuerpo: { formas: ['Feneció'] }, token: tokens.admin
+        });
+        assert.equal(status, 200);
+        assert.ok(cuerpo.formas.includes('feneció'));
+        assert.equal(await coincide('¿Quién feneció en Macondo?', 'murió de viejo'), true);
+    });
+
+    it('rechaza formas repetidas o que colisionan con otro verbo', async () => {
+        const repetida = await pedir('POST', '/api/lexico/morir/formas', { cuerpo: { formas: ['murió'] }, token: tokens.admin });
+        assert.equal(repetida.status, 409);
+        assert.deepEqual(repetida.cuerpo.problemas.map(p => p.tipo), ['forma_repetida']);
+
+        const colision = await pedir('POST', '/api/lexico/recibir/formas', {
+            cuerpo: { formas: ['consiguió', 'obtuvo'] }, token: tokens.admin
+        });
+        assert.equal(colision.status, 409);
+        assert.deepEqual(colision.cuerpo.problemas.map(p => [p.tipo, p.verbos]), [['colision', ['ganar', 'recibir']]]);
+        // No se guardó ninguna de las dos
+        const { verbos } = (await pedir('GET', '/api/lexico')).cuerpo;
+        assert.ok(!verbos.find(v => v.verbo === 'recibir').formas.includes('consiguió'));
+    });
+
+    it('crea verbos nuevos y quita formas y verbos', async () => {
+        const creado = await pedir('POST', '/api/lexico/bautizar/formas', {
+            cuerpo: { formas: ['bautizar', 'bautizó'] }, token: tokens.admin
+        });
+        assert.equal(creado.status, 201);
+        assert.equal(await coincide('¿A quién bautizaron?', 'lo bautizó el padre Nicanor'), true);
+
+        const quitada = await pedir('DELETE', `/api/lexico/morir/formas/${encodeURIComponent('fenecio')}`, { token: tokens.admin });
+        assert.equal(quitada.status, 200);
+        assert.ok(!quitada.cuerpo.formas.includes('feneció'));
+        assert.equal(await coincide('¿Quién feneció en Macondo?', 'murió de viejo'), false);
+
+        const eliminado = await pedir('DELETE', '/api/lexico/bautizar', { token: tokens.admin });
+        assert.equal(eliminado.status, 200);
+        assert.deepEqual(eliminado.cuerpo.eliminado.formas, ['bautizar', 'bautizó']);
+        assert.equal((await pedir('DELETE', '/api/lexico/bautizar', { token: tokens.admin })).status, 404);
+        assert.equal((await pedir('DELETE', '/api/lexico/morir/formas/feneció', { token: tokens.admin })).status, 404);
+        assert.deepEqual((await pedir('GET', '/api/lexico/validacion')).cuerpo.problemas, []);
+    });
+
+    it('los verbos quitados no vuelven, aunque no quede ninguno', async () => {
+        // Quitar un verbo lo quita también de los relacionados de los demás
+        assert.equal((await pedir('DELETE', '/api/lexico/fundar', { token: tokens.admin })).status, 200);
+        const { verbos } = (await pedir('GET', '/api/lexico')).cuerpo;
+        assert.deepEqual(verbos.find(v => v.verbo === 'construir').relacionados, []);
+        assert.deepEqual((await pedir('GET', '/api/lexico/validacion')).cuerpo.problemas, []);
+        for (const { verbo } of verbos) {
+            assert.equal((await pedir('DELETE', `/api/lexico/${encodeURIComponent(verbo)}`, { token: tokens.admin })).status, 200);
+        }
+        assert.deepEqual((await pedir('GET', '/api/lexico')).cuerpo, { origen: 'base', verbos: [] });
+        assert.deepEqual((await analizarPregunta('¿Quién murió en Macondo?')).regexVerbos, []);
+    });
+});
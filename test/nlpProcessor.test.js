@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Pruebas unitarias de las funciones de nlpProcessor.js que no consultan
+ * la base: normalización, intención, lematización, coincidencia de términos y
+ * detección de exclusiones y comparaciones temporales.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { aplicarNivelLog } = require('../config');
+const {
+    normalizar,
+    limpiarTexto,
+    clasificarIntencion,
+    lematizar,
+    contieneTermino,
+    tieneModificadores
+} = require('../nlpProcessor');
+
+aplicarNivelLog(process.env.LOG_LEVEL || 'error');
+
+describe('normalizar', () => {
+    it('quita tildes, signos, mayúsculas y espacios repetidos', () => {
+        assert.equal(normalizar('¿Dónde  vivió Úrsula, la matriarca?'), 'donde vivio ursula la matriarca');
+    });
+});
+
+describe('limpiarTexto', () => {
+    it('equivale para textos con y sin tildes', () => {
+        assert.equal(limpiarTexto('Melquíades'), limpiarTexto('MELQUIADES'));
+    });
+});
+
+describe('clasificarIntencion', () => {
+    /** Pregunta → intención, verbo y resto esperados. */
+    const CASOS = [
+        ['¿Dónde vivió Aureliano?', { intencion: 'donde', verbo: 'vivió', resto: 'Aureliano' }],
+        ['En dónde nació Aureliano?', { intencion: 'donde', verbo: 'nació', resto: 'Aureliano' }],
+        ['¿Por qué se fue Rebeca?', { intencion: 'porque', verbo: 'se fue', resto: 'Rebeca' }],
+        ['¿A quién amó Amaranta?', { intencion: 'quien', verbo: 'amó', resto: 'Amaranta' }],
+        ['¿Cuántos hijos tuvo Úrsula?', { intencion: 'cuantos', verbo: null, resto: 'hijos tuvo Úrsula' }],
+        ['¿Quién vivió más, Úrsula o Pilar?', { intencion: 'comparacion', verbo: 'vivió', resto: 'más, Úrsula o Pilar' }],
+        ['¿Murió Remedios?', { intencion: 'sino', verbo: 'Murió', resto: 'Remedios' }],
+        ['¿Quién no se casó con Amaranta?', { intencion: 'quien', verbo: 'no se casó', resto: 'con Amaranta' }],
+        ['capítulo 3', { intencion: null, verbo: null, resto: 'capítulo 3' }]
+    ];
+
+    for (const [pregunta, esperado] of CASOS) {
+        it(pregunta, () => {
+            const { intencion, verbo, resto } = clasificarIntencion(pregunta);
+            assert.deepEqual({ intencion, verbo, resto }, esperado);
+        });
+    }
+});
+
+describe('lematizar', () => {
+    it('reduce las palabras a su raíz', () => {
+        assert.deepEqual(lematizar('Los gitanos llegaron'), ['los', 'gitan', 'lleg']);
+    });
+
+    it('omite las palabras vacías si se pide', () => {
+        assert.deepEqual(lematizar('Los gitanos llegaron', { omitirVacias: true }), ['gitan', 'lleg']);
+    });
+});
+
+describe('contieneTermino', () => {
+    it('encuentra el término aunque cambie el número', () => {
+        assert.equal(contieneTermino('guerras', 'Inicio de la guerra civil'), true);
+    });
+
+    it('no encuentra términos ausentes', () => {
+        assert.equal(contieneTermino('guerra', 'Peste del insomnio'), false);
+    });
+});
+
+describe('tieneModificadores', () => {
+    it('reconoce exclusiones y comparaciones temporales', () => {
+        assert.equal(tieneModificadores('¿Qué pasó en el capítulo 12 sin Remedios la bella?'), true);
+        assert.equal(tieneModificadores('¿Qué pasó antes del capítulo 5?'), true);
+        assert.equal(tieneModificadores('¿Qué pasó después de que llegó Rebeca?'), true);
+    });
+
+    it('no confunde un "antes" suelto con una comparación', () => {
+        assert.equal(tieneModificadores('¿Qué pasó en el capítulo 5?'), false);
+        assert.equal(tieneModificadores('¿Quién llegó antes?'), false);
+    });
+});
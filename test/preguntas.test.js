@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Pruebas de /api/preguntas con el corpus de preguntas de referencia
+ * (test/preguntas.json) y del análisis de `analizarPregunta`: verbos clave, entidades,
+ * correcciones, exclusiones, conectores y comparaciones temporales.
+ *
+ * Cada caso del corpus indica los resultados esperados por nombre (o título); la prueba
+ * los traduce a los IDs de la base sembrada y compara los IDs de la respuesta. Con
+ * `respuesta`, el texto de la respuesta debe contenerla. Si un
+ * cambio en services/preguntas.js, nlpProcessor.js o los datos de ejemplo altera una
+ * respuesta a propósito, hay que actualizar el caso correspondiente.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciar, detener, pedir, idsPorNombre } = require('./entorno');
+const { analizarPregunta } = require('../nlpProcessor');
+const Evento = require('../models/model_eventos');
+const corpus = require('./preguntas.json');
+
+describe('/api/preguntas', () => {
+    /** @type {Object.<string, Map<string, string>>} IDs por nombre de cada colección */
+    const ids = {};
+
+    before(async () => {
+        await iniciar();
+        for (const coleccion of ['eventos', 'personajes', 'lugares']) {
+            ids[coleccion] = await idsPorNombre(coleccion);
+        }
+    });
+    after(detener);
+
+    it('responde 400 sin "q"', async () => {
+        assert.equal((await pedir('GET', '/api/preguntas')).status, 400);
+    });
+
+    it('si el evento similar se borró después del análisis, sigue con el filtro', async () => {
+        // Simula el borrado entre buscarEventoSimilar y la carga completa del evento
+        const findById = mock.method(Evento, 'findById', () => ({ populate: async () => null }));
+        try {
+            const { status, cuerpo } = await pedir('GET',
+                `/api/preguntas?q=${encodeURIComponent('¿Qué pasó con los pergaminos de Melquíades?')}`);
+            assert.equal(findById.mock.callCount(), 1);
+            assert.equal(status, 200);
+            assert.notEqual(cuerpo.capitulo, 'similar');
+            assert.ok(cuerpo.resultados.every(Boolean));
+        } finally {
+            findById.mock.restore();
+        }
+    });
+
+    describe('corpus de referencia', () => {
+        for (const caso of corpus) {
+            it(caso.pregunta, async () => {
+                const { status, cuerpo } = await pedir('GET', `/api/preguntas?q=${encodeURIComponent(caso.pregunta)}`);
+                assert.equal(status, 200);
+                assert.equal(cuerpo.capitulo, caso.capitulo);
+                assert.equal(cuerpo.intencion, caso.intencion);
+                assert.equal(cuerpo.tipoResultados, caso.tipoResultados);
+                assert.equal(typeof cuerpo.respuesta?.texto, 'string');
+
+                const esperados = caso.resultados.map(nombre => {
+                    const id = ids[caso.tipoResultados].get(nombre);
+                    assert.ok(id, `"${nombre}" no está en ${caso.tipoResultados}`);
+                    return id;
+                });
+                assert.deepEqual(cuerpo.resultados.map(r => r._id).sort(), esperados.sort());
+
+                if (caso.candidatos) {
+                    assert.equal(cuerpo.ambigua, true);
+                    const candidatos = cuerpo.ambiguedades.flatMap(a => a.candidatos.map(c => c.nombre));
+                    assert.deepEqual(candidatos.sort(), [...caso.candidatos].sort());
+                }
+                assert.equal(cuerpo.quisisteDecir, caso.quisisteDecir);
+                if (caso.respuesta) assert.ok(cuerpo.respuesta.texto.includes(caso.respuesta), cuerpo.respuesta.texto);
+            });
+        }
+    });
+
+    describe('análisis de la pregunta', () => {
+        /**
+         * Indica si algún patrón de verbo de la pregunta coincide con el texto.
+         * @param {{regexVerbos: RegExp[]}} analisis - Resultado de `analizarPregunta`.
+         * @param {string} texto - Texto de un evento.
+         * @returns {boolean}
+         */
+        const coincide = (analisis, texto) => analisis.regexVerbos.some(re => re.test(texto));
+
+        it('amplía el verbo a sus sinónimos del léxico', async () => {
+            assert.ok(coincide(await analizarPregunta('¿Quién fundó Macondo?'), 'fue creada'));
+            assert.ok(coincide(await analizarPregunta('¿Quién se casó con Remedios Moscote?'), 'contrajo matrimonio'));
+            assert.ok(coincide(await analizarPregunta('¿Cuándo murió el coronel?'), 'falleció'));
+            assert.ok(coincide(await analizarPregunta('¿Quién huyó de Riohacha?'), 'se escapó'));
+        });
+
+        it('no agrega patrones si no hay verbo clave', async () => {
+            assert.deepEqual((await analizarPregunta('¿Qué hizo Pilar Ternera?')).regexVerbos, []);
+        });
+
+        it('enlaza personajes por nombre y por apodo, y lugares', async () => {
+            const porNombre = await analizarPregunta('¿Quién se casó con Remedios Moscote?');
+            assert.deepEqual(porNombre.personajes, ['Remedios Moscote']);
+            const porApodo = await analizarPregunta('¿Cuándo murió el coronel?');
+            assert.deepEqual(porApodo.personajes, ['Aureliano Buendía (el coronel)']);
+            const lugar = await analizarPregunta('¿Quién fundó Macondo?');
+            assert.deepEqual(lugar.lugares, ['Macondo']);
+        });
+
+        it('detecta preguntas de existencia', async () => {
+            const analisis = await analizarPregunta('hubo alguna guerra?');
+            assert.equal(analisis.terminoExistencia, 'guerra');
+            assert.equal(analisis.fuzzy, null);
+        });
+
+        it('corrige nombres mal escritos', async () => {
+            const analisis = await analizarPregunta('¿Qué hizo Pilar Ternerra?');
+            assert.deepEqual(analisis.correcciones, [{ palabra: 'Ternerra', sugerencia: 'Ternera' }]);
+            assert.deepEqual(analisis.personajes, ['Pilar Ternera']);
+        });
+
+        it('separa las entidades excluidas de las buscadas', async () => {
+            const conSin = await analizarPregunta('¿Qué eventos ocurrieron en Macondo sin Úrsula?');
+            assert.deepEqual(conSin.lugares, ['Macondo']);
+            assert.deepEqual(conSin.personajes, []);
+            assert.deepEqual(conSin.negados.personajes, ['Úrsula Iguarán']);
+            assert.equal(conSin.fuzzy, null);
+
+            const conNo = await analizarPregunta('¿Qué eventos no ocurrieron en Macondo?');
+            assert.deepEqual(conNo.negados.lugares, ['Macondo']);
+            assert.deepEqual(conNo.lugares, []);
+        });
+
+        it('no excluye el tema de una pregunta por qué', async () => {
+            const analisis = await analizarPregunta('¿Por qué no volvió Rebeca?');
+            assert.deepEqual(analisis.personajes, ['Rebeca']);
+            assert.deepEqual(analisis.negados.personajes, []);
+        });
+
+        it('reconoce "y" y "o" entre personajes', async () => {
+            assert.equal((await analizarPregunta('¿Qué pasó con Úrsula y Rebeca?')).operador, 'y');
+            assert.equal((await analizarPregunta('¿Qué pasó con Úrsula o Rebeca?')).operador, 'o');
+            assert.equal((await analizarPregunta('¿Qué hizo Pilar Ternera?')).operador, null);
+        });
+
+        it('separa la referencia de una comparación temporal', async () => {
+            const entidad = await analizarPregunta('¿Quién murió antes que José Arcadio Buendía?');
+            assert.deepEqual(entidad.personajes, []);
+            assert.equal(entidad.temporal.relacion, 'antes');
+            assert.deepEqual(entidad.temporal.personajes, ['José Arcadio Buendía']);
+            assert.ok(coincide(entidad.temporal, 'murió'));
+
+            const capitulo = await analizarPregunta('¿Qué pasó después del capítulo 5?');
+            assert.equal(capitulo.capitulo, null);
+            assert.equal(capitulo.temporal.relacion, 'despues');
+            assert.equal(capitulo.temporal.capitulo, 5);
+
+            const evento = await analizarPregunta('¿Hubo alguna guerra después de la llegada de Rebeca?');
+            assert.equal(evento.terminoExistencia, 'guerra');
+            assert.equal(evento.temporal.evento?.nombre, 'Llegada de Rebeca');
+        });
+    });
+});